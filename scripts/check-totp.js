@@ -0,0 +1,41 @@
+/**
+ * Check the TOTP functions against the RFC 6238 test vectors (Appendix B)
+ *
+ * Runs offline with `npm run check:totp` and exits non-zero on any mismatch.
+ */
+
+import { generateTotp } from '../src/utils/totpUtils.js';
+
+// Each algorithm's key is the ASCII seed "1234567890" repeated to its length
+const seedKey = (length) => new TextEncoder().encode('1234567890'.repeat(7).slice(0, length));
+
+const KEYS = {
+  'SHA-1': seedKey(20),
+  'SHA-256': seedKey(32),
+  'SHA-512': seedKey(64)
+};
+
+// [time in seconds, SHA-1, SHA-256, SHA-512] codes, 8 digits with 30-second steps
+const VECTORS = [
+  [59, '94287082', '46119246', '90693936'],
+  [1111111109, '07081804', '68084774', '25091201'],
+  [1111111111, '14050471', '67062674', '99943326'],
+  [1234567890, '89005924', '91819424', '93441116'],
+  [2000000000, '69279037', '90698825', '38618901'],
+  [20000000000, '65353130', '77737706', '47863826']
+];
+
+let failures = 0;
+for (const [seconds, ...codes] of VECTORS) {
+  for (const [index, algorithm] of Object.keys(KEYS).entries()) {
+    const code = await generateTotp(KEYS[algorithm], seconds * 1000, { digits: 8, algorithm });
+    if (code !== codes[index]) {
+      failures += 1;
+      console.error(`${algorithm} at ${seconds}s: expected ${codes[index]}, got ${code}`);
+    }
+  }
+}
+
+const total = VECTORS.length * Object.keys(KEYS).length;
+console.log(`${total - failures} of ${total} RFC 6238 test vectors match`);
+process.exit(failures === 0 ? 0 : 1);
@@ -1,16 +1,57 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import LoginPage from './components/ui/LoginPage';
+import IdleTimeoutWarning from './components/ui/IdleTimeoutWarning';
 import { Card, CardContent } from './components/ui/card';
+import { AuthProvider, useAuth, USER_ROLES } from './contexts/AuthContext';
 import { InvestmentProvider, useInvestments } from './contexts/InvestmentContext';
+import { AdminProvider } from './contexts/AdminContext';
+import AdminConsole from './components/ui/AdminConsole';
 import MoveMoneyModal from './components/ui/MoveMoneyModal';
+import AssetAllocation from './components/ui/AssetAllocation';
+import PortfolioRisk from './components/ui/PortfolioRisk';
 import BalanceMatrix from './components/ui/BalanceMatrix';
+import TransactionHistory from './components/ui/TransactionHistory';
+import UndoToast from './components/ui/UndoToast';
+import FeeAnalyzer from './components/ui/FeeAnalyzer';
+import PendingOrders from './components/ui/PendingOrders';
+import LoanSummary from './components/ui/LoanSummary';
+import RmdSummary from './components/ui/RmdSummary';
+import PriceUpdates from './components/ui/PriceUpdates';
+import PayrollSimulator from './components/ui/PayrollSimulator';
+import RebalancingPlanner from './components/ui/RebalancingPlanner';
+import RetirementProjection from './components/ui/RetirementProjection';
+import ReturnsTable from './components/ui/ReturnsTable';
+import ContributionElectionsModal from './components/ui/ContributionElectionsModal';
+import { describeTypeSplit } from './utils/electionUtils';
+import { getElectionLimitWarnings } from './utils/payrollUtils';
+import { getOutstandingBalance } from './utils/loanUtils';
+import {
+  RETURN_PERIODS,
+  RETURN_PERIOD_LABELS,
+  calculateReturns,
+  formatCurrency,
+  formatPercent
+} from './utils/investmentUtils';
+import { sumMoney } from './utils/money';
+
+// Pages reachable from the participant's navigation bar; plan administration lives in AdminConsole
+const NAV_ITEMS = [
+  { id: 'account', label: 'Overview' },
+  { id: 'history', label: 'History' },
+  { id: 'prices', label: 'Prices' },
+  { id: 'payroll', label: 'Payroll' },
+  { id: 'rebalancing', label: 'Rebalancing' },
+  { id: 'projection', label: 'Projection' }
+];
 
 // Layout Component with InvestmentContext
-const AppLayout = ({ children, onLogout }) => {
-  const { resetToInitial } = useInvestments();
+const AppLayout = ({ children, onLogout, currentView, onNavigate }) => {
+  const { investments, resetToInitial } = useInvestments();
+  const { user } = useAuth();
+  const initials = user.name.split(' ').map(part => part[0]).join('').slice(0, 2).toUpperCase();
 
   const handleReset = () => {
-    if (window.confirm('Are you sure you want to reset all investment data to initial values?')) {
+    if (window.confirm('Are you sure you want to reset your account to initial values?')) {
       resetToInitial();
     }
   };
@@ -24,20 +65,40 @@ const AppLayout = ({ children, onLogout }) => {
               <div className="flex-shrink-0 flex items-center">
                 <span className="text-xl text-gray-800 font-medium">Investments</span>
               </div>
+              <div className="ml-8 flex space-x-6">
+                {NAV_ITEMS.map(item => (
+                  <button
+                    key={item.id}
+                    onClick={() => onNavigate(item.id)}
+                    className={`text-sm border-b-2 ${
+                      currentView === item.id
+                        ? 'border-indigo-600 text-gray-900'
+                        : 'border-transparent text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    {item.label}
+                  </button>
+                ))}
+              </div>
             </div>
             <div className="flex items-center space-x-4">
-              <span className="text-sm text-gray-600">John Doe</span>
-              <button
-                onClick={handleReset}
-                className="text-sm text-gray-600 hover:text-gray-900"
-              >
-                Reset Data
-              </button>
+              <div className="text-right">
+                <p className="text-sm text-gray-600">{user.name}</p>
+                {investments && <p className="text-xs text-gray-400">{investments.settings.planName}</p>}
+              </div>
+              {investments && (
+                <button
+                  onClick={handleReset}
+                  className="text-sm text-gray-600 hover:text-gray-900"
+                >
+                  Reset Data
+                </button>
+              )}
               <div className="w-8 h-8 bg-indigo-100 rounded-full flex items-center justify-center">
-                <span className="text-sm text-indigo-600 font-medium">JD</span>
+                <span className="text-sm text-indigo-600 font-medium">{initials}</span>
               </div>
               <button
-                onClick={onLogout}
+                onClick={() => onLogout()}
                 className="text-sm text-gray-600 hover:text-gray-900"
               >
                 Logout
@@ -57,16 +118,16 @@ const AppLayout = ({ children, onLogout }) => {
 const AccountPage = () => {
   const { investments } = useInvestments();
   const [moveMoneyModalOpen, setMoveMoneyModalOpen] = useState(false);
+  const [returnPeriod, setReturnPeriod] = useState(RETURN_PERIODS.YTD);
+  const [electionsModalOpen, setElectionsModalOpen] = useState(false);
 
-  const totalBalance = investments?.balances?.reduce((sum, b) => sum + b.balance, 0) || 0;
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(amount);
-  };
+  const accountReturns = calculateReturns(investments, {}, returnPeriod);
+  const limitWarnings = getElectionLimitWarnings(investments, investments.elections);
+
+  const totalBalance = sumMoney([
+    ...investments.balances.map(b => b.balance),
+    getOutstandingBalance(investments.loans)
+  ]);
 
   return (
     <div className="space-y-8">
@@ -98,8 +159,25 @@ const AccountPage = () => {
         <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
           <CardContent className="p-6">
             <div className="space-y-1">
-              <p className="text-sm font-medium text-gray-500">YTD Return</p>
-              <p className="text-3xl font-medium text-green-600">+12.4%</p>
+              <div className="flex justify-between items-center">
+                <p className="text-sm font-medium text-gray-500">Return</p>
+                <select
+                  className="text-sm text-gray-600 bg-transparent border-0 focus:outline-none"
+                  value={returnPeriod}
+                  onChange={(e) => setReturnPeriod(e.target.value)}
+                >
+                  {Object.entries(RETURN_PERIOD_LABELS).map(([period, label]) => (
+                    <option key={period} value={period}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <p className={`text-3xl font-medium ${accountReturns.twr < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {formatPercent(accountReturns.twr)}
+              </p>
+              <p className="text-xs text-gray-500">
+                Money-weighted {formatPercent(accountReturns.mwr)}
+                {accountReturns.annualized && ' · annualized'}
+              </p>
             </div>
           </CardContent>
         </Card>
@@ -107,8 +185,24 @@ const AccountPage = () => {
         <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
           <CardContent className="p-6">
             <div className="space-y-1">
-              <p className="text-sm font-medium text-gray-500">Contribution Rate</p>
-              <p className="text-3xl font-medium text-gray-900">8%</p>
+              <div className="flex justify-between items-center">
+                <p className="text-sm font-medium text-gray-500">Contribution Rate</p>
+                <button
+                  onClick={() => setElectionsModalOpen(true)}
+                  className="text-sm font-medium text-indigo-600 hover:text-indigo-700"
+                >
+                  Edit
+                </button>
+              </div>
+              <p className="text-3xl font-medium text-gray-900">{investments.elections.deferralRate}%</p>
+              <p className="text-xs text-gray-500">
+                {describeTypeSplit(investments.elections, investments.contributionTypes)}
+              </p>
+              {limitWarnings.length > 0 && (
+                <p className="text-xs text-amber-700" title={limitWarnings.join(' ')}>
+                  Projected to exceed this year's IRS limits
+                </p>
+              )}
             </div>
           </CardContent>
         </Card>
@@ -116,53 +210,107 @@ const AccountPage = () => {
 
       <BalanceMatrix />
 
+      <AssetAllocation />
+
+      <PortfolioRisk />
+
+      <FeeAnalyzer />
+
+      <PendingOrders />
+
+      <LoanSummary />
+
+      <RmdSummary />
+
+      <ReturnsTable period={returnPeriod} />
+
       <MoveMoneyModal
         isOpen={moveMoneyModalOpen}
         onClose={() => setMoveMoneyModalOpen(false)}
       />
+
+      <ContributionElectionsModal
+        isOpen={electionsModalOpen}
+        onClose={() => setElectionsModalOpen(false)}
+      />
+
+      <UndoToast />
     </div>
   );
 };
 
-// Main App Component
-const App = () => {
-  const [isAuthenticated, setIsAuthenticated] = useState(() => 
-    localStorage.getItem('isAuthenticated') === 'true'
+// Fund prices as participants see them; posting and importing NAVs is for plan administrators
+const PricesPage = () => {
+  const { investments } = useInvestments();
+  return <PriceUpdates funds={investments.funds} navHistory={investments.navHistory} />;
+};
+
+// Participant pages, or why there are none when the user has no account
+const ParticipantPages = ({ currentView }) => {
+  const { investments, error } = useInvestments();
+  if (!investments) {
+    return (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+        {error}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {currentView === 'history' && <TransactionHistory />}
+      {currentView === 'prices' && <PricesPage />}
+      {currentView === 'payroll' && <PayrollSimulator />}
+      {currentView === 'rebalancing' && <RebalancingPlanner />}
+      {currentView === 'projection' && <RetirementProjection />}
+      {currentView === 'account' && <AccountPage />}
+    </>
   );
+};
 
-  useEffect(() => {
-    localStorage.setItem('isAuthenticated', isAuthenticated);
-  }, [isAuthenticated]);
+// Signed-in portal, or the login page when there is no session
+const Portal = () => {
+  const { session, user, isAuthenticated, isLoading, logout } = useAuth();
+  const [currentView, setCurrentView] = useState('account');
 
-  const handleLogin = (credentials) => {
-    const { email, password } = credentials;
-    if (email === 'john.doe@example.com' && password === 'password1234') {
-      setIsAuthenticated(true);
-    } else {
-      alert('Invalid credentials. Please try again.');
-    }
+  // Signing out, by choice or after inactivity, unmounts the portal and drops anything in progress
+  const handleLogout = (reason) => {
+    setCurrentView('account');
+    logout(reason);
   };
 
-  const handleLogout = () => {
-    setIsAuthenticated(false);
-    localStorage.removeItem('isAuthenticated');
-  };
+  if (isLoading) return null;
 
-  const AuthenticatedApp = () => (
-    <AppLayout onLogout={handleLogout}>
-      <AccountPage />
-    </AppLayout>
-  );
+  if (!isAuthenticated) {
+    return <LoginPage />;
+  }
+
+  // Administrators get their own console and never the participant pages
+  if (user.role === USER_ROLES.ADMIN) {
+    return (
+      <AdminProvider key={session.token}>
+        <AdminConsole onLogout={handleLogout} />
+        <IdleTimeoutWarning onTimeout={handleLogout} />
+      </AdminProvider>
+    );
+  }
 
+  // Keyed by session so errors and undo offers never carry over to the next sign-in
   return (
-    <InvestmentProvider>
-      {!isAuthenticated ? (
-        <LoginPage onLogin={handleLogin} />
-      ) : (
-        <AuthenticatedApp />
-      )}
+    <InvestmentProvider key={session.token} userId={user.id}>
+      <AppLayout onLogout={handleLogout} currentView={currentView} onNavigate={setCurrentView}>
+        <ParticipantPages currentView={currentView} />
+      </AppLayout>
+      <IdleTimeoutWarning onTimeout={handleLogout} />
     </InvestmentProvider>
   );
 };
 
-export default App;
\ No newline at end of file
+// Main App Component
+const App = () => (
+  <AuthProvider>
+    <Portal />
+  </AuthProvider>
+);
+
+export default App;
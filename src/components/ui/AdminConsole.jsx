@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../contexts/AdminContext';
+import AdminFundLineup from './AdminFundLineup';
+import AdminContributionTypes from './AdminContributionTypes';
+import AdminPrices from './AdminPrices';
+import AdminParticipants from './AdminParticipants';
+import AdminReports from './AdminReports';
+
+// Pages reachable from the administrator's navigation bar
+const ADMIN_NAV_ITEMS = [
+  { id: 'reports', label: 'Reports' },
+  { id: 'lineup', label: 'Fund Lineup' },
+  { id: 'types', label: 'Contribution Types' },
+  { id: 'prices', label: 'Prices' },
+  { id: 'participants', label: 'Participants' }
+];
+
+/**
+ * Plan administrator's console, kept apart from the participant portal
+ */
+const AdminConsole = ({ onLogout }) => {
+  const { user } = useAuth();
+  const { plans, planId, selectPlan, error, clearError } = useAdmin();
+  const [currentView, setCurrentView] = useState('reports');
+
+  const handleNavigate = (view) => {
+    clearError();
+    setCurrentView(view);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50/40">
+      <nav className="bg-white/70 backdrop-blur-lg border-b border-gray-100">
+        <div className="max-w-5xl mx-auto px-4">
+          <div className="flex justify-between h-16">
+            <div className="flex">
+              <div className="flex-shrink-0 flex items-center">
+                <span className="text-xl text-gray-800 font-medium">Plan Admin</span>
+              </div>
+              <div className="ml-8 flex space-x-6">
+                {ADMIN_NAV_ITEMS.map(item => (
+                  <button
+                    key={item.id}
+                    onClick={() => handleNavigate(item.id)}
+                    className={`text-sm border-b-2 ${
+                      currentView === item.id
+                        ? 'border-indigo-600 text-gray-900'
+                        : 'border-transparent text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    {item.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center space-x-4">
+              <div className="text-right">
+                <p className="text-sm text-gray-600">{user.name}</p>
+                {plans.length > 1 ? (
+                  <select
+                    aria-label="Plan"
+                    className="text-xs text-gray-400 bg-transparent border-0 p-0 text-right focus:outline-none"
+                    value={planId}
+                    onChange={(e) => selectPlan(e.target.value)}
+                  >
+                    {plans.map(plan => (
+                      <option key={plan.id} value={plan.id}>{plan.name}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <p className="text-xs text-gray-400">{plans[0]?.name}</p>
+                )}
+              </div>
+              <button
+                onClick={() => onLogout()}
+                className="text-sm text-gray-600 hover:text-gray-900"
+              >
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      </nav>
+      <main className="max-w-5xl mx-auto py-8 px-4 space-y-6">
+        {error && (
+          <div role="alert" className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+        <div key={planId}>
+          {currentView === 'reports' && <AdminReports />}
+          {currentView === 'lineup' && <AdminFundLineup />}
+          {currentView === 'types' && <AdminContributionTypes />}
+          {currentView === 'prices' && <AdminPrices />}
+          {currentView === 'participants' && <AdminParticipants />}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useAdmin } from '../../contexts/AdminContext';
+import { CONTRIBUTION_SOURCES, TAX_TREATMENTS } from '../../utils/electionUtils';
+
+const inputClassName = 'mt-1 block w-full rounded-md border border-gray-300 p-2 text-sm';
+
+const SOURCE_LABELS = {
+  [CONTRIBUTION_SOURCES.EMPLOYEE]: 'Employee',
+  [CONTRIBUTION_SOURCES.EMPLOYER]: 'Employer'
+};
+
+const TAX_TREATMENT_LABELS = {
+  [TAX_TREATMENTS.PRE_TAX]: 'Pre-tax',
+  [TAX_TREATMENTS.ROTH]: 'Roth'
+};
+
+const EMPTY_TYPE_FORM = {
+  name: '',
+  source: CONTRIBUTION_SOURCES.EMPLOYEE,
+  taxTreatment: TAX_TREATMENTS.PRE_TAX,
+  vestingScheduleId: ''
+};
+
+/**
+ * The plan's contribution types: add types and rename existing ones
+ */
+const AdminContributionTypes = () => {
+  const { plan, addContributionType, renameContributionType } = useAdmin();
+  const [form, setForm] = useState(EMPTY_TYPE_FORM);
+  const [renaming, setRenaming] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const vestingSchedules = plan.settings.vestingSchedules || [];
+  const getScheduleName = (scheduleId) => {
+    return vestingSchedules.find(schedule => schedule.id === scheduleId)?.name || 'Fully vested';
+  };
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    setMessage(null);
+    if (addContributionType(form)) {
+      setMessage(`${form.name.trim()} added`);
+      setForm(EMPTY_TYPE_FORM);
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    setMessage(null);
+    if (renameContributionType(renaming.id, renaming.name)) {
+      setMessage(`Renamed to ${renaming.name.trim()}`);
+      setRenaming(null);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-2xl font-medium text-gray-900">Contribution Types</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Money sources participants hold balances under. Once added, a type can be renamed but not removed
+          or changed, since balances may already be held under it.
+        </p>
+      </div>
+
+      {message && (
+        <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-md text-sm">
+          {message}
+        </div>
+      )}
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardContent className="px-6 pt-6">
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Name</th>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Source</th>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Tax Treatment</th>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Vesting</th>
+                <th className="py-4 px-4 border-b" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {plan.contributionTypes.map(type => (
+                <tr key={type.id}>
+                  <td className="py-4 px-4 text-sm font-medium text-gray-900">
+                    {renaming?.id === type.id ? (
+                      <form onSubmit={handleRename} className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          aria-label="Contribution type name"
+                          className="block w-full rounded-md border border-gray-300 p-1 text-sm"
+                          value={renaming.name}
+                          onChange={(e) => setRenaming(prev => ({ ...prev, name: e.target.value }))}
+                          autoFocus
+                          required
+                        />
+                        <button type="submit" className="font-medium text-indigo-600 hover:text-indigo-700">
+                          Save
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setRenaming(null)}
+                          className="font-normal text-gray-600 hover:text-gray-900"
+                        >
+                          Cancel
+                        </button>
+                      </form>
+                    ) : type.name}
+                  </td>
+                  <td className="py-4 px-4 text-sm text-gray-600">{SOURCE_LABELS[type.source]}</td>
+                  <td className="py-4 px-4 text-sm text-gray-600">{TAX_TREATMENT_LABELS[type.taxTreatment]}</td>
+                  <td className="py-4 px-4 text-sm text-gray-600">{getScheduleName(type.vestingScheduleId)}</td>
+                  <td className="py-4 px-4 text-right text-sm">
+                    {renaming?.id !== type.id && (
+                      <button
+                        onClick={() => { setMessage(null); setRenaming({ id: type.id, name: type.name }); }}
+                        className="font-medium text-indigo-600 hover:text-indigo-700"
+                      >
+                        Rename
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">Add Contribution Type</CardTitle>
+        </CardHeader>
+        <CardContent className="px-6">
+          <form onSubmit={handleAdd} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  className={inputClassName}
+                  value={form.name}
+                  onChange={(e) => update('name', e.target.value)}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Source</label>
+                <select
+                  className={inputClassName}
+                  value={form.source}
+                  onChange={(e) => setForm(prev => ({ ...prev, source: e.target.value, vestingScheduleId: '' }))}
+                >
+                  {Object.values(CONTRIBUTION_SOURCES).map(source => (
+                    <option key={source} value={source}>{SOURCE_LABELS[source]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Tax Treatment</label>
+                <select
+                  className={inputClassName}
+                  value={form.taxTreatment}
+                  onChange={(e) => update('taxTreatment', e.target.value)}
+                >
+                  {Object.values(TAX_TREATMENTS).map(treatment => (
+                    <option key={treatment} value={treatment}>{TAX_TREATMENT_LABELS[treatment]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Vesting</label>
+                <select
+                  className={inputClassName}
+                  value={form.vestingScheduleId}
+                  onChange={(e) => update('vestingScheduleId', e.target.value)}
+                  disabled={form.source !== CONTRIBUTION_SOURCES.EMPLOYER}
+                >
+                  <option value="">Fully vested</option>
+                  {vestingSchedules.map(schedule => (
+                    <option key={schedule.id} value={schedule.id}>{schedule.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+              >
+                Add Type
+              </button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AdminContributionTypes;
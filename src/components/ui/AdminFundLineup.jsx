@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useAdmin } from '../../contexts/AdminContext';
+import { FUND_TYPES, getFundCommitments } from '../../utils/adminUtils';
+import { TARGET_DATE_FUND_TYPE } from '../../utils/portfolioUtils';
+import { getTradeDate } from '../../utils/marketCalendar';
+
+const inputClassName = 'mt-1 block w-full rounded-md border border-gray-300 p-2 text-sm';
+
+const EMPTY_FUND_FORM = {
+  name: '',
+  ticker: '',
+  type: FUND_TYPES[0],
+  targetYear: '',
+  glidePathId: '',
+  category: '',
+  benchmark: '',
+  expenseRatio: '',
+  redemptionFeePercent: '',
+  redemptionFeeDays: '',
+  description: '',
+  nav: '',
+  navDate: ''
+};
+
+/**
+ * Convert a fund definition to form input values
+ * @param {Object} fund - Fund definition
+ * @returns {Object} Fund form
+ */
+const toFundForm = (fund) => ({
+  ...EMPTY_FUND_FORM,
+  name: fund.name,
+  ticker: fund.ticker || '',
+  type: fund.type,
+  targetYear: fund.targetYear ? String(fund.targetYear) : '',
+  glidePathId: fund.glidePathId || '',
+  category: fund.category || '',
+  benchmark: fund.benchmark || '',
+  expenseRatio: String(fund.expenseRatio ?? ''),
+  redemptionFeePercent: fund.redemptionFee ? String(fund.redemptionFee.percent) : '',
+  redemptionFeeDays: fund.redemptionFee ? String(fund.redemptionFee.holdingDays) : '',
+  description: fund.description || ''
+});
+
+/**
+ * Form for adding a fund or editing one's details
+ */
+const FundForm = ({ fund, glidePaths, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(() => (fund ? toFundForm(fund) : { ...EMPTY_FUND_FORM, navDate: getTradeDate() }));
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(form);
+  };
+
+  const textField = (field, label, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      <input
+        type="text"
+        className={inputClassName}
+        value={form[field]}
+        onChange={(e) => update(field, e.target.value)}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {textField('name', 'Fund Name', { required: true })}
+        {textField('ticker', 'Ticker', { required: true })}
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Type</label>
+          <select className={inputClassName} value={form.type} onChange={(e) => update('type', e.target.value)}>
+            {FUND_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+        {textField('expenseRatio', 'Expense Ratio (%)', { type: 'number', min: '0', step: '0.01', required: true })}
+        {form.type === TARGET_DATE_FUND_TYPE && (
+          <>
+            {textField('targetYear', 'Target Year', { type: 'number', step: '1', required: true })}
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Glide Path</label>
+              <select
+                className={inputClassName}
+                value={form.glidePathId}
+                onChange={(e) => update('glidePathId', e.target.value)}
+                required
+              >
+                <option value="">Select Glide Path</option>
+                {glidePaths.map(path => (
+                  <option key={path.id} value={path.id}>{path.name || path.id}</option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+        {textField('category', 'Category')}
+        {textField('benchmark', 'Benchmark')}
+        {textField('redemptionFeePercent', 'Redemption Fee (%)', { type: 'number', min: '0', step: '0.01', placeholder: 'None' })}
+        {textField('redemptionFeeDays', 'Fee Holding Period (days)', {
+          type: 'number',
+          min: '1',
+          step: '1',
+          disabled: form.redemptionFeePercent === ''
+        })}
+        {!fund && textField('navDate', 'First NAV Date', { type: 'date', required: true })}
+        {!fund && textField('nav', 'First NAV', { type: 'number', min: '0.01', step: '0.01', required: true })}
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Description</label>
+        <textarea
+          className={inputClassName}
+          rows={2}
+          value={form.description}
+          onChange={(e) => update('description', e.target.value)}
+        />
+      </div>
+      <div className="flex justify-end space-x-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+        >
+          {fund ? 'Save Fund' : 'Add Fund'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * The plan's fund lineup: add funds, edit their details, and close or reopen them to new money
+ */
+const AdminFundLineup = () => {
+  const { plan, participants, addFund, updateFund, setFundClosed } = useAdmin();
+
+  // 'new', a fund ID being edited, or null
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const editingFund = plan.funds.find(fund => fund.id === editing);
+
+  const handleSubmit = (form) => {
+    setMessage(null);
+    const saved = editingFund ? updateFund(editingFund.id, form) : addFund(form);
+    if (saved) {
+      setMessage(editingFund ? `${form.name.trim()} updated` : `${form.name.trim()} added to the lineup`);
+      setEditing(null);
+    }
+  };
+
+  const handleToggleClosed = (fund) => {
+    setMessage(null);
+    if (setFundClosed(fund.id, !fund.closed)) {
+      setMessage(fund.closed ? `${fund.name} reopened to new money` : `${fund.name} closed to new money`);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-medium text-gray-900">Fund Lineup</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Funds offered to participants. A closed fund keeps its holdings but takes no new money.
+          </p>
+        </div>
+        <button
+          onClick={() => { setMessage(null); setEditing('new'); }}
+          className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+        >
+          Add Fund
+        </button>
+      </div>
+
+      {message && (
+        <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-md text-sm">
+          {message}
+        </div>
+      )}
+
+      {editing !== null && (
+        <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+          <CardHeader className="px-6">
+            <CardTitle className="text-xl font-medium text-gray-900">
+              {editingFund ? `Edit ${editingFund.name}` : 'Add Fund'}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="px-6">
+            <FundForm
+              key={editing}
+              fund={editingFund}
+              glidePaths={plan.settings.glidePaths || []}
+              onSubmit={handleSubmit}
+              onCancel={() => setEditing(null)}
+            />
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardContent className="px-6 pt-6">
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Fund</th>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Type</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Expense Ratio</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Directed By</th>
+                <th className="py-4 px-4 border-b" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {plan.funds.map(fund => (
+                <tr key={fund.id}>
+                  <td className="py-4 px-4 text-sm">
+                    <span className="font-medium text-gray-900">{fund.name}</span>
+                    <span className="ml-2 text-gray-500">{fund.ticker}</span>
+                    {fund.closed && <span className="ml-2 text-xs text-gray-500">(closed)</span>}
+                  </td>
+                  <td className="py-4 px-4 text-sm text-gray-600">
+                    {fund.type}{fund.targetYear ? ` ${fund.targetYear}` : ''}
+                  </td>
+                  <td className="py-4 px-4 text-right text-sm text-gray-600">{(fund.expenseRatio || 0).toFixed(2)}%</td>
+                  <td
+                    className="py-4 px-4 text-right text-sm text-gray-600"
+                    title="Participants whose future contributions or rebalancing target use this fund"
+                  >
+                    {getFundCommitments(fund.id, participants).length}
+                  </td>
+                  <td className="py-4 px-4 text-right text-sm space-x-4 whitespace-nowrap">
+                    <button
+                      onClick={() => { setMessage(null); setEditing(fund.id); }}
+                      className="font-medium text-indigo-600 hover:text-indigo-700"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleToggleClosed(fund)}
+                      className={`font-medium ${fund.closed ? 'text-indigo-600 hover:text-indigo-700' : 'text-red-600 hover:text-red-700'}`}
+                    >
+                      {fund.closed ? 'Reopen' : 'Close'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AdminFundLineup;
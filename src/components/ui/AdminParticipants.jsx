@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Card, CardContent } from './card';
+import BalanceMatrix from './BalanceMatrix';
+import { useAdmin } from '../../contexts/AdminContext';
+import { InvestmentProvider } from '../../contexts/InvestmentContext';
+import { searchParticipants } from '../../utils/adminUtils';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { getLatestNavs } from '../../utils/priceUtils';
+import { sumMoney, unitsToAmount } from '../../utils/money';
+
+/**
+ * Participant lookup, with a read-only view of the selected participant's balances
+ */
+const AdminParticipants = () => {
+  const { plan, participants } = useAdmin();
+  const [query, setQuery] = useState('');
+  const [selectedUserId, setSelectedUserId] = useState(null);
+
+  const navs = getLatestNavs(plan.navHistory);
+  const getAccountBalance = (investments) => {
+    return sumMoney(investments.balances.map(holding => unitsToAmount(holding.units, navs[holding.fundId] || 0)));
+  };
+
+  const matches = searchParticipants(participants, query);
+  const selected = participants.find(participant => participant.userId === selectedUserId);
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-2xl font-medium text-gray-900">Participants</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Look up a participant by name, email or user ID to view their balances
+        </p>
+      </div>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardContent className="p-6 space-y-4">
+          <input
+            type="search"
+            aria-label="Search participants"
+            className="block w-full rounded-md border border-gray-300 p-2 text-sm"
+            placeholder="Search participants"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="py-2 px-4 text-left text-sm font-medium text-gray-500 border-b">Name</th>
+                <th className="py-2 px-4 text-left text-sm font-medium text-gray-500 border-b">Email</th>
+                <th className="py-2 px-4 text-right text-sm font-medium text-gray-500 border-b">Deferral</th>
+                <th className="py-2 px-4 text-right text-sm font-medium text-gray-500 border-b">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {matches.map(participant => (
+                <tr
+                  key={participant.userId}
+                  onClick={() => setSelectedUserId(participant.userId)}
+                  className={`cursor-pointer ${
+                    participant.userId === selectedUserId ? 'bg-indigo-50' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <td className="py-2 px-4 text-sm font-medium text-gray-900">{participant.name}</td>
+                  <td className="py-2 px-4 text-sm text-gray-600">{participant.email}</td>
+                  <td className="py-2 px-4 text-right text-sm text-gray-600">
+                    {participant.investments.elections.deferralRate}%
+                  </td>
+                  <td className="py-2 px-4 text-right text-sm text-gray-900">
+                    {formatCurrency(getAccountBalance(participant.investments))}
+                  </td>
+                </tr>
+              ))}
+              {matches.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="py-4 px-4 text-sm text-gray-500 text-center">
+                    No participants match "{query}"
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      {selected && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-500">
+            Viewing {selected.name}'s account. Nothing here can be changed from the admin console.
+          </p>
+          <InvestmentProvider key={selected.userId} userId={selected.userId} readOnly>
+            <BalanceMatrix />
+          </InvestmentProvider>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminParticipants;
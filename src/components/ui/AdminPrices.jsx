@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import PriceUpdates from './PriceUpdates';
+import { useAdmin } from '../../contexts/AdminContext';
+import { getTradeDate } from '../../utils/marketCalendar';
+import { getLatestNav, getNavOnDate } from '../../utils/priceUtils';
+
+/**
+ * Posting closing NAVs for the plan's funds, by hand or from a price file
+ */
+const AdminPrices = () => {
+  const { plan, awaitingTradeDates, postNavs, importPrices } = useAdmin();
+  const [date, setDate] = useState(() => awaitingTradeDates[0] || getTradeDate());
+  const [navInputs, setNavInputs] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const getNavInput = (fundId) => navInputs[fundId] ?? getNavOnDate(plan.navHistory, fundId, date) ?? '';
+
+  const handleDateChange = (value) => {
+    setDate(value);
+    setNavInputs({});
+    setMessage(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setMessage(null);
+    const navs = plan.funds.reduce((acc, fund) => ({ ...acc, [fund.id]: getNavInput(fund.id) }), {});
+    if (postNavs(date, navs)) {
+      setNavInputs({});
+      setMessage(`NAVs posted for ${date}`);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <PriceUpdates funds={plan.funds} navHistory={plan.navHistory} onImport={importPrices} />
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">Post Closing NAVs</CardTitle>
+        </CardHeader>
+        <CardContent className="px-6">
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {message && (
+              <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-md text-sm">
+                {message}
+              </div>
+            )}
+            <p className="text-sm text-gray-500">
+              {awaitingTradeDates.length > 0
+                ? `Participants' pending orders are waiting on NAVs for ${awaitingTradeDates.join(', ')}.`
+                : 'No pending orders are waiting on NAVs.'}
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Trade Date</label>
+              <input
+                type="date"
+                className="mt-1 block w-48 rounded-md border border-gray-300 p-2 text-sm"
+                value={date}
+                onChange={(e) => handleDateChange(e.target.value)}
+                required
+              />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {plan.funds.map(fund => (
+                <div key={fund.id}>
+                  <label className="block text-xs font-medium text-gray-500">{fund.name}</label>
+                  <input
+                    type="number"
+                    className="mt-1 block w-full rounded-md border border-gray-300 p-2 text-sm"
+                    value={getNavInput(fund.id)}
+                    onChange={(e) => setNavInputs(prev => ({ ...prev, [fund.id]: e.target.value }))}
+                    placeholder={getLatestNav(plan.navHistory, fund.id)?.nav.toFixed(2) || ''}
+                    min="0.01"
+                    step="0.01"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+              >
+                Post NAVs
+              </button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AdminPrices;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useAdmin } from '../../contexts/AdminContext';
+import { formatCurrency } from '../../utils/investmentUtils';
+
+/**
+ * Plan-wide totals: assets in each fund and participant counts
+ */
+const AdminReports = () => {
+  const { report } = useAdmin();
+
+  const summary = [
+    { label: 'Total Assets', value: formatCurrency(report.totalAssets) },
+    { label: 'Loans Outstanding', value: formatCurrency(report.loansOutstanding) },
+    { label: 'Participants', value: report.participants.enrolled },
+    { label: 'With a Balance', value: report.participants.withBalance },
+    { label: 'Contributing', value: report.participants.contributing }
+  ];
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-2xl font-medium text-gray-900">Plan Reports</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Assets valued at the latest NAVs, including orders those NAVs settle
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {summary.map(item => (
+          <Card key={item.label} className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+            <CardContent className="p-4">
+              <div className="space-y-1">
+                <p className="text-sm font-medium text-gray-500">{item.label}</p>
+                <p className="text-2xl font-medium text-gray-900">{item.value}</p>
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">Assets by Fund</CardTitle>
+        </CardHeader>
+        <CardContent className="px-6">
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Fund</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Units</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Assets</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Share</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Participants</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.funds.map(fund => (
+                <tr key={fund.fundId}>
+                  <td className="py-4 px-4 text-sm font-medium text-gray-900">
+                    {fund.name}
+                    {fund.closed && <span className="ml-2 text-xs font-normal text-gray-500">(closed)</span>}
+                  </td>
+                  <td className="py-4 px-4 text-right text-sm text-gray-600">{fund.units.toFixed(3)}</td>
+                  <td className="py-4 px-4 text-right text-sm text-gray-900">
+                    {formatCurrency(fund.balance, { cents: true })}
+                  </td>
+                  <td className="py-4 px-4 text-right text-sm text-gray-600">{fund.percent.toFixed(1)}%</td>
+                  <td className="py-4 px-4 text-right text-sm text-gray-600">{fund.holders}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AdminReports;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { ASSET_CLASSES, isTargetDateFund } from '../../utils/portfolioUtils';
+
+const ASSET_CLASS_COLORS = {
+  [ASSET_CLASSES.STOCK]: 'bg-indigo-500',
+  [ASSET_CLASSES.BOND]: 'bg-emerald-500'
+};
+
+/**
+ * Stock and bond exposure, looking through target-date funds to their glide paths,
+ * alongside holdings by fund type
+ */
+const AssetAllocation = () => {
+  const { investments, assetExposure, riskAssessment, describeFund } = useInvestments();
+
+  const exposure = assetExposure.filter(row => row.balance > 0);
+  if (exposure.length === 0) return null;
+
+  const heldTargetDateFunds = investments.funds.filter(fund =>
+    isTargetDateFund(fund) && investments.balances.some(b => b.fundId === fund.id && b.balance > 0)
+  );
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">Asset Allocation</CardTitle>
+      </CardHeader>
+      <CardContent className="px-6 space-y-4">
+        <div className="flex h-3 rounded-full overflow-hidden bg-gray-100">
+          {exposure.map(row => (
+            <div
+              key={row.assetClass}
+              className={ASSET_CLASS_COLORS[row.assetClass] || 'bg-gray-400'}
+              style={{ width: `${row.percent}%` }}
+            />
+          ))}
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+          {exposure.map(row => (
+            <div key={row.assetClass}>
+              <p className="text-sm text-gray-500">{row.assetClass}</p>
+              <p className="text-lg font-medium text-gray-900">{row.percent.toFixed(1)}%</p>
+              <p className="text-xs text-gray-500">{formatCurrency(row.balance)}</p>
+            </div>
+          ))}
+        </div>
+        {heldTargetDateFunds.length > 0 && (
+          <p className="text-xs text-gray-500">
+            Target-date funds are counted by their current mix:{' '}
+            {heldTargetDateFunds.map(fund => `${fund.name} (${describeFund(fund)})`).join('; ')}.
+          </p>
+        )}
+        <div>
+          <h3 className="text-sm font-medium text-gray-700">By Fund Type</h3>
+          <table className="mt-2 w-full">
+            <tbody className="divide-y divide-gray-100">
+              {riskAssessment.fundTypeExposure.filter(row => row.balance > 0).map(row => (
+                <tr key={row.fundType}>
+                  <td className="py-2 text-sm text-gray-900">{row.fundType}</td>
+                  <td className="py-2 text-right text-sm text-gray-600">{row.percent.toFixed(1)}%</td>
+                  <td className="py-2 text-right text-sm text-gray-600">{formatCurrency(row.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AssetAllocation;
@@ -1,9 +1,15 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './card';
 import { useInvestments } from '../../contexts/InvestmentContext';
+import { getPendingLegs } from '../../utils/orderUtils';
+import { toLocalDate } from '../../utils/ledgerUtils';
+import { getNextVestingEvent, getVestedBalance } from '../../utils/vestingUtils';
+import { getOutstandingBalance } from '../../utils/loanUtils';
+import FundDetailModal from './FundDetailModal';
 
 const BalanceMatrix = () => {
-  const { investments } = useInvestments();
+  const { investments, vestedPercentages, vestedBalances, describeFund } = useInvestments();
+  const [selectedFundId, setSelectedFundId] = useState(null);
 
   if (!investments) {
     return <div>Loading...</div>;
@@ -28,12 +34,18 @@ const BalanceMatrix = () => {
     });
   };
 
+  // Outstanding loans are part of the account, owed back to the buckets they came from
+  const getLoanBalance = (typeId) => {
+    return getOutstandingBalance(investments.loans, { contributionTypeId: typeId });
+  };
+  const loanTotal = getLoanBalance();
+
   const calculateTotalsByType = () => {
     return investments.contributionTypes.map(type => {
       const typeBalances = investments.balances.filter(b => b.contributionTypeId === type.id);
       return {
         ...type,
-        total: typeBalances.reduce((sum, b) => sum + b.balance, 0)
+        total: typeBalances.reduce((sum, b) => sum + b.balance, 0) + getLoanBalance(type.id)
       };
     });
   };
@@ -45,6 +57,50 @@ const BalanceMatrix = () => {
     return balance ? balance.balance : 0;
   };
 
+  // Estimated effect of orders that have not settled yet
+  const pendingLegs = getPendingLegs(
+    investments.balances,
+    investments.orders,
+    investments.funds,
+    investments.navHistory
+  );
+
+  const getPendingAmount = (fundId, typeId) => {
+    return pendingLegs
+      .filter(leg => leg.fundId === fundId && (typeId === undefined || leg.contributionTypeId === typeId))
+      .reduce((sum, leg) => sum + leg.amount, 0);
+  };
+
+  const renderPending = (amount) => {
+    if (Math.abs(amount) < 0.005) return null;
+    return (
+      <div className="text-xs italic text-amber-600">
+        pending {amount > 0 ? '+' : ''}{formatCurrency(amount)}
+      </div>
+    );
+  };
+
+  // Contribution types that are not fully vested get a vested line under each amount
+  const partiallyVestedTypes = investments.contributionTypes.filter(type => vestedPercentages[type.id] < 100);
+  const isPartiallyVested = (typeId) => typeId === undefined
+    ? partiallyVestedTypes.length > 0
+    : vestedPercentages[typeId] < 100;
+
+  const renderVested = (typeId, filters) => {
+    if (!isPartiallyVested(typeId)) return null;
+    return (
+      <div className="text-xs text-gray-500">
+        {formatCurrency(getVestedBalance(vestedBalances, filters))} vested
+      </div>
+    );
+  };
+
+  const describeVesting = (type) => {
+    const next = getNextVestingEvent(investments, type.id, toLocalDate(Date.now()));
+    return `${type.name} is ${vestedPercentages[type.id]}% vested` +
+      (next ? `, ${next.percent}% on ${next.date}` : '');
+  };
+
   const totalsByFund = calculateTotalsByFund();
   const totalsByType = calculateTotalsByType();
   const grandTotal = totalsByType.reduce((sum, type) => sum + type.total, 0);
@@ -53,6 +109,16 @@ const BalanceMatrix = () => {
     <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
       <CardHeader className="px-6">
         <CardTitle className="text-xl font-medium text-gray-900">Current Balance</CardTitle>
+        {pendingLegs.length > 0 && (
+          <p className="text-sm text-gray-500">
+            Settled balances shown; pending orders are estimated at the latest NAV.
+          </p>
+        )}
+        {partiallyVestedTypes.length > 0 && (
+          <p className="text-sm text-gray-500">
+            {partiallyVestedTypes.map(describeVesting).join(' · ')}
+          </p>
+        )}
       </CardHeader>
       <CardContent className="px-6">
         <div className="overflow-x-auto">
@@ -77,20 +143,52 @@ const BalanceMatrix = () => {
                 <tr key={fund.id} className="group">
                   <td className="py-4 px-4">
                     <div className="flex flex-col">
-                      <span className="text-sm font-medium text-gray-900">{fund.name}</span>
-                      <span className="text-xs text-gray-500">{fund.type}</span>
+                      <button
+                        type="button"
+                        onClick={() => setSelectedFundId(fund.id)}
+                        className="text-left text-sm font-medium text-gray-900 hover:text-indigo-600"
+                      >
+                        {fund.name}
+                      </button>
+                      <span className="text-xs text-gray-500">
+                        {fund.ticker ? `${fund.ticker} · ` : ''}{describeFund(fund)}
+                      </span>
                     </div>
                   </td>
                   {investments.contributionTypes.map(type => (
                     <td key={type.id} className="py-4 px-4 text-right text-sm text-gray-600">
                       {formatCurrency(getBalance(fund.id, type.id))}
+                      {getBalance(fund.id, type.id) > 0 &&
+                        renderVested(type.id, { fundId: fund.id, contributionTypeId: type.id })}
+                      {renderPending(getPendingAmount(fund.id, type.id))}
                     </td>
                   ))}
                   <td className="py-4 px-4 text-right text-sm font-medium text-gray-900">
                     {formatCurrency(fund.total)}
+                    {getVestedBalance(vestedBalances, { fundId: fund.id }) < fund.total - 0.005 &&
+                      renderVested(undefined, { fundId: fund.id })}
+                    {renderPending(getPendingAmount(fund.id))}
                   </td>
                 </tr>
               ))}
+              {loanTotal > 0 && (
+                <tr>
+                  <td className="py-4 px-4">
+                    <div className="flex flex-col">
+                      <span className="text-sm font-medium text-gray-900">Loan</span>
+                      <span className="text-xs text-gray-500">Outstanding balance</span>
+                    </div>
+                  </td>
+                  {investments.contributionTypes.map(type => (
+                    <td key={type.id} className="py-4 px-4 text-right text-sm text-gray-600">
+                      {formatCurrency(getLoanBalance(type.id))}
+                    </td>
+                  ))}
+                  <td className="py-4 px-4 text-right text-sm font-medium text-gray-900">
+                    {formatCurrency(loanTotal)}
+                  </td>
+                </tr>
+              )}
               <tr className="bg-gray-50/50">
                 <td className="py-4 px-4 font-medium text-sm text-gray-900">Total</td>
                 {totalsByType.map(type => (
@@ -102,9 +200,28 @@ const BalanceMatrix = () => {
                   {formatCurrency(grandTotal)}
                 </td>
               </tr>
+              {partiallyVestedTypes.length > 0 && (
+                <tr className="bg-gray-50/50">
+                  <td className="py-4 px-4 text-sm text-gray-600">Vested</td>
+                  {totalsByType.map(type => (
+                    <td key={type.id} className="py-4 px-4 text-right text-sm text-gray-600">
+                      {formatCurrency(
+                        getVestedBalance(vestedBalances, { contributionTypeId: type.id }) + getLoanBalance(type.id)
+                      )}
+                    </td>
+                  ))}
+                  <td className="py-4 px-4 text-right text-sm text-gray-600">
+                    {formatCurrency(getVestedBalance(vestedBalances) + loanTotal)}
+                  </td>
+                </tr>
+              )}
             </tbody>
           </table>
         </div>
+        <FundDetailModal
+          fund={investments.funds.find(fund => fund.id === selectedFundId)}
+          onClose={() => setSelectedFundId(null)}
+        />
       </CardContent>
     </Card>
   );
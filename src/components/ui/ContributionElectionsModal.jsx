@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import {
+  getEmployeeContributionTypes,
+  toNumericPercentages,
+  validateElections
+} from '../../utils/electionUtils';
+import { getElectionLimitWarnings } from '../../utils/payrollUtils';
+
+/**
+ * Convert stored percentages to form input values
+ * @param {Object} percentages - Percentages keyed by ID
+ * @param {Array} items - Items with an id that should each have an input
+ * @returns {Object} Input values keyed by ID
+ */
+const toInputValues = (percentages, items) => {
+  return items.reduce((acc, item) => ({
+    ...acc,
+    [item.id]: percentages[item.id] ? String(percentages[item.id]) : ''
+  }), {});
+};
+
+/**
+ * Modal for editing the deferral rate, Roth/pre-tax split and future investment directions
+ */
+const ContributionElectionsModal = ({ isOpen, onClose }) => {
+  const {
+    investments,
+    maxDeferralRate,
+    updateElections,
+    error: contextError
+  } = useInvestments();
+
+  const employeeTypes = getEmployeeContributionTypes(investments.contributionTypes);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Load the current election each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setForm({
+        deferralRate: String(investments.elections.deferralRate),
+        typeSplit: toInputValues(investments.elections.typeSplit, employeeTypes),
+        futureAllocations: toInputValues(investments.elections.futureAllocations, investments.funds)
+      });
+      setError(null);
+    }
+  }, [isOpen]);
+
+  // Update error state from context
+  useEffect(() => {
+    if (contextError) {
+      setError(contextError);
+    }
+  }, [contextError]);
+
+  if (!isOpen || !form) return null;
+
+  const sumOf = (values) => Object.values(values).reduce(
+    (sum, val) => sum + (val === '' ? 0 : Number(val)), 0
+  );
+
+  // Projected IRS limit warnings for the rate being entered; these do not block saving
+  const limitWarnings = form.deferralRate === '' ? [] : getElectionLimitWarnings(investments, {
+    deferralRate: Number(form.deferralRate),
+    typeSplit: toNumericPercentages(form.typeSplit)
+  });
+
+  const updateGroup = (group, id, value) => {
+    setForm(prev => ({ ...prev, [group]: { ...prev[group], [id]: value } }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const validation = validateElections(
+      {
+        deferralRate: form.deferralRate === '' ? '' : Number(form.deferralRate),
+        typeSplit: toNumericPercentages(form.typeSplit),
+        futureAllocations: toNumericPercentages(form.futureAllocations)
+      },
+      investments.contributionTypes,
+      maxDeferralRate
+    );
+    if (!validation.valid) {
+      setError(validation.error);
+      return;
+    }
+
+    if (updateElections(form)) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-md p-6 relative max-h-[90vh] overflow-y-auto">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+          aria-label="Close modal"
+        >
+          <svg
+            className="w-6 h-6"
+            fill="none"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path d="M6 18L18 6M6 6l12 12"></path>
+          </svg>
+        </button>
+
+        <h2 className="text-xl font-medium text-gray-900 mb-4">Contribution Elections</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Deferral Rate</label>
+            <div className="mt-1 flex items-center">
+              <input
+                type="number"
+                className="block w-full rounded-md border border-gray-300 p-2"
+                value={form.deferralRate}
+                onChange={(e) => setForm(prev => ({ ...prev, deferralRate: e.target.value }))}
+                min="0"
+                max={maxDeferralRate}
+                step="0.5"
+                required
+              />
+              <span className="ml-2">%</span>
+            </div>
+            <p className="mt-1 text-sm text-gray-500">Percentage of each paycheck, up to {maxDeferralRate}%</p>
+            {limitWarnings.length > 0 && (
+              <div className="mt-2 p-3 bg-amber-50 border border-amber-200 text-amber-700 rounded-md text-sm space-y-1">
+                {limitWarnings.map(warning => (
+                  <p key={warning}>{warning}</p>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <h3 className="text-sm font-medium text-gray-700">Contribution Type Split</h3>
+            {employeeTypes.map(type => (
+              <div key={type.id} className="flex items-center justify-between">
+                <span className="text-sm text-gray-600">{type.name}</span>
+                <div className="flex items-center w-32">
+                  <input
+                    type="number"
+                    className="block w-full rounded-md border border-gray-300 p-2"
+                    value={form.typeSplit[type.id]}
+                    onChange={(e) => updateGroup('typeSplit', type.id, e.target.value)}
+                    min="0"
+                    max="100"
+                    step="1"
+                    placeholder="0"
+                  />
+                  <span className="ml-2">%</span>
+                </div>
+              </div>
+            ))}
+            <p className="text-sm text-gray-500">Total: {sumOf(form.typeSplit).toFixed(0)}%</p>
+          </div>
+
+          <div className="space-y-2">
+            <h3 className="text-sm font-medium text-gray-700">Future Contributions</h3>
+            <p className="text-sm text-gray-500">
+              How new contributions are invested. Existing balances are not moved.
+            </p>
+            {investments.funds.map(fund => (
+              <div key={fund.id} className="flex items-center justify-between">
+                <span className="text-sm text-gray-600">
+                  {fund.name}{fund.closed ? ' (closed)' : ''}
+                </span>
+                <div className="flex items-center w-32">
+                  <input
+                    type="number"
+                    className="block w-full rounded-md border border-gray-300 p-2 disabled:bg-gray-50"
+                    value={form.futureAllocations[fund.id]}
+                    onChange={(e) => updateGroup('futureAllocations', fund.id, e.target.value)}
+                    disabled={fund.closed}
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    placeholder="0"
+                  />
+                  <span className="ml-2">%</span>
+                </div>
+              </div>
+            ))}
+            <p className="text-sm text-gray-500">Total: {sumOf(form.futureAllocations).toFixed(1)}%</p>
+          </div>
+
+          <div className="flex justify-end space-x-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+            >
+              Save Elections
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ContributionElectionsModal;
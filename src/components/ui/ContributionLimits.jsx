@@ -0,0 +1,72 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { getCatchUpLimit, getLimitStatus } from '../../utils/limitUtils';
+import { getLimitContext } from '../../utils/payrollUtils';
+
+/**
+ * Progress bar for a contribution limit
+ */
+const LimitBar = ({ label, used, limit, note }) => {
+  const percentage = limit > 0 ? Math.min(used / limit * 100, 100) : 0;
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-sm">
+        <span className="text-gray-600">{label}</span>
+        <span className="text-gray-900">
+          {formatCurrency(used)} <span className="text-gray-500">of {formatCurrency(limit)}</span>
+        </span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full ${percentage >= 100 ? 'bg-amber-500' : 'bg-indigo-600'}`}
+          style={{ width: `${percentage}%` }}
+        />
+      </div>
+      {note && <p className="text-xs text-gray-500">{note}</p>}
+    </div>
+  );
+};
+
+/**
+ * Year-to-date contributions against the 402(g), catch-up and 415(c) limits
+ * for the plan year of a pay date
+ */
+const ContributionLimits = ({ payDate }) => {
+  const { investments } = useInvestments();
+  const { yearToDate, limits, age } = getLimitContext(investments, payDate);
+  const status = getLimitStatus(yearToDate, limits, age);
+  const catchUpLimit = getCatchUpLimit(limits, age);
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">{limits.year} Contribution Limits</CardTitle>
+      </CardHeader>
+      <CardContent className="px-6 space-y-4">
+        <LimitBar
+          label="Employee deferrals (402(g))"
+          used={yearToDate.deferrals}
+          limit={status.deferralLimit}
+          note={catchUpLimit > 0
+            ? `Includes ${formatCurrency(catchUpLimit)} age ${age} catch-up; ${formatCurrency(status.catchUp)} used`
+            : `Catch-up contributions begin the year you turn 50`}
+        />
+        <LimitBar
+          label="Annual additions (415(c))"
+          used={status.annualAdditions}
+          limit={status.annualAdditionsLimit}
+          note="Deferrals plus employer match, excluding catch-up"
+        />
+        {limits.provisional && (
+          <p className="text-xs text-amber-700">
+            {limits.year} limits have not been published yet; {limits.sourceYear} limits apply until they are.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ContributionLimits;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { FEE_PROJECTION_RETURN, projectFeeCost } from '../../utils/feeUtils';
+import { sumMoney } from '../../utils/money';
+
+/**
+ * Annual expense ratio fees on current holdings and what they cost over time
+ */
+const FeeAnalyzer = () => {
+  const { investments, annualFees } = useInvestments();
+
+  if (annualFees.byFund.length === 0) return null;
+
+  const totalBalance = sumMoney(annualFees.byFund.map(row => row.balance));
+  const feeCost = projectFeeCost(totalBalance, annualFees.weightedExpenseRatio);
+  const getFund = (fundId) => investments.funds.find(fund => fund.id === fundId);
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">Fees</CardTitle>
+        <p className="text-sm text-gray-500">
+          {formatCurrency(annualFees.totalFee, { cents: true })} a year, a weighted expense ratio of{' '}
+          {annualFees.weightedExpenseRatio.toFixed(2)}%
+        </p>
+      </CardHeader>
+      <CardContent className="px-6 space-y-4">
+        <table className="w-full">
+          <thead>
+            <tr>
+              <th className="py-2 text-left text-sm font-medium text-gray-500 border-b">Fund</th>
+              <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Balance</th>
+              <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Expense Ratio</th>
+              <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Annual Fee</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {annualFees.byFund.map(row => (
+              <tr key={row.fundId}>
+                <td className="py-2 text-sm text-gray-900">{getFund(row.fundId)?.name}</td>
+                <td className="py-2 text-right text-sm text-gray-600">{formatCurrency(row.balance)}</td>
+                <td className="py-2 text-right text-sm text-gray-600">{row.expenseRatio.toFixed(2)}%</td>
+                <td className="py-2 text-right text-sm text-gray-900">{formatCurrency(row.annualFee, { cents: true })}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500">
+          Left as they are, today's holdings would lose{' '}
+          {feeCost.map(row => `${formatCurrency(row.cost)} over ${row.years} years`).join(', ')} to fees,
+          assuming {FEE_PROJECTION_RETURN}% a year before fees. Moving money to a cheaper fund shows the
+          difference in the transfer preview.
+        </p>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FeeAnalyzer;
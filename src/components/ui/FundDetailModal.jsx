@@ -0,0 +1,121 @@
+import React, { useEffect, useRef } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { formatCurrency, formatPercent } from '../../utils/investmentUtils';
+import { addDays } from '../../utils/marketCalendar';
+import { percentOfMoney, sumMoney } from '../../utils/money';
+import { getLatestNav } from '../../utils/priceUtils';
+import { FEE_PROJECTION_RETURN, getExpenseRatio, projectFeeCost } from '../../utils/feeUtils';
+
+/**
+ * Fact sheet for a fund in the catalog, with the participant's holdings and what its fees cost them
+ */
+const FundDetailModal = ({ fund, onClose }) => {
+  const { investments, describeFund } = useInvestments();
+  const modalRef = useRef(null);
+
+  // Close when clicking outside the modal
+  useEffect(() => {
+    if (!fund) return undefined;
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [fund, onClose]);
+
+  if (!fund) return null;
+
+  const latest = getLatestNav(investments.navHistory, fund.id);
+  const yearAgo = latest && getLatestNav(investments.navHistory, fund.id, addDays(latest.date, -365));
+  const oneYearChange = latest && yearAgo && yearAgo.date < latest.date ? latest.nav / yearAgo.nav - 1 : null;
+
+  const holdings = investments.balances.filter(b => b.fundId === fund.id && b.balance > 0);
+  const balance = sumMoney(holdings.map(b => b.balance));
+  const expenseRatio = getExpenseRatio(fund);
+  const feeCost = projectFeeCost(balance, expenseRatio);
+  const getTypeName = (typeId) => investments.contributionTypes.find(type => type.id === typeId)?.name;
+
+  const facts = [
+    { label: 'Type', value: describeFund(fund) },
+    { label: 'Category', value: fund.category || '—' },
+    { label: 'Benchmark', value: fund.benchmark || '—' },
+    { label: 'Inception', value: fund.inceptionDate || '—' },
+    { label: 'Expense Ratio', value: `${expenseRatio.toFixed(2)}% (${formatCurrency(expenseRatio * 100)} a year per $10,000)` },
+    {
+      label: 'Redemption Fee',
+      value: fund.redemptionFee
+        ? `${fund.redemptionFee.percent}% on units sold within ${fund.redemptionFee.holdingDays} days of purchase`
+        : 'None'
+    },
+    { label: 'Latest NAV', value: latest ? `${formatCurrency(latest.nav, { cents: true })} on ${latest.date}` : '—' },
+    { label: 'NAV Change, 1 Year', value: formatPercent(oneYearChange) }
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div ref={modalRef} className="bg-white rounded-xl shadow-xl w-full max-w-lg p-6 relative max-h-[90vh] overflow-y-auto">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+          aria-label="Close fund details"
+        >
+          <svg
+            className="w-6 h-6"
+            fill="none"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path d="M6 18L18 6M6 6l12 12"></path>
+          </svg>
+        </button>
+
+        <h2 className="text-xl font-medium text-gray-900 pr-8">{fund.name}</h2>
+        {fund.ticker && <p className="text-sm text-gray-500">{fund.ticker}</p>}
+        {fund.description && <p className="mt-3 text-sm text-gray-600">{fund.description}</p>}
+
+        <dl className="mt-4 divide-y divide-gray-100">
+          {facts.map(fact => (
+            <div key={fact.label} className="py-2 flex justify-between gap-4">
+              <dt className="text-sm text-gray-500">{fact.label}</dt>
+              <dd className="text-sm text-gray-900 text-right">{fact.value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <h3 className="mt-6 text-sm font-medium text-gray-700">Your Holdings</h3>
+        {holdings.length === 0 ? (
+          <p className="mt-1 text-sm text-gray-500">You do not hold this fund.</p>
+        ) : (
+          <div className="mt-1 space-y-2">
+            <table className="w-full">
+              <tbody className="divide-y divide-gray-100">
+                {holdings.map(b => (
+                  <tr key={b.contributionTypeId}>
+                    <td className="py-1 text-sm text-gray-600">{getTypeName(b.contributionTypeId)}</td>
+                    <td className="py-1 text-right text-sm text-gray-600">{b.units.toFixed(3)} units</td>
+                    <td className="py-1 text-right text-sm text-gray-900">{formatCurrency(b.balance, { cents: true })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-sm text-gray-600">
+              Fees on {formatCurrency(balance, { cents: true })}: about{' '}
+              {formatCurrency(percentOfMoney(balance, expenseRatio), { cents: true })} a year, or{' '}
+              {feeCost.map(row => `${formatCurrency(row.cost)} over ${row.years} years`).join(', ')} in
+              lost growth at {FEE_PROJECTION_RETURN}% a year.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FundDetailModal;
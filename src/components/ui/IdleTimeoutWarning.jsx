@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth, IDLE_TIMEOUT_ERROR } from '../../contexts/AuthContext';
+import {
+  ACTIVITY_EVENTS,
+  ACTIVITY_THROTTLE_SECONDS,
+  formatCountdown,
+  getIdleStatus
+} from '../../utils/idleUtils';
+
+/**
+ * Tracks activity while signed in, counts down before an inactivity sign-out
+ * and signs out through onTimeout when time runs out
+ */
+const IdleTimeoutWarning = ({ onTimeout }) => {
+  const { recordActivity, getLastActivity } = useAuth();
+
+  // Seconds left while the warning is showing, otherwise null
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  // Once the warning shows, only "Stay Signed In" counts as activity
+  const isWarningRef = useRef(false);
+  const lastRecordedRef = useRef(0);
+
+  // Record activity in this tab, at most every few seconds
+  useEffect(() => {
+    const handleActivity = () => {
+      const now = Date.now();
+      if (isWarningRef.current || now - lastRecordedRef.current < ACTIVITY_THROTTLE_SECONDS * 1000) return;
+      lastRecordedRef.current = now;
+      recordActivity();
+    };
+
+    handleActivity();
+    ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, handleActivity, { passive: true }));
+    return () => {
+      ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, handleActivity));
+    };
+  }, []);
+
+  // Check the shared deadline every second, so activity in any tab keeps every tab signed in
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const lastActivity = getLastActivity();
+      if (lastActivity === null) return;
+
+      const status = getIdleStatus(lastActivity, Date.now());
+      isWarningRef.current = status.isWarning;
+      setSecondsLeft(status.isWarning ? status.secondsLeft : null);
+      if (status.isExpired) {
+        clearInterval(timer);
+        onTimeout(IDLE_TIMEOUT_ERROR);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [onTimeout, getLastActivity]);
+
+  const handleStaySignedIn = () => {
+    isWarningRef.current = false;
+    lastRecordedRef.current = Date.now();
+    recordActivity();
+    setSecondsLeft(null);
+  };
+
+  if (secondsLeft === null) return null;
+
+  // Stop the click reaching other dialogs' click-outside handlers, which would close them
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-[60]"
+      onMouseDown={(e) => e.stopPropagation()}
+    >
+      <div role="alertdialog" aria-labelledby="idle-timeout-title" className="bg-white rounded-xl shadow-xl w-full max-w-sm p-6 space-y-4">
+        <h2 id="idle-timeout-title" className="text-xl font-medium text-gray-900">Are you still there?</h2>
+        <p className="text-sm text-gray-600">
+          For your security, you will be signed out in{' '}
+          <span className="font-medium text-gray-900">{formatCountdown(secondsLeft)}</span>. Anything you
+          haven't confirmed will be lost.
+        </p>
+        <div className="flex justify-end space-x-4">
+          <button
+            onClick={() => onTimeout()}
+            className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+          >
+            Sign Out
+          </button>
+          <button
+            onClick={handleStaySignedIn}
+            className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+            autoFocus
+          >
+            Stay Signed In
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IdleTimeoutWarning;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { ConfirmActions, FormActions, PreviewMatrix, TradeDateNotice } from './MoveMoneySteps';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { sumMoney } from '../../utils/money';
+
+/**
+ * Component to display a loan's repayment terms and the start of its schedule
+ */
+const LoanTermsPreview = ({ loan, schedule }) => {
+  const totalInterest = sumMoney(schedule.map(row => row.interest));
+  return (
+    <div className="mt-4 space-y-2">
+      <h3 className="text-lg font-medium text-gray-900">Repayment</h3>
+      <p className="text-sm text-gray-600">
+        {formatCurrency(loan.payment, { cents: true })} per paycheck for {schedule.length} paychecks at {loan.interestRate}% interest,
+        starting {schedule[0]?.date}. Total interest {formatCurrency(totalInterest, { cents: true })}, paid back into your account.
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr>
+            <th className="text-left py-2">Date</th>
+            <th className="text-right py-2">Interest</th>
+            <th className="text-right py-2">Principal</th>
+            <th className="text-right py-2">Balance</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {schedule.slice(0, 3).map(row => (
+            <tr key={row.number}>
+              <td className="py-2">{row.date}</td>
+              <td className="text-right py-2">{formatCurrency(row.interest, { cents: true })}</td>
+              <td className="text-right py-2">{formatCurrency(row.principal, { cents: true })}</td>
+              <td className="text-right py-2">{formatCurrency(row.balance, { cents: true })}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * Borrow from the vested balance, repaid by payroll deduction
+ */
+const LoanFlow = ({ onCancel, onComplete, onError }) => {
+  const { investments, loanSettings, loanAvailability, previewLoan, requestLoan } = useInvestments();
+  const [loanData, setLoanData] = useState({ amount: '', termYears: String(loanSettings.maxTermYears) });
+  const [preview, setPreview] = useState(null);
+
+  // Preview loan liquidation and repayment
+  const handlePreview = (e) => {
+    e.preventDefault();
+    onError(null);
+
+    const result = previewLoan(loanData);
+    if (result.valid) {
+      setPreview(result);
+    } else {
+      onError(result.error);
+    }
+  };
+
+  // Handle loan confirmation
+  const handleSubmit = () => {
+    if (requestLoan(loanData)) {
+      onComplete();
+    }
+  };
+
+  if (preview) {
+    return (
+      <div className="space-y-4">
+        <PreviewMatrix
+          currentBalances={investments.balances}
+          projectedBalances={preview.projectedBalances}
+          contributionTypes={investments.contributionTypes}
+          funds={investments.funds}
+        />
+        <LoanTermsPreview loan={preview.loan} schedule={preview.schedule} />
+        <TradeDateNotice />
+        <ConfirmActions confirmLabel="Confirm Loan" onBack={() => setPreview(null)} onConfirm={handleSubmit} />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handlePreview} className="space-y-4">
+      <div className="p-3 bg-gray-50 rounded-md text-sm text-gray-600 space-y-1">
+        <p>
+          Maximum available: <span className="font-medium text-gray-900">{formatCurrency(loanAvailability.maxAmount, { cents: true })}</span>
+        </p>
+        <p className="text-xs text-gray-500">
+          The lesser of {loanSettings.maxPercentOfVested}% of your vested balance
+          ({formatCurrency(Math.max(loanAvailability.vestedLimit, 0), { cents: true })} after current loans) or
+          {' '}{formatCurrency(loanSettings.maxAmount, { cents: true })} less your highest loan balance in the last 12 months
+          ({formatCurrency(loanAvailability.highestOutstanding, { cents: true })}).
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Amount ($)</label>
+        <input
+          type="number"
+          className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+          value={loanData.amount}
+          onChange={(e) => setLoanData(prev => ({ ...prev, amount: e.target.value }))}
+          required
+          min={loanSettings.minAmount}
+          max={loanAvailability.maxAmount}
+          step="0.01"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Term</label>
+        <select
+          className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+          value={loanData.termYears}
+          onChange={(e) => setLoanData(prev => ({ ...prev, termYears: e.target.value }))}
+        >
+          {Array.from({ length: loanSettings.maxTermYears }, (_, i) => i + 1).map(years => (
+            <option key={years} value={years}>{years} year{years === 1 ? '' : 's'}</option>
+          ))}
+        </select>
+        <p className="mt-1 text-sm text-gray-500">
+          {loanSettings.interestRate}% interest, repaid by payroll deduction
+        </p>
+      </div>
+
+      <FormActions
+        onCancel={onCancel}
+        submitLabel="Preview Loan"
+        disabled={!loanData.amount || loanAvailability.maxAmount <= 0}
+      />
+    </form>
+  );
+};
+
+export default LoanFlow;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { calculateAmortizationSchedule, getActiveLoans } from '../../utils/loanUtils';
+import { getFirstPayDateAfter } from '../../utils/payrollUtils';
+
+/**
+ * Active loans with their remaining amortization schedules
+ */
+const LoanSummary = () => {
+  const { investments } = useInvestments();
+  const [expandedLoanId, setExpandedLoanId] = useState(null);
+
+  const loans = getActiveLoans(investments.loans);
+  if (loans.length === 0) return null;
+
+  const { payroll } = investments.settings;
+
+  // Remaining schedule from the current balance, dated from the next unposted paycheck
+  const getRemainingSchedule = (loan) => {
+    const nextPayment = getFirstPayDateAfter(investments.transactions, payroll, loan.originationDate);
+    return calculateAmortizationSchedule({ ...loan, principal: loan.outstanding }, nextPayment, payroll.frequency);
+  };
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">Loans</CardTitle>
+      </CardHeader>
+      <CardContent className="px-6 space-y-6">
+        {loans.map(loan => {
+          const schedule = getRemainingSchedule(loan);
+          const isExpanded = expandedLoanId === loan.id;
+          return (
+            <div key={loan.id} className="space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+                <div>
+                  <p className="text-sm text-gray-500">Outstanding</p>
+                  <p className="text-lg font-medium text-gray-900">{formatCurrency(loan.outstanding, { cents: true })}</p>
+                  <p className="text-xs text-gray-500">of {formatCurrency(loan.principal, { cents: true })} borrowed {loan.originationDate}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Payment</p>
+                  <p className="text-lg font-medium text-gray-900">{formatCurrency(loan.payment, { cents: true })}</p>
+                  <p className="text-xs text-gray-500">per paycheck at {loan.interestRate}%</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Next Payment</p>
+                  <p className="text-lg font-medium text-gray-900">{schedule[0]?.date || '—'}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Payments Left</p>
+                  <p className="text-lg font-medium text-gray-900">{schedule.length}</p>
+                </div>
+              </div>
+
+              <button
+                onClick={() => setExpandedLoanId(isExpanded ? null : loan.id)}
+                className="text-sm font-medium text-indigo-600 hover:text-indigo-700"
+              >
+                {isExpanded ? 'Hide' : 'Show'} amortization schedule
+              </button>
+
+              {isExpanded && (
+                <div className="max-h-80 overflow-y-auto">
+                  <table className="w-full">
+                    <thead>
+                      <tr>
+                        <th className="py-2 px-4 text-left text-sm font-medium text-gray-500 border-b">#</th>
+                        <th className="py-2 px-4 text-left text-sm font-medium text-gray-500 border-b">Date</th>
+                        <th className="py-2 px-4 text-right text-sm font-medium text-gray-500 border-b">Payment</th>
+                        <th className="py-2 px-4 text-right text-sm font-medium text-gray-500 border-b">Interest</th>
+                        <th className="py-2 px-4 text-right text-sm font-medium text-gray-500 border-b">Principal</th>
+                        <th className="py-2 px-4 text-right text-sm font-medium text-gray-500 border-b">Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {schedule.map(row => (
+                        <tr key={row.number}>
+                          <td className="py-2 px-4 text-sm text-gray-500">{row.number}</td>
+                          <td className="py-2 px-4 text-sm text-gray-900">{row.date}</td>
+                          <td className="py-2 px-4 text-right text-sm text-gray-900">{formatCurrency(row.payment, { cents: true })}</td>
+                          <td className="py-2 px-4 text-right text-sm text-gray-600">{formatCurrency(row.interest, { cents: true })}</td>
+                          <td className="py-2 px-4 text-right text-sm text-gray-600">{formatCurrency(row.principal, { cents: true })}</td>
+                          <td className="py-2 px-4 text-right text-sm text-gray-900">{formatCurrency(row.balance, { cents: true })}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LoanSummary;
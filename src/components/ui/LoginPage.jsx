@@ -1,59 +1,175 @@
 import React, { useState } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useAuth } from '../../contexts/AuthContext';
+import { MFA_CHALLENGE_TYPES } from '../../utils/mockAuthProvider';
 
-const LoginPage = ({ onLogin }) => {
+const inputClassName = 'w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500';
+const submitClassName = 'w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:bg-gray-300';
+
+const ErrorMessage = ({ error }) => error ? (
+  <div role="alert" className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+    {error}
+  </div>
+) : null;
+
+// Split a base32 secret into groups of four so it can be typed into an authenticator app
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+/**
+ * Second sign-in step: enroll an authenticator app, or enter a code from it
+ */
+const MfaStep = ({ challenge, error, onVerify, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const enrolling = challenge.type === MFA_CHALLENGE_TYPES.ENROLL;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    if (!await onVerify(code)) {
+      setCode('');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <ErrorMessage error={error} />
+      {enrolling ? (
+        <div className="space-y-2 text-sm text-gray-600">
+          <p>
+            Your account needs two-step verification. Add this key to an authenticator app, such as
+            Google Authenticator or 1Password, then enter the 6-digit code it shows.
+          </p>
+          <p className="p-3 bg-gray-50 rounded-md font-mono text-center text-gray-900 tracking-wider">
+            {formatSecret(challenge.secret)}
+          </p>
+          <p className="text-xs text-gray-500 break-all">
+            Or open this setup link on the device with your app: {challenge.otpauthUri}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600">
+          Enter the 6-digit code from your authenticator app. If you don't have your device, enter one of
+          your recovery codes instead.
+        </p>
+      )}
+      <div className="space-y-2">
+        <label className="text-sm font-medium text-gray-700">
+          {enrolling ? 'Authenticator Code' : 'Authenticator or Recovery Code'}
+        </label>
+        <input
+          type="text"
+          inputMode={enrolling ? 'numeric' : 'text'}
+          autoComplete="one-time-code"
+          className={inputClassName}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          autoFocus
+          required
+        />
+      </div>
+      <button type="submit" className={submitClassName} disabled={isSubmitting}>
+        {isSubmitting ? 'Verifying...' : 'Verify'}
+      </button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="w-full py-2 px-4 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+      >
+        Back to Sign In
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Recovery codes from a new enrollment, shown once before the session starts
+ */
+const RecoveryCodes = ({ codes, onContinue }) => (
+  <div className="space-y-4">
+    <p className="text-sm text-gray-600">
+      Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator
+      app, and they will not be shown again.
+    </p>
+    <ul className="grid grid-cols-2 gap-2 p-3 bg-gray-50 rounded-md font-mono text-sm text-gray-900 text-center">
+      {codes.map(code => <li key={code}>{code}</li>)}
+    </ul>
+    <button type="button" onClick={onContinue} className={submitClassName}>
+      I've Saved My Codes
+    </button>
+  </div>
+);
+
+const LoginPage = () => {
+  const { login, verifyMfa, cancelMfa, acknowledgeRecoveryCodes, mfaChallenge, recoveryCodes, error } = useAuth();
   const [credentials, setCredentials] = useState({ email: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // Add your authentication logic here
-    onLogin(credentials);
+    setIsSubmitting(true);
+    await login(credentials);
+    setCredentials(prev => ({ ...prev, password: '' }));
+    setIsSubmitting(false);
   };
 
+  let content;
+  if (recoveryCodes) {
+    content = <RecoveryCodes codes={recoveryCodes} onContinue={acknowledgeRecoveryCodes} />;
+  } else if (mfaChallenge) {
+    content = <MfaStep key={mfaChallenge.token} challenge={mfaChallenge} error={error} onVerify={verifyMfa} onCancel={cancelMfa} />;
+  } else {
+    content = (
+      <>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <ErrorMessage error={error} />
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-700">Email</label>
+            <input
+              type="email"
+              className={inputClassName}
+              value={credentials.email}
+              onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
+              required
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-700">Password</label>
+            <input
+              type="password"
+              className={inputClassName}
+              value={credentials.password}
+              onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+              required
+            />
+          </div>
+          <button type="submit" className={submitClassName} disabled={isSubmitting}>
+            {isSubmitting ? 'Signing In...' : 'Sign In'}
+          </button>
+        </form>
+        <p className="mt-4 text-sm text-gray-500 text-center">
+          Demo participants: john.doe@example.com, priya.shah@example.com and robert.chen@example.com;
+          plan administrator: plan.admin@example.com. All use password1234.
+        </p>
+      </>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50/40 flex items-center justify-center">
       <Card className="w-full max-w-md rounded-xl border border-gray-200 shadow-lg bg-white/90 backdrop-blur-lg">
         <CardHeader className="px-6 pt-6">
           <CardTitle className="text-2xl font-medium text-gray-900 text-center">
-            401(k) Portal Login
+            {recoveryCodes ? 'Recovery Codes' : mfaChallenge ? 'Two-Step Verification' : '401(k) Portal Login'}
           </CardTitle>
         </CardHeader>
         <CardContent className="p-6">
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-700">Email</label>
-              <input
-                type="email"
-                className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                value={credentials.email}
-                onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
-                required
-              />
-            </div>
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-700">Password</label>
-              <input
-                type="password"
-                className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                value={credentials.password}
-                onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
-                required
-              />
-            </div>
-            <button
-              type="submit"
-              className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
-            >
-              Sign In
-            </button>
-          </form>
-          <p className="mt-4 text-sm text-gray-500 text-center">
-            Demo credentials: john.doe@example.com / password1234
-          </p>
+          {content}
         </CardContent>
       </Card>
     </div>
   );
 };
 
-export default LoginPage;
\ No newline at end of file
+export default LoginPage;
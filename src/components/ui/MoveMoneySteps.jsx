@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { useAuth } from '../../contexts/AuthContext';
+import StepUpVerification from './StepUpVerification';
+import { formatCurrency, getTypeTotal } from '../../utils/investmentUtils';
+import { getTradeDate } from '../../utils/marketCalendar';
+import { MAX_RISK_SCORE } from '../../utils/riskUtils';
+
+/**
+ * Component to explain when a confirmed order will be priced
+ */
+const TradeDateNotice = () => (
+  <p className="text-sm text-gray-500">
+    Amounts are estimated at the latest NAV. This order will be placed as pending and
+    priced at the closing NAV on <span className="font-medium text-gray-700">{getTradeDate()}</span>.
+    Orders placed after 4:00 p.m. ET or on a market holiday trade the next business day.
+  </p>
+);
+
+/**
+ * Component to display a preview of balance changes and the risk score they lead to
+ */
+const PreviewMatrix = ({ currentBalances, projectedBalances, contributionTypes, funds }) => {
+  const { getRiskScore } = useInvestments();
+  if (!projectedBalances) return null;
+
+  const currentRisk = getRiskScore(currentBalances);
+  const projectedRisk = getRiskScore(projectedBalances);
+
+  const getBalanceForMatrix = (balances, fundId, typeId) => {
+    const balance = balances.find(
+      b => b.fundId === parseInt(fundId) && b.contributionTypeId === parseInt(typeId)
+    );
+    return balance ? balance.balance : 0;
+  };
+
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">Preview Changes</h3>
+      <table className="w-full text-sm">
+        <thead>
+          <tr>
+            <th className="text-left py-2">Fund</th>
+            {contributionTypes.map(type => (
+              <th key={type.id} className="text-right py-2">{type.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {funds.map(fund => (
+            <tr key={fund.id}>
+              <td className="py-2">{fund.name}</td>
+              {contributionTypes.map(type => (
+                <td key={type.id} className="text-right py-2">
+                  <div className="space-y-1">
+                    <div className={getBalanceForMatrix(projectedBalances, fund.id, type.id) !== 
+                         getBalanceForMatrix(currentBalances, fund.id, type.id) ? "text-indigo-600 font-medium" : ""}>
+                      {formatCurrency(getBalanceForMatrix(projectedBalances, fund.id, type.id), { cents: true })}
+                    </div>
+                    {getBalanceForMatrix(projectedBalances, fund.id, type.id) !== 
+                     getBalanceForMatrix(currentBalances, fund.id, type.id) && (
+                      <div className="text-xs text-gray-500">
+                        was: {formatCurrency(getBalanceForMatrix(currentBalances, fund.id, type.id), { cents: true })}
+                      </div>
+                    )}
+                  </div>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t">
+            <td className="py-2 font-medium">Total</td>
+            {contributionTypes.map(type => (
+              <td key={type.id} className="text-right py-2 font-medium">
+                {formatCurrency(getTypeTotal(projectedBalances, type.id), { cents: true })}
+              </td>
+            ))}
+          </tr>
+        </tfoot>
+      </table>
+      {currentRisk && projectedRisk && (
+        <p className="mt-2 text-sm text-gray-500">
+          Risk score:{' '}
+          {projectedRisk.score === currentRisk.score ? (
+            `${projectedRisk.score} of ${MAX_RISK_SCORE}, unchanged`
+          ) : (
+            <>
+              {currentRisk.score} → <span className="text-indigo-600 font-medium">{projectedRisk.score}</span> of {MAX_RISK_SCORE}
+            </>
+          )}
+          {' '}(volatility ±{(projectedRisk.volatility * 100).toFixed(1)}% a year)
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Cancel and preview buttons at the foot of a money movement form
+ */
+const FormActions = ({ onCancel, submitLabel, disabled }) => (
+  <div className="flex justify-end space-x-4">
+    <button
+      type="button"
+      onClick={onCancel}
+      className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+    >
+      Cancel
+    </button>
+    <button
+      type="submit"
+      className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md disabled:bg-gray-300"
+      disabled={disabled}
+    >
+      {submitLabel}
+    </button>
+  </div>
+);
+
+/**
+ * Back and confirm buttons under a preview; money only moves once the user
+ * has re-verified recently, so confirming may ask for a code first
+ */
+const ConfirmActions = ({ confirmLabel, onBack, onConfirm }) => {
+  const { hasRecentStepUp } = useAuth();
+  const [verifying, setVerifying] = useState(false);
+
+  const handleConfirm = () => {
+    if (hasRecentStepUp()) {
+      onConfirm();
+    } else {
+      setVerifying(true);
+    }
+  };
+
+  // Run the confirmed action from the preview, so a failed order shows its error there
+  const handleVerified = () => {
+    setVerifying(false);
+    onConfirm();
+  };
+
+  if (verifying) {
+    return <StepUpVerification onVerified={handleVerified} onCancel={() => setVerifying(false)} />;
+  }
+
+  return (
+    <div className="flex justify-end space-x-4">
+      <button
+        onClick={onBack}
+        className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+      >
+        Back
+      </button>
+      <button
+        onClick={handleConfirm}
+        className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+      >
+        {confirmLabel}
+      </button>
+    </div>
+  );
+};
+
+export { TradeDateNotice, PreviewMatrix, FormActions, ConfirmActions };
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { TRANSACTION_TYPES, TRANSACTION_TYPE_LABELS } from '../../utils/ledgerUtils';
+import ContributionLimits from './ContributionLimits';
+import {
+  calculatePaycheckContributions,
+  describeMatchFormula,
+  getGrossPay,
+  getLimitContext,
+  getUpcomingPayDate,
+  getYearToDatePayroll
+} from '../../utils/payrollUtils';
+
+const RECENT_POSTING_COUNT = 10;
+
+/**
+ * Payroll simulator that posts deferrals and employer match for upcoming pay periods
+ */
+const PayrollSimulator = () => {
+  const { investments, runPayroll, error: contextError } = useInvestments();
+  const [periods, setPeriods] = useState('1');
+  const [error, setError] = useState(null);
+
+  // Update error state from context
+  useEffect(() => {
+    setError(contextError);
+  }, [contextError]);
+
+  const { participant, settings, elections, contributionTypes, transactions } = investments;
+  const { payroll, matchFormula } = settings;
+  const grossPay = getGrossPay(participant, payroll);
+  const nextPayDate = getUpcomingPayDate(transactions, payroll);
+  const paycheck = calculatePaycheckContributions(
+    grossPay,
+    elections,
+    contributionTypes,
+    matchFormula,
+    getLimitContext(investments, nextPayDate)
+  );
+  const yearToDate = getYearToDatePayroll(transactions, nextPayDate.slice(0, 4));
+
+  const postings = transactions
+    .filter(txn => txn.type === TRANSACTION_TYPES.CONTRIBUTION || txn.type === TRANSACTION_TYPES.TRUE_UP)
+    .slice(-RECENT_POSTING_COUNT)
+    .reverse();
+
+  const handleRun = (count) => {
+    setError(null);
+    runPayroll(count);
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-2xl font-medium text-gray-900">Payroll</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Post simulated paychecks to grow the account over time
+        </p>
+      </div>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">Next Paycheck</CardTitle>
+        </CardHeader>
+        <CardContent className="px-6 space-y-6">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+            <div>
+              <p className="text-sm text-gray-500">Pay Date</p>
+              <p className="text-lg font-medium text-gray-900">{nextPayDate}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Gross Pay</p>
+              <p className="text-lg font-medium text-gray-900">{formatCurrency(grossPay, { cents: true })}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Deferrals ({elections.deferralRate}%)</p>
+              <p className="text-lg font-medium text-gray-900">{formatCurrency(paycheck.deferralAmount, { cents: true })}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Employer Match</p>
+              <p className="text-lg font-medium text-gray-900">{formatCurrency(paycheck.matchAmount, { cents: true })}</p>
+            </div>
+          </div>
+
+          <p className="text-sm text-gray-500">
+            {formatCurrency(participant.annualSalary)} salary paid {payroll.frequency}. Match: {describeMatchFormula(matchFormula)}
+            {matchFormula?.trueUp && ', trued up at year end'}.
+          </p>
+
+          {(paycheck.deferralLimited || paycheck.matchLimited) && (
+            <p className="text-sm text-amber-700">
+              This paycheck is reduced to stay within the {nextPayDate.slice(0, 4)} IRS contribution limits.
+            </p>
+          )}
+
+          <div className="flex items-center justify-end space-x-4">
+            <button
+              onClick={() => handleRun(1)}
+              className="px-4 py-2 text-sm font-medium text-indigo-600 hover:bg-indigo-50 rounded-md"
+            >
+              Post Next Paycheck
+            </button>
+            <div className="flex items-center">
+              <input
+                type="number"
+                className="w-20 rounded-md border border-gray-300 p-2 text-sm"
+                value={periods}
+                onChange={(e) => setPeriods(e.target.value)}
+                min="1"
+                step="1"
+              />
+              <button
+                onClick={() => handleRun(periods)}
+                className="ml-2 px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+              >
+                Post Periods
+              </button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">
+            {nextPayDate.slice(0, 4)} Year to Date
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="px-6">
+          <div className="grid grid-cols-3 gap-6">
+            <div>
+              <p className="text-sm text-gray-500">Gross Pay</p>
+              <p className="text-lg font-medium text-gray-900">{formatCurrency(yearToDate.grossPay, { cents: true })}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Deferrals</p>
+              <p className="text-lg font-medium text-gray-900">{formatCurrency(yearToDate.deferrals, { cents: true })}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Employer Match</p>
+              <p className="text-lg font-medium text-gray-900">{formatCurrency(yearToDate.match, { cents: true })}</p>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <ContributionLimits payDate={nextPayDate} />
+
+      {postings.length > 0 && (
+        <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+          <CardHeader className="px-6">
+            <CardTitle className="text-xl font-medium text-gray-900">Recent Postings</CardTitle>
+          </CardHeader>
+          <CardContent className="px-6">
+            <table className="w-full">
+              <thead>
+                <tr>
+                  <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Pay Date</th>
+                  <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Type</th>
+                  <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Deferrals</th>
+                  <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Match</th>
+                  <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {postings.map(txn => (
+                  <tr key={txn.id}>
+                    <td className="py-4 px-4 text-sm text-gray-900">{txn.payDate}</td>
+                    <td className="py-4 px-4 text-sm text-gray-600">{TRANSACTION_TYPE_LABELS[txn.type]}</td>
+                    <td className="py-4 px-4 text-right text-sm text-gray-900">
+                      {formatCurrency(txn.deferralAmount || 0, { cents: true })}
+                    </td>
+                    <td className="py-4 px-4 text-right text-sm text-gray-900">
+                      {formatCurrency(txn.matchAmount || 0, { cents: true })}
+                    </td>
+                    <td className="py-4 px-4 text-right text-sm font-medium text-gray-900">
+                      {formatCurrency(txn.amount, { cents: true })}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default PayrollSimulator;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { TRANSACTION_TYPES, TRANSACTION_TYPE_LABELS } from '../../utils/ledgerUtils';
+import { ORDER_STATUS, getPendingOrders } from '../../utils/orderUtils';
+import { WITHDRAWAL_REASON_LABELS } from '../../utils/withdrawalUtils';
+
+/**
+ * Pending orders awaiting their trade-date NAV, which the plan's administrators post
+ */
+const PendingOrders = () => {
+  const { investments, cancelOrder, acknowledgeOrder } = useInvestments();
+
+  const pendingOrders = getPendingOrders(investments.orders);
+  const failedOrders = investments.orders.filter(
+    order => order.status === ORDER_STATUS.FAILED && !order.acknowledged
+  );
+
+  if (pendingOrders.length === 0 && failedOrders.length === 0) return null;
+
+  const getFundName = (fundId) => {
+    return investments.funds.find(f => f.id === parseInt(fundId))?.name || `Fund ${fundId}`;
+  };
+
+  const describeOrder = (order) => {
+    if (order.type === TRANSACTION_TYPES.TRANSFER) {
+      return `${formatCurrency(order.amount, { cents: true })} from ${getFundName(order.fromFund)} to ${getFundName(order.toFund)}` +
+        (order.rebalance ? ' (rebalance)' : '');
+    }
+    if (order.type === TRANSACTION_TYPES.ROTH_CONVERSION) {
+      return `${formatCurrency(order.amount, { cents: true })} from ${getFundName(order.fromFund)} to ${getFundName(order.toFund)} (Roth)`;
+    }
+    if (order.type === TRANSACTION_TYPES.LOAN) {
+      return `${formatCurrency(order.amount, { cents: true })} over ${order.termYears} year${order.termYears === 1 ? '' : 's'}`;
+    }
+    if (order.type === TRANSACTION_TYPES.WITHDRAWAL) {
+      return `${WITHDRAWAL_REASON_LABELS[order.reason]}, ${formatCurrency(order.amount, { cents: true })} gross`;
+    }
+    return Object.entries(order.allocations)
+      .filter(([, percentage]) => percentage > 0)
+      .map(([fundId, percentage]) => `${percentage}% ${getFundName(fundId)}`)
+      .join(', ');
+  };
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">Pending Orders</CardTitle>
+      </CardHeader>
+      <CardContent className="px-6">
+        <div className="divide-y divide-gray-100">
+          {pendingOrders.map(order => (
+            <div key={order.id} className="py-3 flex justify-between items-center">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {TRANSACTION_TYPE_LABELS[order.type]}
+                  <span className="ml-2 font-normal text-gray-600">{describeOrder(order)}</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  Placed {new Date(order.placedAt).toLocaleString('en-US')} · Trade date {order.tradeDate} ·
+                  Settles once the plan posts that day's NAVs
+                </p>
+              </div>
+              <button
+                onClick={() => cancelOrder(order.id)}
+                className="text-sm font-medium text-red-600 hover:text-red-700"
+              >
+                Cancel
+              </button>
+            </div>
+          ))}
+          {failedOrders.map(order => (
+            <div key={order.id} className="py-3 flex justify-between items-center">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {TRANSACTION_TYPE_LABELS[order.type]} failed
+                  <span className="ml-2 font-normal text-gray-600">{describeOrder(order)}</span>
+                </p>
+                <p className="text-xs text-red-600">{order.error}</p>
+              </div>
+              <button
+                onClick={() => acknowledgeOrder(order.id)}
+                className="text-sm text-gray-600 hover:text-gray-900"
+              >
+                Dismiss
+              </button>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PendingOrders;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { MAX_RISK_SCORE, RISK_PROFILE_DETAILS, RISK_QUESTIONS } from '../../utils/riskUtils';
+
+/**
+ * Risk score of current holdings, suitability warnings and the risk questionnaire
+ */
+const PortfolioRisk = () => {
+  const { investments, riskAssessment, saveRiskProfile, error: contextError } = useInvestments();
+  const { riskProfile } = investments;
+  const { risk, warnings } = riskAssessment;
+
+  const [isEditing, setIsEditing] = useState(false);
+  const [answers, setAnswers] = useState(() => riskProfile?.answers || {});
+  const [error, setError] = useState(null);
+
+  // Update error state from context
+  useEffect(() => {
+    setError(contextError);
+  }, [contextError]);
+
+  if (!risk) return null;
+
+  const profileDetails = riskProfile && RISK_PROFILE_DETAILS[riskProfile.profile];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError(null);
+    if (saveRiskProfile(answers)) {
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">Portfolio Risk</CardTitle>
+      </CardHeader>
+      <CardContent className="px-6 space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-6">
+          <div>
+            <p className="text-sm text-gray-500">Risk Score</p>
+            <p className="text-lg font-medium text-gray-900">{risk.score} of {MAX_RISK_SCORE}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Expected Volatility</p>
+            <p className="text-lg font-medium text-gray-900">±{(risk.volatility * 100).toFixed(1)}% a year</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Risk Profile</p>
+            <p className="text-lg font-medium text-gray-900">
+              {profileDetails ? `${profileDetails.label} (${profileDetails.minScore}–${profileDetails.maxScore})` : 'Not set'}
+            </p>
+          </div>
+        </div>
+
+        {warnings.map(warning => (
+          <div key={warning.type} className="p-3 bg-amber-50 border border-amber-200 text-amber-800 rounded-md text-sm">
+            {warning.message}
+          </div>
+        ))}
+
+        {!isEditing && (
+          <button
+            type="button"
+            onClick={() => setIsEditing(true)}
+            className="text-sm font-medium text-indigo-600 hover:text-indigo-700"
+          >
+            {riskProfile ? 'Retake risk questionnaire' : 'Take the risk questionnaire'}
+          </button>
+        )}
+
+        {isEditing && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+                {error}
+              </div>
+            )}
+            {RISK_QUESTIONS.map(question => (
+              <fieldset key={question.id}>
+                <legend className="block text-sm font-medium text-gray-700">{question.question}</legend>
+                <div className="mt-1 grid grid-cols-1 md:grid-cols-3 gap-2">
+                  {question.options.map(option => (
+                    <label
+                      key={option.value}
+                      className={`p-2 border rounded-lg cursor-pointer text-sm ${
+                        answers[question.id] === option.value ? 'border-indigo-600 bg-indigo-50' : 'hover:bg-gray-50'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name={`risk-${question.id}`}
+                        className="sr-only"
+                        value={option.value}
+                        checked={answers[question.id] === option.value}
+                        onChange={() => setAnswers(prev => ({ ...prev, [question.id]: option.value }))}
+                      />
+                      <span className="block">{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+            ))}
+            <div className="flex justify-end space-x-4">
+              <button
+                type="button"
+                onClick={() => setIsEditing(false)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+              >
+                Save Answers
+              </button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PortfolioRisk;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { addDays } from '../../utils/marketCalendar';
+import { getLatestNav, parsePriceFile } from '../../utils/priceUtils';
+
+/**
+ * Latest fund prices, with ingestion of daily price files when onImport is given
+ * @param {Object} props - {funds, navHistory, onImport}; onImport receives the parsed price records
+ */
+const PriceUpdates = ({ funds, navHistory, onImport }) => {
+  const [result, setResult] = useState(null);
+
+  const getPreviousNav = (fundId, date) => {
+    return getLatestNav(navHistory, fundId, addDays(date, -1));
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { prices, errors } = parsePriceFile(reader.result, file.name, funds);
+      if (errors.length > 0) {
+        setResult({ success: false, messages: errors });
+        return;
+      }
+      onImport(prices);
+      const dates = [...new Set(prices.map(price => price.date))].sort();
+      setResult({
+        success: true,
+        messages: [`Imported ${prices.length} prices for ${dates.join(', ')}`]
+      });
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-2xl font-medium text-gray-900">Fund Prices</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Daily NAVs used to value every holding and settle pending orders
+        </p>
+      </div>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">Latest NAVs</CardTitle>
+        </CardHeader>
+        <CardContent className="px-6">
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Fund</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">As Of</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">NAV</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Change</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {funds.map(fund => {
+                const latest = getLatestNav(navHistory, fund.id);
+                const previous = latest && getPreviousNav(fund.id, latest.date);
+                const change = previous ? (latest.nav / previous.nav - 1) * 100 : null;
+                return (
+                  <tr key={fund.id}>
+                    <td className="py-4 px-4 text-sm font-medium text-gray-900">{fund.name}</td>
+                    <td className="py-4 px-4 text-right text-sm text-gray-600">{latest?.date || '—'}</td>
+                    <td className="py-4 px-4 text-right text-sm text-gray-900">
+                      {latest ? latest.nav.toFixed(2) : '—'}
+                    </td>
+                    <td className={`py-4 px-4 text-right text-sm ${change < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {change === null ? '—' : `${change > 0 ? '+' : ''}${change.toFixed(2)}%`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      {onImport && (
+        <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+          <CardHeader className="px-6">
+            <CardTitle className="text-xl font-medium text-gray-900">Import Price File</CardTitle>
+          </CardHeader>
+          <CardContent className="px-6 space-y-4">
+            <p className="text-sm text-gray-500">
+              Upload a CSV with a <code>date,fundId,nav</code> header, or JSON as an array of
+              {' '}<code>{'{date, fundId, nav}'}</code> records or <code>{'{date, navs: {fundId: nav}}'}</code>.
+              Files with any invalid row are rejected as a whole.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+              className="block text-sm text-gray-600"
+            />
+            {result && (
+              <div className={`p-3 rounded-md text-sm border ${
+                result.success
+                  ? 'bg-green-50 border-green-200 text-green-700'
+                  : 'bg-red-50 border-red-200 text-red-600'
+              }`}>
+                {result.messages.map(message => (
+                  <p key={message}>{message}</p>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default PriceUpdates;
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { ConfirmActions, FormActions, PreviewMatrix, TradeDateNotice } from './MoveMoneySteps';
+import { formatCurrency, getFundTotal, validateReallocation } from '../../utils/investmentUtils';
+import { REALLOCATION_TARGETS } from '../../utils/electionUtils';
+import {
+  describeAssetMix,
+  findMatchingPortfolio,
+  isTargetDateFund,
+  toPortfolioAllocations
+} from '../../utils/portfolioUtils';
+
+const REALLOCATION_TARGET_OPTIONS = [
+  { value: REALLOCATION_TARGETS.EXISTING, label: 'Existing balances', description: 'Rebalance money already invested' },
+  { value: REALLOCATION_TARGETS.FUTURE, label: 'Future contributions', description: 'Redirect new money only' },
+  { value: REALLOCATION_TARGETS.BOTH, label: 'Both', description: 'Rebalance and redirect' }
+];
+
+/**
+ * Blank percentages for every fund
+ * @param {Array} funds - Fund definitions
+ * @returns {Object} Empty allocations keyed by fund ID
+ */
+const getEmptyAllocations = (funds) => funds.reduce((acc, fund) => ({ ...acc, [fund.id]: '' }), {});
+
+/**
+ * Component to display a change to future contribution directions
+ */
+const FutureAllocationPreview = ({ currentAllocations, newAllocations, funds }) => (
+  <div className="mt-4">
+    <h3 className="text-lg font-medium text-gray-900 mb-2">Future Contributions</h3>
+    <table className="w-full text-sm">
+      <thead>
+        <tr>
+          <th className="text-left py-2">Fund</th>
+          <th className="text-right py-2">Current</th>
+          <th className="text-right py-2">New</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {funds.map(fund => {
+          const current = currentAllocations[fund.id] || 0;
+          const next = newAllocations[fund.id] === '' ? 0 : Number(newAllocations[fund.id] || 0);
+          return (
+            <tr key={fund.id}>
+              <td className="py-2">{fund.name}</td>
+              <td className="text-right py-2 text-gray-500">{current}%</td>
+              <td className={`text-right py-2 ${current !== next ? 'text-indigo-600 font-medium' : ''}`}>
+                {next}%
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Rebalance existing money, redirect future contributions, or both, to new fund percentages
+ */
+const ReallocationFlow = ({ onCancel, onComplete, onError }) => {
+  const {
+    investments,
+    previewReallocation,
+    reallocateFunds,
+    reallocateAndRedirect,
+    updateElections,
+    modelPortfolios,
+    getAssetMix,
+    describeFund
+  } = useInvestments();
+  const [allocations, setAllocations] = useState(() => getEmptyAllocations(investments.funds));
+  const [reallocationTarget, setReallocationTarget] = useState(REALLOCATION_TARGETS.EXISTING);
+  const [preview, setPreview] = useState(null);
+
+  // Start over when the plan's fund lineup changes
+  useEffect(() => {
+    setAllocations(getEmptyAllocations(investments.funds));
+  }, [investments.funds]);
+
+  // Whether the reallocation moves existing money and/or redirects future money
+  const reallocatesExisting = reallocationTarget !== REALLOCATION_TARGETS.FUTURE;
+  const redirectsFuture = reallocationTarget !== REALLOCATION_TARGETS.EXISTING;
+
+  // Update allocation for a specific fund
+  const updateAllocation = (fundId, value) => {
+    // Remove leading zeros
+    const cleanValue = value.replace(/^0+/, '') || '';
+    setAllocations(prev => ({ ...prev, [fundId]: cleanValue }));
+  };
+
+  // Calculate total allocation percentage
+  const totalAllocation = Object.values(allocations).reduce((sum, val) =>
+    sum + (val === '' ? 0 : Number(val)), 0
+  );
+
+  // Model portfolio the entered percentages match, if any
+  const selectedPortfolio = findMatchingPortfolio(allocations, modelPortfolios, investments.funds);
+
+  // Preview reallocation changes
+  const handlePreview = (e) => {
+    e.preventDefault();
+    onError(null);
+
+    // Validate the reallocation
+    const validation = validateReallocation(allocations);
+    if (!validation.valid) {
+      onError(validation.error);
+      return;
+    }
+
+    // Redirecting future money only leaves balances unchanged
+    if (!reallocatesExisting) {
+      setPreview({ projectedBalances: null, residue: 0 });
+      return;
+    }
+
+    const result = previewReallocation(allocations);
+    if (result.valid) {
+      setPreview(result);
+    } else {
+      onError(result.error);
+    }
+  };
+
+  // Handle reallocation confirmation; moving both existing and future money is one change that succeeds or fails as a whole
+  const handleSubmit = () => {
+    const submit = {
+      [REALLOCATION_TARGETS.EXISTING]: () => reallocateFunds(allocations),
+      [REALLOCATION_TARGETS.FUTURE]: () => updateElections({ futureAllocations: allocations }),
+      [REALLOCATION_TARGETS.BOTH]: () => reallocateAndRedirect(allocations)
+    }[reallocationTarget];
+    if (submit()) {
+      onComplete();
+    }
+  };
+
+  if (preview) {
+    return (
+      <div className="space-y-4">
+        {reallocatesExisting && (
+          <>
+            <PreviewMatrix
+              currentBalances={investments.balances}
+              projectedBalances={preview.projectedBalances}
+              contributionTypes={investments.contributionTypes}
+              funds={investments.funds}
+            />
+            <p className="text-sm text-gray-500">
+              Each contribution type keeps its total and is split across funds to the cent.
+              {preview.residue !== 0 && (
+                <> Rounding units to six decimals changes the total by {formatCurrency(preview.residue, { cents: true })}.</>
+              )}
+            </p>
+            <TradeDateNotice />
+          </>
+        )}
+        {redirectsFuture && (
+          <FutureAllocationPreview
+            currentAllocations={investments.elections.futureAllocations}
+            newAllocations={allocations}
+            funds={investments.funds}
+          />
+        )}
+        <ConfirmActions confirmLabel="Confirm Reallocation" onBack={() => setPreview(null)} onConfirm={handleSubmit} />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handlePreview} className="space-y-4">
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700">Apply To</legend>
+        <div className="mt-1 grid grid-cols-3 gap-2">
+          {REALLOCATION_TARGET_OPTIONS.map(option => (
+            <label
+              key={option.value}
+              className={`p-2 border rounded-lg cursor-pointer text-sm ${
+                reallocationTarget === option.value ? 'border-indigo-600 bg-indigo-50' : 'hover:bg-gray-50'
+              }`}
+            >
+              <input
+                type="radio"
+                name="reallocationTarget"
+                className="sr-only"
+                value={option.value}
+                checked={reallocationTarget === option.value}
+                onChange={() => setReallocationTarget(option.value)}
+              />
+              <span className="block font-medium">{option.label}</span>
+              <span className="block text-xs text-gray-500">{option.description}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      {modelPortfolios.length > 0 && (
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700">Model Portfolio</legend>
+          <div className="mt-1 grid grid-cols-3 gap-2">
+            {modelPortfolios.map(portfolio => (
+              <label
+                key={portfolio.id}
+                className={`p-2 border rounded-lg cursor-pointer text-sm ${
+                  selectedPortfolio?.id === portfolio.id ? 'border-indigo-600 bg-indigo-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="modelPortfolio"
+                  className="sr-only"
+                  value={portfolio.id}
+                  checked={selectedPortfolio?.id === portfolio.id}
+                  onChange={() => setAllocations(toPortfolioAllocations(portfolio, investments.funds))}
+                />
+                <span className="block font-medium">{portfolio.name}</span>
+                <span className="block text-xs text-gray-500">
+                  {describeAssetMix(getAssetMix(portfolio.allocations))}
+                </span>
+              </label>
+            ))}
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            {selectedPortfolio
+              ? selectedPortfolio.description
+              : 'Pick a model portfolio, or enter your own percentages below.'}
+          </p>
+        </fieldset>
+      )}
+      {investments.funds.map(fund => (
+        <div key={fund.id}>
+          <label className="block text-sm font-medium text-gray-700">
+            {fund.name}
+            <span className="text-sm text-gray-500 ml-2">
+              (Current: {formatCurrency(getFundTotal(investments.balances, fund.id), { cents: true })})
+            </span>
+            {isTargetDateFund(fund) && (
+              <span className="block text-xs font-normal text-gray-500">{describeFund(fund)}</span>
+            )}
+            {fund.closed && (
+              <span className="block text-xs font-normal text-gray-500">Closed to new investments</span>
+            )}
+          </label>
+          <div className="mt-1 flex items-center">
+            <input
+              type="number"
+              className="block w-full rounded-md border border-gray-300 p-2 disabled:bg-gray-50"
+              value={allocations[fund.id]}
+              onChange={(e) => updateAllocation(fund.id, e.target.value)}
+              disabled={fund.closed}
+              min="0"
+              max="100"
+              step="0.1"
+              placeholder="0"
+            />
+            <span className="ml-2">%</span>
+          </div>
+        </div>
+      ))}
+      <div className="text-sm text-gray-500">
+        Total Allocation: {totalAllocation.toFixed(1)}%
+        {Math.abs(totalAllocation - 100) > 0.1 && (
+          <span className="text-red-500 ml-2">
+            (Must equal 100%)
+          </span>
+        )}
+        {totalAllocation > 0 && (
+          <span className="block">Asset mix: {describeAssetMix(getAssetMix(allocations))}</span>
+        )}
+      </div>
+      <FormActions
+        onCancel={onCancel}
+        submitLabel="Preview Reallocation"
+        disabled={Math.abs(totalAllocation - 100) > 0.1}
+      />
+    </form>
+  );
+};
+
+export default ReallocationFlow;
@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { useAuth } from '../../contexts/AuthContext';
+import StepUpVerification from './StepUpVerification';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { getLatestNavs } from '../../utils/priceUtils';
+import { toNumericPercentages } from '../../utils/electionUtils';
+import {
+  DEFAULT_DRIFT_THRESHOLD,
+  REBALANCE_FREQUENCIES,
+  REBALANCE_FREQUENCY_LABELS,
+  calculateDrift,
+  getNextRebalanceDate,
+  getPlanTurnover,
+  planRebalanceTransfers
+} from '../../utils/rebalanceUtils';
+
+/**
+ * Target allocation, rebalancing policy and the transfers it would place
+ */
+const RebalancingPlanner = () => {
+  const {
+    investments,
+    availableBalances,
+    saveRebalancePolicy,
+    clearRebalancePolicy,
+    rebalanceNow,
+    error: contextError
+  } = useInvestments();
+  const { hasRecentStepUp } = useAuth();
+  const { funds, contributionTypes, rebalancing, elections } = investments;
+
+  const [draft, setDraft] = useState(() => ({
+    targetAllocation: rebalancing?.targetAllocation || elections.futureAllocations,
+    frequency: rebalancing?.frequency || REBALANCE_FREQUENCIES.QUARTERLY,
+    driftThreshold: String(rebalancing?.driftThreshold ?? DEFAULT_DRIFT_THRESHOLD)
+  }));
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  // Update error state from context
+  useEffect(() => {
+    setError(contextError);
+  }, [contextError]);
+
+  const targetAllocation = toNumericPercentages(draft.targetAllocation);
+  const totalAllocation = Object.values(targetAllocation).reduce((sum, value) => sum + value, 0);
+  const drift = calculateDrift(investments.balances, targetAllocation, funds);
+  const threshold = parseFloat(draft.driftThreshold);
+  const plan = Math.abs(totalAllocation - 100) <= 0.01
+    ? planRebalanceTransfers(availableBalances, targetAllocation, funds, getLatestNavs(investments.navHistory))
+    : null;
+
+  // Rebalance Now trades to the saved targets, so it waits until edits are saved
+  const isTargetSaved = Boolean(rebalancing) && funds.every(fund =>
+    Number(rebalancing.targetAllocation[fund.id] || 0) === (targetAllocation[fund.id] || 0)
+  );
+
+  const getFundName = (fundId) => funds.find(fund => fund.id === parseInt(fundId))?.name;
+  const isClosed = (fundId) => Boolean(funds.find(fund => fund.id === parseInt(fundId))?.closed);
+  const getTypeName = (typeId) => contributionTypes.find(type => type.id === parseInt(typeId))?.name;
+
+  const updateTarget = (fundId, value) => {
+    const cleanValue = value.replace(/^0+/, '') || '';
+    setDraft(prev => ({ ...prev, targetAllocation: { ...prev.targetAllocation, [fundId]: cleanValue } }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    if (saveRebalancePolicy(draft)) {
+      setMessage('Rebalancing policy saved');
+    }
+  };
+
+  const placeRebalanceTransfers = () => {
+    setVerifying(false);
+    if (rebalanceNow()) {
+      setMessage('Rebalancing transfers placed as pending orders');
+    }
+  };
+
+  // Rebalancing moves money, so it needs a recent step-up verification
+  const handleRebalanceNow = () => {
+    setError(null);
+    setMessage(null);
+    if (hasRecentStepUp()) {
+      placeRebalanceTransfers();
+    } else {
+      setVerifying(true);
+    }
+  };
+
+  const describeSchedule = () => {
+    if (!rebalancing) return 'No rebalancing policy saved';
+    if (rebalancing.frequency === REBALANCE_FREQUENCIES.DRIFT) {
+      return `Rebalances when any fund drifts more than ±${rebalancing.driftThreshold}% from target`;
+    }
+    return `Rebalances ${REBALANCE_FREQUENCY_LABELS[rebalancing.frequency].toLowerCase()}; next on ${getNextRebalanceDate(rebalancing)}`;
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-2xl font-medium text-gray-900">Rebalancing</h1>
+        <p className="mt-1 text-sm text-gray-500">{describeSchedule()}</p>
+      </div>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">Target Allocation</CardTitle>
+        </CardHeader>
+        <CardContent className="px-6">
+          <form onSubmit={handleSave} className="space-y-6">
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+                {error}
+              </div>
+            )}
+            {message && !error && (
+              <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-md text-sm">
+                {message}
+              </div>
+            )}
+
+            <table className="w-full">
+              <thead>
+                <tr>
+                  <th className="py-2 text-left text-sm font-medium text-gray-500 border-b">Fund</th>
+                  <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Current</th>
+                  <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Target</th>
+                  <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Drift</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {drift.map(fund => (
+                  <tr key={fund.fundId}>
+                    <td className="py-2 text-sm text-gray-900">
+                      {getFundName(fund.fundId)}
+                      {isClosed(fund.fundId) && <span className="ml-2 text-xs text-gray-500">(closed)</span>}
+                    </td>
+                    <td className="py-2 text-right text-sm text-gray-600">{fund.currentPercent.toFixed(1)}%</td>
+                    <td className="py-2 text-right">
+                      <input
+                        type="number"
+                        className="w-20 rounded-md border border-gray-300 p-1 text-right text-sm disabled:bg-gray-50"
+                        value={draft.targetAllocation[fund.fundId] ?? ''}
+                        onChange={(e) => updateTarget(fund.fundId, e.target.value)}
+                        disabled={isClosed(fund.fundId)}
+                        min="0"
+                        max="100"
+                        step="1"
+                      />
+                      <span className="ml-1 text-sm text-gray-500">%</span>
+                    </td>
+                    <td className={`py-2 text-right text-sm ${
+                      Math.abs(fund.drift) > threshold ? 'text-amber-600 font-medium' : 'text-gray-600'
+                    }`}>
+                      {fund.drift > 0 ? '+' : ''}{fund.drift.toFixed(1)}%
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className={`text-sm ${Math.abs(totalAllocation - 100) > 0.01 ? 'text-red-600' : 'text-gray-500'}`}>
+              Total: {totalAllocation}%
+            </p>
+
+            <fieldset>
+              <legend className="block text-sm font-medium text-gray-700">Rebalance</legend>
+              <div className="mt-1 grid grid-cols-3 gap-2">
+                {Object.values(REBALANCE_FREQUENCIES).map(frequency => (
+                  <label
+                    key={frequency}
+                    className={`p-2 border rounded-lg cursor-pointer text-sm ${
+                      draft.frequency === frequency ? 'border-indigo-600 bg-indigo-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="rebalanceFrequency"
+                      className="sr-only"
+                      value={frequency}
+                      checked={draft.frequency === frequency}
+                      onChange={() => setDraft(prev => ({ ...prev, frequency }))}
+                    />
+                    <span className="block font-medium">{REBALANCE_FREQUENCY_LABELS[frequency]}</span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            {draft.frequency === REBALANCE_FREQUENCIES.DRIFT && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Drift Threshold (±%)</label>
+                <input
+                  type="number"
+                  className="mt-1 block w-32 rounded-md border border-gray-300 p-2"
+                  value={draft.driftThreshold}
+                  onChange={(e) => setDraft(prev => ({ ...prev, driftThreshold: e.target.value }))}
+                  min="0.5"
+                  max="50"
+                  step="0.5"
+                  required
+                />
+                <p className="mt-1 text-sm text-gray-500">
+                  Saving a drift policy while a fund is already outside the threshold places the trades below right away.
+                </p>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-4">
+              {rebalancing && (
+                <button
+                  type="button"
+                  onClick={clearRebalancePolicy}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+                >
+                  Stop Rebalancing
+                </button>
+              )}
+              <button
+                type="submit"
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md disabled:bg-gray-300"
+                disabled={Math.abs(totalAllocation - 100) > 0.01}
+              >
+                Save Policy
+              </button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">Planned Trades</CardTitle>
+        </CardHeader>
+        <CardContent className="px-6 space-y-4">
+          {!plan && <p className="text-sm text-gray-500">Set a target allocation totalling 100% to plan trades.</p>}
+          {plan && !plan.valid && <p className="text-sm text-red-600">{plan.error}</p>}
+          {plan?.valid && plan.transfers.length === 0 && (
+            <p className="text-sm text-gray-500">Every contribution type is on target.</p>
+          )}
+          {plan?.valid && plan.transfers.length > 0 && (
+            <>
+              <table className="w-full">
+                <thead>
+                  <tr>
+                    <th className="py-2 text-left text-sm font-medium text-gray-500 border-b">Bucket</th>
+                    <th className="py-2 text-left text-sm font-medium text-gray-500 border-b">From</th>
+                    <th className="py-2 text-left text-sm font-medium text-gray-500 border-b">To</th>
+                    <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Amount</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {plan.transfers.map(transfer => (
+                    <tr key={`${transfer.fromType}-${transfer.fromFund}-${transfer.toFund}`}>
+                      <td className="py-2 text-sm text-gray-600">{getTypeName(transfer.fromType)}</td>
+                      <td className="py-2 text-sm text-gray-900">{getFundName(transfer.fromFund)}</td>
+                      <td className="py-2 text-sm text-gray-900">{getFundName(transfer.toFund)}</td>
+                      <td className="py-2 text-right text-sm text-gray-900">{formatCurrency(transfer.amount, { cents: true })}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-sm text-gray-500">
+                {plan.transfers.length} transfer{plan.transfers.length === 1 ? '' : 's'} moving{' '}
+                {formatCurrency(getPlanTurnover(plan.transfers), { cents: true })} at the latest NAVs. Each contribution type is
+                rebalanced on its own, so money stays in its bucket.
+              </p>
+            </>
+          )}
+          {verifying && (
+            <StepUpVerification onVerified={placeRebalanceTransfers} onCancel={() => setVerifying(false)} />
+          )}
+          {rebalancing && !verifying && (
+            <div className="flex items-center justify-end space-x-4">
+              {!isTargetSaved && (
+                <p className="text-sm text-gray-500">Save the policy to rebalance to these targets.</p>
+              )}
+              <button
+                onClick={handleRebalanceNow}
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md disabled:bg-gray-300"
+                disabled={!isTargetSaved || !plan?.valid || plan.transfers.length === 0}
+              >
+                Rebalance Now
+              </button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default RebalancingPlanner;
@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { toLocalDate } from '../../utils/ledgerUtils';
+import { getProjectionSettings, runProjection, validateProjection } from '../../utils/projectionUtils';
+
+/**
+ * Monte Carlo projection of the balance at retirement and the monthly income it could provide.
+ * Scenario changes are simulated here only and never saved.
+ */
+const RetirementProjection = () => {
+  const { investments, maxDeferralRate } = useInvestments();
+  const { funds, elections, participant, settings } = investments;
+  const projection = getProjectionSettings(settings);
+
+  const [scenario, setScenario] = useState(() => ({
+    deferralRate: String(elections.deferralRate),
+    retirementAge: String(projection.retirementAge),
+    allocations: { ...elections.futureAllocations },
+    reallocateExisting: false
+  }));
+
+  const today = toLocalDate(Date.now());
+  const validation = validateProjection(scenario, participant, maxDeferralRate, today);
+  const result = validation.valid ? runProjection(investments, scenario, today) : null;
+  const highest = result ? Math.max(...result.years.map(row => row.percentiles[90])) : 0;
+  const totalAllocation = Object.values(scenario.allocations).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+
+  const toWidth = (amount) => `${highest > 0 ? amount / highest * 100 : 0}%`;
+
+  const updateAllocation = (fundId, value) => {
+    const cleanValue = value.replace(/^0+/, '') || '';
+    setScenario(prev => ({ ...prev, allocations: { ...prev.allocations, [fundId]: cleanValue } }));
+  };
+
+  const handleReset = () => {
+    setScenario({
+      deferralRate: String(elections.deferralRate),
+      retirementAge: String(projection.retirementAge),
+      allocations: { ...elections.futureAllocations },
+      reallocateExisting: false
+    });
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-2xl font-medium text-gray-900">Retirement Projection</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          {projection.simulations} simulated markets from today's balances; try a different deferral rate or
+          allocation without changing your account
+        </p>
+      </div>
+
+      <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+        <CardHeader className="px-6">
+          <CardTitle className="text-xl font-medium text-gray-900">Scenario</CardTitle>
+        </CardHeader>
+        <CardContent className="px-6 space-y-6">
+          {!validation.valid && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+              {validation.error}
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Deferral Rate (%)</label>
+              <input
+                type="number"
+                className="mt-1 block w-32 rounded-md border border-gray-300 p-2"
+                value={scenario.deferralRate}
+                onChange={(e) => setScenario(prev => ({ ...prev, deferralRate: e.target.value }))}
+                min="0"
+                max={maxDeferralRate}
+                step="1"
+              />
+              <p className="mt-1 text-xs text-gray-500">Your current election is {elections.deferralRate}%</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Retirement Age</label>
+              <input
+                type="number"
+                className="mt-1 block w-32 rounded-md border border-gray-300 p-2"
+                value={scenario.retirementAge}
+                onChange={(e) => setScenario(prev => ({ ...prev, retirementAge: e.target.value }))}
+                min="1"
+                max="100"
+                step="1"
+              />
+            </div>
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700">Allocation</p>
+            <div className="mt-2 space-y-2">
+              {funds.map(fund => (
+                <div key={fund.id} className="flex items-center justify-between">
+                  <span className="text-sm text-gray-900">{fund.name}</span>
+                  <div>
+                    <input
+                      type="number"
+                      className="w-20 rounded-md border border-gray-300 p-1 text-right text-sm"
+                      value={scenario.allocations[fund.id] ?? ''}
+                      onChange={(e) => updateAllocation(fund.id, e.target.value)}
+                      min="0"
+                      max="100"
+                      step="1"
+                    />
+                    <span className="ml-1 text-sm text-gray-500">%</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <p className={`mt-2 text-sm ${Math.abs(totalAllocation - 100) > 0.01 ? 'text-red-600' : 'text-gray-500'}`}>
+              Total: {totalAllocation}%
+            </p>
+            <label className="mt-2 flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={scenario.reallocateExisting}
+                onChange={(e) => setScenario(prev => ({ ...prev, reallocateExisting: e.target.checked }))}
+              />
+              <span>Apply the allocation to existing balances too</span>
+            </label>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+            >
+              Reset to My Elections
+            </button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {result && (
+        <>
+          <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+            <CardHeader className="px-6">
+              <CardTitle className="text-xl font-medium text-gray-900">At Age {result.retirement.age}</CardTitle>
+            </CardHeader>
+            <CardContent className="px-6 space-y-4">
+              <div className="grid grid-cols-3 gap-6">
+                {[
+                  { percentile: 10, label: 'Poor markets' },
+                  { percentile: 50, label: 'Typical markets' },
+                  { percentile: 90, label: 'Strong markets' }
+                ].map(({ percentile, label }) => (
+                  <div key={percentile}>
+                    <p className="text-sm text-gray-500">{label}</p>
+                    <p className="text-lg font-medium text-gray-900">
+                      {formatCurrency(result.retirement.monthlyIncome[percentile])}/mo
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {formatCurrency(result.retirement.monthlyIncomeToday[percentile])}/mo in today's dollars
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      from a balance of {formatCurrency(result.retirement.percentiles[percentile])}
+                    </p>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                Income assumes withdrawing {projection.withdrawalRate}% of the balance in the first year of retirement.
+                Poor and strong markets are the 10th and 90th percentiles of the simulation.
+              </p>
+            </CardContent>
+          </Card>
+
+          <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+            <CardHeader className="px-6">
+              <CardTitle className="text-xl font-medium text-gray-900">Projected Balance</CardTitle>
+            </CardHeader>
+            <CardContent className="px-6">
+              <table className="w-full">
+                <thead>
+                  <tr>
+                    <th className="py-2 text-left text-sm font-medium text-gray-500 border-b">Age</th>
+                    <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Contributions</th>
+                    <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">10th</th>
+                    <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">Median</th>
+                    <th className="py-2 text-right text-sm font-medium text-gray-500 border-b">90th</th>
+                    <th className="py-2 pl-6 text-left text-sm font-medium text-gray-500 border-b w-1/3">Range</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {result.years.map(row => (
+                    <tr key={row.year}>
+                      <td className="py-2 text-sm text-gray-900">{row.age} <span className="text-gray-500">({row.year})</span></td>
+                      <td className="py-2 text-right text-sm text-gray-600">{formatCurrency(row.contributions)}</td>
+                      <td className="py-2 text-right text-sm text-gray-600">{formatCurrency(row.percentiles[10])}</td>
+                      <td className="py-2 text-right text-sm text-gray-900">{formatCurrency(row.percentiles[50])}</td>
+                      <td className="py-2 text-right text-sm text-gray-600">{formatCurrency(row.percentiles[90])}</td>
+                      <td className="py-2 pl-6">
+                        <div className="relative h-3 bg-gray-100 rounded-full">
+                          <div
+                            className="absolute h-3 bg-indigo-100 rounded-full"
+                            style={{ left: toWidth(row.percentiles[10]), right: `calc(100% - ${toWidth(row.percentiles[90])})` }}
+                          />
+                          <div
+                            className="absolute h-3 bg-indigo-300"
+                            style={{ left: toWidth(row.percentiles[25]), right: `calc(100% - ${toWidth(row.percentiles[75])})` }}
+                          />
+                          <div
+                            className="absolute h-3 w-0.5 bg-indigo-700"
+                            style={{ left: toWidth(row.percentiles[50]) }}
+                          />
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-4 text-xs text-gray-500">
+                Light bands cover the 10th to 90th percentiles and dark bands the 25th to 75th; the line marks the median.
+                Pay rises {projection.salaryGrowth}% a year and contributions stop at the latest IRS limits.
+              </p>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RetirementProjection;
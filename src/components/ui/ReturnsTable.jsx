@@ -0,0 +1,90 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { RETURN_PERIOD_LABELS, calculateReturns, formatPercent } from '../../utils/investmentUtils';
+
+/**
+ * Time- and money-weighted returns per fund and per contribution type
+ */
+const ReturnsTable = ({ period }) => {
+  const { investments } = useInvestments();
+
+  const rows = [
+    ...investments.funds.map(fund => ({
+      key: `fund-${fund.id}`,
+      name: fund.name,
+      detail: fund.type,
+      returns: calculateReturns(investments, { fundId: fund.id }, period)
+    })),
+    ...investments.contributionTypes.map(type => ({
+      key: `type-${type.id}`,
+      name: type.name,
+      detail: 'Contribution type',
+      returns: calculateReturns(investments, { contributionTypeId: type.id }, period)
+    }))
+  ];
+  const accountReturns = calculateReturns(investments, {}, period);
+
+  const returnClassName = (value) => {
+    if (value === null) return 'text-gray-400';
+    return value < 0 ? 'text-red-600' : 'text-green-600';
+  };
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">
+          Returns · {RETURN_PERIOD_LABELS[period]}
+        </CardTitle>
+        {accountReturns.startDate && (
+          <p className="text-sm text-gray-500">
+            {accountReturns.startDate} to {accountReturns.endDate}
+            {accountReturns.annualized && ', annualized'}
+          </p>
+        )}
+      </CardHeader>
+      <CardContent className="px-6">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Investment</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Time-Weighted</th>
+                <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Money-Weighted</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(row => (
+                <tr key={row.key}>
+                  <td className="py-4 px-4">
+                    <div className="flex flex-col">
+                      <span className="text-sm font-medium text-gray-900">{row.name}</span>
+                      <span className="text-xs text-gray-500">{row.detail}</span>
+                    </div>
+                  </td>
+                  <td className={`py-4 px-4 text-right text-sm ${returnClassName(row.returns.twr)}`}>
+                    {formatPercent(row.returns.twr)}
+                  </td>
+                  <td className={`py-4 px-4 text-right text-sm ${returnClassName(row.returns.mwr)}`}>
+                    {formatPercent(row.returns.mwr)}
+                  </td>
+                </tr>
+              ))}
+              <tr className="bg-gray-50/50">
+                <td className="py-4 px-4 font-medium text-sm text-gray-900">Total Account</td>
+                <td className={`py-4 px-4 text-right font-medium text-sm ${returnClassName(accountReturns.twr)}`}>
+                  {formatPercent(accountReturns.twr)}
+                </td>
+                <td className={`py-4 px-4 text-right font-medium text-sm ${returnClassName(accountReturns.mwr)}`}>
+                  {formatPercent(accountReturns.mwr)}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReturnsTable;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { useAuth } from '../../contexts/AuthContext';
+import StepUpVerification from './StepUpVerification';
+import { formatCurrency } from '../../utils/investmentUtils';
+import {
+  DEFAULT_RMD_WITHHOLDING_RATE,
+  RMD_FREQUENCIES,
+  RMD_FREQUENCY_LABELS,
+  getRmdPaymentDates
+} from '../../utils/rmdUtils';
+
+/**
+ * This year's required minimum distribution, what is still due and the payment schedule
+ */
+const RmdSummary = () => {
+  const { investments, rmd, scheduleRmdPayments, cancelRmdSchedule, error } = useInvestments();
+  const { hasRecentStepUp } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [schedule, setSchedule] = useState({ frequency: RMD_FREQUENCIES.ANNUAL, startDate: '' });
+
+  if (!rmd.required) return null;
+
+  const { rmdSchedule } = investments;
+  const nextPayment = rmdSchedule && getRmdPaymentDates(rmdSchedule, rmd.year)
+    .find(date => !rmdSchedule.lastPaymentDate || date > rmdSchedule.lastPaymentDate);
+
+  const saveSchedule = () => {
+    setVerifying(false);
+    if (scheduleRmdPayments(schedule)) {
+      setEditing(false);
+    }
+  };
+
+  // Scheduled payments are distributions, so saving them needs a recent step-up verification
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (hasRecentStepUp()) {
+      saveSchedule();
+    } else {
+      setVerifying(true);
+    }
+  };
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">Required Minimum Distribution</CardTitle>
+      </CardHeader>
+      <CardContent className="px-6 space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+          <div>
+            <p className="text-sm text-gray-500">{rmd.year} RMD</p>
+            <p className="text-lg font-medium text-gray-900">{formatCurrency(rmd.amount, { cents: true })}</p>
+            <p className="text-xs text-gray-500">
+              {formatCurrency(rmd.priorYearEndBalance, { cents: true })} ÷ {rmd.divisor} at age {rmd.age}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Distributed</p>
+            <p className="text-lg font-medium text-gray-900">{formatCurrency(rmd.distributed, { cents: true })}</p>
+            {rmd.pending > 0 && (
+              <p className="text-xs text-gray-500">{formatCurrency(rmd.pending, { cents: true })} pending</p>
+            )}
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Still Due</p>
+            <p className={`text-lg font-medium ${rmd.shortfall > 0 ? 'text-amber-600' : 'text-green-600'}`}>
+              {formatCurrency(rmd.shortfall, { cents: true })}
+            </p>
+            <p className="text-xs text-gray-500">by {rmd.deadline}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Automatic Payments</p>
+            <p className="text-lg font-medium text-gray-900">
+              {rmdSchedule ? RMD_FREQUENCY_LABELS[rmdSchedule.frequency] : 'None'}
+            </p>
+            {nextPayment && <p className="text-xs text-gray-500">Next {nextPayment}</p>}
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Based on the December 31 balance excluding Roth money, which is exempt from RMDs. Scheduled
+          payments sell vested holdings pro rata across your funds with {DEFAULT_RMD_WITHHOLDING_RATE}%
+          federal withholding.
+        </p>
+
+        {verifying ? (
+          <StepUpVerification onVerified={saveSchedule} onCancel={() => setVerifying(false)} />
+        ) : editing ? (
+          <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Frequency</label>
+              <select
+                className="mt-1 block rounded-md border border-gray-300 p-2"
+                value={schedule.frequency}
+                onChange={(e) => setSchedule(prev => ({ ...prev, frequency: e.target.value }))}
+              >
+                {Object.values(RMD_FREQUENCIES).map(frequency => (
+                  <option key={frequency} value={frequency}>{RMD_FREQUENCY_LABELS[frequency]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">First Payment</label>
+              <input
+                type="date"
+                className="mt-1 block rounded-md border border-gray-300 p-2"
+                value={schedule.startDate}
+                onChange={(e) => setSchedule(prev => ({ ...prev, startDate: e.target.value }))}
+                required
+              />
+            </div>
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+            >
+              Save Schedule
+            </button>
+            {error && <p className="w-full text-sm text-red-600">{error}</p>}
+          </form>
+        ) : (
+          <div className="flex space-x-4">
+            <button
+              onClick={() => setEditing(true)}
+              className="text-sm font-medium text-indigo-600 hover:text-indigo-700"
+            >
+              {rmdSchedule ? 'Change schedule' : 'Schedule payments'}
+            </button>
+            {rmdSchedule && (
+              <button
+                onClick={cancelRmdSchedule}
+                className="text-sm font-medium text-gray-600 hover:text-gray-700"
+              >
+                Stop payments
+              </button>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RmdSummary;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { ConfirmActions, FormActions, PreviewMatrix, TradeDateNotice } from './MoveMoneySteps';
+import { formatCurrency, getBalance } from '../../utils/investmentUtils';
+import { getTradeDate } from '../../utils/marketCalendar';
+import { ROUNDING_MODES, percentOfMoney } from '../../utils/money';
+import { getConvertibleTypes, getRothType } from '../../utils/conversionUtils';
+
+const INITIAL_CONVERSION_DATA = { fromFund: '', fromType: '', toFund: '', amount: '' };
+
+/**
+ * Convert vested pre-tax money to the plan's Roth contribution type
+ */
+const RothConversionFlow = ({ onCancel, onComplete, onError }) => {
+  const { investments, availableBalances, vestedPercentages, previewConversion, convertToRoth } = useInvestments();
+  const [conversionData, setConversionData] = useState(INITIAL_CONVERSION_DATA);
+  const [preview, setPreview] = useState(null);
+
+  const rothType = getRothType(investments.contributionTypes);
+
+  // Vested money in a holding that is not committed to pending orders
+  const getConvertibleBalance = (fundId, typeId) => {
+    return percentOfMoney(getBalance(availableBalances, fundId, typeId), vestedPercentages[parseInt(typeId)] ?? 100, ROUNDING_MODES.DOWN);
+  };
+
+  // Preview a Roth conversion and its taxable amount
+  const handlePreview = (e) => {
+    e.preventDefault();
+    onError(null);
+
+    const result = previewConversion(conversionData);
+    if (result.valid) {
+      setPreview(result);
+    } else {
+      onError(result.error);
+    }
+  };
+
+  // Handle Roth conversion confirmation
+  const handleSubmit = () => {
+    if (convertToRoth(conversionData)) {
+      onComplete();
+    }
+  };
+
+  if (preview) {
+    return (
+      <div className="space-y-4">
+        <PreviewMatrix
+          currentBalances={investments.balances}
+          projectedBalances={preview.projectedBalances}
+          contributionTypes={investments.contributionTypes}
+          funds={investments.funds}
+        />
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-800 space-y-1">
+          <p>
+            This conversion adds <span className="font-medium">{formatCurrency(preview.taxableAmount, { cents: true })}</span> to
+            your taxable income for {getTradeDate().slice(0, 4)}.
+          </p>
+          <p className="text-xs">
+            No tax is withheld from an in-plan conversion, and it cannot be undone once it settles.
+          </p>
+        </div>
+        <TradeDateNotice />
+        <ConfirmActions confirmLabel="Confirm Conversion" onBack={() => setPreview(null)} onConfirm={handleSubmit} />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handlePreview} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700">From Fund</label>
+        <select
+          className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+          value={conversionData.fromFund}
+          onChange={(e) => setConversionData(prev => ({
+            ...prev,
+            fromFund: e.target.value,
+            fromType: '',
+            toFund: prev.toFund || e.target.value
+          }))}
+          required
+        >
+          <option value="">Select Fund</option>
+          {investments.funds.map(fund => (
+            <option key={fund.id} value={fund.id}>{fund.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {conversionData.fromFund && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">From Bucket</label>
+          <select
+            className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+            value={conversionData.fromType}
+            onChange={(e) => setConversionData(prev => ({ ...prev, fromType: e.target.value }))}
+            required
+          >
+            <option value="">Select Bucket</option>
+            {getConvertibleTypes(investments.contributionTypes).map(type => (
+              <option key={type.id} value={type.id}>
+                {type.name} ({formatCurrency(getConvertibleBalance(conversionData.fromFund, type.id), { cents: true })} vested)
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">To Fund ({rothType?.name})</label>
+        <select
+          className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+          value={conversionData.toFund}
+          onChange={(e) => setConversionData(prev => ({ ...prev, toFund: e.target.value }))}
+          required
+          disabled={!conversionData.fromFund}
+        >
+          <option value="">Select Fund</option>
+          {investments.funds.map(fund => (
+            <option key={fund.id} value={fund.id} disabled={fund.closed}>
+              {fund.name}{fund.id === parseInt(conversionData.fromFund) ? ' (same fund)' : ''}{fund.closed ? ' (closed)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {conversionData.fromType && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Amount ($)</label>
+          <input
+            type="number"
+            className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+            value={conversionData.amount}
+            onChange={(e) => setConversionData(prev => ({ ...prev, amount: e.target.value }))}
+            required
+            min="0.01"
+            max={getConvertibleBalance(conversionData.fromFund, conversionData.fromType)}
+            step="0.01"
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            Available: {formatCurrency(getConvertibleBalance(conversionData.fromFund, conversionData.fromType), { cents: true })} vested
+          </p>
+        </div>
+      )}
+
+      <FormActions
+        onCancel={onCancel}
+        submitLabel="Preview Conversion"
+        disabled={!conversionData.fromFund || !conversionData.fromType || !conversionData.toFund || !conversionData.amount}
+      />
+    </form>
+  );
+};
+
+export default RothConversionFlow;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { useAuth, STEP_UP_MINUTES } from '../../contexts/AuthContext';
+
+/**
+ * Asks for an authenticator or recovery code before money moves, then runs the confirmed action
+ */
+const StepUpVerification = ({ onVerified, onCancel }) => {
+  const { verifyStepUp, error } = useAuth();
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    if (await verifyStepUp(code)) {
+      onVerified();
+      return;
+    }
+    setCode('');
+    setIsSubmitting(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Verify It's You</h3>
+        <p className="text-sm text-gray-500">
+          Enter the 6-digit code from your authenticator app, or a recovery code, to confirm. You won't be
+          asked again for {STEP_UP_MINUTES} minutes.
+        </p>
+      </div>
+      {error && (
+        <div role="alert" className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+      <input
+        type="text"
+        autoComplete="one-time-code"
+        aria-label="Verification code"
+        className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        autoFocus
+        required
+      />
+      <div className="flex justify-end space-x-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md disabled:bg-gray-300"
+        >
+          {isSubmitting ? 'Verifying...' : 'Verify and Confirm'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default StepUpVerification;
@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './card';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { useAuth } from '../../contexts/AuthContext';
+import StepUpVerification from './StepUpVerification';
+import { formatCurrency } from '../../utils/investmentUtils';
+import {
+  TRANSACTION_TYPES,
+  TRANSACTION_TYPE_LABELS,
+  filterTransactions,
+  findReversal
+} from '../../utils/ledgerUtils';
+import { WITHDRAWAL_REASON_LABELS } from '../../utils/withdrawalUtils';
+
+const emptyFilters = {
+  type: '',
+  fundId: '',
+  contributionTypeId: '',
+  from: '',
+  to: ''
+};
+
+/**
+ * Filterable view of every money movement recorded in the ledger
+ */
+const TransactionHistory = () => {
+  const { investments, canReverse, reverseTransaction, error } = useInvestments();
+  const { hasRecentStepUp } = useAuth();
+  const [filters, setFilters] = useState(emptyFilters);
+  const [verifyingId, setVerifyingId] = useState(null); // transaction awaiting step-up before its reversal
+
+  const transactions = filterTransactions(investments.transactions, filters);
+
+  const getFundName = (fundId) => {
+    return investments.funds.find(f => f.id === fundId)?.name || `Fund ${fundId}`;
+  };
+
+  const getTypeName = (typeId) => {
+    return investments.contributionTypes.find(t => t.id === typeId)?.name || `Type ${typeId}`;
+  };
+
+  const describeTransaction = (txn) => {
+    if (txn.type === TRANSACTION_TYPES.REVERSAL) {
+      const original = investments.transactions.find(t => t.id === txn.reversesId);
+      return original
+        ? `Reverses ${TRANSACTION_TYPE_LABELS[original.type].toLowerCase()} of ${new Date(original.timestamp).toLocaleString('en-US')}`
+        : 'Reverses an earlier transaction';
+    }
+    if (txn.type === TRANSACTION_TYPES.CONTRIBUTION) {
+      return `Paycheck ${txn.payDate}: ${formatCurrency(txn.deferralAmount, { cents: true })} deferred, ${formatCurrency(txn.matchAmount, { cents: true })} match`;
+    }
+    if (txn.type === TRANSACTION_TYPES.TRUE_UP) {
+      return `${txn.planYear} employer match true-up`;
+    }
+    if (txn.type === TRANSACTION_TYPES.LOAN) {
+      return `Disbursed over ${txn.termYears} year${txn.termYears === 1 ? '' : 's'}`;
+    }
+    if (txn.type === TRANSACTION_TYPES.LOAN_REPAYMENT) {
+      return `${formatCurrency(txn.principalAmount, { cents: true })} principal, ${formatCurrency(txn.interestAmount, { cents: true })} interest`;
+    }
+    if (txn.type === TRANSACTION_TYPES.WITHDRAWAL) {
+      return `${WITHDRAWAL_REASON_LABELS[txn.reason]}, ${formatCurrency(txn.tax.withholding, { cents: true })} withheld`;
+    }
+    if (txn.type === TRANSACTION_TYPES.ROTH_CONVERSION) {
+      return `${getFundName(txn.fromFundId)} (${getTypeName(txn.contributionTypeId)}) → ` +
+        `${getFundName(txn.toFundId)} (${getTypeName(txn.toContributionTypeId)}), ${formatCurrency(txn.taxableAmount, { cents: true })} taxable`;
+    }
+    if (txn.fromFundId) {
+      return `${getFundName(txn.fromFundId)} → ${getFundName(txn.toFundId)} (${getTypeName(txn.contributionTypeId)})`;
+    }
+    return `${txn.legs.length} holdings adjusted`;
+  };
+
+  const confirmReverse = () => {
+    const transactionId = verifyingId;
+    setVerifyingId(null);
+    reverseTransaction(transactionId);
+  };
+
+  // Reversing moves money back, so it needs a recent step-up verification
+  const handleReverse = (txn) => {
+    if (!window.confirm('Reverse this transaction and restore the prior holdings?')) return;
+    if (hasRecentStepUp()) {
+      reverseTransaction(txn.id);
+    } else {
+      setVerifyingId(txn.id);
+    }
+  };
+
+  const renderAction = (txn) => {
+    if (findReversal(investments.transactions, txn.id)) {
+      return <span className="text-xs text-gray-500">Reversed</span>;
+    }
+    if (canReverse(txn.id).valid) {
+      return (
+        <button
+          onClick={() => handleReverse(txn)}
+          className="text-sm font-medium text-indigo-600 hover:text-indigo-700"
+        >
+          Reverse
+        </button>
+      );
+    }
+    return null;
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const selectClassName = "mt-1 block w-full rounded-md border border-gray-300 p-2 text-sm";
+
+  return (
+    <Card className="rounded-xl border-0 shadow-sm bg-white/60 backdrop-blur-lg">
+      <CardHeader className="px-6">
+        <CardTitle className="text-xl font-medium text-gray-900">Transaction History</CardTitle>
+      </CardHeader>
+      <CardContent className="px-6 space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-600 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {verifyingId && (
+          <StepUpVerification onVerified={confirmReverse} onCancel={() => setVerifyingId(null)} />
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-500">Type</label>
+            <select
+              className={selectClassName}
+              value={filters.type}
+              onChange={(e) => updateFilter('type', e.target.value)}
+            >
+              <option value="">All Types</option>
+              {Object.entries(TRANSACTION_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500">Fund</label>
+            <select
+              className={selectClassName}
+              value={filters.fundId}
+              onChange={(e) => updateFilter('fundId', e.target.value)}
+            >
+              <option value="">All Funds</option>
+              {investments.funds.map(fund => (
+                <option key={fund.id} value={fund.id}>{fund.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500">Bucket</label>
+            <select
+              className={selectClassName}
+              value={filters.contributionTypeId}
+              onChange={(e) => updateFilter('contributionTypeId', e.target.value)}
+            >
+              <option value="">All Buckets</option>
+              {investments.contributionTypes.map(type => (
+                <option key={type.id} value={type.id}>{type.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500">From</label>
+            <input
+              type="date"
+              className={selectClassName}
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500">To</label>
+            <input
+              type="date"
+              className={selectClassName}
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+            />
+          </div>
+        </div>
+
+        {transactions.length === 0 ? (
+          <p className="py-8 text-center text-sm text-gray-500">
+            No transactions match the selected filters.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr>
+                  <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Date</th>
+                  <th className="py-4 px-4 text-left text-sm font-medium text-gray-500 border-b">Fund / Bucket</th>
+                  <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Units</th>
+                  <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">NAV</th>
+                  <th className="py-4 px-4 text-right text-sm font-medium text-gray-500 border-b">Amount</th>
+                  <th className="py-4 px-4 border-b" />
+                </tr>
+              </thead>
+              {transactions.map(txn => (
+                <tbody key={txn.id} className="divide-y divide-gray-100 border-b">
+                  <tr className="bg-gray-50/50">
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {new Date(txn.timestamp).toLocaleString('en-US')}
+                    </td>
+                    <td className="py-3 px-4 text-sm">
+                      <span className="font-medium text-gray-900">{TRANSACTION_TYPE_LABELS[txn.type]}</span>
+                      <span className="ml-2 text-gray-500">{describeTransaction(txn)}</span>
+                    </td>
+                    <td />
+                    <td />
+                    <td className="py-3 px-4 text-right text-sm font-medium text-gray-900">
+                      {formatCurrency(txn.amount, { cents: true })}
+                    </td>
+                    <td className="py-3 px-4 text-right">
+                      {renderAction(txn)}
+                    </td>
+                  </tr>
+                  {txn.legs.map(leg => (
+                    <tr key={`${leg.fundId}-${leg.contributionTypeId}`}>
+                      <td />
+                      <td className="py-2 px-4 text-sm text-gray-600">
+                        {getFundName(leg.fundId)}
+                        <span className="text-xs text-gray-500 ml-2">{getTypeName(leg.contributionTypeId)}</span>
+                      </td>
+                      <td className="py-2 px-4 text-right text-sm text-gray-600">
+                        {leg.units > 0 ? '+' : ''}{leg.units.toFixed(3)}
+                      </td>
+                      <td className="py-2 px-4 text-right text-sm text-gray-600">
+                        {leg.nav.toFixed(2)}
+                      </td>
+                      <td className={`py-2 px-4 text-right text-sm ${leg.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {formatCurrency(leg.amount, { cents: true })}
+                      </td>
+                      <td />
+                    </tr>
+                  ))}
+                </tbody>
+              ))}
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TransactionHistory;
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { ConfirmActions, FormActions, PreviewMatrix, TradeDateNotice } from './MoveMoneySteps';
+import { formatCurrency, getBalance, validateTransfer } from '../../utils/investmentUtils';
+import { FEE_PROJECTION_RETURN, getExpenseRatio } from '../../utils/feeUtils';
+
+const INITIAL_TRANSFER_DATA = { fromFund: '', fromType: '', toFund: '', amount: '' };
+
+/**
+ * Component to display how a transfer changes fees
+ */
+const TransferFeePreview = ({ fees, fromFund, toFund }) => {
+  if (!fees || !fromFund || !toFund) return null;
+  const costsMore = fees.annualFeeChange > 0;
+  return (
+    <div className="space-y-2">
+      <h3 className="text-lg font-medium text-gray-900">Fee Impact</h3>
+      <p className="text-sm text-gray-600">
+        Expense ratio {getExpenseRatio(fromFund).toFixed(2)}% → {getExpenseRatio(toFund).toFixed(2)}%
+        {fees.annualFeeChange === 0
+          ? ', so annual fees on this money stay the same.'
+          : `, ${formatCurrency(Math.abs(fees.annualFeeChange), { cents: true })} a year ${costsMore ? 'more' : 'less'} in fees.`}
+      </p>
+      {fees.annualFeeChange !== 0 && (
+        <p className={`text-sm ${costsMore ? 'text-amber-600' : 'text-green-600'}`}>
+          Over time this {costsMore ? 'costs' : 'saves'}{' '}
+          {fees.projections.map(row => `${formatCurrency(Math.abs(row.difference))} over ${row.years} years`).join(', ')},
+          assuming {FEE_PROJECTION_RETURN}% a year before fees.
+        </p>
+      )}
+      {fees.redemptionFee > 0 && (
+        <p className="text-sm text-amber-600">
+          {fromFund.name} charges a {fromFund.redemptionFee.percent}% redemption fee on units held under{' '}
+          {fromFund.redemptionFee.holdingDays} days; about {formatCurrency(fees.redemptionFee, { cents: true })} of this
+          transfer may be charged.
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Move money from one fund to another within a contribution type
+ */
+const TransferFlow = ({ onCancel, onComplete, onError }) => {
+  const { investments, availableBalances, previewTransfer, transferFunds } = useInvestments();
+  const [transferData, setTransferData] = useState(INITIAL_TRANSFER_DATA);
+  const [preview, setPreview] = useState(null);
+
+  // Get available balance for a specific fund and type
+  const getAvailableBalance = (fundId, typeId) => {
+    return getBalance(availableBalances, fundId, typeId);
+  };
+
+  // Preview transfer changes
+  const handlePreview = (e) => {
+    e.preventDefault();
+    onError(null);
+
+    // Validate the transfer request
+    const validation = validateTransfer(transferData, availableBalances);
+    if (!validation.valid) {
+      onError(validation.error);
+      return;
+    }
+
+    const result = previewTransfer(transferData);
+    if (result.valid) {
+      setPreview(result);
+    } else {
+      onError(result.error);
+    }
+  };
+
+  // Handle transfer confirmation
+  const handleSubmit = () => {
+    if (transferFunds(transferData)) {
+      onComplete();
+    }
+  };
+
+  if (preview) {
+    return (
+      <div className="space-y-4">
+        <PreviewMatrix
+          currentBalances={investments.balances}
+          projectedBalances={preview.projectedBalances}
+          contributionTypes={investments.contributionTypes}
+          funds={investments.funds}
+        />
+        <TransferFeePreview
+          fees={preview.fees}
+          fromFund={investments.funds.find(fund => fund.id === parseInt(transferData.fromFund))}
+          toFund={investments.funds.find(fund => fund.id === parseInt(transferData.toFund))}
+        />
+        <TradeDateNotice />
+        <ConfirmActions confirmLabel="Confirm Transfer" onBack={() => setPreview(null)} onConfirm={handleSubmit} />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handlePreview} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700">From Fund</label>
+        <select
+          className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+          value={transferData.fromFund}
+          onChange={(e) => setTransferData(prev => ({ ...prev, fromFund: e.target.value, fromType: '' }))}
+          required
+        >
+          <option value="">Select Fund</option>
+          {investments.funds.map(fund => (
+            <option key={fund.id} value={fund.id}>{fund.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {transferData.fromFund && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">From Bucket</label>
+          <select
+            className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+            value={transferData.fromType}
+            onChange={(e) => setTransferData(prev => ({ ...prev, fromType: e.target.value }))}
+            required
+          >
+            <option value="">Select Bucket</option>
+            {investments.contributionTypes.map(type => (
+              <option key={type.id} value={type.id}>
+                {type.name} ({formatCurrency(getAvailableBalance(transferData.fromFund, type.id), { cents: true })})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">To Fund</label>
+        <select
+          className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+          value={transferData.toFund}
+          onChange={(e) => setTransferData(prev => ({ ...prev, toFund: e.target.value }))}
+          required
+          disabled={!transferData.fromFund}
+        >
+          <option value="">Select Fund</option>
+          {investments.funds
+            .filter(fund => fund.id !== parseInt(transferData.fromFund))
+            .map(fund => (
+              <option key={fund.id} value={fund.id} disabled={fund.closed}>
+                {fund.name}{fund.closed ? ' (closed)' : ''}
+              </option>
+            ))
+          }
+        </select>
+      </div>
+
+      {transferData.fromType && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Amount ($)</label>
+          <input
+            type="number"
+            className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+            value={transferData.amount}
+            onChange={(e) => setTransferData(prev => ({ ...prev, amount: e.target.value }))}
+            required
+            min="0.01"
+            max={getAvailableBalance(transferData.fromFund, transferData.fromType)}
+            step="0.01"
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            Available: {formatCurrency(getAvailableBalance(transferData.fromFund, transferData.fromType), { cents: true })}
+          </p>
+        </div>
+      )}
+
+      <FormActions
+        onCancel={onCancel}
+        submitLabel="Preview Transfer"
+        disabled={!transferData.fromFund || !transferData.fromType || !transferData.toFund || !transferData.amount}
+      />
+    </form>
+  );
+};
+
+export default TransferFlow;
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { useAuth } from '../../contexts/AuthContext';
+import StepUpVerification from './StepUpVerification';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { TRANSACTION_TYPES, TRANSACTION_TYPE_LABELS } from '../../utils/ledgerUtils';
+import { ORDER_STATUS } from '../../utils/orderUtils';
+
+// How long the toast stays on screen; Pending Orders keeps offering Cancel until the order settles
+const TOAST_DURATION_MS = 10000;
+
+/**
+ * Toast offering to undo the most recently confirmed money movement
+ */
+const UndoToast = () => {
+  const {
+    investments,
+    lastOrderId,
+    canReverse,
+    undoLastOrder,
+    dismissLastOrder,
+    error
+  } = useInvestments();
+  const { hasRecentStepUp } = useAuth();
+  const [verifying, setVerifying] = useState(false);
+
+  // Hide the toast automatically after a short delay, unless the user is verifying an undo
+  useEffect(() => {
+    if (!lastOrderId || verifying) return undefined;
+    const timer = setTimeout(dismissLastOrder, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [lastOrderId, verifying]);
+
+  // A newer order replaces any verification started for the previous one
+  useEffect(() => {
+    setVerifying(false);
+  }, [lastOrderId]);
+
+  const order = investments.orders.find(o => o.id === lastOrderId);
+  if (!order) return null;
+
+  // A pending order can be cancelled; a settled one only undone if its transaction can be reversed
+  const undoable = order.status === ORDER_STATUS.PENDING ||
+    (order.status === ORDER_STATUS.SETTLED && canReverse(order.transactionId).valid);
+
+  const confirmUndo = () => {
+    setVerifying(false);
+    undoLastOrder();
+  };
+
+  // Undoing a settled order reverses it, which needs a recent step-up verification;
+  // cancelling a pending order does not
+  const handleUndo = () => {
+    if (order.status === ORDER_STATUS.SETTLED && !hasRecentStepUp()) {
+      setVerifying(true);
+    } else {
+      undoLastOrder();
+    }
+  };
+
+  if (verifying) {
+    return (
+      <div className="fixed bottom-6 right-6 z-40 w-96 bg-white rounded-lg shadow-lg p-4">
+        <StepUpVerification onVerified={confirmUndo} onCancel={() => setVerifying(false)} />
+      </div>
+    );
+  }
+
+  const description = order.type === TRANSACTION_TYPES.TRANSFER
+    ? `${TRANSACTION_TYPE_LABELS[order.type]} of ${formatCurrency(order.amount, { cents: true })}`
+    : TRANSACTION_TYPE_LABELS[order.type];
+  const status = {
+    [ORDER_STATUS.SETTLED]: 'settled',
+    [ORDER_STATUS.FAILED]: 'failed'
+  }[order.status] || `placed for trade date ${order.tradeDate}`;
+
+  return (
+    <div className="fixed bottom-6 right-6 z-40 bg-gray-900 text-white rounded-lg shadow-lg px-4 py-3 flex items-center space-x-4">
+      <div className="text-sm">
+        <p>{description} {status}</p>
+        {error && <p className="text-red-300 text-xs mt-1">{error}</p>}
+      </div>
+      {undoable && (
+        <button
+          onClick={handleUndo}
+          className="text-sm font-medium text-indigo-300 hover:text-indigo-200"
+        >
+          Undo
+        </button>
+      )}
+      <button
+        onClick={dismissLastOrder}
+        className="text-gray-400 hover:text-gray-200"
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { useInvestments } from '../../contexts/InvestmentContext';
+import { ConfirmActions, FormActions, PreviewMatrix, TradeDateNotice } from './MoveMoneySteps';
+import { formatCurrency } from '../../utils/investmentUtils';
+import { sumMoney } from '../../utils/money';
+import { TAX_TREATMENTS } from '../../utils/electionUtils';
+import {
+  REQUESTABLE_WITHDRAWAL_REASONS,
+  WITHDRAWAL_REASONS,
+  WITHDRAWAL_REASON_LABELS
+} from '../../utils/withdrawalUtils';
+
+const INITIAL_WITHDRAWAL_DATA = { reason: WITHDRAWAL_REASONS.HARDSHIP, amount: '', separationDate: '' };
+
+const WITHDRAWAL_REASON_DESCRIPTIONS = {
+  [WITHDRAWAL_REASONS.HARDSHIP]: 'Immediate financial need, from your own contributions',
+  [WITHDRAWAL_REASONS.IN_SERVICE]: 'While still employed, from age 59½',
+  [WITHDRAWAL_REASONS.SEPARATION]: 'After leaving the employer'
+};
+
+/**
+ * Component to display the estimated taxes on a withdrawal
+ */
+const WithdrawalTaxPreview = ({ tax, contributionTypes }) => {
+  const typeOf = (id) => contributionTypes.find(type => type.id === id);
+  const includesRoth = tax.byType.some(source => typeOf(source.contributionTypeId)?.taxTreatment === TAX_TREATMENTS.ROTH);
+  return (
+    <div className="mt-4 space-y-2">
+      <h3 className="text-lg font-medium text-gray-900">Estimated Taxes</h3>
+      <table className="w-full text-sm">
+        <tbody className="divide-y divide-gray-100">
+          {tax.byType.map(source => (
+            <tr key={source.contributionTypeId}>
+              <td className="py-2">{typeOf(source.contributionTypeId)?.name}</td>
+              <td className="text-right py-2">{formatCurrency(source.amount, { cents: true })}</td>
+              <td className="text-right py-2 text-gray-500">{formatCurrency(source.taxable, { cents: true })} taxable</td>
+            </tr>
+          ))}
+          <tr>
+            <td className="py-2 font-medium">Gross withdrawal</td>
+            <td className="text-right py-2 font-medium">{formatCurrency(tax.gross, { cents: true })}</td>
+            <td className="text-right py-2 text-gray-500">{formatCurrency(tax.taxable, { cents: true })} taxable</td>
+          </tr>
+          <tr>
+            <td className="py-2">Federal withholding ({tax.withholdingRate}%)</td>
+            <td className="text-right py-2 text-red-600">-{formatCurrency(tax.withholding, { cents: true })}</td>
+            <td></td>
+          </tr>
+          <tr>
+            <td className="py-2 font-medium">Estimated payment</td>
+            <td className="text-right py-2 font-medium">{formatCurrency(tax.net, { cents: true })}</td>
+            <td></td>
+          </tr>
+        </tbody>
+      </table>
+      {!tax.rolloverEligible && (
+        <p className="text-sm text-gray-500">
+          Hardship withdrawals cannot be rolled over, so the mandatory withholding on rollover-eligible
+          distributions does not apply; {tax.withholdingRate}% is withheld by default.
+        </p>
+      )}
+      {tax.early && tax.penalty > 0 && (
+        <p className="text-sm text-amber-600">
+          You are under 59½, so a {tax.penaltyRate}% additional tax of about {formatCurrency(tax.penalty, { cents: true })} may
+          be due when you file. It is not withheld.
+        </p>
+      )}
+      {includesRoth && (
+        <p className="text-sm text-gray-500">
+          {tax.rothQualified
+            ? 'Roth money is a qualified distribution and is tax free.'
+            : `Roth money is not yet qualified; ${formatCurrency(tax.rothBasisRecovered, { cents: true })} is a tax-free return of your contributions and the earnings are taxable.`}
+        </p>
+      )}
+      <p className="text-xs text-gray-500">
+        Estimates only. State taxes are not included and your actual tax may differ.
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Take a hardship, in-service or separation distribution from vested money
+ */
+const WithdrawalFlow = ({ onCancel, onComplete, onError }) => {
+  const { investments, getWithdrawable, previewWithdrawal, requestWithdrawal } = useInvestments();
+  const [withdrawalData, setWithdrawalData] = useState(INITIAL_WITHDRAWAL_DATA);
+  const [preview, setPreview] = useState(null);
+
+  // Vested money available for the selected withdrawal reason
+  const withdrawable = getWithdrawable(withdrawalData.reason);
+  const withdrawableTotal = sumMoney(withdrawable.map(source => source.available));
+
+  // Preview withdrawal liquidation and taxes
+  const handlePreview = (e) => {
+    e.preventDefault();
+    onError(null);
+
+    const result = previewWithdrawal(withdrawalData);
+    if (result.valid) {
+      setPreview(result);
+    } else {
+      onError(result.error);
+    }
+  };
+
+  // Handle withdrawal confirmation
+  const handleSubmit = () => {
+    if (requestWithdrawal(withdrawalData)) {
+      onComplete();
+    }
+  };
+
+  if (preview) {
+    return (
+      <div className="space-y-4">
+        <PreviewMatrix
+          currentBalances={investments.balances}
+          projectedBalances={preview.projectedBalances}
+          contributionTypes={investments.contributionTypes}
+          funds={investments.funds}
+        />
+        <WithdrawalTaxPreview
+          tax={preview.tax}
+          contributionTypes={investments.contributionTypes}
+        />
+        <TradeDateNotice />
+        <ConfirmActions confirmLabel="Confirm Withdrawal" onBack={() => setPreview(null)} onConfirm={handleSubmit} />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handlePreview} className="space-y-4">
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700">Reason</legend>
+        <div className="mt-1 grid grid-cols-3 gap-2">
+          {REQUESTABLE_WITHDRAWAL_REASONS.map(reason => (
+            <label
+              key={reason}
+              className={`p-2 border rounded-lg cursor-pointer text-sm ${
+                withdrawalData.reason === reason ? 'border-indigo-600 bg-indigo-50' : 'hover:bg-gray-50'
+              }`}
+            >
+              <input
+                type="radio"
+                name="withdrawalReason"
+                className="sr-only"
+                value={reason}
+                checked={withdrawalData.reason === reason}
+                onChange={() => setWithdrawalData(prev => ({ ...prev, reason }))}
+              />
+              <span className="block font-medium">{WITHDRAWAL_REASON_LABELS[reason]}</span>
+              <span className="block text-xs text-gray-500">{WITHDRAWAL_REASON_DESCRIPTIONS[reason]}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      {withdrawalData.reason === WITHDRAWAL_REASONS.SEPARATION && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Separation Date</label>
+          <input
+            type="date"
+            className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+            value={withdrawalData.separationDate}
+            onChange={(e) => setWithdrawalData(prev => ({ ...prev, separationDate: e.target.value }))}
+            required
+          />
+        </div>
+      )}
+
+      <div className="p-3 bg-gray-50 rounded-md text-sm text-gray-600 space-y-1">
+        <p>
+          Available: <span className="font-medium text-gray-900">{formatCurrency(withdrawableTotal, { cents: true })}</span> vested
+        </p>
+        <p className="text-xs text-gray-500">
+          Taken in order from{' '}
+          {withdrawable
+            .map(source => investments.contributionTypes.find(type => type.id === source.contributionTypeId).name)
+            .join(', then ')}.
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Gross Amount ($)</label>
+        <input
+          type="number"
+          className="mt-1 block w-full rounded-md border border-gray-300 p-2"
+          value={withdrawalData.amount}
+          onChange={(e) => setWithdrawalData(prev => ({ ...prev, amount: e.target.value }))}
+          required
+          min="0.01"
+          max={withdrawableTotal}
+          step="0.01"
+        />
+      </div>
+
+      <FormActions
+        onCancel={onCancel}
+        submitLabel="Preview Withdrawal"
+        disabled={!withdrawalData.amount || withdrawableTotal <= 0}
+      />
+    </form>
+  );
+};
+
+export default WithdrawalFlow;
@@ -0,0 +1,308 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import investmentData from '../data/investments.json';
+import usersData from '../data/users.json';
+import { useAuth, USER_ROLES } from './AuthContext';
+import { loadFundCatalog, loadInvestments, loadPlan, savePlan, subscribeToPlan } from '../utils/investmentStorage';
+import { getAdministeredPlanIds, getPlanParticipantIds } from '../utils/participantUtils';
+import { settlePendingOrders } from '../utils/orderUtils';
+import { addNavs, addPrices } from '../utils/priceUtils';
+import {
+  calculatePlanReport,
+  getAwaitingTradeDates,
+  getNextId,
+  toFundDefinition,
+  validateContributionType,
+  validateFund,
+  validateFundClosure,
+  validateNavPost
+} from '../utils/adminUtils';
+
+const AdminContext = createContext();
+
+export const ADMIN_REQUIRED_ERROR = 'Only this plan\'s administrators can make that change';
+
+function useAdmin() {
+  const context = useContext(AdminContext);
+  if (!context) {
+    throw new Error('useAdmin must be used within an AdminProvider');
+  }
+  return context;
+}
+
+/**
+ * Load every participant in a plan, with orders settled wherever the plan's NAVs allow
+ * @param {string} planId - Plan ID
+ * @returns {Array} Participants' {userId, name, email, investments}
+ */
+const loadAccounts = (planId) => {
+  return getPlanParticipantIds(investmentData, planId)
+    .map(userId => ({ userId, investments: loadInvestments(userId) }))
+    .filter(({ investments }) => investments)
+    .map(({ userId, investments }) => ({
+      userId,
+      name: investments.participant.name,
+      email: usersData.users.find(user => user.id === userId)?.email || '',
+      investments: settlePendingOrders(investments)
+    }));
+};
+
+/**
+ * Plan administration for a signed-in administrator: the plan's fund lineup,
+ * contribution types and prices, and its participants' accounts to look up
+ * and report on. Renders nothing for anyone else.
+ *
+ * Participants' accounts are only read here; the plan's data is saved for
+ * every participant in it.
+ */
+function AdminProvider({ children }) {
+  const { user } = useAuth();
+  const planIds = user?.role === USER_ROLES.ADMIN ? getAdministeredPlanIds(investmentData, user.id) : [];
+
+  // Plans the user can switch between, read once when the console opens
+  const [plans] = useState(() => planIds.map(id => ({ id, name: loadPlan(id).settings.planName })));
+  const [planId, setPlanId] = useState(planIds[0] || null);
+  const [plan, setPlan] = useState(() => planId && loadPlan(planId));
+  const [accounts, setAccounts] = useState(() => (planId ? loadAccounts(planId) : []));
+
+  // Error state for handling validation errors
+  const [error, setError] = useState(null);
+
+  // Pick up changes saved in another tab
+  useEffect(() => {
+    if (!planId) return undefined;
+    return subscribeToPlan(planId, setPlan);
+  }, [planId]);
+
+  // Participants' holdings are valued and settled against the plan's current data
+  useEffect(() => {
+    if (planId) {
+      setAccounts(loadAccounts(planId));
+    }
+  }, [planId, plan]);
+
+  if (!planId || !plan) {
+    return null;
+  }
+
+  /**
+   * Check the signed-in user still administers the selected plan
+   * @returns {boolean} True when plan changes are allowed
+   */
+  const checkAdmin = () => {
+    if (user?.role === USER_ROLES.ADMIN && planIds.includes(planId)) return true;
+    setError(ADMIN_REQUIRED_ERROR);
+    return false;
+  };
+
+  /**
+   * Save a change to the selected plan's data
+   * @param {Object} changes - Any of settings, funds, contributionTypes and navHistory
+   */
+  const updatePlan = (changes) => {
+    const updated = { ...plan, ...changes };
+    savePlan(planId, updated);
+    setPlan(updated);
+  };
+
+  /**
+   * Switch to another plan the user administers
+   * @param {string} nextPlanId - Plan ID
+   */
+  const selectPlan = (nextPlanId) => {
+    if (!planIds.includes(nextPlanId)) return;
+    setError(null);
+    setPlanId(nextPlanId);
+    setPlan(loadPlan(nextPlanId));
+  };
+
+  /**
+   * Add a fund to the lineup with its first NAV
+   * @param {Object} form - Fund form (see validateFund)
+   * @returns {boolean} Success status
+   */
+  const addFund = (form) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkAdmin()) return false;
+
+    const validation = validateFund(form, plan.funds, plan.settings);
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    // Fund IDs key prices and holdings in every plan, so they are numbered across the whole catalog
+    const id = getNextId(loadFundCatalog());
+    updatePlan({
+      funds: [...plan.funds, { id, ...toFundDefinition(form) }],
+      navHistory: addNavs(plan.navHistory, form.navDate, { [id]: form.nav })
+    });
+    return true;
+  };
+
+  /**
+   * Update a fund's details
+   * @param {number} fundId - Fund ID
+   * @param {Object} form - Fund form (see validateFund)
+   * @returns {boolean} Success status
+   */
+  const updateFund = (fundId, form) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkAdmin()) return false;
+
+    const validation = validateFund(form, plan.funds, plan.settings, fundId);
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    updatePlan({
+      funds: plan.funds.map(fund => (fund.id === fundId ? { id: fundId, ...toFundDefinition(form, fund) } : fund))
+    });
+    return true;
+  };
+
+  /**
+   * Close a fund to new money, or reopen it
+   * @param {number} fundId - Fund ID
+   * @param {boolean} closed - True to close the fund
+   * @returns {boolean} Success status
+   */
+  const setFundClosed = (fundId, closed) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkAdmin()) return false;
+
+    const fund = plan.funds.find(f => f.id === fundId);
+    if (!fund) {
+      setError('Fund not found');
+      return false;
+    }
+    if (closed) {
+      const validation = validateFundClosure(fund, plan.funds, accounts);
+      if (!validation.valid) {
+        setError(validation.error);
+        return false;
+      }
+    }
+
+    updatePlan({ funds: plan.funds.map(f => (f.id === fundId ? { ...f, closed } : f)) });
+    return true;
+  };
+
+  /**
+   * Add a contribution type
+   * @param {Object} form - {name, source, taxTreatment, vestingScheduleId}
+   * @returns {boolean} Success status
+   */
+  const addContributionType = (form) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkAdmin()) return false;
+
+    const validation = validateContributionType(form, plan.contributionTypes, plan.settings);
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    updatePlan({
+      contributionTypes: [...plan.contributionTypes, {
+        id: getNextId(plan.contributionTypes),
+        name: form.name.trim(),
+        source: form.source,
+        taxTreatment: form.taxTreatment,
+        ...(form.vestingScheduleId ? { vestingScheduleId: form.vestingScheduleId } : {})
+      }]
+    });
+    return true;
+  };
+
+  /**
+   * Rename a contribution type; nothing else about it can change once it exists
+   * @param {number} typeId - Contribution type ID
+   * @param {string} name - New name
+   * @returns {boolean} Success status
+   */
+  const renameContributionType = (typeId, name) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkAdmin()) return false;
+
+    const validation = validateContributionType({ name }, plan.contributionTypes, plan.settings, typeId);
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    updatePlan({
+      contributionTypes: plan.contributionTypes.map(type => (type.id === typeId ? { ...type, name: name.trim() } : type))
+    });
+    return true;
+  };
+
+  /**
+   * Post closing NAVs for a trade date; participants' orders waiting on them settle
+   * @param {string} date - Trade date (YYYY-MM-DD)
+   * @param {Object} navsByFund - NAVs keyed by fund ID; blank entries are skipped
+   * @returns {boolean} Success status
+   */
+  const postNavs = (date, navsByFund) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkAdmin()) return false;
+
+    const validation = validateNavPost(date, navsByFund);
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    const navs = Object.fromEntries(Object.entries(navsByFund).filter(([, nav]) => String(nav).trim() !== ''));
+    updatePlan({ navHistory: addNavs(plan.navHistory, date, navs) });
+    return true;
+  };
+
+  /**
+   * Import prices parsed from a daily price file
+   * @param {Array} prices - Records with date, fundId and nav
+   */
+  const importPrices = (prices) => {
+    if (!checkAdmin()) return;
+    updatePlan({ navHistory: addPrices(plan.navHistory, prices) });
+  };
+
+  const value = {
+    plan,
+    planId,
+    plans,
+    selectPlan,
+    error,
+    clearError: () => setError(null),
+    participants: accounts,
+    report: calculatePlanReport(plan, accounts),
+    awaitingTradeDates: getAwaitingTradeDates(accounts),
+    addFund,
+    updateFund,
+    setFundClosed,
+    addContributionType,
+    renameContributionType,
+    postNavs,
+    importPrices
+  };
+
+  return (
+    <AdminContext.Provider value={value}>
+      {children}
+    </AdminContext.Provider>
+  );
+}
+
+export { AdminProvider, useAdmin };
@@ -0,0 +1,326 @@
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { createMockAuthProvider, MFA_CHALLENGE_TYPES } from '../utils/mockAuthProvider';
+import { IDLE_TIMEOUT_MINUTES, getIdleStatus, parseActivityTime } from '../utils/idleUtils';
+
+const AuthContext = createContext();
+const TOKEN_STORAGE_KEY = 'auth_token';
+
+// Last user activity, shared by every open tab
+const ACTIVITY_STORAGE_KEY = 'auth_last_activity';
+
+// Activity renews the session once its token has less than this long left
+const SESSION_REFRESH_MINUTES = 10;
+
+// Set by earlier versions, which trusted a stored boolean instead of a session
+const LEGACY_AUTH_STORAGE_KEY = 'isAuthenticated';
+
+export const USER_ROLES = {
+  PARTICIPANT: 'participant',
+  ADMIN: 'admin'
+};
+
+// How long a step-up verification covers further money movement
+export const STEP_UP_MINUTES = 5;
+
+export const SESSION_EXPIRED_ERROR = 'Your session has expired. Please sign in again.';
+export const SESSION_LIMIT_ERROR = 'You have reached the maximum session length. Please sign in again.';
+export const IDLE_TIMEOUT_ERROR = `You were signed out after ${IDLE_TIMEOUT_MINUTES} minutes of inactivity.`;
+export const STEP_UP_REQUIRED_ERROR = 'Verify your identity before moving money';
+
+const defaultAuthProvider = createMockAuthProvider();
+
+function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
+
+/**
+ * Session state for the app, backed by a pluggable auth provider
+ * (see mockAuthProvider for the methods a provider exposes)
+ *
+ * Signing in takes a password and then a code from an authenticator app. A
+ * first sign-in enrolls the app and shows recovery codes once before the
+ * session starts.
+ *
+ * Tabs share the session: signing in or out in one tab does the same in the
+ * others. Activity renews the session token before it expires, up to the
+ * provider's absolute session limit.
+ */
+function AuthProvider({ provider = defaultAuthProvider, children }) {
+  const [session, setSession] = useState(null);
+
+  // Multi-factor challenge between a correct password and a session
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+
+  // Recovery codes from a new enrollment, and the session they are shown before
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [pendingSession, setPendingSession] = useState(null);
+
+  // Restoring a saved session is asynchronous, so nothing renders until it is checked
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Error state for failed sign-ins, failed codes and expired sessions
+  const [error, setError] = useState(null);
+
+  // Money movement confirmed right after a step-up runs before the next render
+  const stepUpAtRef = useRef(null);
+
+  // Activity handlers are registered once, so they read the session through a ref
+  const sessionRef = useRef(null);
+  const isRefreshingRef = useRef(false);
+
+  /**
+   * Re-issue the session token when activity finds it close to expiring,
+   * so a user who is still working is not signed out mid-task
+   */
+  const renewSession = () => {
+    const current = sessionRef.current;
+    if (!current || isRefreshingRef.current) return;
+    if (current.expiresAt - Date.now() > SESSION_REFRESH_MINUTES * 60000) return;
+    if (current.maxExpiresAt && current.expiresAt >= current.maxExpiresAt) return;
+
+    isRefreshingRef.current = true;
+    provider.refreshSession(current.token).then(refreshed => {
+      isRefreshingRef.current = false;
+      // Skip a renewal that finishes after the user signed out or another tab replaced the session
+      if (!refreshed || sessionRef.current?.token !== current.token) return;
+      localStorage.setItem(TOKEN_STORAGE_KEY, refreshed.token);
+      setSession(refreshed);
+    });
+  };
+
+  /**
+   * Record user activity for the inactivity timeout, renewing the session if it is close to expiring
+   */
+  const recordActivity = () => {
+    localStorage.setItem(ACTIVITY_STORAGE_KEY, String(Date.now()));
+    renewSession();
+  };
+
+  /**
+   * Get the time of the last activity in any tab
+   * @returns {number|null} Time in milliseconds, or null when none is recorded
+   */
+  const getLastActivity = () => parseActivityTime(localStorage.getItem(ACTIVITY_STORAGE_KEY));
+
+  // Restore the saved session, if its token is still valid and it has not been idle too long
+  useEffect(() => {
+    localStorage.removeItem(LEGACY_AUTH_STORAGE_KEY);
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (!token) {
+      setIsLoading(false);
+      return;
+    }
+    const lastActivity = getLastActivity();
+    if (lastActivity === null || getIdleStatus(lastActivity, Date.now()).isExpired) {
+      provider.signOut(token).then(() => {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+        setError(IDLE_TIMEOUT_ERROR);
+        setIsLoading(false);
+      });
+      return;
+    }
+    provider.getSession(token).then(restored => {
+      if (!restored) {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+      }
+      setSession(restored);
+      setIsLoading(false);
+    });
+  }, [provider]);
+
+  // Follow sign-ins and sign-outs made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== TOKEN_STORAGE_KEY) return;
+      if (!event.newValue) {
+        stepUpAtRef.current = null;
+        setSession(null);
+        return;
+      }
+      provider.getSession(event.newValue).then(restored => {
+        if (restored) {
+          setMfaChallenge(null);
+          setSession(restored);
+        }
+      });
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [provider]);
+
+  useEffect(() => {
+    sessionRef.current = session;
+    stepUpAtRef.current = session?.stepUpAt || null;
+  }, [session]);
+
+  const endSession = (message) => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    sessionRef.current = null;
+    stepUpAtRef.current = null;
+    setSession(null);
+    setError(message);
+  };
+
+  const startSession = (started) => {
+    recordActivity();
+    localStorage.setItem(TOKEN_STORAGE_KEY, started.token);
+    setSession(started);
+  };
+
+  // Sign out when the session expires: unrenewed, or at its absolute limit
+  useEffect(() => {
+    if (!session) return undefined;
+    const atLimit = Boolean(session.maxExpiresAt) && session.expiresAt >= session.maxExpiresAt;
+    const timer = setTimeout(
+      () => endSession(atLimit ? SESSION_LIMIT_ERROR : SESSION_EXPIRED_ERROR),
+      Math.max(session.expiresAt - Date.now(), 0)
+    );
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  /**
+   * Check an email and password, starting the multi-factor step
+   * @param {Object} credentials - {email, password}
+   * @returns {Promise<boolean>} Success status
+   */
+  const login = async (credentials) => {
+    // Clear any existing errors
+    setError(null);
+
+    const result = await provider.signIn(credentials);
+    if (!result.success) {
+      setError(result.error);
+      return false;
+    }
+
+    setMfaChallenge(result.challenge);
+    return true;
+  };
+
+  /**
+   * Finish signing in with a code from an authenticator app
+   *
+   * On first sign-in the code enrolls the app, and the session waits until
+   * the recovery codes have been acknowledged.
+   * @param {string} code - Authenticator code, or a recovery code once enrolled
+   * @returns {Promise<boolean>} Success status
+   */
+  const verifyMfa = async (code) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!mfaChallenge) return false;
+    const enrolling = mfaChallenge.type === MFA_CHALLENGE_TYPES.ENROLL;
+    const result = enrolling
+      ? await provider.enrollMfa(mfaChallenge.token, code)
+      : await provider.verifyMfa(mfaChallenge.token, code);
+    if (!result.success) {
+      setError(result.error);
+      return false;
+    }
+
+    setMfaChallenge(null);
+    if (enrolling) {
+      setRecoveryCodes(result.recoveryCodes);
+      setPendingSession(result.session);
+    } else {
+      startSession(result.session);
+    }
+    return true;
+  };
+
+  /**
+   * Start the session once new recovery codes have been saved
+   */
+  const acknowledgeRecoveryCodes = () => {
+    if (pendingSession) {
+      startSession(pendingSession);
+    }
+    setRecoveryCodes(null);
+    setPendingSession(null);
+  };
+
+  /**
+   * Abandon a sign-in at the multi-factor step
+   */
+  const cancelMfa = () => {
+    setMfaChallenge(null);
+    setError(null);
+  };
+
+  /**
+   * Re-verify the signed-in user before money moves
+   * @param {string} code - Authenticator or recovery code
+   * @returns {Promise<boolean>} Success status
+   */
+  const verifyStepUp = async (code) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!session) return false;
+    const result = await provider.verifyStepUp(session.token, code);
+    if (!result.success) {
+      if (result.sessionEnded) {
+        endSession(result.error);
+      } else {
+        setError(result.error);
+      }
+      return false;
+    }
+
+    stepUpAtRef.current = result.stepUpAt;
+    setSession(prev => prev && { ...prev, stepUpAt: result.stepUpAt });
+    return true;
+  };
+
+  /**
+   * Whether the user has re-verified within the last STEP_UP_MINUTES
+   * @returns {boolean} True when money can move without another code
+   */
+  const hasRecentStepUp = () => {
+    return Boolean(stepUpAtRef.current) && Date.now() - stepUpAtRef.current < STEP_UP_MINUTES * 60000;
+  };
+
+  /**
+   * End the session so its token can no longer be used
+   * @param {string} [reason] - Message for the login page, such as IDLE_TIMEOUT_ERROR
+   * @returns {Promise<void>}
+   */
+  const logout = async (reason = null) => {
+    if (session) {
+      await provider.signOut(session.token);
+    }
+    endSession(reason);
+  };
+
+  const value = {
+    user: session?.user || null,
+    session,
+    isAuthenticated: Boolean(session),
+    isLoading,
+    error,
+    mfaChallenge,
+    recoveryCodes,
+    login,
+    verifyMfa,
+    acknowledgeRecoveryCodes,
+    cancelMfa,
+    verifyStepUp,
+    hasRecentStepUp,
+    recordActivity,
+    getLastActivity,
+    logout
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export { AuthProvider, useAuth };
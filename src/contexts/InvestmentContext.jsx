@@ -1,14 +1,67 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import investmentData from '../data/investments.json';
+import { useAuth, STEP_UP_REQUIRED_ERROR } from './AuthContext';
 import { 
   calculateTransferPreview, 
-  calculateReallocationPreview, 
+  calculateReallocation,
   validateTransfer,
-  validateReallocation
+  validateReallocation,
+  validateReversal,
+  validateOpenFunds,
+  getAllocatedFundIds,
+  calculateReversalPreview
 } from '../utils/investmentUtils';
+import {
+  TRANSACTION_TYPES,
+  DEFAULT_REVERSAL_WINDOW_MINUTES,
+  createTransaction,
+  diffBalances,
+  checkReversible,
+  toLocalDate
+} from '../utils/ledgerUtils';
+import {
+  ORDER_STATUS,
+  createOrder,
+  getAvailableBalances,
+  settlePendingOrders,
+  validateNewOrder
+} from '../utils/orderUtils';
+import { TAX_TREATMENTS, toNumericPercentages, validateElections } from '../utils/electionUtils';
+import { PAY_PERIODS_PER_YEAR, getFirstPayDateAfter, postPayroll } from '../utils/payrollUtils';
+import { applyVesting, getVestedBalance, getVestedPercentages } from '../utils/vestingUtils';
+import {
+  calculateAmortizationSchedule,
+  calculateLoanLiquidation,
+  calculateLoanPayment,
+  calculateMaxLoanAmount,
+  getLoanSettings,
+  validateLoanRequest
+} from '../utils/loanUtils';
+import {
+  calculateWithdrawalPreview,
+  calculateWithdrawalSources,
+  estimateWithdrawalTaxes,
+  getWithdrawableByType,
+  validateWithdrawal
+} from '../utils/withdrawalUtils';
+import { getRothType, validateConversion } from '../utils/conversionUtils';
+import { amountToUnits, roundMoney, sumMoney } from '../utils/money';
+import { planRebalanceTransfers, queueScheduledRebalance, validateRebalancePolicy } from '../utils/rebalanceUtils';
+import {
+  calculateAssetExposure,
+  describeFundType,
+  getAllocationAssetMix,
+  getModelPortfolios
+} from '../utils/portfolioUtils';
+import { assessPortfolioRisk, calculateRiskScore, scoreRiskAnswers, validateRiskAnswers } from '../utils/riskUtils';
+import { calculateAnnualFees, estimateRedemptionFee, projectFeeImpact } from '../utils/feeUtils';
+import { calculateRmd, queueScheduledRmdPayments, validateRmdSchedule } from '../utils/rmdUtils';
+import { getTradeDate } from '../utils/marketCalendar';
+import { loadInvestments, resetInvestments, saveInvestments, subscribeToPlan } from '../utils/investmentStorage';
+import { getLatestNavs, toHoldings, valueHoldings } from '../utils/priceUtils';
 
 const InvestmentContext = createContext();
-const STORAGE_KEY = 'investment_data';
+const DEFAULT_MAX_DEFERRAL_RATE = 75;
+const NO_ACCOUNT_ERROR = 'No account was found for this user. Contact your plan administrator.';
 
 // Move useInvestments definition before InvestmentProvider
 function useInvestments() {
@@ -19,28 +72,131 @@ function useInvestments() {
   return context;
 }
 
-function InvestmentProvider({ children }) {
-  // Initialize state from localStorage or fall back to investmentData
-  const [investments, setInvestments] = useState(() => {
-    const savedData = localStorage.getItem(STORAGE_KEY);
-    return savedData ? JSON.parse(savedData) : investmentData;
-  });
+/**
+ * Investment state for one participant, who must have an entry in the seed file
+ *
+ * Plan data comes from the plan's administrators, and changes they save in
+ * another tab apply straight away. A read-only provider, used to show a
+ * participant's account to an administrator, never saves and never settles
+ * or queues orders, so it shows the account exactly as the participant has it.
+ */
+function InvestmentProvider({ userId, readOnly = false, children }) {
+  // Initialize state from the participant's saved data or fall back to their seed.
+  // Holdings are stored as units only; balances are derived from NAV history.
+  const [storedInvestments, setInvestments] = useState(() => loadInvestments(userId));
 
   // Error state for handling validation errors
   const [error, setError] = useState(null);
 
-  // Persist to localStorage whenever investments change
+  // Most recently placed order, offered for undo until dismissed
+  const [lastOrderId, setLastOrderId] = useState(null);
+
+  // Participant-initiated money movement needs a recent step-up verification
+  const { hasRecentStepUp } = useAuth();
+
+  // Persist the participant's account to localStorage whenever it changes
+  useEffect(() => {
+    if (storedInvestments && !readOnly) {
+      saveInvestments(userId, storedInvestments);
+    }
+  }, [storedInvestments]);
+
+  // Pick up fund, contribution type and price changes saved by an administrator
+  useEffect(() => {
+    if (!storedInvestments) return undefined;
+    return subscribeToPlan(storedInvestments.planId, plan => {
+      setInvestments(prev => prev && { ...prev, ...plan });
+    });
+  }, [storedInvestments?.planId]);
+
+  // Settle pending orders as soon as their trade-date NAVs are available.
+  // A read-only view shows the account as saved, so it settles and queues nothing.
+  useEffect(() => {
+    if (readOnly) return;
+    setInvestments(prev => prev && settlePendingOrders(prev));
+  }, [storedInvestments?.orders, storedInvestments?.navHistory]);
+
+  // Queue scheduled RMD payments once they come due
+  useEffect(() => {
+    if (readOnly) return;
+    setInvestments(prev => prev && queueScheduledRmdPayments(prev, toLocalDate(Date.now())));
+  }, [storedInvestments?.rmdSchedule, storedInvestments?.orders]);
+
+  // Rebalance to the saved target allocation when the policy calls for it
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(investments));
-  }, [investments]);
+    if (readOnly) return;
+    setInvestments(prev => prev && queueScheduledRebalance(prev, toLocalDate(Date.now())));
+  }, [storedInvestments?.rebalancing, storedInvestments?.orders, storedInvestments?.navHistory]);
 
-  if (!investments) {
-    console.error('No investment data available');
-    return null;
+  // A user with no account gets no investments, and the error says why
+  if (!storedInvestments) {
+    return (
+      <InvestmentContext.Provider value={{ investments: null, error: NO_ACCOUNT_ERROR }}>
+        {children}
+      </InvestmentContext.Provider>
+    );
   }
 
+  // Holdings valued at the latest NAVs
+  const investments = {
+    ...storedInvestments,
+    balances: valueHoldings(storedInvestments.balances, storedInvestments.navHistory)
+  };
+  const latestNavs = getLatestNavs(investments.navHistory);
+
+  // Balances net of amounts already committed to pending transfers
+  const availableBalances = getAvailableBalances(investments.balances, investments.orders);
+
+  // Vested and unvested split of each holding as of today
+  const today = toLocalDate(Date.now());
+  const vestedPercentages = getVestedPercentages(investments, today);
+  const vestedBalances = applyVesting(investments.balances, vestedPercentages);
+
+  // Largest new loan available today
+  const loanSettings = getLoanSettings(investments.settings);
+  const loanAvailability = calculateMaxLoanAmount(
+    getVestedBalance(vestedBalances),
+    investments.loans,
+    investments.settings,
+    today
+  );
+
+  // This year's required minimum distribution
+  const rmd = calculateRmd(investments, parseInt(today.slice(0, 4)));
+
+  // Asset classes held, looking through target-date funds to today's point on their glide paths
+  const assetExposure = calculateAssetExposure(investments.balances, investments.funds, investments.settings, today);
+  const modelPortfolios = getModelPortfolios(investments.settings, investments.funds);
+
+  // Expense ratio fees on today's holdings
+  const annualFees = calculateAnnualFees(investments.balances, investments.funds);
+
+  // Risk score, exposure by fund type and suitability warnings for today's holdings
+  const riskAssessment = assessPortfolioRisk(investments.balances, investments, today);
+
+  /**
+   * Check the user has re-verified recently before moving money
+   * @returns {boolean} True when money can move
+   */
+  const checkStepUp = () => {
+    if (hasRecentStepUp()) return true;
+    setError(STEP_UP_REQUIRED_ERROR);
+    return false;
+  };
+
+  /**
+   * Queue an order and offer it for undo
+   * @param {Object} order - Pending order
+   */
+  const placeOrder = (order) => {
+    setInvestments(prev => ({ ...prev, orders: [...prev.orders, order] }));
+    setLastOrderId(order.id);
+  };
+
   /**
    * Transfer funds between investment options
+   *
+   * The transfer is queued as a pending order and settles at its trade date's NAV.
    * @param {Object} params - Transfer parameters
    * @returns {boolean} Success status
    */
@@ -48,63 +204,591 @@ function InvestmentProvider({ children }) {
     // Clear any existing errors
     setError(null);
 
-    // Validate the transfer
-    const validation = validateTransfer(params, investments.balances);
+    if (!checkStepUp()) return false;
+
+    // Validate the transfer against pending orders and uncommitted balances
+    let validation = validateNewOrder(TRANSACTION_TYPES.TRANSFER, investments.orders);
+    if (validation.valid) {
+      validation = validateTransfer(params, availableBalances);
+    }
+    if (validation.valid) {
+      validation = validateOpenFunds([params.toFund], investments.funds);
+    }
     if (!validation.valid) {
       setError(validation.error);
       return false;
     }
 
-    // Calculate the new balances
-    const updatedBalances = calculateTransferPreview(params, investments.balances);
+    placeOrder(createOrder(TRANSACTION_TYPES.TRANSFER, {
+      fromFund: parseInt(params.fromFund),
+      fromType: parseInt(params.fromType),
+      toFund: parseInt(params.toFund),
+      amount: roundMoney(params.amount)
+    }));
+    return true;
+  };
 
-    // Update state with the new balances
-    setInvestments(prev => ({ ...prev, balances: updatedBalances }));
+  /**
+   * Get the terms a loan would be issued on
+   * @param {Object} params - Loan parameters {amount, termYears}
+   * @returns {Object} Loan terms {principal, interestRate, termYears, paymentsPerYear, payment}
+   */
+  const getLoanTerms = (params) => {
+    const paymentsPerYear = PAY_PERIODS_PER_YEAR[investments.settings.payroll.frequency];
+    const principal = roundMoney(params.amount);
+    const termYears = parseInt(params.termYears);
+    return {
+      principal,
+      interestRate: loanSettings.interestRate,
+      termYears,
+      paymentsPerYear,
+      payment: calculateLoanPayment(principal, loanSettings.interestRate, termYears, paymentsPerYear)
+    };
+  };
+
+  /**
+   * Request a loan against the vested balance
+   *
+   * The loan is queued as a pending order; holdings are sold at the trade
+   * date's NAVs and the loan starts repaying on the following paycheck.
+   * @param {Object} params - Loan parameters {amount, termYears}
+   * @returns {boolean} Success status
+   */
+  const requestLoan = (params) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkStepUp()) return false;
+
+    let validation = validateNewOrder(TRANSACTION_TYPES.LOAN, investments.orders);
+    if (validation.valid) {
+      validation = validateLoanRequest(params, loanAvailability, investments.loans, investments.settings);
+    }
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    const { principal, interestRate, termYears, paymentsPerYear } = getLoanTerms(params);
+    placeOrder(createOrder(TRANSACTION_TYPES.LOAN, {
+      amount: principal,
+      termYears,
+      interestRate,
+      paymentsPerYear,
+      vestedPercentages
+    }));
     return true;
   };
 
   /**
-   * Reallocate funds across investment options
-   * @param {Object} allocations - Fund allocations as percentages
+   * Get a Roth conversion's parameters with the Roth bucket as its target
+   * @param {Object} params - Conversion parameters {fromFund, fromType, toFund, amount}
+   * @returns {Object} Conversion parameters with toType
+   */
+  const toConversion = (params) => ({
+    fromFund: parseInt(params.fromFund),
+    fromType: parseInt(params.fromType),
+    toFund: parseInt(params.toFund),
+    toType: getRothType(investments.contributionTypes)?.id,
+    amount: roundMoney(params.amount)
+  });
+
+  /**
+   * Convert vested pre-tax money to Roth
+   *
+   * The conversion is queued as a pending order and settles at its trade
+   * date's NAV; the amount converted is taxable income for that year.
+   * @param {Object} params - Conversion parameters {fromFund, fromType, toFund, amount}
    * @returns {boolean} Success status
    */
-  const reallocateFunds = (allocations) => {
+  const convertToRoth = (params) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkStepUp()) return false;
+
+    let validation = validateNewOrder(TRANSACTION_TYPES.ROTH_CONVERSION, investments.orders);
+    if (validation.valid) {
+      validation = validateConversion(params, availableBalances, vestedPercentages, investments.contributionTypes);
+    }
+    if (validation.valid) {
+      validation = validateOpenFunds([params.toFund], investments.funds);
+    }
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    placeOrder(createOrder(TRANSACTION_TYPES.ROTH_CONVERSION, { ...toConversion(params), vestedPercentages }));
+    return true;
+  };
+
+  /**
+   * Work out where a withdrawal would come from and its estimated taxes
+   * @param {Object} params - Withdrawal parameters {reason, amount, separationDate}
+   * @returns {Object} {valid, error, withdrawable, sources, tax}
+   */
+  const getWithdrawalPlan = (params) => {
+    const { contributionTypes, participant, settings } = investments;
+    const withdrawable = getWithdrawableByType(vestedBalances, params.reason, contributionTypes, settings);
+
+    const validation = validateWithdrawal(params, withdrawable, participant, today);
+    if (!validation.valid) {
+      return { ...validation, withdrawable };
+    }
+
+    const sources = calculateWithdrawalSources(roundMoney(params.amount), withdrawable);
+    const rothTypeIds = contributionTypes
+      .filter(type => type.taxTreatment === TAX_TREATMENTS.ROTH)
+      .map(type => type.id);
+    const rothBalance = sumMoney(investments.balances
+      .filter(b => rothTypeIds.includes(b.contributionTypeId))
+      .map(b => b.balance));
+    const tax = estimateWithdrawalTaxes(sources, { params, investments, rothBalance, date: today });
+
+    return { valid: true, error: null, withdrawable, sources, tax };
+  };
+
+  /**
+   * Request a withdrawal of vested money
+   *
+   * The withdrawal is queued as a pending order; holdings are sold at the
+   * trade date's NAVs in the plan's source order.
+   * @param {Object} params - Withdrawal parameters {reason, amount, separationDate}
+   * @returns {boolean} Success status
+   */
+  const requestWithdrawal = (params) => {
     // Clear any existing errors
     setError(null);
 
+    if (!checkStepUp()) return false;
+
+    let validation = validateNewOrder(TRANSACTION_TYPES.WITHDRAWAL, investments.orders);
+    const plan = getWithdrawalPlan(params);
+    if (validation.valid) {
+      validation = plan;
+    }
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    placeOrder(createOrder(TRANSACTION_TYPES.WITHDRAWAL, {
+      reason: params.reason,
+      separationDate: params.separationDate || null,
+      amount: plan.tax.gross,
+      sources: plan.sources,
+      tax: plan.tax,
+      vestedPercentages
+    }));
+    return true;
+  };
+
+  /**
+   * Check a reallocation before it is placed
+   * @param {Object} allocations - Fund allocations as percentages
+   * @returns {Object} {valid, error, allocations} with the percentages as numbers
+   */
+  const checkReallocation = (allocations) => {
     // Convert string percentages to numbers
     const numericAllocations = Object.entries(allocations).reduce((acc, [key, value]) => ({
       ...acc,
       [key]: value === '' ? 0 : Number(value)
     }), {});
 
-    // Validate the reallocation
-    const validation = validateReallocation(numericAllocations);
+    let validation = validateNewOrder(TRANSACTION_TYPES.REALLOCATION, investments.orders);
+    if (validation.valid) {
+      validation = validateReallocation(numericAllocations);
+    }
+    if (validation.valid) {
+      validation = validateOpenFunds(getAllocatedFundIds(numericAllocations), investments.funds);
+    }
+    return { ...validation, allocations: numericAllocations };
+  };
+
+  /**
+   * Reallocate funds across investment options
+   *
+   * The reallocation is queued as a pending order and settles at its trade date's NAVs.
+   * @param {Object} allocations - Fund allocations as percentages
+   * @returns {boolean} Success status
+   */
+  const reallocateFunds = (allocations) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkStepUp()) return false;
+
+    const reallocation = checkReallocation(allocations);
+    if (!reallocation.valid) {
+      setError(reallocation.error);
+      return false;
+    }
+
+    placeOrder(createOrder(TRANSACTION_TYPES.REALLOCATION, { allocations: reallocation.allocations }));
+    return true;
+  };
+
+  // Highest deferral percentage the plan allows
+  const maxDeferralRate = investments.settings?.maxDeferralRate ?? DEFAULT_MAX_DEFERRAL_RATE;
+
+  /**
+   * Check a change to the contribution election
+   * @param {Object} changes - Any of deferralRate, typeSplit and futureAllocations
+   * @returns {Object} {valid, error, elections} with the changes applied
+   */
+  const checkElections = (changes) => {
+    const elections = {
+      ...investments.elections,
+      ...changes,
+      deferralRate: changes.deferralRate === undefined
+        ? investments.elections.deferralRate
+        : (changes.deferralRate === '' ? '' : Number(changes.deferralRate)),
+      typeSplit: toNumericPercentages(changes.typeSplit || investments.elections.typeSplit),
+      futureAllocations: toNumericPercentages(
+        changes.futureAllocations || investments.elections.futureAllocations
+      )
+    };
+
+    let validation = validateElections(elections, investments.contributionTypes, maxDeferralRate);
+    if (validation.valid && changes.futureAllocations) {
+      validation = validateOpenFunds(getAllocatedFundIds(elections.futureAllocations), investments.funds);
+    }
+    return { ...validation, elections };
+  };
+
+  /**
+   * Save a checked contribution election
+   * @param {Object} elections - Contribution election
+   */
+  const saveElections = (elections) => {
+    setInvestments(prev => ({
+      ...prev,
+      elections: { ...elections, updatedAt: new Date().toISOString() }
+    }));
+  };
+
+  /**
+   * Update the contribution election
+   *
+   * Changes apply to future contributions only; existing balances are untouched.
+   * @param {Object} changes - Any of deferralRate, typeSplit and futureAllocations
+   * @returns {boolean} Success status
+   */
+  const updateElections = (changes) => {
+    // Clear any existing errors
+    setError(null);
+
+    const election = checkElections(changes);
+    if (!election.valid) {
+      setError(election.error);
+      return false;
+    }
+
+    saveElections(election.elections);
+    return true;
+  };
+
+  /**
+   * Reallocate existing balances and direct future contributions to the same
+   * percentages. Both changes are checked first, so either both are made or neither is.
+   * @param {Object} allocations - Fund allocations as percentages
+   * @returns {boolean} Success status
+   */
+  const reallocateAndRedirect = (allocations) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkStepUp()) return false;
+
+    const reallocation = checkReallocation(allocations);
+    const election = checkElections({ futureAllocations: allocations });
+    const invalid = [reallocation, election].find(check => !check.valid);
+    if (invalid) {
+      setError(invalid.error);
+      return false;
+    }
+
+    placeOrder(createOrder(TRANSACTION_TYPES.REALLOCATION, { allocations: reallocation.allocations }));
+    saveElections(election.elections);
+    return true;
+  };
+
+  /**
+   * Post simulated payroll contributions
+   *
+   * Each period invests the deferrals and employer match at the pay date's
+   * NAV using the current election.
+   * @param {number} periods - Number of pay periods to post
+   * @returns {boolean} Success status
+   */
+  const runPayroll = (periods) => {
+    // Clear any existing errors
+    setError(null);
+
+    const count = parseInt(periods);
+    if (isNaN(count) || count < 1) {
+      setError('Enter at least one pay period to post');
+      return false;
+    }
+    if (!investments.participant?.annualSalary) {
+      setError('An annual salary is required to run payroll');
+      return false;
+    }
+
+    setInvestments(prev => postPayroll(prev, count));
+    return true;
+  };
+
+  /**
+   * Save a target allocation and the policy for rebalancing to it
+   * @param {Object} policy - {targetAllocation, frequency, driftThreshold}
+   * @returns {boolean} Success status
+   */
+  const saveRebalancePolicy = (policy) => {
+    // Clear any existing errors
+    setError(null);
+
+    let validation = validateRebalancePolicy(policy);
+    if (validation.valid) {
+      validation = validateOpenFunds(getAllocatedFundIds(policy.targetAllocation), investments.funds);
+    }
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    setInvestments(prev => ({
+      ...prev,
+      rebalancing: {
+        targetAllocation: toNumericPercentages(policy.targetAllocation),
+        frequency: policy.frequency,
+        driftThreshold: parseFloat(policy.driftThreshold),
+        startedOn: today,
+        lastRebalancedOn: null
+      }
+    }));
+    return true;
+  };
+
+  /**
+   * Stop automatic rebalancing; transfers already queued are unaffected
+   */
+  const clearRebalancePolicy = () => {
+    setInvestments(prev => ({ ...prev, rebalancing: null }));
+  };
+
+  /**
+   * Plan the transfers that would bring holdings back to the saved target
+   * @returns {Object|null} Result of planRebalanceTransfers, or null without a policy
+   */
+  const getRebalancePlan = () => {
+    if (!investments.rebalancing) return null;
+    return planRebalanceTransfers(
+      availableBalances,
+      investments.rebalancing.targetAllocation,
+      investments.funds,
+      latestNavs
+    );
+  };
+
+  /**
+   * Queue the planned rebalancing transfers now
+   * @returns {boolean} Success status
+   */
+  const rebalanceNow = () => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkStepUp()) return false;
+
+    let validation = validateNewOrder(TRANSACTION_TYPES.TRANSFER, investments.orders);
+    const plan = getRebalancePlan();
+    if (validation.valid) {
+      validation = plan || { valid: false, error: 'Save a target allocation before rebalancing' };
+    }
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+    if (plan.transfers.length === 0) {
+      setError('Holdings are already on target');
+      return false;
+    }
+
+    const orders = plan.transfers.map(transfer =>
+      createOrder(TRANSACTION_TYPES.TRANSFER, { ...transfer, rebalance: true })
+    );
+    setInvestments(prev => ({
+      ...prev,
+      orders: [...prev.orders, ...orders],
+      rebalancing: { ...prev.rebalancing, lastRebalancedOn: today }
+    }));
+    return true;
+  };
+
+  /**
+   * Schedule automatic RMD payments
+   * @param {Object} schedule - {frequency, startDate}
+   * @returns {boolean} Success status
+   */
+  const scheduleRmdPayments = (schedule) => {
+    // Clear any existing errors
+    setError(null);
+
+    if (!checkStepUp()) return false;
+
+    const validation = validateRmdSchedule(schedule, today);
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    setInvestments(prev => ({
+      ...prev,
+      rmdSchedule: { frequency: schedule.frequency, startDate: schedule.startDate, lastPaymentDate: null }
+    }));
+    return true;
+  };
+
+  /**
+   * Stop automatic RMD payments; orders already queued are unaffected
+   */
+  const cancelRmdSchedule = () => {
+    setInvestments(prev => ({ ...prev, rmdSchedule: null }));
+  };
+
+  /**
+   * Cancel an order that has not settled yet
+   * @param {string} orderId - Order ID
+   * @returns {boolean} Success status
+   */
+  const cancelOrder = (orderId) => {
+    // Clear any existing errors
+    setError(null);
+
+    const order = investments.orders.find(o => o.id === orderId);
+    if (!order || order.status !== ORDER_STATUS.PENDING) {
+      setError('Only pending orders can be cancelled');
+      return false;
+    }
+
+    setInvestments(prev => ({
+      ...prev,
+      orders: prev.orders.map(o =>
+        o.id === orderId
+          ? { ...o, status: ORDER_STATUS.CANCELLED, processedAt: new Date().toISOString() }
+          : o
+      )
+    }));
+    if (lastOrderId === orderId) {
+      setLastOrderId(null);
+    }
+    return true;
+  };
+
+  /**
+   * Acknowledge a failed order so it is no longer shown
+   * @param {string} orderId - Order ID
+   */
+  const acknowledgeOrder = (orderId) => {
+    setInvestments(prev => ({
+      ...prev,
+      orders: prev.orders.map(o => (o.id === orderId ? { ...o, acknowledged: true } : o))
+    }));
+  };
+
+  // Grace window during which movements can be reversed
+  const reversalWindowMinutes =
+    investments.settings?.reversalWindowMinutes ?? DEFAULT_REVERSAL_WINDOW_MINUTES;
+
+  /**
+   * Check whether a ledger transaction can still be reversed
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} Validation result {valid: boolean, error: string}
+   */
+  const canReverse = (transactionId) => {
+    const transaction = investments.transactions.find(txn => txn.id === transactionId);
+    return checkReversible(transaction, investments.transactions, reversalWindowMinutes);
+  };
+
+  /**
+   * Reverse a money movement, restoring the prior units of every holding it touched
+   * @param {string} transactionId - Transaction ID
+   * @returns {boolean} Success status
+   */
+  const reverseTransaction = (transactionId) => {
+    // Clear any existing errors
+    setError(null);
+
+    // A reversal moves money, so it is gated like any money movement
+    if (!checkStepUp()) return false;
+
+    const transaction = investments.transactions.find(txn => txn.id === transactionId);
+
+    // Validate the reversal
+    let validation = checkReversible(transaction, investments.transactions, reversalWindowMinutes);
+    if (validation.valid) {
+      validation = validateReversal(transaction, investments.balances);
+    }
     if (!validation.valid) {
       setError(validation.error);
       return false;
     }
 
-    // Calculate the new balances
-    const updatedBalances = calculateReallocationPreview(
-      numericAllocations, 
-      investments.balances, 
-      investments.funds
+    // Calculate the restored balances
+    const updatedBalances = calculateReversalPreview(transaction, investments.balances);
+
+    // Record the reversal in the ledger
+    const reversal = createTransaction(
+      TRANSACTION_TYPES.REVERSAL,
+      diffBalances(investments.balances, updatedBalances),
+      { reversesId: transaction.id }
     );
 
-    // Update state with the new balances
-    setInvestments(prev => ({ ...prev, balances: updatedBalances }));
+    // Update state with the restored balances
+    setInvestments(prev => ({
+      ...prev,
+      balances: toHoldings(updatedBalances),
+      transactions: [...prev.transactions, reversal]
+    }));
     return true;
   };
 
+  /**
+   * Undo the most recently placed order: cancel it while pending, or
+   * reverse its transaction once settled
+   * @returns {boolean} Success status
+   */
+  const undoLastOrder = () => {
+    const order = investments.orders.find(o => o.id === lastOrderId);
+    if (!order) return false;
+
+    const success = order.status === ORDER_STATUS.SETTLED
+      ? reverseTransaction(order.transactionId)
+      : cancelOrder(order.id);
+    if (success) {
+      setLastOrderId(null);
+    }
+    return success;
+  };
+
+  // Stop offering the most recent order for undo
+  const dismissLastOrder = () => {
+    setLastOrderId(null);
+  };
+
   /**
    * Preview fund transfer without committing changes
    * @param {Object} params - Transfer parameters
    * @returns {Object} Preview result with projected balances and validation
    */
   const previewTransfer = (params) => {
-    const validation = validateTransfer(params, investments.balances);
-    
+    let validation = validateTransfer(params, availableBalances);
+    if (validation.valid) {
+      validation = validateOpenFunds([params.toFund], investments.funds);
+    }
+
     if (!validation.valid) {
       return { 
         valid: false, 
@@ -113,11 +797,31 @@ function InvestmentProvider({ children }) {
       };
     }
 
-    const projectedBalances = calculateTransferPreview(params, investments.balances);
+    const projectedBalances = calculateTransferPreview(params, investments.balances, latestNavs);
     return { 
       valid: true, 
       error: null,
-      projectedBalances 
+      projectedBalances,
+      fees: previewTransferFees(params)
+    };
+  };
+
+  /**
+   * Estimate the fees a transfer would change or incur
+   * @param {Object} params - Transfer parameters
+   * @returns {Object} {annualFeeChange, projections, redemptionFee}
+   */
+  const previewTransferFees = ({ fromFund, fromType, toFund, amount }) => {
+    const source = investments.funds.find(fund => fund.id === parseInt(fromFund));
+    const destination = investments.funds.find(fund => fund.id === parseInt(toFund));
+    const holding = investments.balances.find(
+      b => b.fundId === parseInt(fromFund) && b.contributionTypeId === parseInt(fromType)
+    );
+    const units = holding ? amountToUnits(roundMoney(amount), holding.nav) : 0;
+
+    return {
+      ...projectFeeImpact(roundMoney(amount), source, destination),
+      redemptionFee: estimateRedemptionFee(source, holding, units, investments.transactions, getTradeDate()).fee
     };
   };
 
@@ -133,8 +837,11 @@ function InvestmentProvider({ children }) {
       [key]: value === '' ? 0 : Number(value)
     }), {});
 
-    const validation = validateReallocation(numericAllocations);
-    
+    let validation = validateReallocation(numericAllocations);
+    if (validation.valid) {
+      validation = validateOpenFunds(getAllocatedFundIds(numericAllocations), investments.funds);
+    }
+
     if (!validation.valid) {
       return { 
         valid: false, 
@@ -143,24 +850,153 @@ function InvestmentProvider({ children }) {
       };
     }
 
-    const projectedBalances = calculateReallocationPreview(
-      numericAllocations, 
-      investments.balances, 
-      investments.funds
+    const { balances: projectedBalances, residue, residueByType } = calculateReallocation(
+      numericAllocations,
+      investments.balances,
+      investments.funds,
+      latestNavs
     );
-    
-    return { 
-      valid: true, 
+
+    return {
+      valid: true,
+      error: null,
+      projectedBalances,
+      residue,
+      residueByType
+    };
+  };
+
+  /**
+   * Preview a loan's liquidation and amortization schedule
+   * @param {Object} params - Loan parameters {amount, termYears}
+   * @returns {Object} {valid, error, projectedBalances, loan, schedule}
+   */
+  const previewLoan = (params) => {
+    const validation = validateLoanRequest(params, loanAvailability, investments.loans, investments.settings);
+    if (!validation.valid) {
+      return { valid: false, error: validation.error, projectedBalances: null };
+    }
+
+    const loan = getLoanTerms(params);
+    const { payroll } = investments.settings;
+    const firstPaymentDate = getFirstPayDateAfter(investments.transactions, payroll, getTradeDate());
+
+    return {
+      valid: true,
       error: null,
-      projectedBalances 
+      projectedBalances: calculateLoanLiquidation(loan.principal, investments.balances, vestedPercentages),
+      loan,
+      schedule: calculateAmortizationSchedule(loan, firstPaymentDate, payroll.frequency)
     };
   };
 
-  // Reset data to initial state
+  /**
+   * Preview a Roth conversion and the taxable income it creates
+   * @param {Object} params - Conversion parameters {fromFund, fromType, toFund, amount}
+   * @returns {Object} {valid, error, projectedBalances, taxableAmount}
+   */
+  const previewConversion = (params) => {
+    let validation = validateConversion(params, availableBalances, vestedPercentages, investments.contributionTypes);
+    if (validation.valid) {
+      validation = validateOpenFunds([params.toFund], investments.funds);
+    }
+    if (!validation.valid) {
+      return { valid: false, error: validation.error, projectedBalances: null };
+    }
+
+    const conversion = toConversion(params);
+    return {
+      valid: true,
+      error: null,
+      projectedBalances: calculateTransferPreview(conversion, investments.balances, latestNavs),
+      taxableAmount: conversion.amount
+    };
+  };
+
+  /**
+   * Preview a withdrawal's liquidation and tax estimate
+   * @param {Object} params - Withdrawal parameters {reason, amount, separationDate}
+   * @returns {Object} {valid, error, projectedBalances, sources, tax}
+   */
+  const previewWithdrawal = (params) => {
+    const plan = getWithdrawalPlan(params);
+    if (!plan.valid) {
+      return { valid: false, error: plan.error, projectedBalances: null };
+    }
+
+    return {
+      valid: true,
+      error: null,
+      projectedBalances: calculateWithdrawalPreview(plan.sources, investments.balances, vestedPercentages),
+      sources: plan.sources,
+      tax: plan.tax
+    };
+  };
+
+  /**
+   * Get the vested balance available for each withdrawal source
+   * @param {string} reason - One of WITHDRAWAL_REASONS
+   * @returns {Array} [{contributionTypeId, available}] in source order
+   */
+  const getWithdrawable = (reason) => {
+    return getWithdrawableByType(vestedBalances, reason, investments.contributionTypes, investments.settings);
+  };
+
+  /**
+   * Look through an allocation to the asset classes it would hold today
+   * @param {Object} allocations - Percentages keyed by fund ID
+   * @returns {Object} Percentages keyed by asset class
+   */
+  const getAssetMix = (allocations) => {
+    return getAllocationAssetMix(allocations, investments.funds, investments.settings, today);
+  };
+
+  /**
+   * Describe a fund's type, with today's stock/bond mix for target-date funds
+   * @param {Object} fund - Fund definition
+   * @returns {string} Description
+   */
+  const describeFund = (fund) => {
+    return describeFundType(fund, investments.settings, today);
+  };
+
+  /**
+   * Calculate the risk score holdings would have, e.g. after a reallocation
+   * @param {Array} balances - Valued balances
+   * @returns {Object|null} {score, volatility}, or null when nothing is held
+   */
+  const getRiskScore = (balances) => {
+    return calculateRiskScore(balances, riskAssessment.statistics);
+  };
+
+  /**
+   * Save the participant's answers to the risk questionnaire
+   * @param {Object} answers - Option values keyed by question ID
+   * @returns {boolean} Success status
+   */
+  const saveRiskProfile = (answers) => {
+    // Clear any existing errors
+    setError(null);
+
+    const validation = validateRiskAnswers(answers);
+    if (!validation.valid) {
+      setError(validation.error);
+      return false;
+    }
+
+    setInvestments(prev => ({
+      ...prev,
+      riskProfile: { answers, ...scoreRiskAnswers(answers), completedOn: today }
+    }));
+    return true;
+  };
+
+  // Reset the participant's account to the seed; their plan's data is the administrators' to change
   const resetToInitial = () => {
-    setInvestments(investmentData);
+    if (readOnly) return;
+    setInvestments(resetInvestments(userId));
     setError(null);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(investmentData));
+    setLastOrderId(null);
   };
 
   const value = {
@@ -168,8 +1004,46 @@ function InvestmentProvider({ children }) {
     error,
     transferFunds,
     reallocateFunds,
+    reallocateAndRedirect,
     previewTransfer,
     previewReallocation,
+    availableBalances,
+    vestedPercentages,
+    vestedBalances,
+    loanSettings,
+    loanAvailability,
+    requestLoan,
+    previewLoan,
+    convertToRoth,
+    previewConversion,
+    getWithdrawable,
+    requestWithdrawal,
+    previewWithdrawal,
+    cancelOrder,
+    acknowledgeOrder,
+    maxDeferralRate,
+    updateElections,
+    runPayroll,
+    saveRebalancePolicy,
+    clearRebalancePolicy,
+    rebalanceNow,
+    rmd,
+    assetExposure,
+    modelPortfolios,
+    getAssetMix,
+    describeFund,
+    riskAssessment,
+    getRiskScore,
+    annualFees,
+    saveRiskProfile,
+    scheduleRmdPayments,
+    cancelRmdSchedule,
+    lastOrderId,
+    undoLastOrder,
+    dismissLastOrder,
+    reversalWindowMinutes,
+    canReverse,
+    reverseTransaction,
     resetToInitial
   };
 
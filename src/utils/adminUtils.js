@@ -0,0 +1,301 @@
+/**
+ * Plan administration functions
+ *
+ * Plan administrators manage a plan's fund lineup, contribution types and
+ * prices, and report across its participants. Funds are never removed from a
+ * lineup, since holdings and history refer to them; a fund is closed instead,
+ * keeping its holdings while taking no new money:
+ * { id, name, ticker, type, ..., closed: true }
+ *
+ * Contribution types are never removed either, and only their name can
+ * change once balances may be held under them.
+ */
+
+import { CONTRIBUTION_SOURCES, TAX_TREATMENTS } from './electionUtils';
+import { DATE_PATTERN, getLatestNavs } from './priceUtils';
+import { ASSET_CLASSES, TARGET_DATE_FUND_TYPE } from './portfolioUtils';
+import { getOutstandingBalance } from './loanUtils';
+import { getPendingOrders } from './orderUtils';
+import { roundMoney, sumMoney, sumUnits, unitsToAmount } from './money';
+
+export const FUND_TYPES = [ASSET_CLASSES.STOCK, ASSET_CLASSES.BOND, TARGET_DATE_FUND_TYPE];
+
+export const MAX_EXPENSE_RATIO = 3;
+export const MAX_REDEMPTION_FEE_PERCENT = 2;
+
+/**
+ * Get the next ID for a new fund or contribution type
+ * @param {Array} items - Every fund in the catalog, or the plan's contribution types
+ * @returns {number} One more than the highest ID
+ */
+export const getNextId = (items) => {
+  return items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const sameName = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Validate a fund's details
+ * @param {Object} form - {name, ticker, type, targetYear, glidePathId, category, benchmark, expenseRatio,
+ *   redemptionFeePercent, redemptionFeeDays, description}, plus {nav, navDate} for a new fund
+ * @param {Array} funds - The plan's funds
+ * @param {Object} settings - Plan settings with glidePaths
+ * @param {number} [fundId] - ID of the fund being edited; omitted for a new fund
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateFund = (form, funds, settings, fundId) => {
+  const others = funds.filter(fund => fund.id !== fundId);
+
+  if (isBlank(form.name) || isBlank(form.ticker)) {
+    return { valid: false, error: 'Fund name and ticker are required' };
+  }
+  if (others.some(fund => sameName(fund.name, form.name))) {
+    return { valid: false, error: `The plan already offers a fund named ${form.name.trim()}` };
+  }
+  if (others.some(fund => sameName(fund.ticker, form.ticker))) {
+    return { valid: false, error: `The plan already offers a fund with ticker ${form.ticker.trim().toUpperCase()}` };
+  }
+  if (!FUND_TYPES.includes(form.type)) {
+    return { valid: false, error: `Fund type must be one of ${FUND_TYPES.join(', ')}` };
+  }
+
+  if (form.type === TARGET_DATE_FUND_TYPE) {
+    const targetYear = parseInt(form.targetYear);
+    if (isNaN(targetYear) || targetYear < 2000 || targetYear > 2100) {
+      return { valid: false, error: 'Target-date funds need a target year between 2000 and 2100' };
+    }
+    if (!(settings?.glidePaths || []).some(path => path.id === form.glidePathId)) {
+      return { valid: false, error: 'Target-date funds need one of the plan\'s glide paths' };
+    }
+  }
+
+  const expenseRatio = parseFloat(form.expenseRatio);
+  if (isNaN(expenseRatio) || expenseRatio < 0 || expenseRatio > MAX_EXPENSE_RATIO) {
+    return { valid: false, error: `Expense ratio must be between 0% and ${MAX_EXPENSE_RATIO}%` };
+  }
+
+  if (!isBlank(form.redemptionFeePercent)) {
+    const percent = parseFloat(form.redemptionFeePercent);
+    const days = parseInt(form.redemptionFeeDays);
+    if (isNaN(percent) || percent <= 0 || percent > MAX_REDEMPTION_FEE_PERCENT) {
+      return { valid: false, error: `Redemption fee must be between 0% and ${MAX_REDEMPTION_FEE_PERCENT}%` };
+    }
+    if (isNaN(days) || days < 1) {
+      return { valid: false, error: 'A redemption fee needs a holding period of at least one day' };
+    }
+  }
+
+  if (fundId === undefined) {
+    const nav = parseFloat(form.nav);
+    if (!DATE_PATTERN.test(form.navDate || '')) {
+      return { valid: false, error: 'Enter the date of the fund\'s first NAV' };
+    }
+    if (isNaN(nav) || nav <= 0) {
+      return { valid: false, error: 'A new fund needs a first NAV greater than zero' };
+    }
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Build a fund definition from a validated form
+ * @param {Object} form - Fund form, as for validateFund
+ * @param {Object} [fund] - Fund being edited, whose other details are kept
+ * @returns {Object} Fund definition without its ID
+ */
+export const toFundDefinition = (form, fund = {}) => {
+  const isTargetDate = form.type === TARGET_DATE_FUND_TYPE;
+  const { targetYear, glidePathId, ...rest } = fund;
+  return {
+    ...rest,
+    name: form.name.trim(),
+    ticker: form.ticker.trim().toUpperCase(),
+    type: form.type,
+    ...(isTargetDate ? { targetYear: parseInt(form.targetYear), glidePathId: form.glidePathId } : {}),
+    category: (form.category || '').trim(),
+    benchmark: (form.benchmark || '').trim(),
+    expenseRatio: parseFloat(form.expenseRatio),
+    redemptionFee: isBlank(form.redemptionFeePercent)
+      ? null
+      : { percent: parseFloat(form.redemptionFeePercent), holdingDays: parseInt(form.redemptionFeeDays) },
+    description: (form.description || '').trim()
+  };
+};
+
+/**
+ * Get the participants still directing new money to a fund
+ * @param {number} fundId - Fund ID
+ * @param {Array} accounts - Participants' {userId, name, investments}
+ * @returns {Array} Names of participants whose future contributions or rebalancing target use the fund
+ */
+export const getFundCommitments = (fundId, accounts) => {
+  return accounts
+    .filter(({ investments }) =>
+      parseFloat(investments.elections?.futureAllocations?.[fundId]) > 0 ||
+      parseFloat(investments.rebalancing?.targetAllocation?.[fundId]) > 0
+    )
+    .map(({ name }) => name);
+};
+
+/**
+ * Validate closing a fund to new money
+ * @param {Object} fund - Fund to close
+ * @param {Array} funds - The plan's funds
+ * @param {Array} accounts - Participants' {userId, name, investments}
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateFundClosure = (fund, funds, accounts) => {
+  if (!funds.some(other => other.id !== fund.id && !other.closed)) {
+    return { valid: false, error: 'The plan must keep at least one fund open' };
+  }
+  const committed = getFundCommitments(fund.id, accounts);
+  if (committed.length > 0) {
+    return {
+      valid: false,
+      error: `${fund.name} still receives new money for ${committed.join(', ')}. ` +
+        'Their contribution and rebalancing targets must move to other funds first.'
+    };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Validate a contribution type's details
+ * @param {Object} form - {name, source, taxTreatment, vestingScheduleId}
+ * @param {Array} contributionTypes - The plan's contribution types
+ * @param {Object} settings - Plan settings with vestingSchedules
+ * @param {number} [typeId] - ID of the type being renamed; omitted for a new type
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateContributionType = (form, contributionTypes, settings, typeId) => {
+  const others = contributionTypes.filter(type => type.id !== typeId);
+
+  if (isBlank(form.name)) {
+    return { valid: false, error: 'Contribution type name is required' };
+  }
+  if (others.some(type => sameName(type.name, form.name))) {
+    return { valid: false, error: `The plan already has a contribution type named ${form.name.trim()}` };
+  }
+  if (typeId !== undefined) {
+    return { valid: true, error: null };
+  }
+
+  if (!Object.values(CONTRIBUTION_SOURCES).includes(form.source)) {
+    return { valid: false, error: 'Choose whether the employee or the employer contributes' };
+  }
+  if (!Object.values(TAX_TREATMENTS).includes(form.taxTreatment)) {
+    return { valid: false, error: 'Choose a tax treatment' };
+  }
+  if (form.source === CONTRIBUTION_SOURCES.EMPLOYER &&
+    others.some(type => type.source === CONTRIBUTION_SOURCES.EMPLOYER)) {
+    return { valid: false, error: 'The plan already has an employer contribution type' };
+  }
+  if (form.taxTreatment === TAX_TREATMENTS.ROTH && others.some(type => type.taxTreatment === TAX_TREATMENTS.ROTH)) {
+    return { valid: false, error: 'The plan already has a Roth contribution type' };
+  }
+  if (!isBlank(form.vestingScheduleId)) {
+    if (form.source !== CONTRIBUTION_SOURCES.EMPLOYER) {
+      return { valid: false, error: 'Employee contributions are always fully vested' };
+    }
+    if (!(settings?.vestingSchedules || []).some(schedule => schedule.id === form.vestingScheduleId)) {
+      return { valid: false, error: 'Choose one of the plan\'s vesting schedules' };
+    }
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Validate closing NAVs entered for a trade date
+ * @param {string} date - Trade date (YYYY-MM-DD)
+ * @param {Object} navsByFund - NAVs keyed by fund ID; blank entries are skipped
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateNavPost = (date, navsByFund) => {
+  if (!DATE_PATTERN.test(date || '')) {
+    return { valid: false, error: 'Enter the trade date the NAVs are for' };
+  }
+  const entered = Object.values(navsByFund).filter(nav => !isBlank(nav));
+  if (entered.length === 0) {
+    return { valid: false, error: 'Enter at least one NAV' };
+  }
+  if (entered.some(nav => isNaN(parseFloat(nav)) || parseFloat(nav) <= 0)) {
+    return { valid: false, error: 'Each NAV must be greater than zero' };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Get the trade dates that participants' pending orders are waiting on
+ * @param {Array} accounts - Participants' {userId, name, investments}
+ * @returns {Array} Trade dates (YYYY-MM-DD), earliest first
+ */
+export const getAwaitingTradeDates = (accounts) => {
+  const dates = accounts.flatMap(({ investments }) =>
+    getPendingOrders(investments.orders).map(order => order.tradeDate)
+  );
+  return [...new Set(dates)].sort();
+};
+
+/**
+ * Find participants by name, email or user ID
+ * @param {Array} participants - {userId, name, email}
+ * @param {string} query - Text to search for; blank matches everyone
+ * @returns {Array} Matching participants
+ */
+export const searchParticipants = (participants, query) => {
+  const text = (query || '').trim().toLowerCase();
+  if (!text) return participants;
+  return participants.filter(participant =>
+    [participant.name, participant.email, participant.userId]
+      .some(value => (value || '').toLowerCase().includes(text))
+  );
+};
+
+/**
+ * Total a plan's assets by fund and count its participants
+ * @param {Object} plan - {funds, navHistory}
+ * @param {Array} accounts - Participants' {userId, name, investments}
+ * @returns {Object} {funds: [{fundId, name, closed, units, balance, holders, percent}], totalAssets,
+ *   loansOutstanding, participants: {enrolled, withBalance, contributing}}
+ */
+export const calculatePlanReport = (plan, accounts) => {
+  const navs = getLatestNavs(plan.navHistory);
+
+  const funds = plan.funds.map(fund => {
+    const unitsByAccount = accounts
+      .map(({ investments }) => sumUnits(investments.balances
+        .filter(holding => holding.fundId === fund.id)
+        .map(holding => holding.units)))
+      .filter(units => units > 0);
+    const units = sumUnits(unitsByAccount);
+    return {
+      fundId: fund.id,
+      name: fund.name,
+      closed: Boolean(fund.closed),
+      units,
+      balance: unitsToAmount(units, navs[fund.id] || 0),
+      holders: unitsByAccount.length
+    };
+  });
+
+  const totalAssets = sumMoney(funds.map(fund => fund.balance));
+  const holdsUnits = ({ investments }) => investments.balances.some(holding => holding.units > 0);
+
+  return {
+    funds: funds.map(fund => ({
+      ...fund,
+      percent: totalAssets > 0 ? fund.balance / totalAssets * 100 : 0
+    })),
+    totalAssets,
+    loansOutstanding: roundMoney(sumMoney(accounts.map(({ investments }) => getOutstandingBalance(investments.loans)))),
+    participants: {
+      enrolled: accounts.length,
+      withBalance: accounts.filter(holdsUnits).length,
+      contributing: accounts.filter(({ investments }) => parseFloat(investments.elections?.deferralRate) > 0).length
+    }
+  };
+};
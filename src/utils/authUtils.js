@@ -0,0 +1,176 @@
+/**
+ * Authentication utility functions for password hashing and signed session tokens
+ *
+ * Passwords are stored as PBKDF2-SHA256 hashes with a per-user salt:
+ * { algorithm: 'PBKDF2-SHA256', iterations: 210000, salt: '<hex>', hash: '<hex>' }
+ *
+ * Session tokens are a base64url JSON payload and its HMAC-SHA256 signature,
+ * joined by a dot:
+ * <payload>.<signature> where payload is { sid, sub, iat, exp }
+ * A token whose payload was altered fails verification, so a session cannot
+ * be extended or moved to another user without the signing key.
+ *
+ * Recovery codes for multi-factor sign-in are only stored as SHA-256 hashes.
+ */
+
+const PASSWORD_ALGORITHM = 'PBKDF2-SHA256';
+const HASH_BITS = 256;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Convert bytes to a hex string
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string} Hex string
+ */
+export const toHex = (bytes) => {
+  return [...new Uint8Array(bytes)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Bytes
+ */
+export const fromHex = (hex) => {
+  return new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+};
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} base64url string
+ */
+const toBase64Url = (bytes) => {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a base64url string
+ * @param {string} value - base64url string
+ * @returns {Uint8Array} Bytes
+ */
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+};
+
+/**
+ * Generate random bytes as a hex string
+ * @param {number} byteCount - Number of bytes
+ * @returns {string} Hex string
+ */
+export const generateRandomHex = (byteCount) => {
+  return toHex(crypto.getRandomValues(new Uint8Array(byteCount)));
+};
+
+/**
+ * Compare two strings in time that does not depend on where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True when equal
+ */
+export const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+/**
+ * Hash a password with PBKDF2-SHA256
+ * @param {string} password - Password
+ * @param {string} salt - Salt as hex
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<string>} Hash as hex
+ */
+export const hashPassword = async (password, salt, iterations) => {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations },
+    key,
+    HASH_BITS
+  );
+  return toHex(bits);
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Password entered
+ * @param {Object} stored - {algorithm, iterations, salt, hash}
+ * @returns {Promise<boolean>} True when the password matches
+ */
+export const verifyPassword = async (password, stored) => {
+  if (stored?.algorithm !== PASSWORD_ALGORITHM) return false;
+  const hash = await hashPassword(password, stored.salt, stored.iterations);
+  return constantTimeEqual(hash, stored.hash);
+};
+
+/**
+ * Import a hex secret as an HMAC-SHA256 key
+ * @param {string} secret - Secret as hex
+ * @returns {Promise<CryptoKey>} Signing key
+ */
+const importSigningKey = (secret) => {
+  return crypto.subtle.importKey('raw', fromHex(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+};
+
+/**
+ * Sign a token payload
+ * @param {Object} payload - Token payload
+ * @param {string} secret - Signing secret as hex
+ * @returns {Promise<string>} Signed token
+ */
+export const signToken = async (payload, secret) => {
+  const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign('HMAC', await importSigningKey(secret), encoder.encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+};
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Signed token
+ * @param {string} secret - Signing secret as hex
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object|null>} Payload, or null when the token is malformed, altered or expired
+ */
+export const verifyToken = async (token, secret, now) => {
+  const [body, signature, ...rest] = (token || '').split('.');
+  if (!body || !signature || rest.length > 0) return null;
+
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await importSigningKey(secret),
+      fromBase64Url(signature),
+      encoder.encode(body)
+    );
+    if (!valid) return null;
+    const payload = JSON.parse(decoder.decode(fromBase64Url(body)));
+    return payload.exp > now ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Generate single-use recovery codes
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Codes such as "4f1c2-9ab07"
+ */
+export const generateRecoveryCodes = (count) => {
+  return Array.from({ length: count }, () => generateRandomHex(5).replace(/^(.{5})/, '$1-'));
+};
+
+/**
+ * Hash a recovery code for storage, ignoring case, spaces and dashes
+ * @param {string} code - Recovery code
+ * @returns {Promise<string>} SHA-256 hash as hex
+ */
+export const hashRecoveryCode = async (code) => {
+  const normalized = (code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(normalized)));
+};
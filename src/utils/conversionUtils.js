@@ -0,0 +1,100 @@
+/**
+ * In-plan Roth conversion utility functions
+ *
+ * A conversion moves vested pre-tax money (Traditional 401(k) or employer
+ * match) into the Roth 401(k) bucket, in the same fund or a different one.
+ * The converted amount is taxable income for the year it settles and is
+ * recorded on the ledger transaction as taxableAmount and taxYear. No tax is
+ * withheld from an in-plan conversion.
+ */
+
+import { TAX_TREATMENTS } from './electionUtils';
+import { formatCurrency, getBalance } from './investmentUtils';
+import { TRANSACTION_TYPES, getTransactionDate } from './ledgerUtils';
+import { ROUNDING_MODES, percentOfMoney, roundMoney, sumMoney } from './money';
+
+/**
+ * Get the contribution types whose money may be converted
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @returns {Array} Pre-tax contribution types
+ */
+export const getConvertibleTypes = (contributionTypes) => {
+  return contributionTypes.filter(type => type.taxTreatment === TAX_TREATMENTS.PRE_TAX);
+};
+
+/**
+ * Get the contribution type converted money goes into
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @returns {Object|undefined} The employee Roth contribution type
+ */
+export const getRothType = (contributionTypes) => {
+  return contributionTypes.find(type => type.taxTreatment === TAX_TREATMENTS.ROTH);
+};
+
+/**
+ * Validate a Roth conversion
+ * @param {Object} params - Conversion parameters {fromFund, fromType, toFund, amount}
+ * @param {Array} balances - Balances available to convert
+ * @param {Object} vestedPercentages - Vested percentages keyed by contribution type ID
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateConversion = ({ fromFund, fromType, toFund, amount }, balances, vestedPercentages, contributionTypes) => {
+  if (!fromFund || !fromType || !toFund || !amount) {
+    return { valid: false, error: 'All conversion fields are required' };
+  }
+
+  if (!getRothType(contributionTypes)) {
+    return { valid: false, error: 'The plan does not offer a Roth 401(k) to convert into' };
+  }
+
+  const isConvertible = getConvertibleTypes(contributionTypes).some(type => type.id === parseInt(fromType));
+  if (!isConvertible) {
+    return { valid: false, error: 'Only pre-tax money can be converted to Roth' };
+  }
+
+  const conversionAmount = roundMoney(amount);
+  if (isNaN(conversionAmount) || conversionAmount <= 0) {
+    return { valid: false, error: 'Conversion amount must be greater than zero' };
+  }
+
+  const vested = percentOfMoney(
+    getBalance(balances, fromFund, fromType),
+    vestedPercentages[parseInt(fromType)] ?? 100,
+    ROUNDING_MODES.DOWN
+  );
+  if (conversionAmount > vested) {
+    return {
+      valid: false,
+      error: `Only vested money can be converted. Available: ${formatCurrency(vested, { cents: true })}`
+    };
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Total the taxable amount that conversion legs moved out of pre-tax buckets
+ * @param {Array} legs - Ledger legs of a conversion
+ * @returns {number} Taxable amount
+ */
+export const getConversionTaxableAmount = (legs) => {
+  return -sumMoney(legs.filter(leg => leg.amount < 0).map(leg => leg.amount));
+};
+
+/**
+ * Get the Roth conversions to report for a tax year
+ * @param {Array} transactions - Ledger transactions
+ * @param {number} year - Tax year
+ * @returns {Object} {conversions, taxableAmount}
+ */
+export const getTaxableConversions = (transactions, year) => {
+  const conversions = transactions.filter(txn =>
+    txn.type === TRANSACTION_TYPES.ROTH_CONVERSION &&
+    (txn.taxYear ?? parseInt(getTransactionDate(txn).slice(0, 4))) === year
+  );
+  return {
+    conversions,
+    taxableAmount: sumMoney(conversions.map(txn => txn.taxableAmount))
+  };
+};
@@ -0,0 +1,107 @@
+/**
+ * Contribution election utility functions
+ *
+ * An election holds the participant's deferral rate, how deferrals split
+ * between employee contribution types, and how future contributions are
+ * invested across funds:
+ * { deferralRate: 8, typeSplit: { 1: 75, 2: 25 }, futureAllocations: { 1: 60, 3: 40 } }
+ */
+
+import { validateReallocation } from './investmentUtils';
+
+export const CONTRIBUTION_SOURCES = {
+  EMPLOYEE: 'employee',
+  EMPLOYER: 'employer'
+};
+
+export const TAX_TREATMENTS = {
+  PRE_TAX: 'pre-tax',
+  ROTH: 'roth'
+};
+
+/**
+ * Where a reallocation applies
+ */
+export const REALLOCATION_TARGETS = {
+  EXISTING: 'existing',
+  FUTURE: 'future',
+  BOTH: 'both'
+};
+
+/**
+ * Get the contribution types funded by employee deferrals
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @returns {Array} Employee contribution types
+ */
+export const getEmployeeContributionTypes = (contributionTypes) => {
+  return contributionTypes.filter(type => type.source === CONTRIBUTION_SOURCES.EMPLOYEE);
+};
+
+/**
+ * Convert percentage inputs to numbers, treating blanks as zero
+ * @param {Object} percentages - Percentages keyed by ID
+ * @returns {Object} Numeric percentages
+ */
+export const toNumericPercentages = (percentages) => {
+  return Object.entries(percentages).reduce((acc, [key, value]) => ({
+    ...acc,
+    [key]: value === '' ? 0 : Number(value)
+  }), {});
+};
+
+/**
+ * Validate a contribution election
+ * @param {Object} elections - Election to validate
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @param {number} maxDeferralRate - Highest deferral percentage the plan allows
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateElections = (elections, contributionTypes, maxDeferralRate) => {
+  const { deferralRate, typeSplit, futureAllocations } = elections;
+  const rate = parseFloat(deferralRate);
+
+  if (deferralRate === '' || isNaN(rate) || rate < 0 || rate > maxDeferralRate) {
+    return { valid: false, error: `Deferral rate must be between 0% and ${maxDeferralRate}%` };
+  }
+
+  const employeeTypeIds = getEmployeeContributionTypes(contributionTypes).map(type => type.id);
+  for (const [typeId, percentage] of Object.entries(typeSplit)) {
+    if (!employeeTypeIds.includes(parseInt(typeId))) {
+      return { valid: false, error: 'Deferrals can only be split across employee contribution types' };
+    }
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+      return { valid: false, error: 'Each contribution type split must be between 0 and 100%' };
+    }
+  }
+
+  const splitTotal = Object.values(typeSplit).reduce((sum, value) => sum + value, 0);
+  if (Math.abs(splitTotal - 100) > 0.01) {
+    return {
+      valid: false,
+      error: `Contribution type split must equal 100%. Current total: ${splitTotal.toFixed(2)}%`
+    };
+  }
+
+  const allocationValidation = validateReallocation(futureAllocations);
+  if (!allocationValidation.valid) {
+    return {
+      valid: false,
+      error: `Future contributions: ${allocationValidation.error}`
+    };
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Describe how deferrals split across contribution types
+ * @param {Object} elections - Contribution election
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @returns {string} Summary such as "75% Traditional 401(k) · 25% Roth 401(k)"
+ */
+export const describeTypeSplit = (elections, contributionTypes) => {
+  return getEmployeeContributionTypes(contributionTypes)
+    .filter(type => elections.typeSplit[type.id] > 0)
+    .map(type => `${elections.typeSplit[type.id]}% ${type.name}`)
+    .join(' · ');
+};
@@ -0,0 +1,131 @@
+/**
+ * Fee utility functions for expense ratios and redemption fees
+ *
+ * Each fund in the catalog carries its expense ratio as an annual percentage
+ * of assets, and optionally a redemption fee charged on units sold within a
+ * holding period of buying them:
+ * { expenseRatio: 0.79, redemptionFee: { percent: 1, holdingDays: 30 } }
+ *
+ * Fee projections compound a balance at the same return before fees in both
+ * funds, so the difference they show comes from the expense ratios alone.
+ */
+
+import { TRANSACTION_TYPES, getTransactionDate } from './ledgerUtils';
+import { addDays } from './marketCalendar';
+import { percentOfMoney, roundMoney, subtractMoney, subtractUnits, sumMoney, sumUnits, unitsToAmount } from './money';
+
+// Return before fees assumed when projecting what fees cost over time
+export const FEE_PROJECTION_RETURN = 6;
+
+// Years over which a change in fees is projected
+export const FEE_PROJECTION_YEARS = [10, 20, 30];
+
+/**
+ * Get a fund's annual expense ratio
+ * @param {Object} fund - Fund definition
+ * @returns {number} Expense ratio as a percentage; 0 when the catalog has none
+ */
+export const getExpenseRatio = (fund) => {
+  return fund?.expenseRatio || 0;
+};
+
+/**
+ * Calculate the annual fees charged on holdings at today's balances
+ * @param {Array} balances - Valued balances
+ * @param {Array} funds - Fund definitions
+ * @returns {Object} {byFund: [{fundId, balance, expenseRatio, annualFee}], totalFee, weightedExpenseRatio}
+ */
+export const calculateAnnualFees = (balances, funds) => {
+  const byFund = funds
+    .map(fund => {
+      const balance = sumMoney(balances.filter(b => b.fundId === fund.id).map(b => b.balance));
+      const expenseRatio = getExpenseRatio(fund);
+      return { fundId: fund.id, balance, expenseRatio, annualFee: percentOfMoney(balance, expenseRatio) };
+    })
+    .filter(row => row.balance > 0);
+
+  const totalBalance = sumMoney(byFund.map(row => row.balance));
+  const totalFee = sumMoney(byFund.map(row => row.annualFee));
+  return {
+    byFund,
+    totalFee,
+    weightedExpenseRatio: totalBalance > 0
+      ? byFund.reduce((sum, row) => sum + row.expenseRatio * row.balance, 0) / totalBalance
+      : 0
+  };
+};
+
+/**
+ * Grow an amount for a number of years net of an expense ratio
+ * @param {number} amount - Starting amount
+ * @param {number} expenseRatio - Expense ratio as a percentage
+ * @param {number} years - Years
+ * @param {number} [grossReturn] - Annual return before fees as a percentage
+ * @returns {number} Ending amount
+ */
+const growNetOfFees = (amount, expenseRatio, years, grossReturn = FEE_PROJECTION_RETURN) => {
+  return amount * Math.pow(1 + (grossReturn - expenseRatio) / 100, years);
+};
+
+/**
+ * Project what an expense ratio costs an amount compared with a fund without fees
+ * @param {number} amount - Amount invested
+ * @param {number} expenseRatio - Expense ratio as a percentage
+ * @returns {Array} [{years, cost}] for each of FEE_PROJECTION_YEARS
+ */
+export const projectFeeCost = (amount, expenseRatio) => {
+  return FEE_PROJECTION_YEARS.map(years => ({
+    years,
+    cost: roundMoney(growNetOfFees(amount, 0, years) - growNetOfFees(amount, expenseRatio, years))
+  }));
+};
+
+/**
+ * Project the long-term cost of moving an amount between funds with different fees
+ * @param {number} amount - Amount moved
+ * @param {Object} fromFund - Fund the money leaves
+ * @param {Object} toFund - Fund the money goes to
+ * @returns {Object} {annualFeeChange, projections: [{years, difference}]}; a positive change costs more
+ */
+export const projectFeeImpact = (amount, fromFund, toFund) => {
+  const fromCost = projectFeeCost(amount, getExpenseRatio(fromFund));
+  const toCost = projectFeeCost(amount, getExpenseRatio(toFund));
+  return {
+    annualFeeChange: subtractMoney(
+      percentOfMoney(amount, getExpenseRatio(toFund)),
+      percentOfMoney(amount, getExpenseRatio(fromFund))
+    ),
+    projections: toCost.map((row, i) => ({ years: row.years, difference: subtractMoney(row.cost, fromCost[i].cost) }))
+  };
+};
+
+/**
+ * Estimate the redemption fee on units sold from a holding
+ *
+ * Units are sold oldest first, so the fee applies only to the part of the
+ * sale that reaches into units bought within the holding period.
+ * @param {Object} fund - Fund definition
+ * @param {Object} holding - Valued holding with fundId, contributionTypeId, units and nav
+ * @param {number} units - Units sold
+ * @param {Array} transactions - Ledger transactions
+ * @param {string} tradeDate - Date of the sale (YYYY-MM-DD)
+ * @returns {Object} {fee, recentUnits}; fee is 0 for funds without a redemption fee
+ */
+export const estimateRedemptionFee = (fund, holding, units, transactions, tradeDate) => {
+  const { redemptionFee } = fund || {};
+  if (!redemptionFee || !holding) return { fee: 0, recentUnits: 0 };
+
+  const windowStart = addDays(tradeDate, -redemptionFee.holdingDays);
+  const recentUnits = sumUnits(transactions
+    .filter(txn => txn.type !== TRANSACTION_TYPES.REVERSAL && getTransactionDate(txn) > windowStart)
+    .flatMap(txn => txn.legs)
+    .filter(leg => leg.fundId === holding.fundId && leg.contributionTypeId === holding.contributionTypeId && leg.units > 0)
+    .map(leg => leg.units));
+
+  const heldLonger = Math.max(subtractUnits(holding.units, recentUnits), 0);
+  const unitsCharged = Math.max(subtractUnits(units, heldLonger), 0);
+  return {
+    fee: percentOfMoney(unitsToAmount(unitsCharged, holding.nav), redemptionFee.percent),
+    recentUnits
+  };
+};
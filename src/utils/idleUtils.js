@@ -0,0 +1,55 @@
+/**
+ * Inactivity timeout functions
+ *
+ * The time of the user's last activity is shared by every open tab, so each
+ * tab works out the same deadline and warns and signs out at the same moment.
+ */
+
+export const IDLE_TIMEOUT_MINUTES = 15;
+
+// The warning counts down over the last part of the timeout
+export const IDLE_WARNING_SECONDS = 60;
+
+// Activity is recorded at most this often, so moving the mouse does not write storage on every event
+export const ACTIVITY_THROTTLE_SECONDS = 5;
+
+export const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * Work out how long a user has before an inactivity sign-out
+ * @param {number} lastActivityAt - Time of the last activity in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} [options] - {timeoutMinutes, warningSeconds}
+ * @returns {Object} {remainingMs, secondsLeft, isWarning, isExpired}
+ */
+export const getIdleStatus = (lastActivityAt, now, {
+  timeoutMinutes = IDLE_TIMEOUT_MINUTES,
+  warningSeconds = IDLE_WARNING_SECONDS
+} = {}) => {
+  const remainingMs = Math.max(lastActivityAt + timeoutMinutes * 60000 - now, 0);
+  return {
+    remainingMs,
+    secondsLeft: Math.ceil(remainingMs / 1000),
+    isWarning: remainingMs > 0 && remainingMs <= warningSeconds * 1000,
+    isExpired: remainingMs === 0
+  };
+};
+
+/**
+ * Read a stored activity timestamp
+ * @param {string|null} value - Stored value
+ * @returns {number|null} Time in milliseconds, or null when missing or unreadable
+ */
+export const parseActivityTime = (value) => {
+  const time = Number(value);
+  return value && Number.isFinite(time) && time > 0 ? time : null;
+};
+
+/**
+ * Format a countdown as minutes and seconds
+ * @param {number} seconds - Seconds left
+ * @returns {string} Countdown such as "0:45"
+ */
+export const formatCountdown = (seconds) => {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
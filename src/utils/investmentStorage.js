@@ -0,0 +1,156 @@
+/**
+ * Saved plan and participant data
+ *
+ * Each participant's account and each plan's shared data are saved in
+ * localStorage under their own key:
+ * - investment_data:<userId> holds an account
+ * - plan_data:<planId> holds a plan's settings, funds, contribution types and prices
+ * Anything not saved yet comes from the seed file, and data saved by an
+ * earlier version is brought up to the current shape as it loads.
+ *
+ * Participants only save their own account; plan data is saved by plan
+ * administrators.
+ */
+
+import investmentData from '../data/investments.json';
+import { getSeedInvestments, getSeedPlan, splitInvestments } from './participantUtils';
+import { toHoldings } from './priceUtils';
+
+const ACCOUNT_STORAGE_PREFIX = 'investment_data:';
+const PLAN_STORAGE_PREFIX = 'plan_data:';
+
+// Saved by earlier versions, which kept one portfolio for everyone; it was the first demo participant's
+const LEGACY_STORAGE_KEY = 'investment_data';
+const LEGACY_OWNER_ID = 'user-1';
+
+/**
+ * Bring saved plan data up to the current shape
+ * @param {Object} saved - Parsed plan data from localStorage
+ * @param {Object} seed - The plan's seed data
+ * @returns {Object} {settings, funds, contributionTypes, navHistory}
+ */
+const migratePlan = (saved, seed) => {
+  const seedTypes = new Map(seed.contributionTypes.map(type => [type.id, type]));
+  const seedFunds = new Map(seed.funds.map(fund => [fund.id, fund]));
+  const savedFundIds = (saved.funds || []).map(fund => fund.id);
+  return {
+    settings: { ...seed.settings, ...saved.settings },
+    // Funds once had no catalog details; funds added to the plan since come with their price history
+    funds: [
+      ...(saved.funds || []).map(fund => ({ ...seedFunds.get(fund.id), ...fund })),
+      ...seed.funds.filter(fund => !savedFundIds.includes(fund.id))
+    ],
+    navHistory: { ...seed.navHistory, ...saved.navHistory },
+    // Contribution types once had no source or tax treatment
+    contributionTypes: (saved.contributionTypes || seed.contributionTypes).map(type => ({ ...seedTypes.get(type.id), ...type }))
+  };
+};
+
+/**
+ * Bring saved account and plan data up to the current shape
+ * @param {Object} saved - Parsed account and plan data from localStorage
+ * @param {Object} seed - The participant's seed investment state
+ * @returns {Object} Investment state
+ */
+const migrateInvestments = (saved, seed) => ({
+  ...seed,
+  ...saved,
+  ...migratePlan(saved, seed),
+  // Holdings once carried their own nav and balance
+  balances: toHoldings(saved.balances || seed.balances)
+});
+
+/**
+ * Load a plan's data
+ * @param {string} planId - Plan ID
+ * @returns {Object|null} {settings, funds, contributionTypes, navHistory}, or null for an unknown plan
+ */
+export const loadPlan = (planId) => {
+  const seed = getSeedPlan(investmentData, planId);
+  if (!seed) return null;
+  const savedPlan = localStorage.getItem(`${PLAN_STORAGE_PREFIX}${planId}`);
+  return savedPlan ? migratePlan(JSON.parse(savedPlan), seed) : seed;
+};
+
+/**
+ * Save a plan's data
+ * @param {string} planId - Plan ID
+ * @param {Object} plan - {settings, funds, contributionTypes, navHistory}
+ */
+export const savePlan = (planId, plan) => {
+  localStorage.setItem(`${PLAN_STORAGE_PREFIX}${planId}`, JSON.stringify(plan));
+};
+
+/**
+ * Load every fund in the shared catalog: the seed's funds and those any plan's administrators have added
+ * @returns {Array} Fund definitions, one per fund ID
+ */
+export const loadFundCatalog = () => {
+  const planFunds = investmentData.plans.flatMap(plan => loadPlan(plan.id).funds);
+  return [...new Map([...investmentData.funds, ...planFunds].map(fund => [fund.id, fund])).values()];
+};
+
+/**
+ * Load a participant's investment state, combining their saved account with their plan's saved data
+ * @param {string} userId - User ID
+ * @returns {Object|null} Investment state, or null when the user is not a participant
+ */
+export const loadInvestments = (userId) => {
+  const seed = getSeedInvestments(investmentData, userId);
+  if (!seed) return null;
+
+  const legacyPortfolio = userId === LEGACY_OWNER_ID ? localStorage.getItem(LEGACY_STORAGE_KEY) : null;
+  const savedAccount = localStorage.getItem(`${ACCOUNT_STORAGE_PREFIX}${userId}`) ?? legacyPortfolio;
+  const savedPlan = localStorage.getItem(`${PLAN_STORAGE_PREFIX}${seed.planId}`);
+  if (!savedAccount && !savedPlan) return seed;
+
+  const investments = migrateInvestments({ ...JSON.parse(savedAccount || '{}'), ...JSON.parse(savedPlan || '{}') }, seed);
+
+  // A legacy portfolio also held its plan's data, which now belongs under the plan's own key
+  if (legacyPortfolio && !savedPlan) {
+    savePlan(seed.planId, splitInvestments(investments).plan);
+  }
+  return investments;
+};
+
+/**
+ * Save a participant's account; their plan's data is left as it is
+ * @param {string} userId - User ID
+ * @param {Object} investments - Investment state
+ */
+export const saveInvestments = (userId, investments) => {
+  const { account } = splitInvestments(investments);
+  localStorage.setItem(`${ACCOUNT_STORAGE_PREFIX}${userId}`, JSON.stringify(account));
+  if (userId === LEGACY_OWNER_ID) {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }
+};
+
+/**
+ * Reset a participant's account to the seed, keeping their plan's current data
+ * @param {string} userId - User ID
+ * @returns {Object|null} Investment state, or null when the user is not a participant
+ */
+export const resetInvestments = (userId) => {
+  localStorage.removeItem(`${ACCOUNT_STORAGE_PREFIX}${userId}`);
+  if (userId === LEGACY_OWNER_ID) {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }
+  return loadInvestments(userId);
+};
+
+/**
+ * Call back whenever a plan's data is saved in another tab
+ * @param {string} planId - Plan ID
+ * @param {Function} onChange - Called with the plan's data
+ * @returns {Function} Stops listening
+ */
+export const subscribeToPlan = (planId, onChange) => {
+  const handleStorage = (event) => {
+    if (event.key === `${PLAN_STORAGE_PREFIX}${planId}`) {
+      onChange(loadPlan(planId));
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
@@ -2,17 +2,34 @@
  * Investment utility functions for calculations and validations
  */
 
+import { getTransactionDate } from './ledgerUtils';
+import {
+  MONEY_DECIMALS,
+  allocateMoney,
+  amountToUnits,
+  roundMoney,
+  subtractMoney,
+  subtractUnits,
+  sumMoney,
+  sumUnits,
+  unitsToAmount
+} from './money';
+import { getLatestNavs, getLatestPriceDate } from './priceUtils';
+
 /**
  * Format a number as currency
  * @param {number} amount - The amount to format
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.cents] - Show cents rather than whole dollars
  * @returns {string} Formatted currency string
  */
-export const formatCurrency = (amount) => {
+export const formatCurrency = (amount, { cents = false } = {}) => {
+  const fractionDigits = cents ? MONEY_DECIMALS : 0;
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
     currency: 'USD',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0,
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits,
   }).format(amount);
 };
 
@@ -37,9 +54,9 @@ export const getBalance = (balances, fundId, typeId) => {
  * @returns {number} Total balance for the fund
  */
 export const getFundTotal = (balances, fundId) => {
-  return balances
+  return sumMoney(balances
     .filter(b => b.fundId === parseInt(fundId))
-    .reduce((sum, b) => sum + b.balance, 0);
+    .map(b => b.balance));
 };
 
 /**
@@ -49,33 +66,45 @@ export const getFundTotal = (balances, fundId) => {
  * @returns {number} Total balance for the contribution type
  */
 export const getTypeTotal = (balances, typeId) => {
-  return balances
+  return sumMoney(balances
     .filter(b => b.contributionTypeId === parseInt(typeId))
-    .reduce((sum, b) => sum + b.balance, 0);
+    .map(b => b.balance));
 };
 
 /**
  * Calculate the units to transfer based on amount and NAV
  * @param {number} amount - Dollar amount to transfer
  * @param {number} nav - Net asset value (price per unit)
- * @returns {number} Units to transfer
+ * @returns {number} Units to transfer, rounded to the stored unit precision
  */
 export const calculateUnitsFromAmount = (amount, nav) => {
-  return amount / nav;
+  return amountToUnits(amount, nav);
 };
 
 /**
  * Calculate the balance from units and NAV
  * @param {number} units - Number of units
  * @param {number} nav - Net asset value (price per unit)
- * @returns {number} Balance amount
+ * @returns {number} Balance amount in whole cents
  */
 export const calculateBalance = (units, nav) => {
-  return units * nav;
+  return unitsToAmount(units, nav);
+};
+
+/**
+ * Round a dollar amount to whole cents
+ * @param {number} amount - Dollar amount
+ * @returns {number} Amount rounded to cents
+ */
+export const roundToCents = (amount) => {
+  return roundMoney(amount);
 };
 
 /**
  * Validate a fund transfer
+ *
+ * The full balance may be moved, including unvested money; vesting follows the
+ * contribution type, not the fund.
  * @param {Object} params - Transfer parameters
  * @param {string|number} params.fromFund - Source fund ID
  * @param {string|number} params.fromType - Source contribution type ID
@@ -90,8 +119,8 @@ export const validateTransfer = ({ fromFund, fromType, toFund, amount }, balance
     return { valid: false, error: 'All transfer fields are required' };
   }
 
-  // Convert amount to number
-  const transferAmount = parseFloat(amount);
+  // Convert amount to whole cents
+  const transferAmount = roundMoney(amount);
 
   // Check if amount is a valid number
   if (isNaN(transferAmount) || transferAmount <= 0) {
@@ -106,7 +135,10 @@ export const validateTransfer = ({ fromFund, fromType, toFund, amount }, balance
   // Check if user has sufficient balance
   const availableBalance = getBalance(balances, fromFund, fromType);
   if (transferAmount > availableBalance) {
-    return { valid: false, error: `Insufficient balance. Available: ${formatCurrency(availableBalance)}` };
+    return {
+      valid: false,
+      error: `Insufficient balance. Available: ${formatCurrency(availableBalance, { cents: true })}`
+    };
   }
 
   return { valid: true, error: null };
@@ -118,14 +150,16 @@ export const validateTransfer = ({ fromFund, fromType, toFund, amount }, balance
  * @param {string|number} params.fromFund - Source fund ID
  * @param {string|number} params.fromType - Source contribution type ID
  * @param {string|number} params.toFund - Target fund ID
+ * @param {string|number} [params.toType] - Target contribution type ID, when the money changes bucket
  * @param {string|number} params.amount - Amount to transfer
  * @param {Array} balances - Current balances
+ * @param {Object} [navsByFund] - Current NAVs keyed by fund ID, used when the target fund has no holdings
  * @returns {Array} Updated balances reflecting the transfer
  */
-export const calculateTransferPreview = ({ fromFund, fromType, toFund, amount }, balances) => {
+export const calculateTransferPreview = ({ fromFund, fromType, toFund, toType, amount }, balances, navsByFund = {}) => {
   const updatedBalances = JSON.parse(JSON.stringify(balances)); // Deep copy
-  const transferAmount = parseFloat(amount);
-  
+  const transferAmount = roundMoney(amount);
+
   // Find source balance
   const sourceBalance = updatedBalances.find(
     b => b.fundId === parseInt(fromFund) && b.contributionTypeId === parseInt(fromType)
@@ -136,26 +170,27 @@ export const calculateTransferPreview = ({ fromFund, fromType, toFund, amount },
   const sourceNav = sourceBalance.nav;
   
   // Find or determine target NAV
-  const targetNav = updatedBalances.find(
-    b => b.fundId === parseInt(toFund) && b.contributionTypeId === parseInt(fromType)
+  const targetNav = navsByFund[parseInt(toFund)] || updatedBalances.find(
+    b => b.fundId === parseInt(toFund)
   )?.nav || sourceNav;
 
   // Calculate units to transfer
   const unitsToTransfer = calculateUnitsFromAmount(transferAmount, sourceNav);
 
   // Update source fund
-  sourceBalance.units -= unitsToTransfer;
+  sourceBalance.units = subtractUnits(sourceBalance.units, unitsToTransfer);
   sourceBalance.balance = calculateBalance(sourceBalance.units, sourceBalance.nav);
 
-  // Find or create target balance entry
+  // Find or create target balance entry; money stays in its bucket unless a target type is given
+  const targetType = parseInt(toType ?? fromType);
   let targetBalance = updatedBalances.find(
-    b => b.fundId === parseInt(toFund) && b.contributionTypeId === parseInt(fromType)
+    b => b.fundId === parseInt(toFund) && b.contributionTypeId === targetType
   );
 
   if (!targetBalance) {
     targetBalance = {
       fundId: parseInt(toFund),
-      contributionTypeId: parseInt(fromType),
+      contributionTypeId: targetType,
       units: 0,
       nav: targetNav,
       balance: 0
@@ -164,44 +199,106 @@ export const calculateTransferPreview = ({ fromFund, fromType, toFund, amount },
   }
 
   // Update target fund
-  targetBalance.units += calculateUnitsFromAmount(transferAmount, targetBalance.nav);
+  targetBalance.units = sumUnits([targetBalance.units, calculateUnitsFromAmount(transferAmount, targetBalance.nav)]);
   targetBalance.balance = calculateBalance(targetBalance.units, targetBalance.nav);
 
   return updatedBalances;
 };
 
 /**
- * Calculate preview balances for a fund reallocation
+ * Reallocate holdings across funds, keeping each contribution type's total
+ *
+ * Every contribution type is spread across the funds by the allocation
+ * percentages, so Roth dollars stay Roth and employer money stays employer
+ * money. Funds with no holdings today get new rows priced at navsByFund.
+ * Each type's total is split into whole-cent targets that add up to it
+ * exactly. Converting a target to units at the stored unit precision can
+ * leave its value a fraction of a cent off; that difference is reported as
+ * residue.
  * @param {Object} allocations - Fund allocations as percentages
  * @param {Array} balances - Current balances
  * @param {Array} funds - Fund definitions
- * @returns {Array} Updated balances reflecting the reallocation
+ * @param {Object} [navsByFund] - NAVs keyed by fund ID, used for funds with no holdings
+ * @returns {Object} {balances, residueByType, residue}
  */
-export const calculateReallocationPreview = (allocations, balances, funds) => {
+export const calculateReallocation = (allocations, balances, funds, navsByFund = {}) => {
   const updatedBalances = JSON.parse(JSON.stringify(balances)); // Deep copy
-  const totalBalance = updatedBalances.reduce((sum, b) => sum + b.balance, 0);
-
-  // Calculate new balances based on allocation percentages
-  funds.forEach(fund => {
-    const percentage = allocations[fund.id];
-    if (percentage === undefined || percentage === '') return;
-    
-    const targetAmount = (totalBalance * parseFloat(percentage)) / 100;
-    
-    // Get all contribution types for this fund
-    const fundBalances = updatedBalances.filter(b => b.fundId === fund.id);
-    const fundTotal = fundBalances.reduce((sum, b) => sum + b.balance, 0);
-    
-    // Adjust each contribution type proportionally
-    fundBalances.forEach(balance => {
-      const proportion = fundTotal > 0 
-        ? balance.balance / fundTotal 
-        : 1 / fundBalances.length;
-      
-      const newBalance = targetAmount * proportion;
-      balance.units = calculateUnitsFromAmount(newBalance, balance.nav);
+  const typeIds = [...new Set(updatedBalances.map(b => b.contributionTypeId))];
+  const residueByType = {};
+
+  const getNav = (fundId) =>
+    updatedBalances.find(b => b.fundId === fundId)?.nav ?? navsByFund[fundId];
+
+  typeIds.forEach(typeId => {
+    const typeTotal = getTypeTotal(updatedBalances, typeId);
+
+    // Whole-cent target for each fund, adding up to the type's total
+    const amounts = allocateMoney(typeTotal, funds.map(fund => parseFloat(allocations[fund.id] || 0)));
+
+    funds.forEach((fund, index) => {
+      const amount = amounts[index];
+      let balance = updatedBalances.find(b => b.fundId === fund.id && b.contributionTypeId === typeId);
+      if (!balance) {
+        if (amount === 0) return;
+        balance = { fundId: fund.id, contributionTypeId: typeId, units: 0, nav: getNav(fund.id), balance: 0 };
+        updatedBalances.push(balance);
+      }
+      balance.units = calculateUnitsFromAmount(amount, balance.nav);
       balance.balance = calculateBalance(balance.units, balance.nav);
     });
+
+    residueByType[typeId] = subtractMoney(typeTotal, getTypeTotal(updatedBalances, typeId));
+  });
+
+  return {
+    balances: updatedBalances,
+    residueByType,
+    residue: sumMoney(Object.values(residueByType))
+  };
+};
+
+/**
+ * Calculate preview balances for a fund reallocation
+ * @param {Object} allocations - Fund allocations as percentages
+ * @param {Array} balances - Current balances
+ * @param {Array} funds - Fund definitions
+ * @param {Object} [navsByFund] - NAVs keyed by fund ID, used for funds with no holdings
+ * @returns {Array} Updated balances reflecting the reallocation
+ */
+export const calculateReallocationPreview = (allocations, balances, funds, navsByFund = {}) => {
+  return calculateReallocation(allocations, balances, funds, navsByFund).balances;
+};
+
+/**
+ * Calculate balances after money is added to (or removed from) holdings
+ * @param {Array} contributions - [{fundId, contributionTypeId, amount}]; negative amounts remove money
+ * @param {Array} balances - Current balances
+ * @param {Object} navsByFund - NAVs keyed by fund ID
+ * @returns {Array} Updated balances
+ */
+export const calculateContributionPreview = (contributions, balances, navsByFund) => {
+  const updatedBalances = JSON.parse(JSON.stringify(balances)); // Deep copy
+
+  contributions.forEach(({ fundId, contributionTypeId, amount }) => {
+    const nav = navsByFund[fundId];
+    let balance = updatedBalances.find(
+      b => b.fundId === parseInt(fundId) && b.contributionTypeId === parseInt(contributionTypeId)
+    );
+
+    if (!balance) {
+      balance = {
+        fundId: parseInt(fundId),
+        contributionTypeId: parseInt(contributionTypeId),
+        units: 0,
+        nav,
+        balance: 0
+      };
+      updatedBalances.push(balance);
+    }
+
+    balance.nav = nav;
+    balance.units = sumUnits([balance.units, calculateUnitsFromAmount(amount, nav)]);
+    balance.balance = calculateBalance(balance.units, nav);
   });
 
   return updatedBalances;
@@ -236,4 +333,348 @@ export const validateReallocation = (allocations) => {
   }
 
   return { valid: true, error: null };
-};
\ No newline at end of file
+};
+
+/**
+ * Validate that new money can go into funds; a closed fund keeps its holdings but takes no new money
+ * @param {Array} fundIds - Fund IDs receiving money
+ * @param {Array} funds - Fund definitions
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateOpenFunds = (fundIds, funds) => {
+  const closedFund = funds.find(fund => fund.closed && fundIds.some(fundId => parseInt(fundId) === fund.id));
+  if (closedFund) {
+    return { valid: false, error: `${closedFund.name} is closed to new investments` };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Get the funds an allocation puts money into
+ * @param {Object} allocations - Percentages keyed by fund ID
+ * @returns {Array} Fund IDs with a percentage above zero
+ */
+export const getAllocatedFundIds = (allocations = {}) => {
+  return Object.keys(allocations).filter(fundId => parseFloat(allocations[fundId]) > 0);
+};
+
+/**
+ * Validate that current holdings can absorb the reversal of a transaction
+ * @param {Object} transaction - Ledger transaction to reverse
+ * @param {Array} balances - Current balances
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateReversal = (transaction, balances) => {
+  for (const leg of transaction.legs) {
+    const current = balances.find(
+      b => b.fundId === leg.fundId && b.contributionTypeId === leg.contributionTypeId
+    );
+    if (subtractUnits(current?.units || 0, leg.units) < 0) {
+      return {
+        valid: false,
+        error: 'Insufficient units to reverse this transaction. Holdings have changed since it was made.'
+      };
+    }
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Calculate preview balances for reversing a transaction
+ *
+ * Holdings untouched since the transaction are restored to their exact prior
+ * units; holdings that have moved since have the transaction's units backed out.
+ * @param {Object} transaction - Ledger transaction to reverse
+ * @param {Array} balances - Current balances
+ * @returns {Array} Updated balances reflecting the reversal
+ */
+export const calculateReversalPreview = (transaction, balances) => {
+  const updatedBalances = JSON.parse(JSON.stringify(balances)); // Deep copy
+
+  transaction.legs.forEach(leg => {
+    let balance = updatedBalances.find(
+      b => b.fundId === leg.fundId && b.contributionTypeId === leg.contributionTypeId
+    );
+
+    if (!balance) {
+      balance = {
+        fundId: leg.fundId,
+        contributionTypeId: leg.contributionTypeId,
+        units: 0,
+        nav: leg.nav,
+        balance: 0
+      };
+      updatedBalances.push(balance);
+    }
+
+    balance.units = balance.units === leg.unitsAfter
+      ? leg.unitsBefore
+      : Math.max(subtractUnits(balance.units, leg.units), 0);
+    balance.balance = calculateBalance(balance.units, balance.nav);
+  });
+
+  return updatedBalances;
+};
+
+/**
+ * Periods over which returns can be measured
+ */
+export const RETURN_PERIODS = {
+  YTD: 'ytd',
+  ONE_YEAR: '1y',
+  INCEPTION: 'inception'
+};
+
+export const RETURN_PERIOD_LABELS = {
+  [RETURN_PERIODS.YTD]: 'YTD',
+  [RETURN_PERIODS.ONE_YEAR]: '1 Year',
+  [RETURN_PERIODS.INCEPTION]: 'Since Inception'
+};
+
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Check whether a holding or ledger leg falls within a return scope
+ * @param {Object} row - Holding or leg with fundId and contributionTypeId
+ * @param {Object} scope - {fundId, contributionTypeId}; omitted keys match everything
+ * @returns {boolean} True when the row is in scope
+ */
+const isInScope = (row, { fundId, contributionTypeId } = {}) => {
+  return (!fundId || row.fundId === parseInt(fundId)) &&
+    (!contributionTypeId || row.contributionTypeId === parseInt(contributionTypeId));
+};
+
+/**
+ * Number of days between two ISO dates
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} Days from start to end
+ */
+const daysBetween = (from, to) => {
+  return (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000;
+};
+
+/**
+ * Reconstruct holdings as they stood at the end of a date by backing out
+ * every later ledger transaction
+ * @param {Array} holdings - Current holdings with units
+ * @param {Array} transactions - Ledger transactions
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Array} Holdings with units as of the date
+ */
+export const getHoldingsAsOf = (holdings, transactions, date) => {
+  const unitsByKey = new Map(
+    holdings.map(h => [`${h.fundId}:${h.contributionTypeId}`, { ...h }])
+  );
+
+  transactions
+    .filter(txn => getTransactionDate(txn) > date)
+    .forEach(txn => {
+      txn.legs.forEach(leg => {
+        const key = `${leg.fundId}:${leg.contributionTypeId}`;
+        const holding = unitsByKey.get(key) ||
+          { fundId: leg.fundId, contributionTypeId: leg.contributionTypeId, units: 0 };
+        holding.units = subtractUnits(holding.units, leg.units);
+        unitsByKey.set(key, holding);
+      });
+    });
+
+  return [...unitsByKey.values()];
+};
+
+/**
+ * Value the holdings in a scope at the end of a date
+ * @param {Object} investments - Investment data with balances, transactions and navHistory
+ * @param {Object} scope - {fundId, contributionTypeId}
+ * @param {string} date - Valuation date (YYYY-MM-DD)
+ * @returns {number} Market value
+ */
+export const getScopeValue = (investments, scope, date) => {
+  const navs = getLatestNavs(investments.navHistory, date);
+  return sumMoney(getHoldingsAsOf(investments.balances, investments.transactions, date)
+    .filter(holding => isInScope(holding, scope))
+    .map(holding => calculateBalance(holding.units, navs[holding.fundId] || 0)));
+};
+
+/**
+ * Get the net cash flows into a scope, by date, within a period
+ *
+ * Every ledger leg touching the scope is a flow: contributions and transfers in
+ * are positive, withdrawals and transfers out negative. Movements entirely
+ * inside the scope net to zero.
+ * @param {Array} transactions - Ledger transactions
+ * @param {Object} scope - {fundId, contributionTypeId}
+ * @param {string} startDate - Period start (exclusive)
+ * @param {string} endDate - Period end (inclusive)
+ * @returns {Array} Flows [{date, amount}] sorted by date
+ */
+export const getScopeFlows = (transactions, scope, startDate, endDate) => {
+  const flowsByDate = transactions.reduce((acc, txn) => {
+    const date = getTransactionDate(txn);
+    if (date <= startDate || date > endDate) return acc;
+    const amount = sumMoney(txn.legs
+      .filter(leg => isInScope(leg, scope))
+      .map(leg => leg.amount));
+    return amount === 0 ? acc : { ...acc, [date]: sumMoney([acc[date] || 0, amount]) };
+  }, {});
+
+  return Object.entries(flowsByDate)
+    .map(([date, amount]) => ({ date, amount }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Calculate the time-weighted return of a scope
+ *
+ * The period is split at every cash flow and the sub-period returns are
+ * chained, so the size and timing of flows do not affect the result. Flows are
+ * treated as occurring at the end of their day, at that day's NAV.
+ * @param {Object} investments - Investment data with balances, transactions and navHistory
+ * @param {Object} scope - {fundId, contributionTypeId}
+ * @param {string} startDate - Period start (YYYY-MM-DD)
+ * @param {string} endDate - Period end (YYYY-MM-DD)
+ * @returns {number|null} Cumulative return as a decimal, or null when nothing was held
+ */
+export const calculateTimeWeightedReturn = (investments, scope, startDate, endDate) => {
+  const flows = getScopeFlows(investments.transactions, scope, startDate, endDate);
+  const breakpoints = [...flows.map(flow => flow.date), endDate]
+    .filter((date, i, dates) => dates.indexOf(date) === i);
+
+  let growth = 1;
+  let previousValue = getScopeValue(investments, scope, startDate);
+  let invested = previousValue > 0;
+
+  breakpoints.forEach(date => {
+    const flow = flows.find(f => f.date === date)?.amount || 0;
+    const value = getScopeValue(investments, scope, date);
+    if (previousValue > 0) {
+      growth *= (value - flow) / previousValue;
+    }
+    invested = invested || value > 0;
+    previousValue = value;
+  });
+
+  return invested ? growth - 1 : null;
+};
+
+/**
+ * Calculate the money-weighted return (IRR) of a scope
+ *
+ * Solves for the annual rate that discounts the starting value, every cash
+ * flow and the ending value to zero. Contributions and transfers enter as
+ * cash flows rather than gains. Periods under a year are reported as the
+ * cumulative return for the period rather than annualized.
+ * @param {Object} investments - Investment data with balances, transactions and navHistory
+ * @param {Object} scope - {fundId, contributionTypeId}
+ * @param {string} startDate - Period start (YYYY-MM-DD)
+ * @param {string} endDate - Period end (YYYY-MM-DD)
+ * @returns {number|null} Return as a decimal, or null when it cannot be determined
+ */
+export const calculateMoneyWeightedReturn = (investments, scope, startDate, endDate) => {
+  const startValue = getScopeValue(investments, scope, startDate);
+  const endValue = getScopeValue(investments, scope, endDate);
+  const flows = getScopeFlows(investments.transactions, scope, startDate, endDate);
+
+  // Cash flows from the participant's point of view: money in is negative
+  const cashFlows = [
+    { days: 0, amount: -startValue },
+    ...flows.map(flow => ({ days: daysBetween(startDate, flow.date), amount: -flow.amount })),
+    { days: daysBetween(startDate, endDate), amount: endValue }
+  ].filter(cf => cf.amount !== 0);
+
+  const periodDays = daysBetween(startDate, endDate);
+  if (periodDays <= 0 || !cashFlows.some(cf => cf.amount < 0) || !cashFlows.some(cf => cf.amount > 0)) {
+    return null;
+  }
+
+  const npv = rate => cashFlows.reduce(
+    (sum, cf) => sum + cf.amount / Math.pow(1 + rate, cf.days / DAYS_PER_YEAR),
+    0
+  );
+
+  // Bisection: NPV falls as the rate rises for an investment-then-withdrawal profile
+  let low = -0.9999;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  const annualRate = (low + high) / 2;
+
+  return periodDays < DAYS_PER_YEAR
+    ? Math.pow(1 + annualRate, periodDays / DAYS_PER_YEAR) - 1
+    : annualRate;
+};
+
+/**
+ * Get the start date of a return period
+ * @param {string} period - One of RETURN_PERIODS
+ * @param {string} endDate - Period end (YYYY-MM-DD)
+ * @param {Object} navHistory - NAV history, used to find inception
+ * @returns {string} Period start (YYYY-MM-DD)
+ */
+export const getPeriodStartDate = (period, endDate, navHistory) => {
+  const inception = Object.values(navHistory)
+    .flatMap(prices => Object.keys(prices))
+    .sort()[0] || endDate;
+
+  let start;
+  if (period === RETURN_PERIODS.YTD) {
+    start = `${parseInt(endDate.slice(0, 4)) - 1}-12-31`;
+  } else if (period === RETURN_PERIODS.ONE_YEAR) {
+    const end = new Date(`${endDate}T00:00:00Z`);
+    start = new Date(Date.UTC(end.getUTCFullYear() - 1, end.getUTCMonth(), end.getUTCDate()))
+      .toISOString()
+      .slice(0, 10);
+  } else {
+    start = inception;
+  }
+  return start < inception ? inception : start;
+};
+
+/**
+ * Calculate time- and money-weighted returns for a scope over a period
+ *
+ * Both returns are cumulative for periods up to a year and annualized for
+ * longer periods, so the two figures are always comparable.
+ * @param {Object} investments - Investment data with balances, transactions and navHistory
+ * @param {Object} scope - {fundId, contributionTypeId}; empty for the whole account
+ * @param {string} period - One of RETURN_PERIODS
+ * @returns {Object} {twr, mwr, annualized, startDate, endDate}
+ */
+export const calculateReturns = (investments, scope, period) => {
+  const endDate = getLatestPriceDate(investments.navHistory);
+  if (!endDate) {
+    return { twr: null, mwr: null, annualized: false, startDate: null, endDate: null };
+  }
+  const startDate = getPeriodStartDate(period, endDate, investments.navHistory);
+
+  const periodDays = daysBetween(startDate, endDate);
+  const annualized = periodDays > DAYS_PER_YEAR;
+  const twr = calculateTimeWeightedReturn(investments, scope, startDate, endDate);
+
+  return {
+    twr: annualized && twr !== null ? Math.pow(1 + twr, DAYS_PER_YEAR / periodDays) - 1 : twr,
+    mwr: calculateMoneyWeightedReturn(investments, scope, startDate, endDate),
+    annualized,
+    startDate,
+    endDate
+  };
+};
+
+/**
+ * Format a decimal return as a signed percentage
+ * @param {number|null} value - Return as a decimal
+ * @returns {string} Formatted percentage, or an em dash when unavailable
+ */
+export const formatPercent = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return '—';
+  const percent = value * 100;
+  return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+};
@@ -0,0 +1,205 @@
+/**
+ * Ledger utility functions for recording and querying money movements
+ */
+
+import { subtractMoney, subtractUnits, sumMoney } from './money';
+
+/**
+ * Transaction types recorded in the ledger
+ */
+export const TRANSACTION_TYPES = {
+  TRANSFER: 'transfer',
+  REALLOCATION: 'reallocation',
+  REVERSAL: 'reversal',
+  CONTRIBUTION: 'contribution',
+  TRUE_UP: 'true-up',
+  LOAN: 'loan',
+  LOAN_REPAYMENT: 'loan-repayment',
+  WITHDRAWAL: 'withdrawal',
+  ROTH_CONVERSION: 'roth-conversion'
+};
+
+/**
+ * Transaction types a participant may reverse
+ */
+export const REVERSIBLE_TYPES = [TRANSACTION_TYPES.TRANSFER, TRANSACTION_TYPES.REALLOCATION];
+
+/**
+ * Minutes after a movement was made during which it can still be reversed,
+ * used when the plan settings do not configure one
+ */
+export const DEFAULT_REVERSAL_WINDOW_MINUTES = 30;
+
+/**
+ * Human readable labels for transaction types
+ */
+export const TRANSACTION_TYPE_LABELS = {
+  [TRANSACTION_TYPES.TRANSFER]: 'Transfer',
+  [TRANSACTION_TYPES.REALLOCATION]: 'Reallocation',
+  [TRANSACTION_TYPES.REVERSAL]: 'Reversal',
+  [TRANSACTION_TYPES.CONTRIBUTION]: 'Contribution',
+  [TRANSACTION_TYPES.TRUE_UP]: 'Match True-Up',
+  [TRANSACTION_TYPES.LOAN]: 'Loan',
+  [TRANSACTION_TYPES.LOAN_REPAYMENT]: 'Loan Repayment',
+  [TRANSACTION_TYPES.WITHDRAWAL]: 'Withdrawal',
+  [TRANSACTION_TYPES.ROTH_CONVERSION]: 'Roth Conversion'
+};
+
+/**
+ * Generate a unique identifier for a ledger record
+ * @param {string} prefix - Identifier prefix
+ * @returns {string} Unique identifier
+ */
+export const generateId = (prefix = 'txn') => {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${prefix}-${Date.now().toString(36)}-${random}`;
+};
+
+/**
+ * Get the local calendar date (YYYY-MM-DD) of a timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Local date
+ */
+export const toLocalDate = (timestamp) => {
+  return new Date(timestamp).toLocaleDateString('en-CA');
+};
+
+/**
+ * Build ledger legs from the difference between two sets of balances
+ * @param {Array} before - Balances before the movement
+ * @param {Array} after - Balances after the movement
+ * @returns {Array} Legs with signed units and amounts for every changed holding
+ */
+export const diffBalances = (before, after) => {
+  const keyOf = b => `${b.fundId}:${b.contributionTypeId}`;
+  const beforeByKey = new Map(before.map(b => [keyOf(b), b]));
+  const afterByKey = new Map(after.map(b => [keyOf(b), b]));
+  const keys = [...new Set([...beforeByKey.keys(), ...afterByKey.keys()])];
+
+  return keys
+    .map(key => {
+      const prev = beforeByKey.get(key);
+      const next = afterByKey.get(key);
+      const row = next || prev;
+      return {
+        fundId: row.fundId,
+        contributionTypeId: row.contributionTypeId,
+        units: subtractUnits(next?.units || 0, prev?.units || 0),
+        unitsBefore: prev?.units || 0,
+        unitsAfter: next?.units || 0,
+        nav: row.nav,
+        amount: subtractMoney(next?.balance || 0, prev?.balance || 0)
+      };
+    })
+    .filter(leg => leg.units !== 0);
+};
+
+/**
+ * Create a ledger transaction
+ *
+ * The amount is the money moved: what went in, or for movements that only
+ * take money out of holdings (such as loan disbursements), what came out.
+ * @param {string} type - Transaction type
+ * @param {Array} legs - Per-holding changes
+ * @param {Object} details - Additional type specific details
+ * @returns {Object} Ledger transaction
+ */
+export const createTransaction = (type, legs, details = {}) => {
+  const sumOf = (selected) => sumMoney(selected.map(leg => leg.amount));
+  const moneyIn = sumOf(legs.filter(leg => leg.amount > 0));
+  const moneyOut = -sumOf(legs.filter(leg => leg.amount < 0));
+  return {
+    id: generateId(),
+    type,
+    timestamp: new Date().toISOString(),
+    ...details,
+    amount: Math.max(moneyIn, moneyOut),
+    legs
+  };
+};
+
+/**
+ * Filter ledger transactions
+ * @param {Array} transactions - Ledger transactions
+ * @param {Object} filters - Filter criteria
+ * @param {string} [filters.type] - Transaction type
+ * @param {string|number} [filters.fundId] - Fund involved in any leg
+ * @param {string|number} [filters.contributionTypeId] - Contribution type involved in any leg
+ * @param {string} [filters.from] - Earliest date (YYYY-MM-DD), inclusive
+ * @param {string} [filters.to] - Latest date (YYYY-MM-DD), inclusive
+ * @returns {Array} Matching transactions, newest first
+ */
+export const filterTransactions = (transactions, { type, fundId, contributionTypeId, from, to } = {}) => {
+  return transactions
+    .filter(txn => !type || txn.type === type)
+    .filter(txn => !fundId || txn.legs.some(leg => leg.fundId === parseInt(fundId)))
+    .filter(txn => !contributionTypeId ||
+      txn.legs.some(leg => leg.contributionTypeId === parseInt(contributionTypeId)))
+    .filter(txn => !from || toLocalDate(txn.timestamp) >= from)
+    .filter(txn => !to || toLocalDate(txn.timestamp) <= to)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+};
+
+/**
+ * Find the reversal recorded against a transaction, if any
+ * @param {Array} transactions - Ledger transactions
+ * @param {string} transactionId - Original transaction ID
+ * @returns {Object|undefined} Reversal transaction
+ */
+export const findReversal = (transactions, transactionId) => {
+  return transactions.find(
+    txn => txn.type === TRANSACTION_TYPES.REVERSAL && txn.reversesId === transactionId
+  );
+};
+
+/**
+ * Check whether a transaction can still be reversed
+ * @param {Object} transaction - Ledger transaction
+ * @param {Array} transactions - All ledger transactions
+ * @param {number} windowMinutes - Grace window in minutes
+ * @param {Date} [now] - Current time
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const checkReversible = (transaction, transactions, windowMinutes, now = new Date()) => {
+  if (!transaction) {
+    return { valid: false, error: 'Transaction not found' };
+  }
+
+  if (transaction.type === TRANSACTION_TYPES.REVERSAL) {
+    return { valid: false, error: 'A reversal cannot itself be reversed' };
+  }
+
+  if (!REVERSIBLE_TYPES.includes(transaction.type)) {
+    return { valid: false, error: 'Only transfers and reallocations can be reversed' };
+  }
+
+  if (findReversal(transactions, transaction.id)) {
+    return { valid: false, error: 'This transaction has already been reversed' };
+  }
+
+  // A settled order was priced at a closing NAV the participant can already see; restoring its
+  // units would let them cancel a trade after the fact, so orders can only be cancelled while pending
+  if (transaction.orderId) {
+    return { valid: false, error: 'Orders cannot be reversed once settled; cancel them while pending' };
+  }
+
+  const elapsedMinutes = (now - new Date(transaction.timestamp)) / 60000;
+  if (elapsedMinutes > windowMinutes) {
+    return {
+      valid: false,
+      error: `Transactions can only be reversed within ${windowMinutes} minutes`
+    };
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Get the date a transaction took effect: its trade date when it settled
+ * from an order, otherwise the local date it was recorded
+ * @param {Object} transaction - Ledger transaction
+ * @returns {string} Effective date (YYYY-MM-DD)
+ */
+export const getTransactionDate = (transaction) => {
+  return transaction.tradeDate || toLocalDate(transaction.timestamp);
+};
@@ -0,0 +1,183 @@
+/**
+ * IRS contribution limit utility functions
+ *
+ * Limits come from a versioned table keyed by plan year:
+ * - elective: 402(g) limit on employee deferrals
+ * - catchUp: additional deferrals allowed from the year a participant turns 50
+ * - superCatchUp: higher catch-up for ages 60-63, when the year defines one
+ * - annualAdditions: 415(c) limit on deferrals plus employer contributions.
+ *   Catch-up contributions do not count toward it.
+ */
+
+import irsLimits from '../data/irsLimits.json';
+import { formatCurrency, roundToCents } from './investmentUtils';
+
+export const CATCH_UP_AGE = 50;
+export const SUPER_CATCH_UP_AGES = [60, 63];
+
+/**
+ * Get the limits for a plan year
+ *
+ * When the table has no entry for the year yet (for example right after a
+ * year-end rollover, before the IRS announces new limits) the most recent
+ * earlier year is used and the result is flagged as provisional.
+ * @param {number|string} year - Plan year
+ * @param {Object} [table] - Versioned limits table
+ * @returns {Object} {year, elective, catchUp, superCatchUp, annualAdditions, provisional, sourceYear, version}
+ */
+export const getPlanYearLimits = (year, table = irsLimits) => {
+  const planYear = parseInt(year);
+  const years = Object.keys(table.years).map(Number).sort((a, b) => a - b);
+  const sourceYear = [...years].reverse().find(y => y <= planYear) ?? years[0];
+
+  return {
+    superCatchUp: 0,
+    ...table.years[sourceYear],
+    year: planYear,
+    sourceYear,
+    provisional: sourceYear !== planYear,
+    version: table.version
+  };
+};
+
+/**
+ * Get the age a participant reaches by the end of a plan year
+ * @param {string} birthDate - Birth date (YYYY-MM-DD)
+ * @param {number|string} year - Plan year
+ * @returns {number} Age on December 31
+ */
+export const getAgeAtYearEnd = (birthDate, year) => {
+  return parseInt(year) - parseInt(birthDate.slice(0, 4));
+};
+
+/**
+ * Get the catch-up amount a participant may defer above the 402(g) limit
+ * @param {Object} limits - Plan year limits
+ * @param {number} age - Age at the end of the plan year
+ * @returns {number} Catch-up limit
+ */
+export const getCatchUpLimit = (limits, age) => {
+  const [superFrom, superTo] = SUPER_CATCH_UP_AGES;
+  if (limits.superCatchUp > 0 && age >= superFrom && age <= superTo) {
+    return limits.superCatchUp;
+  }
+  return age >= CATCH_UP_AGE ? limits.catchUp : 0;
+};
+
+/**
+ * Get the total deferral limit including any catch-up
+ * @param {Object} limits - Plan year limits
+ * @param {number} age - Age at the end of the plan year
+ * @returns {number} Deferral limit
+ */
+export const getDeferralLimit = (limits, age) => {
+  return limits.elective + getCatchUpLimit(limits, age);
+};
+
+/**
+ * Get the contributions that count toward the 415(c) limit
+ * @param {number} deferrals - Employee deferrals
+ * @param {number} match - Employer contributions
+ * @param {Object} limits - Plan year limits
+ * @returns {number} Annual additions
+ */
+export const getAnnualAdditions = (deferrals, match, limits) => {
+  const catchUp = Math.max(deferrals - limits.elective, 0);
+  return deferrals - catchUp + match;
+};
+
+/**
+ * Summarize year-to-date contributions against the limits
+ * @param {Object} yearToDate - {deferrals, match}
+ * @param {Object} limits - Plan year limits
+ * @param {number} age - Age at the end of the plan year
+ * @returns {Object} {deferralLimit, annualAdditionsLimit, annualAdditions, catchUp, deferralsRemaining, additionsRemaining}
+ */
+export const getLimitStatus = (yearToDate, limits, age) => {
+  const deferralLimit = getDeferralLimit(limits, age);
+  const annualAdditions = getAnnualAdditions(yearToDate.deferrals, yearToDate.match, limits);
+
+  return {
+    deferralLimit,
+    annualAdditionsLimit: limits.annualAdditions,
+    annualAdditions,
+    catchUp: Math.max(yearToDate.deferrals - limits.elective, 0),
+    deferralsRemaining: Math.max(deferralLimit - yearToDate.deferrals, 0),
+    additionsRemaining: Math.max(limits.annualAdditions - annualAdditions, 0)
+  };
+};
+
+/**
+ * Reduce one paycheck's contributions so the year stays within the limits
+ *
+ * Deferrals stop at the 402(g) limit plus catch-up. The match is then limited
+ * to whatever 415(c) room the deferrals leave.
+ * @param {number} deferralAmount - Elected deferral for the paycheck
+ * @param {number} matchAmount - Match for the paycheck
+ * @param {Object} yearToDate - {deferrals, match} before this paycheck
+ * @param {Object} limits - Plan year limits
+ * @param {number} age - Age at the end of the plan year
+ * @returns {Object} {deferralAmount, matchAmount, deferralLimited, matchLimited}
+ */
+export const applyContributionLimits = (deferralAmount, matchAmount, yearToDate, limits, age) => {
+  const status = getLimitStatus(yearToDate, limits, age);
+  const allowedDeferral = Math.min(deferralAmount, status.deferralsRemaining);
+
+  const additionsAfterDeferral = getAnnualAdditions(
+    yearToDate.deferrals + allowedDeferral,
+    yearToDate.match,
+    limits
+  );
+  const allowedMatch = Math.min(matchAmount, Math.max(limits.annualAdditions - additionsAfterDeferral, 0));
+
+  return {
+    deferralAmount: roundToCents(allowedDeferral),
+    matchAmount: roundToCents(allowedMatch),
+    deferralLimited: allowedDeferral < deferralAmount,
+    matchLimited: allowedMatch < matchAmount
+  };
+};
+
+/**
+ * Check whether an election would exceed the limits for the rest of the year
+ * @param {Object} projection - {yearToDate, deferralPerPaycheck, matchPerPaycheck, remainingPaychecks}
+ * @param {Object} limits - Plan year limits
+ * @param {number} age - Age at the end of the plan year
+ * @returns {Array<string>} Warnings, empty when the election stays within the limits
+ */
+export const checkElectionLimits = (projection, limits, age) => {
+  const { yearToDate, deferralPerPaycheck, matchPerPaycheck, remainingPaychecks } = projection;
+  const warnings = [];
+
+  const projectedDeferrals = yearToDate.deferrals + deferralPerPaycheck * remainingPaychecks;
+  const projectedMatch = yearToDate.match + matchPerPaycheck * remainingPaychecks;
+  const deferralLimit = getDeferralLimit(limits, age);
+
+  if (projectedDeferrals > deferralLimit) {
+    const catchUp = getCatchUpLimit(limits, age);
+    warnings.push(
+      `Projected ${limits.year} deferrals of ${formatCurrency(projectedDeferrals)} exceed the ` +
+      `${formatCurrency(deferralLimit)} limit` +
+      (catchUp > 0 ? ` (including ${formatCurrency(catchUp)} catch-up)` : '') +
+      '. Deferrals will stop once the limit is reached.'
+    );
+  }
+
+  const projectedAdditions = getAnnualAdditions(
+    Math.min(projectedDeferrals, deferralLimit),
+    projectedMatch,
+    limits
+  );
+  if (projectedAdditions > limits.annualAdditions) {
+    warnings.push(
+      `Projected ${limits.year} annual additions of ${formatCurrency(projectedAdditions)} exceed the ` +
+      `${formatCurrency(limits.annualAdditions)} 415(c) limit. Employer match will stop once the limit is reached.`
+    );
+  }
+
+  if (limits.provisional && warnings.length > 0) {
+    warnings.push(`${limits.year} limits have not been published; ${limits.sourceYear} limits are shown.`);
+  }
+
+  return warnings;
+};
@@ -0,0 +1,284 @@
+/**
+ * Loan utility functions for sizing, disbursing and repaying 401(k) loans
+ *
+ * A loan is disbursed by selling units proportionally across the vested
+ * portion of every holding. It is repaid through payroll in level payments;
+ * each repayment is invested by the current future contribution directions
+ * into the contribution types the loan was taken from.
+ *
+ * Loan records keep the outstanding principal and a history of balances:
+ * { id, principal, outstanding, interestRate, termYears, paymentsPerYear,
+ *   payment, originationDate, sourceByType: { 1: 80, 3: 20 }, status,
+ *   history: [{ date, balance }] }
+ */
+
+import { calculateBalance, calculateUnitsFromAmount, roundToCents } from './investmentUtils';
+import {
+  ROUNDING_MODES,
+  allocateMoney,
+  percentOfMoney,
+  roundMoney,
+  subtractMoney,
+  subtractUnits,
+  sumMoney
+} from './money';
+import { getNextPayDate } from './payrollUtils';
+
+export const LOAN_STATUS = {
+  ACTIVE: 'active',
+  PAID: 'paid'
+};
+
+/**
+ * Loan rules used when the plan settings do not configure them
+ */
+export const DEFAULT_LOAN_SETTINGS = {
+  maxPercentOfVested: 50,
+  maxAmount: 50000,
+  minAmount: 1000,
+  interestRate: 8.5,
+  maxTermYears: 5,
+  maxActiveLoans: 1
+};
+
+/**
+ * Get the plan's loan rules
+ * @param {Object} settings - Plan settings
+ * @returns {Object} Loan rules
+ */
+export const getLoanSettings = (settings) => {
+  return { ...DEFAULT_LOAN_SETTINGS, ...settings?.loans };
+};
+
+/**
+ * Get the loans that have not been paid off
+ * @param {Array} loans - All loans
+ * @returns {Array} Active loans
+ */
+export const getActiveLoans = (loans = []) => {
+  return loans.filter(loan => loan.status === LOAN_STATUS.ACTIVE);
+};
+
+/**
+ * Total the outstanding principal of active loans
+ * @param {Array} loans - All loans
+ * @param {Object} [filters] - Optional contributionTypeId to total the share of
+ * @returns {number} Outstanding principal
+ */
+export const getOutstandingBalance = (loans = [], { contributionTypeId } = {}) => {
+  return sumMoney(getActiveLoans(loans).map(loan => {
+    const share = contributionTypeId === undefined ? 100 : (loan.sourceByType[contributionTypeId] || 0);
+    return percentOfMoney(loan.outstanding, share);
+  }));
+};
+
+/**
+ * Get a loan's outstanding balance at the end of a date
+ * @param {Object} loan - Loan
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} Outstanding balance, zero before origination
+ */
+export const getLoanBalanceOn = (loan, date) => {
+  const events = loan.history.filter(event => event.date <= date);
+  return events.length > 0 ? events[events.length - 1].balance : 0;
+};
+
+/**
+ * Get the highest combined loan balance outstanding in the 12 months before a date
+ * @param {Array} loans - All loans
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {number} Highest outstanding balance
+ */
+export const getHighestOutstandingBalance = (loans = [], asOf) => {
+  const windowStart = `${parseInt(asOf.slice(0, 4)) - 1}${asOf.slice(4)}`;
+  const dates = [
+    windowStart,
+    ...loans.flatMap(loan => loan.history.map(event => event.date))
+      .filter(date => date > windowStart && date <= asOf)
+  ];
+  return dates.reduce((highest, date) => Math.max(
+    highest,
+    sumMoney(loans.map(loan => getLoanBalanceOn(loan, date)))
+  ), 0);
+};
+
+/**
+ * Calculate the largest new loan available
+ *
+ * The lesser of 50% of the vested balance (counting loans already
+ * outstanding) less what is already borrowed, or $50,000 less the highest
+ * balance outstanding in the last 12 months.
+ * @param {number} vestedBalance - Vested balance of the holdings
+ * @param {Array} loans - All loans
+ * @param {Object} settings - Plan settings
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Object} {maxAmount, vestedLimit, dollarLimit, outstanding, highestOutstanding}
+ */
+export const calculateMaxLoanAmount = (vestedBalance, loans, settings, asOf) => {
+  const rules = getLoanSettings(settings);
+  const outstanding = getOutstandingBalance(loans);
+  const highestOutstanding = getHighestOutstandingBalance(loans, asOf);
+
+  const vestedLimit = (vestedBalance + outstanding) * rules.maxPercentOfVested / 100 - outstanding;
+  const dollarLimit = rules.maxAmount - highestOutstanding;
+  const maxAmount = roundMoney(Math.max(Math.min(vestedLimit, dollarLimit, vestedBalance), 0), ROUNDING_MODES.DOWN);
+
+  return { maxAmount, vestedLimit, dollarLimit, outstanding, highestOutstanding };
+};
+
+/**
+ * Validate a loan request
+ * @param {Object} params - Loan parameters
+ * @param {string|number} params.amount - Amount to borrow
+ * @param {string|number} params.termYears - Repayment term in years
+ * @param {Object} availability - Result of calculateMaxLoanAmount
+ * @param {Array} loans - All loans
+ * @param {Object} settings - Plan settings
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateLoanRequest = ({ amount, termYears }, availability, loans, settings) => {
+  const rules = getLoanSettings(settings);
+  const loanAmount = roundMoney(amount);
+  const term = parseInt(termYears);
+
+  if (getActiveLoans(loans).length >= rules.maxActiveLoans) {
+    return {
+      valid: false,
+      error: `The plan allows ${rules.maxActiveLoans} outstanding loan${rules.maxActiveLoans === 1 ? '' : 's'} at a time`
+    };
+  }
+
+  if (isNaN(loanAmount) || loanAmount < rules.minAmount) {
+    return { valid: false, error: `Loan amount must be at least $${rules.minAmount.toLocaleString('en-US')}` };
+  }
+
+  if (loanAmount > availability.maxAmount) {
+    return {
+      valid: false,
+      error: `Loan amount exceeds the maximum available of $${availability.maxAmount.toLocaleString('en-US')}`
+    };
+  }
+
+  if (isNaN(term) || term < 1 || term > rules.maxTermYears) {
+    return { valid: false, error: `Loan term must be between 1 and ${rules.maxTermYears} years` };
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Calculate the level payment that repays a loan
+ * @param {number} principal - Amount borrowed
+ * @param {number} annualRate - Annual interest rate as a percentage
+ * @param {number} termYears - Repayment term in years
+ * @param {number} paymentsPerYear - Payments per year
+ * @returns {number} Payment per period
+ */
+export const calculateLoanPayment = (principal, annualRate, termYears, paymentsPerYear) => {
+  const periods = termYears * paymentsPerYear;
+  const rate = annualRate / 100 / paymentsPerYear;
+  if (rate === 0) return roundToCents(principal / periods);
+  return roundToCents(principal * rate / (1 - Math.pow(1 + rate, -periods)));
+};
+
+/**
+ * Split the next payment on a loan into interest and principal
+ * @param {Object} loan - Active loan
+ * @returns {Object} {interest, principal, amount}
+ */
+export const getLoanPaymentDue = (loan) => {
+  const interest = percentOfMoney(loan.outstanding, loan.interestRate / loan.paymentsPerYear);
+  // Pay off in full rather than leave a residue of rounded cents for one more paycheck
+  const isFinalPayment = loan.outstanding + interest - loan.payment < 1;
+  const principal = isFinalPayment
+    ? loan.outstanding
+    : Math.min(subtractMoney(loan.payment, interest), loan.outstanding);
+  return { interest, principal, amount: sumMoney([interest, principal]) };
+};
+
+/**
+ * Build a loan's amortization schedule
+ * @param {Object} loan - Loan terms {principal, interestRate, termYears, paymentsPerYear, payment}
+ * @param {string} firstPaymentDate - Date of the first payment (YYYY-MM-DD)
+ * @param {string} frequency - Payroll frequency used to date later payments
+ * @returns {Array} Rows {number, date, payment, interest, principal, balance}
+ */
+export const calculateAmortizationSchedule = (loan, firstPaymentDate, frequency) => {
+  const rows = [];
+  let state = { ...loan, outstanding: loan.principal };
+  let date = firstPaymentDate;
+
+  for (let number = 1; state.outstanding > 0.005 && number <= loan.termYears * loan.paymentsPerYear + 1; number++) {
+    const due = getLoanPaymentDue(state);
+    state = { ...state, outstanding: subtractMoney(state.outstanding, due.principal) };
+    rows.push({ number, date, payment: due.amount, interest: due.interest, principal: due.principal, balance: state.outstanding });
+    date = getNextPayDate(date, frequency);
+  }
+
+  return rows;
+};
+
+/**
+ * Calculate balances after selling a loan amount proportionally from vested money
+ * @param {number} amount - Amount to borrow
+ * @param {Array} balances - Valued balances
+ * @param {Object} vestedPercentages - Vested percentages keyed by contribution type ID
+ * @returns {Array} Updated balances
+ */
+export const calculateLoanLiquidation = (amount, balances, vestedPercentages) => {
+  const vested = balances.map(b => b.balance * (vestedPercentages[b.contributionTypeId] ?? 100) / 100);
+  const sold = allocateMoney(amount, vested);
+
+  return balances.map((b, index) => {
+    if (sold[index] === 0 || b.nav <= 0) return b;
+    const units = subtractUnits(b.units, calculateUnitsFromAmount(sold[index], b.nav));
+    return { ...b, units, balance: calculateBalance(units, b.nav) };
+  });
+};
+
+/**
+ * Create a loan record from its disbursement
+ * @param {Object} order - Settled loan order
+ * @param {Object} transaction - Disbursement transaction
+ * @returns {Object} Active loan
+ */
+export const createLoan = (order, transaction) => {
+  const principal = -sumMoney(transaction.legs.map(leg => leg.amount));
+  const sourceByType = transaction.legs.reduce((acc, leg) => ({
+    ...acc,
+    [leg.contributionTypeId]: (acc[leg.contributionTypeId] || 0) + leg.amount / -principal * 100
+  }), {});
+
+  return {
+    id: transaction.loanId,
+    orderId: order.id,
+    principal,
+    outstanding: principal,
+    interestRate: order.interestRate,
+    termYears: parseInt(order.termYears),
+    paymentsPerYear: order.paymentsPerYear,
+    payment: calculateLoanPayment(principal, order.interestRate, parseInt(order.termYears), order.paymentsPerYear),
+    originationDate: order.tradeDate,
+    sourceByType,
+    status: LOAN_STATUS.ACTIVE,
+    history: [{ date: order.tradeDate, balance: principal }]
+  };
+};
+
+/**
+ * Apply a repayment to a loan
+ * @param {Object} loan - Active loan
+ * @param {string} date - Payment date (YYYY-MM-DD)
+ * @param {number} principal - Principal repaid
+ * @returns {Object} Updated loan, marked paid once nothing is outstanding
+ */
+export const applyLoanRepayment = (loan, date, principal) => {
+  const outstanding = subtractMoney(loan.outstanding, principal);
+  return {
+    ...loan,
+    outstanding: Math.max(outstanding, 0),
+    status: outstanding <= 0 ? LOAN_STATUS.PAID : LOAN_STATUS.ACTIVE,
+    history: [...loan.history, { date, balance: Math.max(outstanding, 0) }]
+  };
+};
+
@@ -0,0 +1,180 @@
+/**
+ * Market calendar functions for trade dates, cutoffs and business days
+ *
+ * Dates are handled as ISO calendar strings (YYYY-MM-DD) so that a trade date
+ * means the same thing regardless of the participant's own time zone.
+ */
+
+export const MARKET_TIME_ZONE = 'America/New_York';
+
+// Orders placed at or after this hour (Eastern) price on the next trading day
+export const MARKET_CUTOFF_HOUR = 16;
+
+/**
+ * Convert a UTC Date to an ISO calendar string
+ * @param {Date} date - Date at UTC midnight
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Parse an ISO calendar string into a Date at UTC midnight
+ * @param {string} dateString - Date as YYYY-MM-DD
+ * @returns {Date} Date at UTC midnight
+ */
+const fromDateString = (dateString) => new Date(`${dateString}T00:00:00Z`);
+
+/**
+ * Add a number of calendar days to a date
+ * @param {string} dateString - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date as YYYY-MM-DD
+ */
+export const addDays = (dateString, days) => {
+  const date = fromDateString(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+/**
+ * Get the nth occurrence of a weekday in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} n - Occurrence (1-based), or -1 for the last one
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const nthWeekday = (year, month, weekday, n) => {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+    return toDateString(last);
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return toDateString(new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7)));
+};
+
+/**
+ * Shift a fixed-date holiday that falls on a weekend to the day it is observed
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @returns {string|null} Observed date, or null when not observed
+ */
+const observedDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  const weekday = date.getUTCDay();
+  if (weekday === 0) return addDays(toDateString(date), 1);
+  if (weekday === 6) {
+    // The exchange does not close on Dec 31 for a Saturday New Year's Day
+    return month === 0 && day === 1 ? null : addDays(toDateString(date), -1);
+  }
+  return toDateString(date);
+};
+
+/**
+ * Calculate Easter Sunday using the anonymous Gregorian algorithm
+ * @param {number} year - Year
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return toDateString(new Date(Date.UTC(year, month - 1, day)));
+};
+
+/**
+ * Get the full-day market holidays for a year (NYSE schedule)
+ * @param {number} year - Year
+ * @returns {Set<string>} Holiday dates as YYYY-MM-DD
+ */
+export const getMarketHolidays = (year) => {
+  const holidays = [
+    observedDate(year, 0, 1), // New Year's Day
+    nthWeekday(year, 0, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3), // Washington's Birthday
+    addDays(getEasterSunday(year), -2), // Good Friday
+    nthWeekday(year, 4, 1, -1), // Memorial Day
+    year >= 2022 ? observedDate(year, 5, 19) : null, // Juneteenth
+    observedDate(year, 6, 4), // Independence Day
+    nthWeekday(year, 8, 1, 1), // Labor Day
+    nthWeekday(year, 10, 4, 4), // Thanksgiving Day
+    observedDate(year, 11, 25) // Christmas Day
+  ];
+  return new Set(holidays.filter(Boolean));
+};
+
+/**
+ * Check whether the market is open on a date
+ * @param {string} dateString - Date as YYYY-MM-DD
+ * @returns {boolean} True for weekdays that are not market holidays
+ */
+export const isBusinessDay = (dateString) => {
+  const date = fromDateString(dateString);
+  const weekday = date.getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+  return !getMarketHolidays(date.getUTCFullYear()).has(dateString);
+};
+
+/**
+ * Get the next business day strictly after a date
+ * @param {string} dateString - Date as YYYY-MM-DD
+ * @returns {string} Next business day as YYYY-MM-DD
+ */
+export const nextBusinessDay = (dateString) => {
+  let next = addDays(dateString, 1);
+  while (!isBusinessDay(next)) {
+    next = addDays(next, 1);
+  }
+  return next;
+};
+
+/**
+ * Get the calendar date and hour of a moment in market time
+ * @param {Date} moment - Point in time
+ * @returns {Object} {date: 'YYYY-MM-DD', hour: number}
+ */
+export const getMarketDateTime = (moment) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(moment);
+  const part = type => parts.find(p => p.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    hour: parseInt(part('hour'))
+  };
+};
+
+/**
+ * Determine the trade date for an order
+ *
+ * Orders placed on a business day before the cutoff price that day; anything
+ * later, or placed on a weekend or holiday, prices on the next business day.
+ * @param {Date} [placedAt] - When the order was placed
+ * @returns {string} Trade date as YYYY-MM-DD
+ */
+export const getTradeDate = (placedAt = new Date()) => {
+  const { date, hour } = getMarketDateTime(placedAt);
+  if (isBusinessDay(date) && hour < MARKET_CUTOFF_HOUR) {
+    return date;
+  }
+  return nextBusinessDay(date);
+};
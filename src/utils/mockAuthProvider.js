@@ -0,0 +1,361 @@
+/**
+ * Local auth provider for development and demos
+ *
+ * Every auth provider exposes the same methods, so a provider backed by a
+ * real identity service can replace this one without changing the app:
+ * - signIn({email, password}) resolves {success, error, challenge}; a correct
+ *   password leads to a multi-factor challenge rather than a session
+ * - enrollMfa(challengeToken, code) finishes setting up an authenticator app
+ *   on first sign-in and resolves {success, error, session, recoveryCodes}
+ * - verifyMfa(challengeToken, code) resolves {success, error, session}
+ * - verifyStepUp(token, code) re-verifies a signed-in user before money moves
+ *   and resolves {success, error, stepUpAt, sessionEnded}; repeated wrong codes
+ *   end the session
+ * - getSession(token) resolves the session a token belongs to, or null
+ * - refreshSession(token) re-issues a live session's token with a later
+ *   expiry, up to the session's absolute limit, revokes the old token, and
+ *   resolves the session or null
+ * - signOut(token) ends the session so its token stops working
+ * A challenge is { token, type: 'enroll' | 'verify', secret, otpauthUri }, with
+ * the secret and URI only for enrollment. A session is
+ * { token, user: { id, email, name, role }, expiresAt, maxExpiresAt, stepUpAt },
+ * where role is 'participant' or 'admin'. A token expires sessionMinutes after
+ * it was issued; refreshing while the session is in use issues a new one, but
+ * never past maxExpiresAt, maxSessionMinutes after sign-in.
+ *
+ * This provider checks hashed passwords from src/data/users.json and keeps
+ * its signing key, MFA enrollments, challenges and session registry in
+ * browser storage, standing in for a server. Signing out removes the session
+ * from the registry, so a copied token is rejected even before it expires.
+ */
+
+import usersData from '../data/users.json';
+import {
+  generateRandomHex,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  signToken,
+  verifyPassword,
+  verifyToken
+} from './authUtils';
+import { buildOtpAuthUri, generateTotpSecret, verifyTotp } from './totpUtils';
+
+const SIGNING_KEY_STORAGE_KEY = 'auth_signing_key';
+const SESSIONS_STORAGE_KEY = 'auth_sessions';
+const CHALLENGES_STORAGE_KEY = 'auth_challenges';
+const MFA_STORAGE_KEY = 'auth_mfa';
+const SIGNING_KEY_BYTES = 32;
+const SESSION_ID_BYTES = 16;
+
+export const DEFAULT_SESSION_MINUTES = 30;
+export const DEFAULT_MAX_SESSION_MINUTES = 8 * 60;
+export const MFA_ISSUER = '401(k) Portal';
+export const MFA_CHALLENGE_TYPES = {
+  ENROLL: 'enroll',
+  VERIFY: 'verify'
+};
+
+const CHALLENGE_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+export const INVALID_CREDENTIALS_ERROR = 'Incorrect email or password';
+export const INVALID_CODE_ERROR = 'That code is not valid. Check your authenticator app and try again.';
+export const CHALLENGE_EXPIRED_ERROR = 'This verification has expired or had too many attempts. Please sign in again.';
+export const STEP_UP_LOCKED_ERROR = 'Too many incorrect codes. Please sign in again.';
+
+// Checked when no user has the email, so an unknown email takes as long as a wrong password
+const DECOY_PASSWORD = {
+  algorithm: 'PBKDF2-SHA256',
+  iterations: 210000,
+  salt: '00000000000000000000000000000000',
+  hash: ''
+};
+
+/**
+ * Create a local auth provider
+ * @param {Object} [options] - {users, storage, sessionMinutes, maxSessionMinutes}
+ * @returns {Object} Auth provider
+ */
+export const createMockAuthProvider = ({
+  users = usersData.users,
+  storage = window.localStorage,
+  sessionMinutes = DEFAULT_SESSION_MINUTES,
+  maxSessionMinutes = DEFAULT_MAX_SESSION_MINUTES
+} = {}) => {
+  const getSigningKey = () => {
+    let key = storage.getItem(SIGNING_KEY_STORAGE_KEY);
+    if (!key) {
+      key = generateRandomHex(SIGNING_KEY_BYTES);
+      storage.setItem(SIGNING_KEY_STORAGE_KEY, key);
+    }
+    return key;
+  };
+
+  const readRecords = (storageKey) => JSON.parse(storage.getItem(storageKey) || '{}');
+  const writeRecords = (storageKey, records) => storage.setItem(storageKey, JSON.stringify(records));
+
+  // Live sessions or challenges keyed by ID, dropping any that have expired
+  const readLive = (storageKey) => {
+    return Object.fromEntries(Object.entries(readRecords(storageKey)).filter(([, record]) => record.expiresAt > Date.now()));
+  };
+
+  const toPublicUser = (user) => ({ id: user.id, email: user.email, name: user.name, role: user.role });
+
+  // Each token expires sessionMinutes after it is issued, but never past the session's absolute limit
+  const getTokenExpiry = (issuedAt, maxExpiresAt) => Math.min(issuedAt + sessionMinutes * 60000, maxExpiresAt);
+
+  const startSession = async (user) => {
+    const issuedAt = Date.now();
+    const maxExpiresAt = issuedAt + maxSessionMinutes * 60000;
+    const expiresAt = getTokenExpiry(issuedAt, maxExpiresAt);
+    const sessionId = generateRandomHex(SESSION_ID_BYTES);
+    const tokenId = generateRandomHex(SESSION_ID_BYTES);
+    writeRecords(SESSIONS_STORAGE_KEY, {
+      ...readLive(SESSIONS_STORAGE_KEY),
+      [sessionId]: { userId: user.id, tokenId, expiresAt, maxExpiresAt, stepUpAt: null }
+    });
+
+    const token = await signToken({ sid: sessionId, jti: tokenId, sub: user.id, iat: issuedAt, exp: expiresAt }, getSigningKey());
+    return { token, user: toPublicUser(user), expiresAt, maxExpiresAt, stepUpAt: null };
+  };
+
+  /**
+   * Find the session a verified token belongs to, unless a refresh has since replaced the token
+   * @param {Object|null} payload - Verified token payload
+   * @param {Object} sessions - Live sessions keyed by session ID
+   * @returns {Object|undefined} Session record
+   */
+  const findSession = (payload, sessions) => {
+    const session = payload && sessions[payload.sid];
+    // Sessions started before tokens were revoked on refresh have no token ID
+    if (!session || (session.tokenId && session.tokenId !== payload.jti)) return undefined;
+    return session;
+  };
+
+  /**
+   * Check a code from the user's authenticator app or one of their recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - Code entered
+   * @returns {Promise<boolean>} True when the code is accepted; a used code cannot be used again
+   */
+  const checkSecondFactor = async (userId, code) => {
+    const enrollments = readRecords(MFA_STORAGE_KEY);
+    const enrollment = enrollments[userId];
+    if (!enrollment) return false;
+
+    const counter = await verifyTotp(code, enrollment.secret, Date.now(), { afterCounter: enrollment.lastCounter });
+    if (counter !== null) {
+      writeRecords(MFA_STORAGE_KEY, { ...enrollments, [userId]: { ...enrollment, lastCounter: counter } });
+      return true;
+    }
+
+    const hash = await hashRecoveryCode(code);
+    if (!enrollment.recoveryCodeHashes.includes(hash)) return false;
+    writeRecords(MFA_STORAGE_KEY, {
+      ...enrollments,
+      [userId]: { ...enrollment, recoveryCodeHashes: enrollment.recoveryCodeHashes.filter(h => h !== hash) }
+    });
+    return true;
+  };
+
+  /**
+   * Look up a live challenge, counting the attempt against it
+   * @param {string} challengeToken - Challenge token
+   * @param {string} type - One of MFA_CHALLENGE_TYPES
+   * @returns {Object|null} Challenge record, or null when it has expired or run out of attempts
+   */
+  const takeChallengeAttempt = (challengeToken, type) => {
+    const challenges = readLive(CHALLENGES_STORAGE_KEY);
+    const challenge = challenges[challengeToken];
+    if (!challenge || challenge.type !== type || challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) return null;
+    writeRecords(CHALLENGES_STORAGE_KEY, {
+      ...challenges,
+      [challengeToken]: { ...challenge, attempts: challenge.attempts + 1 }
+    });
+    return challenge;
+  };
+
+  const endChallenge = (challengeToken) => {
+    const challenges = readLive(CHALLENGES_STORAGE_KEY);
+    delete challenges[challengeToken];
+    writeRecords(CHALLENGES_STORAGE_KEY, challenges);
+  };
+
+  /**
+   * Check credentials and start a multi-factor challenge
+   * @param {Object} credentials - {email, password}
+   * @returns {Promise<Object>} {success, error, challenge}
+   */
+  const signIn = async ({ email, password }) => {
+    const user = users.find(u => u.email.toLowerCase() === (email || '').trim().toLowerCase());
+    const matches = await verifyPassword(password || '', user ? user.password : DECOY_PASSWORD);
+    if (!user || !matches) {
+      return { success: false, error: INVALID_CREDENTIALS_ERROR, challenge: null };
+    }
+
+    const token = generateRandomHex(SESSION_ID_BYTES);
+    const enrolled = Boolean(readRecords(MFA_STORAGE_KEY)[user.id]);
+    const challenge = enrolled
+      ? { type: MFA_CHALLENGE_TYPES.VERIFY }
+      : { type: MFA_CHALLENGE_TYPES.ENROLL, secret: generateTotpSecret() };
+    writeRecords(CHALLENGES_STORAGE_KEY, {
+      ...readLive(CHALLENGES_STORAGE_KEY),
+      [token]: { ...challenge, userId: user.id, attempts: 0, expiresAt: Date.now() + CHALLENGE_MINUTES * 60000 }
+    });
+
+    return {
+      success: true,
+      error: null,
+      challenge: enrolled
+        ? { token, type: challenge.type }
+        : {
+          token,
+          type: challenge.type,
+          secret: challenge.secret,
+          otpauthUri: buildOtpAuthUri({ secret: challenge.secret, accountName: user.email, issuer: MFA_ISSUER })
+        }
+    };
+  };
+
+  /**
+   * Confirm a new authenticator app with its first code, then start a session
+   * @param {string} challengeToken - Enrollment challenge token
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} {success, error, session, recoveryCodes}
+   */
+  const enrollMfa = async (challengeToken, code) => {
+    const challenge = takeChallengeAttempt(challengeToken, MFA_CHALLENGE_TYPES.ENROLL);
+    if (!challenge) {
+      return { success: false, error: CHALLENGE_EXPIRED_ERROR, session: null, recoveryCodes: null };
+    }
+    const counter = await verifyTotp(code, challenge.secret, Date.now());
+    if (counter === null) {
+      return { success: false, error: INVALID_CODE_ERROR, session: null, recoveryCodes: null };
+    }
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    writeRecords(MFA_STORAGE_KEY, {
+      ...readRecords(MFA_STORAGE_KEY),
+      [challenge.userId]: {
+        secret: challenge.secret,
+        lastCounter: counter,
+        recoveryCodeHashes: await Promise.all(recoveryCodes.map(hashRecoveryCode)),
+        enrolledAt: new Date().toISOString()
+      }
+    });
+    endChallenge(challengeToken);
+
+    const user = users.find(u => u.id === challenge.userId);
+    return { success: true, error: null, session: await startSession(user), recoveryCodes };
+  };
+
+  /**
+   * Check the second factor for a sign-in and start a session
+   * @param {string} challengeToken - Verification challenge token
+   * @param {string} code - Authenticator or recovery code
+   * @returns {Promise<Object>} {success, error, session}
+   */
+  const verifyMfa = async (challengeToken, code) => {
+    const challenge = takeChallengeAttempt(challengeToken, MFA_CHALLENGE_TYPES.VERIFY);
+    if (!challenge) {
+      return { success: false, error: CHALLENGE_EXPIRED_ERROR, session: null };
+    }
+    if (!await checkSecondFactor(challenge.userId, code)) {
+      return { success: false, error: INVALID_CODE_ERROR, session: null };
+    }
+    endChallenge(challengeToken);
+
+    const user = users.find(u => u.id === challenge.userId);
+    return { success: true, error: null, session: await startSession(user) };
+  };
+
+  /**
+   * Look up the session a token belongs to
+   * @param {string} token - Signed session token
+   * @returns {Promise<Object|null>} Session, or null when the token is invalid, expired or signed out
+   */
+  const getSession = async (token) => {
+    const payload = await verifyToken(token, getSigningKey(), Date.now());
+    const session = findSession(payload, readLive(SESSIONS_STORAGE_KEY));
+    const user = session && session.userId === payload.sub && users.find(u => u.id === payload.sub);
+    if (!user) return null;
+    return {
+      token,
+      user: toPublicUser(user),
+      expiresAt: payload.exp,
+      maxExpiresAt: session.maxExpiresAt ?? payload.exp,
+      stepUpAt: session.stepUpAt
+    };
+  };
+
+  /**
+   * Re-issue a live session's token with a later expiry, so a user who is
+   * still working is not signed out; the session's absolute limit still applies.
+   * The token being replaced stops working.
+   * @param {string} token - Signed session token
+   * @returns {Promise<Object|null>} Session with the new token, or null when the token is invalid, expired, replaced or signed out
+   */
+  const refreshSession = async (token) => {
+    const payload = await verifyToken(token, getSigningKey(), Date.now());
+    const sessions = readLive(SESSIONS_STORAGE_KEY);
+    const session = findSession(payload, sessions);
+    const user = session && session.userId === payload.sub && users.find(u => u.id === payload.sub);
+    if (!user) return null;
+
+    // Sessions started before the absolute limit existed end when their current token does
+    const maxExpiresAt = session.maxExpiresAt ?? payload.exp;
+    const issuedAt = Date.now();
+    const expiresAt = getTokenExpiry(issuedAt, maxExpiresAt);
+    const tokenId = generateRandomHex(SESSION_ID_BYTES);
+    writeRecords(SESSIONS_STORAGE_KEY, { ...sessions, [payload.sid]: { ...session, tokenId, expiresAt, maxExpiresAt } });
+
+    const refreshed = await signToken({ sid: payload.sid, jti: tokenId, sub: user.id, iat: issuedAt, exp: expiresAt }, getSigningKey());
+    return { token: refreshed, user: toPublicUser(user), expiresAt, maxExpiresAt, stepUpAt: session.stepUpAt };
+  };
+
+  /**
+   * Re-verify a signed-in user with their second factor
+   * @param {string} token - Signed session token
+   * @param {string} code - Authenticator or recovery code
+   * @returns {Promise<Object>} {success, error, stepUpAt, sessionEnded}
+   */
+  const verifyStepUp = async (token, code) => {
+    const payload = await verifyToken(token, getSigningKey(), Date.now());
+    const sessions = readLive(SESSIONS_STORAGE_KEY);
+    const session = findSession(payload, sessions);
+    if (!session) {
+      return { success: false, error: CHALLENGE_EXPIRED_ERROR, stepUpAt: null, sessionEnded: true };
+    }
+
+    if (!await checkSecondFactor(payload.sub, code)) {
+      const failures = (session.stepUpFailures || 0) + 1;
+      if (failures >= MAX_CHALLENGE_ATTEMPTS) {
+        delete sessions[payload.sid];
+        writeRecords(SESSIONS_STORAGE_KEY, sessions);
+        return { success: false, error: STEP_UP_LOCKED_ERROR, stepUpAt: null, sessionEnded: true };
+      }
+      writeRecords(SESSIONS_STORAGE_KEY, { ...sessions, [payload.sid]: { ...session, stepUpFailures: failures } });
+      return { success: false, error: INVALID_CODE_ERROR, stepUpAt: null, sessionEnded: false };
+    }
+
+    const stepUpAt = Date.now();
+    writeRecords(SESSIONS_STORAGE_KEY, { ...sessions, [payload.sid]: { ...session, stepUpAt, stepUpFailures: 0 } });
+    return { success: true, error: null, stepUpAt, sessionEnded: false };
+  };
+
+  /**
+   * End the session a token belongs to
+   * @param {string} token - Signed session token
+   * @returns {Promise<void>}
+   */
+  const signOut = async (token) => {
+    const payload = await verifyToken(token, getSigningKey(), Date.now());
+    if (!payload) return;
+    const sessions = readLive(SESSIONS_STORAGE_KEY);
+    delete sessions[payload.sid];
+    writeRecords(SESSIONS_STORAGE_KEY, sessions);
+  };
+
+  return { signIn, enrollMfa, verifyMfa, verifyStepUp, getSession, refreshSession, signOut };
+};
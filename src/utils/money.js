@@ -0,0 +1,316 @@
+/**
+ * Fixed-precision money and unit arithmetic
+ *
+ * Amounts, units and NAVs are handled as scaled BigInt integers so that
+ * decimal values are represented exactly; results are rounded once, to the
+ * precision they are stored at, and handed back as numbers:
+ *   - currency to MONEY_DECIMALS (cents)
+ *   - fund units to UNIT_DECIMALS (3 to 6 decimals; 6 by default)
+ *   - NAVs are used exactly as published, never rounded
+ *
+ * Unless a caller asks otherwise, results round half away from zero
+ * (DEFAULT_ROUNDING_MODE). ROUNDING_MODES.DOWN truncates toward zero and is
+ * used for maximums, so an amount never exceeds what is actually available.
+ */
+
+export const MONEY_DECIMALS = 2;
+export const UNIT_DECIMALS = 6;
+export const MIN_UNIT_DECIMALS = 3;
+
+export const ROUNDING_MODES = {
+  HALF_UP: 'half-up',
+  HALF_EVEN: 'half-even',
+  DOWN: 'down'
+};
+
+export const DEFAULT_ROUNDING_MODE = ROUNDING_MODES.HALF_UP;
+
+// Significant digits kept when reading a number; drops the noise of binary floats (0.1 + 0.2)
+const SIGNIFICANT_DIGITS = 15;
+
+// Weights for allocateMoney are compared at this precision
+const WEIGHT_DECIMALS = 9;
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+const abs = (value) => (value < 0n ? -value : value);
+
+/**
+ * Write a number in plain decimal notation
+ * @param {number} value - Finite number
+ * @returns {string} Decimal string without an exponent
+ */
+const toPlainString = (value) => {
+  const text = value.toPrecision(SIGNIFICANT_DIGITS);
+  if (!text.includes('e')) return text;
+
+  const [mantissa, exponentText] = text.split('e');
+  const exponent = parseInt(exponentText);
+  const negative = mantissa.startsWith('-');
+  const [whole, fraction = ''] = mantissa.replace('-', '').split('.');
+  const digits = whole + fraction;
+  const point = whole.length + exponent;
+  const plain = point <= 0
+    ? `0.${'0'.repeat(-point)}${digits}`
+    : point >= digits.length
+      ? digits + '0'.repeat(point - digits.length)
+      : `${digits.slice(0, point)}.${digits.slice(point)}`;
+  return negative ? `-${plain}` : plain;
+};
+
+/**
+ * Read a number or numeric string as an exact scaled integer
+ * @param {number|string} value - Value to read
+ * @returns {Object|null} {value: BigInt, scale} meaning value / 10^scale, or null when not numeric
+ */
+const parseDecimal = (value) => {
+  const number = typeof value === 'number' ? value : Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number)) return null;
+
+  const text = typeof value === 'string' && /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/.test(value)
+    ? value.trim().replace('+', '')
+    : toPlainString(number);
+  const negative = text.startsWith('-');
+  const [whole, fraction = ''] = text.replace('-', '').split('.');
+  const digits = BigInt((whole || '0') + fraction);
+  return { value: negative ? -digits : digits, scale: fraction.length };
+};
+
+/**
+ * Divide two BigInts, rounding the quotient
+ * @param {BigInt} numerator - Numerator
+ * @param {BigInt} denominator - Denominator (non-zero)
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {BigInt} Rounded quotient
+ */
+const divideRounded = (numerator, denominator, mode) => {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = abs(numerator);
+  const d = abs(denominator);
+  let quotient = n / d;
+  const twiceRemainder = (n % d) * 2n;
+
+  if (mode === ROUNDING_MODES.HALF_UP && twiceRemainder >= d) {
+    quotient += 1n;
+  } else if (mode === ROUNDING_MODES.HALF_EVEN &&
+    (twiceRemainder > d || (twiceRemainder === d && quotient % 2n === 1n))) {
+    quotient += 1n;
+  }
+  return negative ? -quotient : quotient;
+};
+
+/**
+ * Bring a scaled decimal to a target number of decimals
+ * @param {Object} decimal - {value, scale}
+ * @param {number} decimals - Target decimals
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {BigInt} Value scaled by 10^decimals
+ */
+const rescale = ({ value, scale }, decimals, mode) => {
+  return scale <= decimals
+    ? value * pow10(decimals - scale)
+    : divideRounded(value, pow10(scale - decimals), mode);
+};
+
+/**
+ * Convert a scaled integer back to a number
+ * @param {BigInt} scaled - Value scaled by 10^decimals
+ * @param {number} decimals - Decimals in the scale
+ * @returns {number} Number closest to the exact decimal
+ */
+const fromScaled = (scaled, decimals) => {
+  const digits = abs(scaled).toString().padStart(decimals + 1, '0');
+  const text = decimals > 0
+    ? `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`
+    : digits;
+  return Number(scaled < 0n ? `-${text}` : text);
+};
+
+/**
+ * Keep a unit precision inside the supported 3 to 6 decimals
+ * @param {number} decimals - Requested decimals
+ * @returns {number} Supported decimals
+ */
+const toUnitDecimals = (decimals) => {
+  return Math.min(Math.max(decimals ?? UNIT_DECIMALS, MIN_UNIT_DECIMALS), UNIT_DECIMALS);
+};
+
+/**
+ * Convert a dollar amount to whole cents
+ * @param {number|string} amount - Dollar amount
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @returns {number} Integer number of cents (0 for non-numeric input)
+ */
+export const toCents = (amount, mode = DEFAULT_ROUNDING_MODE) => {
+  const decimal = parseDecimal(amount);
+  return decimal ? Number(rescale(decimal, MONEY_DECIMALS, mode)) : 0;
+};
+
+/**
+ * Convert whole cents to a dollar amount
+ * @param {number} cents - Integer number of cents
+ * @returns {number} Dollar amount
+ */
+export const fromCents = (cents) => {
+  return fromScaled(BigInt(Math.round(cents)), MONEY_DECIMALS);
+};
+
+/**
+ * Round a dollar amount to cents
+ * @param {number|string} amount - Dollar amount
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @returns {number} Amount in whole cents, or NaN when the input is not numeric
+ */
+export const roundMoney = (amount, mode = DEFAULT_ROUNDING_MODE) => {
+  const decimal = parseDecimal(amount);
+  return decimal ? fromScaled(rescale(decimal, MONEY_DECIMALS, mode), MONEY_DECIMALS) : NaN;
+};
+
+/**
+ * Round fund units to the stored precision
+ * @param {number|string} units - Units
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @param {number} [decimals] - Unit decimals, 3 to 6
+ * @returns {number} Rounded units, or NaN when the input is not numeric
+ */
+export const roundUnits = (units, mode = DEFAULT_ROUNDING_MODE, decimals = UNIT_DECIMALS) => {
+  const decimal = parseDecimal(units);
+  const places = toUnitDecimals(decimals);
+  return decimal ? fromScaled(rescale(decimal, places, mode), places) : NaN;
+};
+
+/**
+ * Add dollar amounts exactly, each taken to the cent
+ * @param {Array} amounts - Dollar amounts
+ * @returns {number} Total in whole cents
+ */
+export const sumMoney = (amounts) => {
+  return fromCents(amounts.reduce((sum, amount) => sum + toCents(amount), 0));
+};
+
+/**
+ * Subtract one dollar amount from another exactly
+ * @param {number} amount - Dollar amount
+ * @param {number} subtrahend - Dollar amount to subtract
+ * @returns {number} Difference in whole cents
+ */
+export const subtractMoney = (amount, subtrahend) => {
+  return fromCents(toCents(amount) - toCents(subtrahend));
+};
+
+/**
+ * Add fund units exactly
+ * @param {Array} units - Unit quantities
+ * @returns {number} Total units at UNIT_DECIMALS
+ */
+export const sumUnits = (units) => {
+  const total = units.reduce((sum, quantity) => {
+    const decimal = parseDecimal(quantity);
+    return decimal ? sum + rescale(decimal, UNIT_DECIMALS, DEFAULT_ROUNDING_MODE) : sum;
+  }, 0n);
+  return fromScaled(total, UNIT_DECIMALS);
+};
+
+/**
+ * Subtract fund units exactly
+ * @param {number} units - Units held
+ * @param {number} subtrahend - Units to remove
+ * @returns {number} Remaining units at UNIT_DECIMALS
+ */
+export const subtractUnits = (units, subtrahend) => {
+  return sumUnits([units, -subtrahend]);
+};
+
+/**
+ * Multiply a dollar amount by a rate or fraction and round to cents
+ * @param {number} amount - Dollar amount
+ * @param {number} factor - Multiplier, e.g. 0.2 for 20%
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @returns {number} Product in whole cents
+ */
+export const multiplyMoney = (amount, factor, mode = DEFAULT_ROUNDING_MODE) => {
+  const a = parseDecimal(amount);
+  const f = parseDecimal(factor);
+  if (!a || !f) return NaN;
+  return fromScaled(rescale({ value: a.value * f.value, scale: a.scale + f.scale }, MONEY_DECIMALS, mode), MONEY_DECIMALS);
+};
+
+/**
+ * Take a percentage of a dollar amount
+ * @param {number} amount - Dollar amount
+ * @param {number} percent - Percentage, e.g. 20 for 20%
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @returns {number} Share in whole cents
+ */
+export const percentOfMoney = (amount, percent, mode = DEFAULT_ROUNDING_MODE) => {
+  const a = parseDecimal(amount);
+  const p = parseDecimal(percent);
+  if (!a || !p) return NaN;
+  return fromScaled(rescale({ value: a.value * p.value, scale: a.scale + p.scale + 2 }, MONEY_DECIMALS, mode), MONEY_DECIMALS);
+};
+
+/**
+ * Value fund units at a NAV
+ * @param {number} units - Units
+ * @param {number} nav - Net asset value (price per unit)
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @returns {number} Market value in whole cents
+ */
+export const unitsToAmount = (units, nav, mode = DEFAULT_ROUNDING_MODE) => {
+  return multiplyMoney(units, nav, mode);
+};
+
+/**
+ * Convert a dollar amount to fund units at a NAV
+ * @param {number} amount - Dollar amount
+ * @param {number} nav - Net asset value (price per unit)
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @param {number} [decimals] - Unit decimals, 3 to 6
+ * @returns {number} Units, or 0 when the NAV is missing or zero
+ */
+export const amountToUnits = (amount, nav, mode = DEFAULT_ROUNDING_MODE, decimals = UNIT_DECIMALS) => {
+  const a = parseDecimal(amount);
+  const n = parseDecimal(nav);
+  if (!a || !n || n.value === 0n) return 0;
+  const places = toUnitDecimals(decimals);
+  // amount / nav at `places` decimals: (a / 10^as) / (n / 10^ns) * 10^places
+  const quotient = divideRounded(a.value * pow10(n.scale + places), n.value * pow10(a.scale), mode);
+  return fromScaled(quotient, places);
+};
+
+/**
+ * Split a dollar amount in proportion to weights, keeping the total to the cent
+ *
+ * Each share is rounded down to the cent and the leftover cents go one at a
+ * time to the shares with the largest remainders, so the parts always add up
+ * to the amount exactly.
+ * @param {number} amount - Dollar amount
+ * @param {Array} weights - Non-negative weights, one per share
+ * @returns {Array} Amounts in whole cents, in the order of the weights
+ */
+export const allocateMoney = (amount, weights) => {
+  const cents = BigInt(toCents(amount));
+  const scaledWeights = weights.map(weight => {
+    const decimal = parseDecimal(weight);
+    return decimal && decimal.value > 0n ? rescale(decimal, WEIGHT_DECIMALS, DEFAULT_ROUNDING_MODE) : 0n;
+  });
+  const totalWeight = scaledWeights.reduce((sum, weight) => sum + weight, 0n);
+  if (totalWeight === 0n) return weights.map(() => 0);
+
+  const shares = scaledWeights.map((weight, index) => {
+    const exact = cents * weight;
+    return { index, cents: exact / totalWeight, remainder: abs(exact % totalWeight) };
+  });
+  const step = cents < 0n ? -1n : 1n;
+  let leftover = abs(cents - shares.reduce((sum, share) => sum + share.cents, 0n));
+  [...shares]
+    .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.index - b.index))
+    .forEach(share => {
+      if (leftover > 0n) {
+        share.cents += step;
+        leftover -= 1n;
+      }
+    });
+
+  return shares.map(share => fromScaled(share.cents, MONEY_DECIMALS));
+};
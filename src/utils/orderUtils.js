@@ -0,0 +1,341 @@
+/**
+ * Order utility functions for queuing, settling and cancelling trades
+ *
+ * Transfers, reallocations, loans, withdrawals and Roth conversions are not
+ * applied when confirmed. They are queued as pending orders with a trade date and settle once the NAV for that
+ * date has been posted for every fund the order touches.
+ */
+
+import {
+  calculateTransferPreview,
+  calculateReallocationPreview,
+  validateTransfer
+} from './investmentUtils';
+import { TRANSACTION_TYPES, createTransaction, diffBalances, generateId } from './ledgerUtils';
+import { calculateLoanLiquidation, createLoan } from './loanUtils';
+import { getTradeDate } from './marketCalendar';
+import { ROUNDING_MODES, percentOfMoney, roundMoney, subtractMoney, sumMoney } from './money';
+import { getNavOnDate, getLatestNavs, toHoldings, valueHoldings } from './priceUtils';
+import { calculateWithdrawalPreview } from './withdrawalUtils';
+import { getConversionTaxableAmount, validateConversion } from './conversionUtils';
+
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  SETTLED: 'settled',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+/**
+ * Create a pending order
+ * @param {string} type - Transaction type the order will settle as
+ * @param {Object} details - Order details (transfer params or allocations)
+ * @param {Date} [placedAt] - When the order was placed
+ * @returns {Object} Pending order
+ */
+export const createOrder = (type, details, placedAt = new Date()) => {
+  return {
+    id: generateId('ord'),
+    type,
+    status: ORDER_STATUS.PENDING,
+    placedAt: placedAt.toISOString(),
+    tradeDate: getTradeDate(placedAt),
+    ...details
+  };
+};
+
+/**
+ * Get pending orders in the order they were placed
+ * @param {Array} orders - All orders
+ * @returns {Array} Pending orders
+ */
+export const getPendingOrders = (orders) => {
+  return orders
+    .filter(order => order.status === ORDER_STATUS.PENDING)
+    .sort((a, b) => a.placedAt.localeCompare(b.placedAt));
+};
+
+/**
+ * Order types that move an amount from one holding to another
+ */
+const TRANSFER_ORDER_TYPES = [TRANSACTION_TYPES.TRANSFER, TRANSACTION_TYPES.ROTH_CONVERSION];
+
+/**
+ * Get the funds whose NAV is needed to settle an order
+ * @param {Object} order - Order
+ * @param {Array} funds - Fund definitions
+ * @returns {Array<number>} Fund IDs
+ */
+export const getOrderFundIds = (order, funds) => {
+  if (TRANSFER_ORDER_TYPES.includes(order.type)) {
+    return [parseInt(order.fromFund), parseInt(order.toFund)];
+  }
+  return funds.map(fund => fund.id);
+};
+
+/**
+ * Calculate balances after applying an order at the given NAVs
+ * @param {Object} order - Order
+ * @param {Array} balances - Valued balances to apply the order to
+ * @param {Array} funds - Fund definitions
+ * @param {Object} navsByFund - NAVs keyed by fund ID
+ * @returns {Array} Updated balances
+ */
+const applyOrder = (order, balances, funds, navsByFund) => {
+  if (TRANSFER_ORDER_TYPES.includes(order.type)) {
+    return calculateTransferPreview(order, balances, navsByFund);
+  }
+  if (order.type === TRANSACTION_TYPES.LOAN) {
+    return calculateLoanLiquidation(roundMoney(order.amount), balances, order.vestedPercentages);
+  }
+  if (order.type === TRANSACTION_TYPES.WITHDRAWAL) {
+    return calculateWithdrawalPreview(order.sources, balances, order.vestedPercentages);
+  }
+  return calculateReallocationPreview(order.allocations, balances, funds, navsByFund);
+};
+
+/**
+ * Order types that reposition every holding and so cannot be queued with others
+ */
+const EXCLUSIVE_ORDER_TYPES = [
+  TRANSACTION_TYPES.REALLOCATION,
+  TRANSACTION_TYPES.LOAN,
+  TRANSACTION_TYPES.WITHDRAWAL
+];
+
+const EXCLUSIVE_ORDER_ACTIONS = {
+  [TRANSACTION_TYPES.REALLOCATION]: 'reallocating',
+  [TRANSACTION_TYPES.LOAN]: 'requesting a loan',
+  [TRANSACTION_TYPES.WITHDRAWAL]: 'requesting a withdrawal'
+};
+
+// How each type of order is named in messages
+const ORDER_NAMES = {
+  [TRANSACTION_TYPES.TRANSFER]: 'transfer',
+  [TRANSACTION_TYPES.ROTH_CONVERSION]: 'Roth conversion',
+  [TRANSACTION_TYPES.REALLOCATION]: 'reallocation',
+  [TRANSACTION_TYPES.LOAN]: 'loan',
+  [TRANSACTION_TYPES.WITHDRAWAL]: 'withdrawal'
+};
+
+/**
+ * Get the details recorded on the transaction an order settles as
+ * @param {Object} order - Order
+ * @param {Array} legs - Legs of the settled order
+ * @returns {Object} Transaction details
+ */
+const getSettlementDetails = (order, legs) => {
+  switch (order.type) {
+    case TRANSACTION_TYPES.TRANSFER:
+      return {
+        fromFundId: parseInt(order.fromFund),
+        toFundId: parseInt(order.toFund),
+        contributionTypeId: parseInt(order.fromType)
+      };
+    case TRANSACTION_TYPES.LOAN:
+      return { loanId: generateId('loan'), termYears: parseInt(order.termYears) };
+    case TRANSACTION_TYPES.ROTH_CONVERSION:
+      return {
+        fromFundId: parseInt(order.fromFund),
+        toFundId: parseInt(order.toFund),
+        contributionTypeId: parseInt(order.fromType),
+        toContributionTypeId: parseInt(order.toType),
+        taxableAmount: getConversionTaxableAmount(legs),
+        taxYear: parseInt(order.tradeDate.slice(0, 4))
+      };
+    case TRANSACTION_TYPES.WITHDRAWAL:
+      return { reason: order.reason, separationDate: order.separationDate || null, tax: order.tax };
+    default:
+      return { allocations: order.allocations };
+  }
+};
+
+/**
+ * Check that holdings still have the vested money a loan order needs
+ * @param {Object} order - Loan order
+ * @param {Array} balances - Valued balances at the trade date
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+const validateLoanOrder = (order, balances) => {
+  const vested = sumMoney(balances.map(b =>
+    percentOfMoney(b.balance, order.vestedPercentages[b.contributionTypeId] ?? 100, ROUNDING_MODES.DOWN)
+  ));
+  if (roundMoney(order.amount) > vested) {
+    return { valid: false, error: 'Vested balance is no longer enough to fund this loan' };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Check that each contribution type still has the vested money a withdrawal takes from it
+ * @param {Object} order - Withdrawal order
+ * @param {Array} balances - Valued balances at the trade date
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+const validateWithdrawalOrder = (order, balances) => {
+  const short = order.sources.some(source => {
+    // Vested shares round down, as when the withdrawal was placed
+    const vested = sumMoney(balances
+      .filter(b => b.contributionTypeId === source.contributionTypeId)
+      .map(b => percentOfMoney(b.balance, order.vestedPercentages[b.contributionTypeId] ?? 100, ROUNDING_MODES.DOWN)));
+    return roundMoney(source.amount) > vested;
+  });
+  if (short) {
+    return { valid: false, error: 'Vested balance is no longer enough to fund this withdrawal' };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Check that an order can still be filled from the holdings at its trade date
+ * @param {Object} order - Order
+ * @param {Array} balances - Valued balances at the trade date
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+const validateOrderAtSettlement = (order, balances, contributionTypes) => {
+  switch (order.type) {
+    case TRANSACTION_TYPES.TRANSFER:
+      return validateTransfer(order, balances);
+    case TRANSACTION_TYPES.LOAN:
+      return validateLoanOrder(order, balances);
+    case TRANSACTION_TYPES.WITHDRAWAL:
+      return validateWithdrawalOrder(order, balances);
+    case TRANSACTION_TYPES.ROTH_CONVERSION:
+      return validateConversion(order, balances, order.vestedPercentages, contributionTypes);
+    default:
+      return { valid: true, error: null };
+  }
+};
+
+/**
+ * Check whether a new order can be queued alongside the pending ones
+ *
+ * A pending reallocation, loan or withdrawal repositions every holding, so nothing else
+ * may be queued with it until it settles or is cancelled.
+ * @param {string} type - Transaction type of the new order
+ * @param {Array} orders - All orders
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateNewOrder = (type, orders) => {
+  const pending = getPendingOrders(orders);
+
+  const exclusive = pending.find(order => EXCLUSIVE_ORDER_TYPES.includes(order.type));
+  if (exclusive) {
+    return {
+      valid: false,
+      error: `A ${ORDER_NAMES[exclusive.type]} is pending. Cancel it or wait for it to settle before placing another order.`
+    };
+  }
+
+  if (EXCLUSIVE_ORDER_TYPES.includes(type) && pending.length > 0) {
+    const names = [...new Set(pending.map(order => ORDER_NAMES[order.type]))].join(', ');
+    const error = pending.length === 1
+      ? `A ${names} is pending. Cancel it or wait for it to settle before ${EXCLUSIVE_ORDER_ACTIONS[type]}.`
+      : `${pending.length} orders are pending (${names}). Cancel them or wait for them to settle before ${EXCLUSIVE_ORDER_ACTIONS[type]}.`;
+    return { valid: false, error };
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Reduce balances by the amounts already committed to pending transfers and conversions
+ * @param {Array} balances - Settled balances
+ * @param {Array} orders - All orders
+ * @returns {Array} Balances available for new orders
+ */
+export const getAvailableBalances = (balances, orders) => {
+  const pendingTransfers = getPendingOrders(orders)
+    .filter(order => TRANSFER_ORDER_TYPES.includes(order.type));
+
+  return balances.map(balance => {
+    const committed = sumMoney(pendingTransfers
+      .filter(order =>
+        parseInt(order.fromFund) === balance.fundId &&
+        parseInt(order.fromType) === balance.contributionTypeId
+      )
+      .map(order => order.amount));
+    return committed > 0
+      ? { ...balance, balance: Math.max(subtractMoney(balance.balance, committed), 0) }
+      : balance;
+  });
+};
+
+/**
+ * Estimate the effect of pending orders at current NAVs
+ * @param {Array} balances - Settled balances, valued at the latest NAVs
+ * @param {Array} orders - All orders
+ * @param {Array} funds - Fund definitions
+ * @param {Object} navHistory - NAV history
+ * @returns {Array} Estimated legs with signed amounts per holding
+ */
+export const getPendingLegs = (balances, orders, funds, navHistory) => {
+  const latestNavs = getLatestNavs(navHistory);
+  const projected = getPendingOrders(orders)
+    .reduce((current, order) => applyOrder(order, current, funds, latestNavs), balances);
+  return diffBalances(balances, projected);
+};
+
+/**
+ * Settle every pending order whose trade-date NAVs have been posted
+ *
+ * Orders settle in the sequence they were placed. Each is priced at its trade
+ * date's NAVs and recorded in the ledger. An order that no longer passes
+ * validation is marked failed.
+ * @param {Object} investments - Stored investment state (holdings carry units only)
+ * @returns {Object} Updated investment state, or the same object when nothing settled
+ */
+export const settlePendingOrders = (investments) => {
+  const { funds, navHistory } = investments;
+  const ready = getPendingOrders(investments.orders).filter(order =>
+    getOrderFundIds(order, funds).every(fundId =>
+      getNavOnDate(navHistory, fundId, order.tradeDate) !== undefined
+    )
+  );
+
+  if (ready.length === 0) return investments;
+
+  let holdings = investments.balances;
+  const transactions = [];
+  const loans = [];
+  const outcomes = {};
+
+  ready.forEach(order => {
+    const tradeDateNavs = getLatestNavs(navHistory, order.tradeDate);
+    const atTradeDate = valueHoldings(holdings, navHistory, order.tradeDate);
+
+    const validation = validateOrderAtSettlement(order, atTradeDate, investments.contributionTypes);
+    if (!validation.valid) {
+      outcomes[order.id] = { status: ORDER_STATUS.FAILED, error: validation.error };
+      return;
+    }
+
+    const settled = applyOrder(order, atTradeDate, funds, tradeDateNavs);
+    const legs = diffBalances(atTradeDate, settled);
+    const transaction = createTransaction(order.type, legs, {
+      ...getSettlementDetails(order, legs),
+      orderId: order.id,
+      tradeDate: order.tradeDate
+    });
+
+    transactions.push(transaction);
+    if (order.type === TRANSACTION_TYPES.LOAN) {
+      loans.push(createLoan(order, transaction));
+    }
+    outcomes[order.id] = { status: ORDER_STATUS.SETTLED, transactionId: transaction.id };
+    holdings = toHoldings(settled);
+  });
+
+  return {
+    ...investments,
+    balances: holdings,
+    transactions: [...investments.transactions, ...transactions],
+    loans: [...(investments.loans || []), ...loans],
+    orders: investments.orders.map(order =>
+      outcomes[order.id]
+        ? { ...order, ...outcomes[order.id], processedAt: new Date().toISOString() }
+        : order
+    )
+  };
+};
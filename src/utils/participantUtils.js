@@ -0,0 +1,92 @@
+/**
+ * Plan and participant data functions
+ *
+ * Every participant belongs to a plan. Plan data (settings, fund lineup,
+ * contribution types and price history) is shared by everyone in the plan;
+ * account data (personal details, elections, holdings, orders and history)
+ * belongs to one participant. The app works with both together as a single
+ * investment state and stores them apart.
+ *
+ * The seed file lists a fund catalog and its price history once; each plan
+ * offers some of those funds:
+ * { funds, navHistory, plans: [{ id, adminUserIds, fundIds, settings, contributionTypes }],
+ *   participants: [{ userId, planId, participant, elections, balances }] }
+ */
+
+export const PLAN_FIELDS = ['settings', 'funds', 'contributionTypes', 'navHistory'];
+
+// History a participant starts with before their first order
+const EMPTY_ACCOUNT = {
+  transactions: [],
+  orders: [],
+  loans: [],
+  rmdSchedule: null,
+  rebalancing: null,
+  riskProfile: null
+};
+
+/**
+ * Build a plan's data from the seed file
+ * @param {Object} seed - Seed data
+ * @param {string} planId - Plan ID
+ * @returns {Object|null} {settings, funds, contributionTypes, navHistory}, or null for an unknown plan
+ */
+export const getSeedPlan = (seed, planId) => {
+  const plan = seed.plans.find(p => p.id === planId);
+  if (!plan) return null;
+  return {
+    settings: plan.settings,
+    funds: seed.funds.filter(fund => plan.fundIds.includes(fund.id)),
+    contributionTypes: plan.contributionTypes,
+    navHistory: Object.fromEntries(
+      plan.fundIds.filter(fundId => seed.navHistory[fundId]).map(fundId => [fundId, seed.navHistory[fundId]])
+    )
+  };
+};
+
+/**
+ * Build a participant's starting investment state from the seed file
+ * @param {Object} seed - Seed data
+ * @param {string} userId - User ID
+ * @returns {Object|null} Investment state, or null when the user is not a participant
+ */
+export const getSeedInvestments = (seed, userId) => {
+  const account = seed.participants.find(p => p.userId === userId);
+  const plan = account && getSeedPlan(seed, account.planId);
+  if (!plan) return null;
+  return { ...EMPTY_ACCOUNT, ...account, ...plan };
+};
+
+/**
+ * Split an investment state into the plan's data and the participant's own
+ * @param {Object} investments - Investment state
+ * @returns {Object} {plan, account}
+ */
+export const splitInvestments = (investments) => {
+  const plan = {};
+  const account = {};
+  Object.entries(investments).forEach(([key, value]) => {
+    (PLAN_FIELDS.includes(key) ? plan : account)[key] = value;
+  });
+  return { plan, account };
+};
+
+/**
+ * Get the plans a user administers
+ * @param {Object} seed - Seed data
+ * @param {string} userId - User ID
+ * @returns {Array} Plan IDs
+ */
+export const getAdministeredPlanIds = (seed, userId) => {
+  return seed.plans.filter(plan => (plan.adminUserIds || []).includes(userId)).map(plan => plan.id);
+};
+
+/**
+ * Get the users enrolled in a plan
+ * @param {Object} seed - Seed data
+ * @param {string} planId - Plan ID
+ * @returns {Array} User IDs
+ */
+export const getPlanParticipantIds = (seed, planId) => {
+  return seed.participants.filter(p => p.planId === planId).map(p => p.userId);
+};
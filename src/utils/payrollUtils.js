@@ -0,0 +1,420 @@
+/**
+ * Payroll utility functions for posting contributions and employer match
+ *
+ * Each pay period posts the participant's deferrals into the employee
+ * contribution types according to their election, and the employer match into
+ * the employer contribution type. Both are invested using the future
+ * contribution directions at the NAV in effect on the pay date.
+ *
+ * A match formula is a list of tiers, each matching a percentage of the
+ * deferrals that fall within it:
+ * { tiers: [{ upTo: 3, rate: 100 }, { upTo: 5, rate: 50 }], trueUp: true }
+ * matches 100% of the first 3% of pay deferred plus 50% of the next 2%.
+ */
+
+import { calculateContributionPreview, roundToCents } from './investmentUtils';
+import { CONTRIBUTION_SOURCES } from './electionUtils';
+import {
+  applyContributionLimits,
+  checkElectionLimits,
+  getAgeAtYearEnd,
+  getPlanYearLimits
+} from './limitUtils';
+import { TRANSACTION_TYPES, createTransaction, diffBalances } from './ledgerUtils';
+import { applyLoanRepayment, getActiveLoans, getLoanPaymentDue } from './loanUtils';
+import { addDays } from './marketCalendar';
+import { allocateMoney, percentOfMoney, subtractMoney, sumMoney } from './money';
+import { getLatestNavs, toHoldings, valueHoldings } from './priceUtils';
+
+export const PAY_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  SEMIMONTHLY: 'semimonthly',
+  MONTHLY: 'monthly'
+};
+
+export const PAY_PERIODS_PER_YEAR = {
+  [PAY_FREQUENCIES.WEEKLY]: 52,
+  [PAY_FREQUENCIES.BIWEEKLY]: 26,
+  [PAY_FREQUENCIES.SEMIMONTHLY]: 24,
+  [PAY_FREQUENCIES.MONTHLY]: 12
+};
+
+/**
+ * Get the last day of a month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const endOfMonth = (year, month) => {
+  return new Date(Date.UTC(year, month + 1, 0)).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the pay date that follows another
+ * @param {string} payDate - Previous pay date (YYYY-MM-DD)
+ * @param {string} frequency - One of PAY_FREQUENCIES
+ * @returns {string} Next pay date (YYYY-MM-DD)
+ */
+export const getNextPayDate = (payDate, frequency) => {
+  const date = new Date(`${payDate}T00:00:00Z`);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  switch (frequency) {
+    case PAY_FREQUENCIES.WEEKLY:
+      return addDays(payDate, 7);
+    case PAY_FREQUENCIES.SEMIMONTHLY:
+      if (date.getUTCDate() < 15) return `${payDate.slice(0, 8)}15`;
+      if (payDate < endOfMonth(year, month)) return endOfMonth(year, month);
+      return new Date(Date.UTC(year, month + 1, 15)).toISOString().slice(0, 10);
+    case PAY_FREQUENCIES.MONTHLY:
+      return endOfMonth(year, month + 1);
+    case PAY_FREQUENCIES.BIWEEKLY:
+    default:
+      return addDays(payDate, 14);
+  }
+};
+
+/**
+ * Get the next pay date to post
+ * @param {Array} transactions - Ledger transactions
+ * @param {Object} payroll - Payroll settings {frequency, firstPayDate}
+ * @returns {string} Next pay date (YYYY-MM-DD)
+ */
+export const getUpcomingPayDate = (transactions, payroll) => {
+  const lastPayDate = transactions
+    .filter(txn => txn.type === TRANSACTION_TYPES.CONTRIBUTION)
+    .map(txn => txn.payDate)
+    .sort()
+    .pop();
+  return lastPayDate ? getNextPayDate(lastPayDate, payroll.frequency) : payroll.firstPayDate;
+};
+
+/**
+ * Get the first pay date still to be posted that falls after a date
+ * @param {Array} transactions - Ledger transactions
+ * @param {Object} payroll - Payroll settings {frequency, firstPayDate}
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Pay date (YYYY-MM-DD)
+ */
+export const getFirstPayDateAfter = (transactions, payroll, date) => {
+  let payDate = getUpcomingPayDate(transactions, payroll);
+  while (payDate <= date) {
+    payDate = getNextPayDate(payDate, payroll.frequency);
+  }
+  return payDate;
+};
+
+/**
+ * Get the participant's gross pay for one pay period
+ * @param {Object} participant - Participant with annualSalary
+ * @param {Object} payroll - Payroll settings {frequency, firstPayDate}
+ * @returns {number} Gross pay
+ */
+export const getGrossPay = (participant, payroll) => {
+  return roundToCents(participant.annualSalary / PAY_PERIODS_PER_YEAR[payroll.frequency]);
+};
+
+/**
+ * Calculate the employer match as a percentage of pay
+ * @param {number} deferralRate - Employee deferral as a percentage of pay
+ * @param {Object} matchFormula - Match formula with tiers
+ * @returns {number} Match as a percentage of pay
+ */
+export const calculateMatchPercent = (deferralRate, matchFormula) => {
+  let floor = 0;
+  return (matchFormula?.tiers || []).reduce((total, tier) => {
+    const matched = Math.max(Math.min(deferralRate, tier.upTo) - floor, 0);
+    floor = tier.upTo;
+    return total + matched * tier.rate / 100;
+  }, 0);
+};
+
+/**
+ * Describe a match formula in words
+ * @param {Object} matchFormula - Match formula with tiers
+ * @returns {string} Description such as "100% of the first 3%, 50% of the next 2%"
+ */
+export const describeMatchFormula = (matchFormula) => {
+  let floor = 0;
+  const parts = (matchFormula?.tiers || []).map((tier, i) => {
+    const width = tier.upTo - floor;
+    floor = tier.upTo;
+    return `${tier.rate}% of the ${i === 0 ? 'first' : 'next'} ${width}% of pay`;
+  });
+  return parts.length > 0 ? parts.join(', ') : 'No employer match';
+};
+
+/**
+ * Split an amount across funds by percentage, keeping the total to the cent
+ * @param {number} amount - Dollar amount
+ * @param {Object} allocations - Percentages keyed by fund ID
+ * @returns {Array} [{fundId, amount}]
+ */
+export const allocateAmount = (amount, allocations) => {
+  const entries = Object.entries(allocations).filter(([, percentage]) => percentage > 0);
+  const amounts = allocateMoney(amount, entries.map(([, percentage]) => percentage));
+  return entries.map(([fundId], index) => ({ fundId: parseInt(fundId), amount: amounts[index] }));
+};
+
+/**
+ * Calculate one paycheck's contributions by contribution type
+ *
+ * When limits are given, deferrals stop at the year's deferral limit and the
+ * match is calculated on what was actually deferred, then held to the 415(c)
+ * limit.
+ * @param {number} grossPay - Gross pay for the period
+ * @param {Object} elections - Contribution election
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @param {Object} matchFormula - Match formula
+ * @param {Object} [limitContext] - {yearToDate, limits, age} for the pay date's plan year
+ * @returns {Object} {amountsByType, deferralAmount, matchAmount, deferralLimited, matchLimited}
+ */
+export const calculatePaycheckContributions = (grossPay, elections, contributionTypes, matchFormula, limitContext) => {
+  const employerType = contributionTypes.find(type => type.source === CONTRIBUTION_SOURCES.EMPLOYER);
+  const limit = (deferral, match) => limitContext
+    ? applyContributionLimits(deferral, match, limitContext.yearToDate, limitContext.limits, limitContext.age)
+    : { deferralAmount: deferral, matchAmount: match, deferralLimited: false, matchLimited: false };
+
+  const { deferralAmount, deferralLimited } = limit(percentOfMoney(grossPay, elections.deferralRate), 0);
+  const effectiveRate = grossPay > 0 ? deferralAmount / grossPay * 100 : 0;
+  const { matchAmount, matchLimited } = employerType
+    ? limit(deferralAmount, percentOfMoney(grossPay, calculateMatchPercent(effectiveRate, matchFormula)))
+    : { matchAmount: 0, matchLimited: false };
+
+  // Split deferrals by type; the type split is a percentage allocation like any other
+  const amountsByType = allocateAmount(deferralAmount, elections.typeSplit)
+    .reduce((acc, part) => ({ ...acc, [part.fundId]: part.amount }), {});
+  if (employerType && matchAmount > 0) {
+    amountsByType[employerType.id] = matchAmount;
+  }
+
+  return { amountsByType, deferralAmount, matchAmount, deferralLimited, matchLimited };
+};
+
+/**
+ * Get the pay dates left in a plan year, starting with the given one
+ * @param {string} payDate - Next pay date (YYYY-MM-DD)
+ * @param {string} frequency - One of PAY_FREQUENCIES
+ * @returns {Array<string>} Pay dates (YYYY-MM-DD)
+ */
+export const getRemainingPayDates = (payDate, frequency) => {
+  const year = payDate.slice(0, 4);
+  const dates = [];
+  for (let date = payDate; date.startsWith(year); date = getNextPayDate(date, frequency)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Get the limits that apply to a pay date and the contributions made so far that year
+ * @param {Object} investments - Stored investment state
+ * @param {string} payDate - Pay date (YYYY-MM-DD)
+ * @returns {Object} {yearToDate, limits, age}
+ */
+export const getLimitContext = (investments, payDate) => {
+  const year = payDate.slice(0, 4);
+  return {
+    yearToDate: getYearToDatePayroll(investments.transactions, year),
+    limits: getPlanYearLimits(year),
+    age: getAgeAtYearEnd(investments.participant.birthDate, year)
+  };
+};
+
+/**
+ * Check an election against the IRS limits for the rest of the current plan year
+ * @param {Object} investments - Investment state
+ * @param {Object} elections - Election to check, with numeric percentages
+ * @returns {Array<string>} Warnings, empty when the election stays within the limits
+ */
+export const getElectionLimitWarnings = (investments, elections) => {
+  const { participant, settings, contributionTypes, transactions } = investments;
+  if (!participant?.annualSalary) return [];
+
+  const payDate = getUpcomingPayDate(transactions, settings.payroll);
+  const { yearToDate, limits, age } = getLimitContext(investments, payDate);
+  const paycheck = calculatePaycheckContributions(
+    getGrossPay(participant, settings.payroll),
+    elections,
+    contributionTypes,
+    settings.matchFormula
+  );
+
+  return checkElectionLimits({
+    yearToDate,
+    deferralPerPaycheck: paycheck.deferralAmount,
+    matchPerPaycheck: paycheck.matchAmount,
+    remainingPaychecks: getRemainingPayDates(payDate, settings.payroll.frequency).length
+  }, limits, age);
+};
+
+/**
+ * Total the payroll contributions posted in a plan year
+ * @param {Array} transactions - Ledger transactions
+ * @param {number} year - Plan year
+ * @returns {Object} {grossPay, deferrals, match}
+ */
+export const getYearToDatePayroll = (transactions, year) => {
+  const posted = transactions.filter(txn =>
+    (txn.type === TRANSACTION_TYPES.CONTRIBUTION || txn.type === TRANSACTION_TYPES.TRUE_UP) &&
+    txn.payDate.startsWith(String(year))
+  );
+  return {
+    grossPay: sumMoney(posted.map(txn => txn.grossPay || 0)),
+    deferrals: sumMoney(posted.map(txn => txn.deferralAmount || 0)),
+    match: sumMoney(posted.map(txn => txn.matchAmount || 0))
+  };
+};
+
+/**
+ * Calculate the year-end match true-up
+ *
+ * Matching each paycheck separately can under-match a participant whose
+ * deferral rate varied during the year. The true-up applies the formula to
+ * the year's total pay and deferrals and makes up any shortfall.
+ * @param {Object} yearToDate - {grossPay, deferrals, match}
+ * @param {Object} matchFormula - Match formula
+ * @returns {number} True-up amount (never negative)
+ */
+export const calculateTrueUp = (yearToDate, matchFormula) => {
+  if (yearToDate.grossPay <= 0) return 0;
+  const annualDeferralRate = yearToDate.deferrals / yearToDate.grossPay * 100;
+  const annualMatch = yearToDate.grossPay * calculateMatchPercent(annualDeferralRate, matchFormula) / 100;
+  return Math.max(subtractMoney(roundToCents(annualMatch), yearToDate.match), 0);
+};
+
+/**
+ * Invest contribution amounts and record them in the ledger
+ * @param {Object} investments - Stored investment state
+ * @param {string} type - Transaction type
+ * @param {Object} amountsByType - Dollar amounts keyed by contribution type ID
+ * @param {string} payDate - Pay date (YYYY-MM-DD)
+ * @param {Object} details - Additional transaction details
+ * @returns {Object} Updated investment state
+ */
+const investContributions = (investments, type, amountsByType, payDate, details) => {
+  const { futureAllocations } = investments.elections;
+  const navs = getLatestNavs(investments.navHistory, payDate);
+  const contributions = Object.entries(amountsByType).flatMap(([typeId, amount]) =>
+    allocateAmount(amount, futureAllocations).map(part => ({
+      fundId: part.fundId,
+      contributionTypeId: parseInt(typeId),
+      amount: part.amount
+    }))
+  );
+
+  const before = valueHoldings(investments.balances, investments.navHistory, payDate);
+  const after = calculateContributionPreview(contributions, before, navs);
+  const transaction = createTransaction(type, diffBalances(before, after), {
+    tradeDate: payDate,
+    payDate,
+    ...details
+  });
+
+  return {
+    ...investments,
+    balances: toHoldings(after),
+    transactions: [...investments.transactions, transaction]
+  };
+};
+
+/**
+ * Deduct a loan payment from a paycheck and reinvest it
+ *
+ * The repayment returns to the contribution types the loan was taken from and
+ * is invested by the current future contribution directions.
+ * @param {Object} investments - Stored investment state
+ * @param {Object} loan - Active loan
+ * @param {string} payDate - Pay date (YYYY-MM-DD)
+ * @returns {Object} Updated investment state
+ */
+const postLoanRepayment = (investments, loan, payDate) => {
+  const due = getLoanPaymentDue(loan);
+  const amountsByType = allocateAmount(due.amount, loan.sourceByType)
+    .reduce((acc, part) => ({ ...acc, [part.fundId]: part.amount }), {});
+
+  const state = investContributions(investments, TRANSACTION_TYPES.LOAN_REPAYMENT, amountsByType, payDate, {
+    loanId: loan.id,
+    principalAmount: due.principal,
+    interestAmount: due.interest
+  });
+
+  return {
+    ...state,
+    loans: state.loans.map(l => (l.id === loan.id ? applyLoanRepayment(l, payDate, due.principal) : l))
+  };
+};
+
+/**
+ * Post one or more pay periods of contributions
+ *
+ * Contributions are held to the IRS limits of each pay date's plan year, and
+ * each active loan's scheduled payment is deducted and reinvested.
+ * After the last pay date of a plan year the match is trued up when the
+ * formula calls for it.
+ * @param {Object} investments - Stored investment state
+ * @param {number} periods - Number of pay periods to post
+ * @returns {Object} Updated investment state
+ */
+export const postPayroll = (investments, periods) => {
+  const { participant, settings } = investments;
+  const { payroll, matchFormula } = settings;
+  const grossPay = getGrossPay(participant, payroll);
+  const employerType = investments.contributionTypes.find(
+    type => type.source === CONTRIBUTION_SOURCES.EMPLOYER
+  );
+
+  let state = investments;
+  for (let i = 0; i < periods; i++) {
+    const payDate = getUpcomingPayDate(state.transactions, payroll);
+    const paycheck = calculatePaycheckContributions(
+      grossPay,
+      state.elections,
+      state.contributionTypes,
+      matchFormula,
+      getLimitContext(state, payDate)
+    );
+
+    state = investContributions(state, TRANSACTION_TYPES.CONTRIBUTION, paycheck.amountsByType, payDate, {
+      grossPay,
+      deferralRate: state.elections.deferralRate,
+      deferralAmount: paycheck.deferralAmount,
+      matchAmount: paycheck.matchAmount,
+      deferralLimited: paycheck.deferralLimited,
+      matchLimited: paycheck.matchLimited
+    });
+
+    getActiveLoans(state.loans)
+      .filter(loan => loan.originationDate < payDate)
+      .forEach(loan => {
+        state = postLoanRepayment(state, loan, payDate);
+      });
+
+    const isLastPayDateOfYear =
+      getNextPayDate(payDate, payroll.frequency).slice(0, 4) !== payDate.slice(0, 4);
+    if (isLastPayDateOfYear && matchFormula?.trueUp && employerType) {
+      const year = parseInt(payDate.slice(0, 4));
+      const { yearToDate, limits, age } = getLimitContext(state, payDate);
+      const { matchAmount: trueUp } = applyContributionLimits(
+        0,
+        calculateTrueUp(yearToDate, matchFormula),
+        yearToDate,
+        limits,
+        age
+      );
+      if (trueUp > 0) {
+        state = investContributions(
+          state,
+          TRANSACTION_TYPES.TRUE_UP,
+          { [employerType.id]: trueUp },
+          payDate,
+          { planYear: year, matchAmount: trueUp }
+        );
+      }
+    }
+  }
+
+  return state;
+};
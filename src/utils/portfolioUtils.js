@@ -0,0 +1,196 @@
+/**
+ * Portfolio utility functions for asset-class exposure and model portfolios
+ *
+ * Stock and bond funds hold a single asset class. A target-date fund holds a
+ * stock/bond mix that grows more conservative as its target year approaches,
+ * following a glide path from the plan settings:
+ * { id, name, points: [{ yearsToTarget: 25, stockPercent: 90 }, { yearsToTarget: 0, stockPercent: 50 }] }
+ * Between points the stock share is interpolated linearly; before the first
+ * point and after the last it stays flat.
+ *
+ * Model portfolios are ready-made allocations a participant can pick instead
+ * of entering percentages:
+ * { id, name, description, allocations: { 1: 40, 2: 20, 3: 40 } }
+ */
+
+import { roundMoney, sumMoney } from './money';
+
+export const ASSET_CLASSES = {
+  STOCK: 'Stock',
+  BOND: 'Bond'
+};
+
+export const TARGET_DATE_FUND_TYPE = 'Target Date';
+
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Check whether a fund is a target-date fund
+ * @param {Object} fund - Fund definition
+ * @returns {boolean} True for target-date funds
+ */
+export const isTargetDateFund = (fund) => {
+  return fund?.type === TARGET_DATE_FUND_TYPE;
+};
+
+/**
+ * Get the years from a date to the start of a target year
+ * @param {number} targetYear - Target year
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {number} Fractional years; negative once the target year has begun
+ */
+export const getYearsToTarget = (targetYear, asOf) => {
+  return (Date.UTC(targetYear, 0, 1) - new Date(`${asOf}T00:00:00Z`)) / 86400000 / DAYS_PER_YEAR;
+};
+
+/**
+ * Get a glide path's stock percentage at a distance from the target year
+ * @param {Object} glidePath - Glide path with points
+ * @param {number} yearsToTarget - Years to the target year
+ * @returns {number} Stock percentage
+ */
+export const getGlidePathStockPercent = (glidePath, yearsToTarget) => {
+  const points = [...glidePath.points].sort((a, b) => b.yearsToTarget - a.yearsToTarget);
+  if (yearsToTarget >= points[0].yearsToTarget) return points[0].stockPercent;
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    if (yearsToTarget >= to.yearsToTarget) {
+      const progress = (from.yearsToTarget - yearsToTarget) / (from.yearsToTarget - to.yearsToTarget);
+      return from.stockPercent + (to.stockPercent - from.stockPercent) * progress;
+    }
+  }
+  return points[points.length - 1].stockPercent;
+};
+
+/**
+ * Get the asset-class mix a fund holds on a date
+ * @param {Object} fund - Fund definition
+ * @param {Object} settings - Plan settings with glidePaths
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Object} Percentages keyed by asset class
+ */
+export const getFundAssetMix = (fund, settings, asOf) => {
+  if (!isTargetDateFund(fund)) {
+    return { [fund.type]: 100 };
+  }
+
+  const glidePath = (settings?.glidePaths || []).find(path => path.id === fund.glidePathId);
+  if (!glidePath) {
+    return { [ASSET_CLASSES.STOCK]: 50, [ASSET_CLASSES.BOND]: 50 };
+  }
+  const stockPercent = getGlidePathStockPercent(glidePath, getYearsToTarget(fund.targetYear, asOf));
+  return { [ASSET_CLASSES.STOCK]: stockPercent, [ASSET_CLASSES.BOND]: 100 - stockPercent };
+};
+
+/**
+ * Look through fund holdings to the asset classes underneath
+ * @param {Array} balances - Valued balances
+ * @param {Array} funds - Fund definitions
+ * @param {Object} settings - Plan settings with glidePaths
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Array} [{assetClass, balance, percent}] for every asset class held
+ */
+export const calculateAssetExposure = (balances, funds, settings, asOf) => {
+  const total = sumMoney(balances.map(b => b.balance));
+  const byClass = balances.reduce((acc, b) => {
+    const fund = funds.find(f => f.id === b.fundId);
+    if (!fund) return acc;
+    Object.entries(getFundAssetMix(fund, settings, asOf)).forEach(([assetClass, percent]) => {
+      acc[assetClass] = (acc[assetClass] || 0) + b.balance * percent / 100;
+    });
+    return acc;
+  }, {});
+
+  return Object.entries(byClass).map(([assetClass, balance]) => ({
+    assetClass,
+    balance: roundMoney(balance),
+    percent: total > 0 ? balance / total * 100 : 0
+  }));
+};
+
+/**
+ * Look through a percentage allocation to the asset classes underneath
+ * @param {Object} allocations - Percentages keyed by fund ID
+ * @param {Array} funds - Fund definitions
+ * @param {Object} settings - Plan settings with glidePaths
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Object} Percentages keyed by asset class
+ */
+export const getAllocationAssetMix = (allocations, funds, settings, asOf) => {
+  return funds.reduce((acc, fund) => {
+    const share = parseFloat(allocations[fund.id]) || 0;
+    if (share <= 0) return acc;
+    Object.entries(getFundAssetMix(fund, settings, asOf)).forEach(([assetClass, percent]) => {
+      acc[assetClass] = (acc[assetClass] || 0) + share * percent / 100;
+    });
+    return acc;
+  }, {});
+};
+
+/**
+ * Describe an asset mix, stocks first, e.g. "62% stock / 38% bond"
+ * @param {Object} mix - Percentages keyed by asset class
+ * @returns {string} Description
+ */
+export const describeAssetMix = (mix) => {
+  const order = Object.values(ASSET_CLASSES);
+  const rank = (assetClass) => (order.includes(assetClass) ? order.indexOf(assetClass) : order.length);
+  return Object.entries(mix)
+    .filter(([, percent]) => percent > 0)
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([assetClass, percent]) => `${Math.round(percent)}% ${assetClass.toLowerCase()}`)
+    .join(' / ');
+};
+
+/**
+ * Describe a fund's type, with the current mix for target-date funds
+ * @param {Object} fund - Fund definition
+ * @param {Object} settings - Plan settings with glidePaths
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {string} Description, e.g. "Target Date 2040 · 66% stock / 34% bond"
+ */
+export const describeFundType = (fund, settings, asOf) => {
+  if (!isTargetDateFund(fund)) return fund.type;
+  return `${fund.type} ${fund.targetYear} · ${describeAssetMix(getFundAssetMix(fund, settings, asOf))}`;
+};
+
+/**
+ * Get the model portfolios whose funds are all offered by the plan and open to new money
+ * @param {Object} settings - Plan settings with modelPortfolios
+ * @param {Array} funds - Fund definitions
+ * @returns {Array} Model portfolios
+ */
+export const getModelPortfolios = (settings, funds) => {
+  const fundIds = funds.filter(fund => !fund.closed).map(fund => fund.id);
+  return (settings?.modelPortfolios || []).filter(portfolio =>
+    Object.keys(portfolio.allocations).every(fundId => fundIds.includes(parseInt(fundId)))
+  );
+};
+
+/**
+ * Turn a model portfolio into allocation inputs for every fund
+ * @param {Object} portfolio - Model portfolio
+ * @param {Array} funds - Fund definitions
+ * @returns {Object} Percentages as strings keyed by fund ID; funds outside the portfolio are blank
+ */
+export const toPortfolioAllocations = (portfolio, funds) => {
+  return funds.reduce((acc, fund) => ({
+    ...acc,
+    [fund.id]: portfolio.allocations[fund.id] ? String(portfolio.allocations[fund.id]) : ''
+  }), {});
+};
+
+/**
+ * Find the model portfolio an allocation matches exactly
+ * @param {Object} allocations - Percentages keyed by fund ID
+ * @param {Array} portfolios - Model portfolios
+ * @param {Array} funds - Fund definitions
+ * @returns {Object|undefined} Matching model portfolio
+ */
+export const findMatchingPortfolio = (allocations, portfolios, funds) => {
+  return portfolios.find(portfolio => funds.every(fund =>
+    (parseFloat(allocations[fund.id]) || 0) === (Number(portfolio.allocations[fund.id]) || 0)
+  ));
+};
@@ -0,0 +1,211 @@
+/**
+ * Price utility functions for fund NAV history
+ *
+ * NAV history is the single source of price truth. It is keyed by fund ID,
+ * then by trade date (YYYY-MM-DD):
+ * { "1": { "2026-10-16": 250.75 } }
+ *
+ * Holdings store units only; NAV and balance are derived from the history.
+ */
+
+import { calculateBalance } from './investmentUtils';
+
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get a fund's NAV on a specific date
+ * @param {Object} navHistory - NAV history
+ * @param {number} fundId - Fund ID
+ * @param {string} date - Trade date (YYYY-MM-DD)
+ * @returns {number|undefined} NAV, or undefined when none was posted for that date
+ */
+export const getNavOnDate = (navHistory, fundId, date) => {
+  return navHistory[fundId]?.[date];
+};
+
+/**
+ * Get a fund's most recent NAV on or before a date
+ * @param {Object} navHistory - NAV history
+ * @param {number} fundId - Fund ID
+ * @param {string} [asOf] - Latest date to consider (YYYY-MM-DD); defaults to all dates
+ * @returns {Object|null} {date, nav} or null when the fund has no prices by then
+ */
+export const getLatestNav = (navHistory, fundId, asOf) => {
+  const prices = navHistory[fundId] || {};
+  const dates = Object.keys(prices)
+    .filter(date => !asOf || date <= asOf)
+    .sort();
+  if (dates.length === 0) return null;
+  const date = dates[dates.length - 1];
+  return { date, nav: prices[date] };
+};
+
+/**
+ * Get the most recent NAV of every fund
+ * @param {Object} navHistory - NAV history
+ * @param {string} [asOf] - Latest date to consider (YYYY-MM-DD)
+ * @returns {Object} NAVs keyed by fund ID
+ */
+export const getLatestNavs = (navHistory, asOf) => {
+  return Object.keys(navHistory).reduce((acc, fundId) => {
+    const latest = getLatestNav(navHistory, fundId, asOf);
+    return latest ? { ...acc, [fundId]: latest.nav } : acc;
+  }, {});
+};
+
+/**
+ * Get the date of the most recent NAV posted for any fund
+ * @param {Object} navHistory - NAV history
+ * @returns {string|null} Date (YYYY-MM-DD) or null when there are no prices
+ */
+export const getLatestPriceDate = (navHistory) => {
+  return Object.keys(navHistory)
+    .map(fundId => getLatestNav(navHistory, fundId)?.date)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+};
+
+/**
+ * Merge newly posted NAVs into the history
+ * @param {Object} navHistory - NAV history
+ * @param {string} date - Trade date (YYYY-MM-DD)
+ * @param {Object} navsByFund - NAVs keyed by fund ID
+ * @returns {Object} Updated NAV history
+ */
+export const addNavs = (navHistory, date, navsByFund) => {
+  const updated = { ...navHistory };
+  Object.entries(navsByFund).forEach(([fundId, nav]) => {
+    updated[fundId] = { ...updated[fundId], [date]: parseFloat(nav) };
+  });
+  return updated;
+};
+
+/**
+ * Value holdings at the NAVs in effect on a date
+ * @param {Array} holdings - Holdings with fundId, contributionTypeId and units
+ * @param {Object} navHistory - NAV history
+ * @param {string} [asOf] - Valuation date (YYYY-MM-DD); defaults to the latest NAVs
+ * @returns {Array} Holdings with nav and balance attached
+ */
+export const valueHoldings = (holdings, navHistory, asOf) => {
+  const navs = getLatestNavs(navHistory, asOf);
+  return holdings.map(holding => {
+    const nav = navs[holding.fundId] || 0;
+    return { ...holding, nav, balance: calculateBalance(holding.units, nav) };
+  });
+};
+
+/**
+ * Strip derived values from balances so only units are stored
+ * @param {Array} balances - Balances with nav and balance
+ * @returns {Array} Holdings with fundId, contributionTypeId and units
+ */
+export const toHoldings = (balances) => {
+  return balances.map(({ fundId, contributionTypeId, units }) => ({
+    fundId,
+    contributionTypeId,
+    units
+  }));
+};
+
+/**
+ * Validate parsed price records against the fund lineup
+ * @param {Array} records - Records with date, fundId and nav
+ * @param {Array} funds - Fund definitions
+ * @returns {Object} {prices: Array, errors: Array<string>}
+ */
+const validatePriceRecords = (records, funds) => {
+  const prices = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const label = `Row ${index + 1}`;
+    const fundId = parseInt(record.fundId);
+    const nav = parseFloat(record.nav);
+
+    if (!DATE_PATTERN.test(record.date || '')) {
+      errors.push(`${label}: date must be formatted YYYY-MM-DD`);
+    } else if (!funds.some(fund => fund.id === fundId)) {
+      errors.push(`${label}: unknown fund ID ${record.fundId}`);
+    } else if (isNaN(nav) || nav <= 0) {
+      errors.push(`${label}: NAV must be greater than zero`);
+    } else {
+      prices.push({ date: record.date, fundId, nav });
+    }
+  });
+
+  return { prices, errors };
+};
+
+/**
+ * Parse a CSV price file with a date,fundId,nav header
+ * @param {string} content - File content
+ * @returns {Array} Raw price records
+ */
+const parsePriceCsv = (content) => {
+  const [header, ...lines] = content.trim().split(/\r?\n/);
+  const columns = header.split(',').map(column => column.trim());
+  const missing = ['date', 'fundId', 'nav'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing: ${missing.join(', ')}`);
+  }
+
+  return lines
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const values = line.split(',').map(value => value.trim());
+      return columns.reduce((acc, column, i) => ({ ...acc, [column]: values[i] }), {});
+    });
+};
+
+/**
+ * Parse a JSON price file
+ *
+ * Accepts either an array of {date, fundId, nav} records or a daily file
+ * shaped {date, navs: {fundId: nav}}.
+ * @param {string} content - File content
+ * @returns {Array} Raw price records
+ */
+const parsePriceJson = (content) => {
+  const data = JSON.parse(content);
+  if (Array.isArray(data)) return data;
+  if (data && data.navs) {
+    return Object.entries(data.navs).map(([fundId, nav]) => ({ date: data.date, fundId, nav }));
+  }
+  throw new Error('JSON must be an array of prices or an object with date and navs');
+};
+
+/**
+ * Parse a daily price file (CSV or JSON)
+ * @param {string} content - File content
+ * @param {string} fileName - File name, used to detect the format
+ * @param {Array} funds - Fund definitions
+ * @returns {Object} {prices: Array, errors: Array<string>}
+ */
+export const parsePriceFile = (content, fileName, funds) => {
+  try {
+    const isJson = fileName.toLowerCase().endsWith('.json') || content.trim().startsWith('{') ||
+      content.trim().startsWith('[');
+    const records = isJson ? parsePriceJson(content) : parsePriceCsv(content);
+    if (records.length === 0) {
+      return { prices: [], errors: ['The file contains no prices'] };
+    }
+    return validatePriceRecords(records, funds);
+  } catch (e) {
+    return { prices: [], errors: [`Could not read ${fileName}: ${e.message}`] };
+  }
+};
+
+/**
+ * Merge a list of price records into the history
+ * @param {Object} navHistory - NAV history
+ * @param {Array} prices - Records with date, fundId and nav
+ * @returns {Object} Updated NAV history
+ */
+export const addPrices = (navHistory, prices) => {
+  return prices.reduce(
+    (history, { date, fundId, nav }) => addNavs(history, date, { [fundId]: nav }),
+    navHistory
+  );
+};
@@ -0,0 +1,242 @@
+/**
+ * Projection utility functions for the retirement income Monte Carlo simulation
+ *
+ * Each simulated path grows today's holdings fund by fund, one plan year at a
+ * time starting next year, through the year the participant reaches their
+ * retirement age. Every year each fund type draws a random return from its
+ * expected return and volatility in the plan settings:
+ * { retirementAge: 65, salaryGrowth: 3, inflation: 2.5, withdrawalRate: 4,
+ *   simulations: 500, seed: 401,
+ *   assumptions: { Stock: { expectedReturn: 7, volatility: 16 }, Bond: { expectedReturn: 4, volatility: 6 } } }
+ * Target-date funds are looked through to the stock/bond mix their glide path
+ * sets for that year. The year's deferrals and employer match, held to the
+ * IRS limits, are invested at year end using the scenario's allocation.
+ *
+ * Draws come from a seeded generator, so the same inputs always give the same
+ * percentile bands.
+ */
+
+import { getAgeAtYearEnd, getPlanYearLimits, applyContributionLimits } from './limitUtils';
+import { calculateMatchPercent } from './payrollUtils';
+import { getFundAssetMix } from './portfolioUtils';
+import { percentOfMoney, roundMoney, sumMoney } from './money';
+
+export const PROJECTION_PERCENTILES = [10, 25, 50, 75, 90];
+
+const DEFAULT_PROJECTION_SETTINGS = {
+  retirementAge: 65,
+  salaryGrowth: 3,
+  inflation: 2.5,
+  withdrawalRate: 4,
+  simulations: 500,
+  seed: 401,
+  assumptions: {}
+};
+
+const MAX_RETIREMENT_AGE = 100;
+
+/**
+ * Get the projection settings with defaults for anything missing
+ * @param {Object} settings - Plan settings
+ * @returns {Object} Projection settings
+ */
+export const getProjectionSettings = (settings) => {
+  return { ...DEFAULT_PROJECTION_SETTINGS, ...settings?.projection };
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draw from the standard normal distribution (Box-Muller)
+ * @param {Function} random - Generator from createRandom
+ * @returns {number} Standard normal draw
+ */
+const drawNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Get a percentile of sorted values by linear interpolation
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+const getPercentile = (sorted, percentile) => {
+  const position = (sorted.length - 1) * percentile / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Validate projection inputs
+ * @param {Object} scenario - {deferralRate, retirementAge, allocations}
+ * @param {Object} participant - Participant with birthDate
+ * @param {number} maxDeferralRate - Highest deferral rate the plan allows
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateProjection = (scenario, participant, maxDeferralRate, asOf) => {
+  const deferralRate = parseFloat(scenario.deferralRate);
+  if (isNaN(deferralRate) || deferralRate < 0 || deferralRate > maxDeferralRate) {
+    return { valid: false, error: `Deferral rate must be between 0% and ${maxDeferralRate}%` };
+  }
+
+  const retirementAge = parseInt(scenario.retirementAge);
+  const age = getAgeAtYearEnd(participant.birthDate, asOf.slice(0, 4));
+  if (isNaN(retirementAge) || retirementAge <= age || retirementAge > MAX_RETIREMENT_AGE) {
+    return { valid: false, error: `Retirement age must be between ${age + 1} and ${MAX_RETIREMENT_AGE}` };
+  }
+
+  const total = Object.values(scenario.allocations).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+  if (Math.abs(total - 100) > 0.01) {
+    return { valid: false, error: 'Allocation must total 100%' };
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Get a year's return for each fund from one draw per fund type
+ * @param {Array} funds - Fund definitions
+ * @param {Object} projection - Projection settings
+ * @param {string} asOf - Date the year starts (YYYY-MM-DD)
+ * @param {Object} settings - Plan settings with glidePaths
+ * @param {Function} random - Generator from createRandom
+ * @returns {Object} Returns as decimals keyed by fund ID
+ */
+const drawFundReturns = (funds, projection, asOf, settings, random) => {
+  const typeReturns = Object.entries(projection.assumptions).reduce((acc, [fundType, assumption]) => ({
+    ...acc,
+    [fundType]: Math.max((assumption.expectedReturn + assumption.volatility * drawNormal(random)) / 100, -1)
+  }), {});
+
+  return funds.reduce((acc, fund) => ({
+    ...acc,
+    [fund.id]: Object.entries(getFundAssetMix(fund, settings, asOf)).reduce((sum, [fundType, percent]) =>
+      sum + (typeReturns[fundType] || 0) * percent / 100, 0)
+  }), {});
+};
+
+/**
+ * Calculate each year's contributions until retirement, with pay rising each year
+ * @param {Object} participant - Participant with annualSalary and birthDate
+ * @param {number} deferralRate - Deferral as a percentage of pay
+ * @param {Object} matchFormula - Match formula with tiers
+ * @param {Object} projection - Projection settings
+ * @param {Array<number>} years - Plan years to project
+ * @returns {Array} [{year, age, salary, deferral, match}]
+ */
+export const projectContributions = (participant, deferralRate, matchFormula, projection, years) => {
+  return years.map((year, i) => {
+    const salary = roundMoney(participant.annualSalary * Math.pow(1 + projection.salaryGrowth / 100, i + 1));
+    const age = getAgeAtYearEnd(participant.birthDate, year);
+    const { deferralAmount, matchAmount } = applyContributionLimits(
+      percentOfMoney(salary, deferralRate),
+      percentOfMoney(salary, calculateMatchPercent(deferralRate, matchFormula)),
+      { deferrals: 0, match: 0 },
+      getPlanYearLimits(year),
+      age
+    );
+    return { year, age, salary, deferral: deferralAmount, match: matchAmount };
+  });
+};
+
+/**
+ * Run the Monte Carlo projection for a scenario
+ *
+ * Nothing is saved; the scenario only changes what is simulated.
+ * @param {Object} investments - Investment data with valued balances
+ * @param {Object} scenario - {deferralRate, retirementAge, allocations, reallocateExisting}
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Object} {years: [{year, age, contributions, percentiles}], retirement: {age, percentiles, monthlyIncome, monthlyIncomeToday}}
+ */
+export const runProjection = (investments, scenario, asOf) => {
+  const { funds, participant, settings, balances } = investments;
+  const projection = getProjectionSettings(settings);
+  const deferralRate = parseFloat(scenario.deferralRate);
+  const retirementAge = parseInt(scenario.retirementAge);
+  const allocations = Object.entries(scenario.allocations).reduce((acc, [fundId, value]) => ({
+    ...acc,
+    [fundId]: (parseFloat(value) || 0) / 100
+  }), {});
+
+  const startYear = parseInt(asOf.slice(0, 4));
+  const yearCount = retirementAge - getAgeAtYearEnd(participant.birthDate, startYear);
+  const years = Array.from({ length: yearCount }, (_, i) => startYear + i + 1);
+  const contributions = projectContributions(participant, deferralRate, settings.matchFormula, projection, years);
+
+  const startingTotal = sumMoney(balances.map(b => b.balance));
+  const startingBalances = funds.reduce((acc, fund) => ({
+    ...acc,
+    [fund.id]: scenario.reallocateExisting
+      ? startingTotal * (allocations[fund.id] || 0)
+      : sumMoney(balances.filter(b => b.fundId === fund.id).map(b => b.balance))
+  }), {});
+
+  // Totals by year for every path, simulated path by path so each path's draws stay together
+  const random = createRandom(projection.seed);
+  const totalsByYear = years.map(() => []);
+  for (let path = 0; path < projection.simulations; path++) {
+    const fundBalances = { ...startingBalances };
+    years.forEach((year, i) => {
+      const returns = drawFundReturns(funds, projection, `${year}-01-01`, settings, random);
+      const invested = contributions[i].deferral + contributions[i].match;
+      funds.forEach(fund => {
+        fundBalances[fund.id] = fundBalances[fund.id] * (1 + returns[fund.id]) + invested * (allocations[fund.id] || 0);
+      });
+      totalsByYear[i].push(Object.values(fundBalances).reduce((sum, balance) => sum + balance, 0));
+    });
+  }
+
+  const toPercentiles = (totals) => {
+    const sorted = [...totals].sort((a, b) => a - b);
+    return PROJECTION_PERCENTILES.reduce((acc, percentile) => ({
+      ...acc,
+      [percentile]: roundMoney(getPercentile(sorted, percentile))
+    }), {});
+  };
+
+  const projected = years.map((year, i) => ({
+    year,
+    age: contributions[i].age,
+    contributions: sumMoney([contributions[i].deferral, contributions[i].match]),
+    percentiles: toPercentiles(totalsByYear[i])
+  }));
+
+  const atRetirement = projected[projected.length - 1].percentiles;
+  const toTodaysDollars = Math.pow(1 + projection.inflation / 100, -yearCount);
+  const monthlyIncome = PROJECTION_PERCENTILES.reduce((acc, percentile) => ({
+    ...acc,
+    [percentile]: roundMoney(percentOfMoney(atRetirement[percentile], projection.withdrawalRate) / 12)
+  }), {});
+
+  return {
+    years: projected,
+    retirement: {
+      age: retirementAge,
+      percentiles: atRetirement,
+      monthlyIncome,
+      monthlyIncomeToday: PROJECTION_PERCENTILES.reduce((acc, percentile) => ({
+        ...acc,
+        [percentile]: roundMoney(monthlyIncome[percentile] * toTodaysDollars)
+      }), {})
+    }
+  };
+};
@@ -0,0 +1,234 @@
+/**
+ * Rebalancing utility functions for keeping holdings on a target allocation
+ *
+ * A rebalancing policy is saved with the participant's data:
+ * { targetAllocation: { 1: 60, 2: 20, 3: 20 }, frequency, driftThreshold,
+ *   startedOn, lastRebalancedOn }
+ *
+ * Each contribution type is rebalanced on its own, so money never leaves its
+ * bucket. Within a type, the largest overweight holding funds the largest
+ * underweight one until every fund is on target, which needs at most one
+ * fewer transfer than there are funds.
+ */
+
+import {
+  calculateTransferPreview,
+  validateReallocation,
+  validateTransfer
+} from './investmentUtils';
+import { TRANSACTION_TYPES } from './ledgerUtils';
+import { percentOfMoney, subtractMoney, sumMoney } from './money';
+import { createOrder, getPendingOrders } from './orderUtils';
+import { getLatestNavs, valueHoldings } from './priceUtils';
+
+export const REBALANCE_FREQUENCIES = {
+  QUARTERLY: 'quarterly',
+  ANNUALLY: 'annually',
+  DRIFT: 'drift'
+};
+
+export const REBALANCE_FREQUENCY_LABELS = {
+  [REBALANCE_FREQUENCIES.QUARTERLY]: 'Quarterly',
+  [REBALANCE_FREQUENCIES.ANNUALLY]: 'Annually',
+  [REBALANCE_FREQUENCIES.DRIFT]: 'When drift exceeds a threshold'
+};
+
+export const DEFAULT_DRIFT_THRESHOLD = 5;
+
+// Transfers smaller than this are not worth placing
+const MIN_TRADE_AMOUNT = 1;
+
+/**
+ * Compare each fund's share of the account with its target
+ * @param {Array} balances - Valued balances
+ * @param {Object} targetAllocation - Target percentages keyed by fund ID
+ * @param {Array} funds - Fund definitions
+ * @returns {Array} [{fundId, balance, currentPercent, targetPercent, drift}]
+ */
+export const calculateDrift = (balances, targetAllocation, funds) => {
+  const total = sumMoney(balances.map(b => b.balance));
+  return funds.map(fund => {
+    const balance = sumMoney(balances
+      .filter(b => b.fundId === fund.id)
+      .map(b => b.balance));
+    const currentPercent = total > 0 ? balance / total * 100 : 0;
+    const targetPercent = Number(targetAllocation[fund.id] || 0);
+    return { fundId: fund.id, balance, currentPercent, targetPercent, drift: currentPercent - targetPercent };
+  });
+};
+
+/**
+ * Get the largest absolute drift from target
+ * @param {Array} drift - Result of calculateDrift
+ * @returns {number} Largest drift in percentage points
+ */
+export const getMaxDrift = (drift) => {
+  return drift.reduce((max, fund) => Math.max(max, Math.abs(fund.drift)), 0);
+};
+
+/**
+ * Get the first day of the period after the one containing a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} frequency - QUARTERLY or ANNUALLY
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const startOfNextPeriod = (date, frequency) => {
+  const year = parseInt(date.slice(0, 4));
+  if (frequency === REBALANCE_FREQUENCIES.ANNUALLY) return `${year + 1}-01-01`;
+  const nextQuarterMonth = Math.floor((parseInt(date.slice(5, 7)) - 1) / 3) * 3 + 3;
+  return nextQuarterMonth === 12
+    ? `${year + 1}-01-01`
+    : `${year}-${String(nextQuarterMonth + 1).padStart(2, '0')}-01`;
+};
+
+/**
+ * Get the date a calendar policy next rebalances
+ * @param {Object} policy - Rebalancing policy
+ * @returns {string|null} Date (YYYY-MM-DD), or null for drift-based policies
+ */
+export const getNextRebalanceDate = (policy) => {
+  if (policy.frequency === REBALANCE_FREQUENCIES.DRIFT) return null;
+  return startOfNextPeriod(policy.lastRebalancedOn || policy.startedOn, policy.frequency);
+};
+
+/**
+ * Check whether a policy calls for a rebalance
+ * @param {Object} policy - Rebalancing policy
+ * @param {Array} drift - Result of calculateDrift
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {boolean} True when a rebalance is due
+ */
+export const isRebalanceDue = (policy, drift, today) => {
+  if (policy.frequency === REBALANCE_FREQUENCIES.DRIFT) {
+    return getMaxDrift(drift) > (policy.driftThreshold ?? DEFAULT_DRIFT_THRESHOLD);
+  }
+  return today >= getNextRebalanceDate(policy);
+};
+
+/**
+ * Validate a rebalancing policy
+ * @param {Object} policy - {targetAllocation, frequency, driftThreshold}
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateRebalancePolicy = ({ targetAllocation, frequency, driftThreshold }) => {
+  const allocation = validateReallocation(targetAllocation);
+  if (!allocation.valid) return allocation;
+
+  if (!Object.values(REBALANCE_FREQUENCIES).includes(frequency)) {
+    return { valid: false, error: 'Select when to rebalance' };
+  }
+
+  if (frequency === REBALANCE_FREQUENCIES.DRIFT) {
+    const threshold = parseFloat(driftThreshold);
+    if (isNaN(threshold) || threshold <= 0 || threshold >= 100) {
+      return { valid: false, error: 'Drift threshold must be between 0% and 100%' };
+    }
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Plan the transfers that bring each contribution type back to the target allocation
+ *
+ * Every planned transfer is checked with validateTransfer against the
+ * balances as they will stand after the transfers before it.
+ * @param {Array} balances - Valued balances available to move
+ * @param {Object} targetAllocation - Target percentages keyed by fund ID
+ * @param {Array} funds - Fund definitions
+ * @param {Object} navsByFund - Current NAVs keyed by fund ID
+ * @returns {Object} {valid, error, transfers: [{fromFund, fromType, toFund, amount}], projectedBalances}
+ */
+export const planRebalanceTransfers = (balances, targetAllocation, funds, navsByFund) => {
+  const typeIds = [...new Set(balances.map(b => b.contributionTypeId))];
+
+  const transfers = typeIds.flatMap(typeId => {
+    const typeBalances = balances.filter(b => b.contributionTypeId === typeId);
+    const typeTotal = sumMoney(typeBalances.map(b => b.balance));
+
+    const gaps = funds.map(fund => {
+      const current = sumMoney(typeBalances
+        .filter(b => b.fundId === fund.id)
+        .map(b => b.balance));
+      return { fundId: fund.id, gap: subtractMoney(current, percentOfMoney(typeTotal, Number(targetAllocation[fund.id] || 0))) };
+    });
+    const over = gaps.filter(g => g.gap > 0).sort((a, b) => b.gap - a.gap);
+    const under = gaps.filter(g => g.gap < 0).map(g => ({ ...g, gap: subtractMoney(0, g.gap) })).sort((a, b) => b.gap - a.gap);
+
+    const typeTransfers = [];
+    while (over.length > 0 && under.length > 0) {
+      const amount = Math.min(over[0].gap, under[0].gap);
+      if (amount >= MIN_TRADE_AMOUNT) {
+        typeTransfers.push({
+          fromFund: over[0].fundId,
+          fromType: typeId,
+          toFund: under[0].fundId,
+          amount
+        });
+      }
+      over[0].gap = subtractMoney(over[0].gap, amount);
+      under[0].gap = subtractMoney(under[0].gap, amount);
+      if (over[0].gap <= 0) over.shift();
+      if (under[0].gap <= 0) under.shift();
+    }
+    return typeTransfers;
+  });
+
+  let projectedBalances = balances;
+  for (const transfer of transfers) {
+    const validation = validateTransfer(transfer, projectedBalances);
+    if (!validation.valid) {
+      return { valid: false, error: validation.error, transfers, projectedBalances: null };
+    }
+    projectedBalances = calculateTransferPreview(transfer, projectedBalances, navsByFund);
+  }
+
+  return { valid: true, error: null, transfers, projectedBalances };
+};
+
+/**
+ * Total the money a rebalancing plan moves
+ * @param {Array} transfers - Planned transfers
+ * @returns {number} Amount traded
+ */
+export const getPlanTurnover = (transfers) => {
+  return sumMoney(transfers.map(transfer => transfer.amount));
+};
+
+/**
+ * Queue the planned transfers when the saved policy calls for a rebalance
+ *
+ * Rebalancing waits until no other orders are pending, so it plans against
+ * settled holdings. A calendar rebalance that finds nothing to trade still
+ * counts as run.
+ * @param {Object} investments - Stored investment state (holdings carry units only)
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} Updated investment state, or the same object when nothing was due
+ */
+export const queueScheduledRebalance = (investments, today) => {
+  const policy = investments.rebalancing;
+  if (!policy || getPendingOrders(investments.orders).length > 0) return investments;
+
+  const balances = valueHoldings(investments.balances, investments.navHistory);
+  const drift = calculateDrift(balances, policy.targetAllocation, investments.funds);
+  if (!isRebalanceDue(policy, drift, today)) return investments;
+
+  const plan = planRebalanceTransfers(
+    balances,
+    policy.targetAllocation,
+    investments.funds,
+    getLatestNavs(investments.navHistory)
+  );
+  const orders = plan.valid
+    ? plan.transfers.map(transfer => createOrder(TRANSACTION_TYPES.TRANSFER, { ...transfer, rebalance: true }))
+    : [];
+
+  // A drift policy that cannot trade back inside its threshold would otherwise retry on every change
+  if (orders.length === 0 && policy.frequency === REBALANCE_FREQUENCIES.DRIFT) return investments;
+
+  return {
+    ...investments,
+    orders: [...investments.orders, ...orders],
+    rebalancing: { ...policy, lastRebalancedOn: today }
+  };
+};
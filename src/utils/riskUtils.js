@@ -0,0 +1,337 @@
+/**
+ * Risk utility functions for portfolio risk scores and suitability warnings
+ *
+ * Each fund's volatility and the correlations between funds are measured from
+ * the returns between consecutive NAVs in the price history. A portfolio's
+ * volatility combines them by weight (sqrt(w'Σw)) and is mapped onto a 1–10
+ * risk score.
+ *
+ * A participant's mix is checked against two yardsticks: a typical stock
+ * share for their age, and the risk profile from their answers to the risk
+ * questionnaire, saved as:
+ * { answers: { horizon: 'long', ... }, points, profile: 'moderate', completedOn }
+ */
+
+import { getAgeAtYearEnd } from './limitUtils';
+import { calculateAssetExposure, ASSET_CLASSES } from './portfolioUtils';
+import { sumMoney } from './money';
+
+const DAYS_PER_YEAR = 365.25;
+
+// Each point of risk score covers this much annualized volatility
+const VOLATILITY_PER_SCORE_POINT = 0.025;
+
+export const MIN_RISK_SCORE = 1;
+export const MAX_RISK_SCORE = 10;
+
+// Typical stock share for an age is 110 less the age, kept within these bounds, give or take the tolerance
+const AGE_STOCK_BASE = 110;
+const AGE_STOCK_MIN = 30;
+const AGE_STOCK_MAX = 90;
+const AGE_STOCK_TOLERANCE = 15;
+
+export const RISK_PROFILES = {
+  CONSERVATIVE: 'conservative',
+  MODERATE: 'moderate',
+  AGGRESSIVE: 'aggressive'
+};
+
+// Risk scores that suit each profile, and the questionnaire points that lead to it
+export const RISK_PROFILE_DETAILS = {
+  [RISK_PROFILES.CONSERVATIVE]: { label: 'Conservative', minScore: 1, maxScore: 4, minPoints: 0 },
+  [RISK_PROFILES.MODERATE]: { label: 'Moderate', minScore: 3, maxScore: 7, minPoints: 8 },
+  [RISK_PROFILES.AGGRESSIVE]: { label: 'Aggressive', minScore: 6, maxScore: 10, minPoints: 13 }
+};
+
+export const RISK_QUESTIONS = [
+  {
+    id: 'horizon',
+    question: 'When do you expect to start withdrawing this money?',
+    options: [
+      { value: 'soon', label: 'Within 5 years', points: 0 },
+      { value: 'medium', label: 'In 5 to 15 years', points: 2 },
+      { value: 'long', label: 'More than 15 years from now', points: 4 }
+    ]
+  },
+  {
+    id: 'drop',
+    question: 'If your account fell 20% in a month, what would you do?',
+    options: [
+      { value: 'sell', label: 'Move to safer investments', points: 0 },
+      { value: 'hold', label: 'Wait it out', points: 2 },
+      { value: 'buy', label: 'Invest more while prices are low', points: 4 }
+    ]
+  },
+  {
+    id: 'goal',
+    question: 'Which matters most to you?',
+    options: [
+      { value: 'preserve', label: 'Protecting what I have', points: 0 },
+      { value: 'balance', label: 'A balance of growth and stability', points: 2 },
+      { value: 'grow', label: 'Growing my savings as much as possible', points: 4 }
+    ]
+  },
+  {
+    id: 'experience',
+    question: 'How familiar are you with investing?',
+    options: [
+      { value: 'none', label: 'Not at all', points: 0 },
+      { value: 'some', label: 'Somewhat', points: 1 },
+      { value: 'experienced', label: 'Very familiar', points: 2 }
+    ]
+  },
+  {
+    id: 'income',
+    question: 'How secure is your income outside this plan?',
+    options: [
+      { value: 'uncertain', label: 'Uncertain', points: 0 },
+      { value: 'stable', label: 'Stable', points: 1 },
+      { value: 'very-stable', label: 'Very stable, with other savings', points: 2 }
+    ]
+  }
+];
+
+export const RISK_WARNING_TYPES = {
+  AGE: 'age',
+  PROFILE: 'profile'
+};
+
+/**
+ * Get the returns between consecutive NAVs of each fund
+ * @param {Object} navHistory - NAV history
+ * @returns {Object} Returns keyed by fund ID, then by the date each return ends on
+ */
+export const getPeriodReturns = (navHistory) => {
+  return Object.entries(navHistory).reduce((acc, [fundId, prices]) => {
+    const dates = Object.keys(prices).sort();
+    acc[fundId] = dates.slice(1).reduce((returns, date, i) => {
+      const previous = prices[dates[i]];
+      return previous > 0 ? { ...returns, [date]: prices[date] / previous - 1 } : returns;
+    }, {});
+    return acc;
+  }, {});
+};
+
+/**
+ * Estimate how many price periods make up a year of history
+ * @param {Object} navHistory - NAV history
+ * @returns {number} Periods per year
+ */
+const getPeriodsPerYear = (navHistory) => {
+  const counts = Object.values(navHistory).map(prices => {
+    const dates = Object.keys(prices).sort();
+    if (dates.length < 2) return null;
+    const days = (new Date(`${dates[dates.length - 1]}T00:00:00Z`) - new Date(`${dates[0]}T00:00:00Z`)) / 86400000;
+    return (dates.length - 1) / (days / DAYS_PER_YEAR);
+  }).filter(Boolean);
+  return counts.length > 0 ? Math.max(...counts) : 12;
+};
+
+/**
+ * Calculate the covariance of two funds' returns over the dates both have
+ * @param {Object} a - Returns keyed by date
+ * @param {Object} b - Returns keyed by date
+ * @returns {number} Covariance per period, or 0 without at least two shared returns
+ */
+const covariance = (a, b) => {
+  const dates = Object.keys(a).filter(date => date in b);
+  if (dates.length < 2) return 0;
+  const meanA = dates.reduce((sum, date) => sum + a[date], 0) / dates.length;
+  const meanB = dates.reduce((sum, date) => sum + b[date], 0) / dates.length;
+  return dates.reduce((sum, date) => sum + (a[date] - meanA) * (b[date] - meanB), 0) / (dates.length - 1);
+};
+
+/**
+ * Calculate each fund's annualized volatility and the correlations between funds
+ * @param {Object} navHistory - NAV history
+ * @param {Array} funds - Fund definitions
+ * @returns {Object} {volatility: {fundId: number}, correlation: {fundId: {fundId: number}}, covariance}
+ */
+export const calculateRiskStatistics = (navHistory, funds) => {
+  const returns = getPeriodReturns(navHistory);
+  const periodsPerYear = getPeriodsPerYear(navHistory);
+  const ids = funds.map(fund => fund.id);
+
+  const annualCovariance = ids.reduce((acc, i) => ({
+    ...acc,
+    [i]: ids.reduce((row, j) => ({
+      ...row,
+      [j]: covariance(returns[i] || {}, returns[j] || {}) * periodsPerYear
+    }), {})
+  }), {});
+
+  const volatility = ids.reduce((acc, id) => ({ ...acc, [id]: Math.sqrt(annualCovariance[id][id]) }), {});
+  const correlation = ids.reduce((acc, i) => ({
+    ...acc,
+    [i]: ids.reduce((row, j) => ({
+      ...row,
+      [j]: volatility[i] > 0 && volatility[j] > 0 ? annualCovariance[i][j] / (volatility[i] * volatility[j]) : 0
+    }), {})
+  }), {});
+
+  return { volatility, correlation, covariance: annualCovariance };
+};
+
+/**
+ * Calculate the annualized volatility of holdings
+ * @param {Array} balances - Valued balances
+ * @param {Object} statistics - Result of calculateRiskStatistics
+ * @returns {number} Annualized volatility as a decimal
+ */
+export const calculatePortfolioVolatility = (balances, statistics) => {
+  const total = sumMoney(balances.map(b => b.balance));
+  if (total <= 0) return 0;
+
+  const weights = balances.reduce((acc, b) => ({
+    ...acc,
+    [b.fundId]: (acc[b.fundId] || 0) + b.balance / total
+  }), {});
+  const ids = Object.keys(weights).filter(id => statistics.covariance[id]);
+
+  const variance = ids.reduce((sum, i) =>
+    sum + ids.reduce((inner, j) => inner + weights[i] * weights[j] * statistics.covariance[i][j], 0),
+  0);
+  return Math.sqrt(Math.max(variance, 0));
+};
+
+/**
+ * Map an annualized volatility onto the 1–10 risk score
+ * @param {number} volatility - Annualized volatility as a decimal
+ * @returns {number} Risk score
+ */
+export const toRiskScore = (volatility) => {
+  const score = Math.ceil(volatility / VOLATILITY_PER_SCORE_POINT);
+  return Math.min(Math.max(score, MIN_RISK_SCORE), MAX_RISK_SCORE);
+};
+
+/**
+ * Calculate the risk score of holdings
+ * @param {Array} balances - Valued balances
+ * @param {Object} statistics - Result of calculateRiskStatistics
+ * @returns {Object} {score, volatility}, or null when nothing is held
+ */
+export const calculateRiskScore = (balances, statistics) => {
+  if (sumMoney(balances.map(b => b.balance)) <= 0) return null;
+  const volatility = calculatePortfolioVolatility(balances, statistics);
+  return { score: toRiskScore(volatility), volatility };
+};
+
+/**
+ * Total holdings by fund type
+ * @param {Array} balances - Valued balances
+ * @param {Array} funds - Fund definitions
+ * @returns {Array} [{fundType, balance, percent}]
+ */
+export const calculateFundTypeExposure = (balances, funds) => {
+  const total = sumMoney(balances.map(b => b.balance));
+  const byType = balances.reduce((acc, b) => {
+    const fundType = funds.find(fund => fund.id === b.fundId)?.type;
+    return fundType ? { ...acc, [fundType]: [...(acc[fundType] || []), b.balance] } : acc;
+  }, {});
+
+  return Object.entries(byType).map(([fundType, amounts]) => {
+    const balance = sumMoney(amounts);
+    return { fundType, balance, percent: total > 0 ? balance / total * 100 : 0 };
+  });
+};
+
+/**
+ * Get the typical range of stock exposure for an age
+ * @param {number} age - Participant age
+ * @returns {Object} {min, max} stock percentages
+ */
+export const getAgeStockRange = (age) => {
+  const target = Math.min(Math.max(AGE_STOCK_BASE - age, AGE_STOCK_MIN), AGE_STOCK_MAX);
+  return { min: Math.max(target - AGE_STOCK_TOLERANCE, 0), max: Math.min(target + AGE_STOCK_TOLERANCE, 100) };
+};
+
+/**
+ * Validate questionnaire answers
+ * @param {Object} answers - Option values keyed by question ID
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateRiskAnswers = (answers) => {
+  const unanswered = RISK_QUESTIONS.filter(question =>
+    !question.options.some(option => option.value === answers?.[question.id])
+  );
+  if (unanswered.length > 0) {
+    return { valid: false, error: 'Answer every question to see your risk profile' };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Score questionnaire answers into a risk profile
+ * @param {Object} answers - Option values keyed by question ID
+ * @returns {Object} {points, profile}
+ */
+export const scoreRiskAnswers = (answers) => {
+  const points = RISK_QUESTIONS.reduce((sum, question) => {
+    const option = question.options.find(o => o.value === answers[question.id]);
+    return sum + (option?.points || 0);
+  }, 0);
+  const profile = Object.entries(RISK_PROFILE_DETAILS)
+    .filter(([, details]) => points >= details.minPoints)
+    .reduce((best, [id, details]) => (details.minPoints >= RISK_PROFILE_DETAILS[best].minPoints ? id : best),
+      RISK_PROFILES.CONSERVATIVE);
+  return { points, profile };
+};
+
+/**
+ * Check a mix against the participant's age and risk profile
+ * @param {Object} risk - {score} from calculateRiskScore
+ * @param {number} stockPercent - Share of holdings in stocks, after look-through
+ * @param {Object} participant - Participant with birthDate
+ * @param {Object|null} riskProfile - Saved questionnaire result
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Array} Warnings [{type, message}]
+ */
+export const getRiskWarnings = (risk, stockPercent, participant, riskProfile, asOf) => {
+  const warnings = [];
+  if (!risk) return warnings;
+
+  if (participant?.birthDate) {
+    const age = getAgeAtYearEnd(participant.birthDate, asOf.slice(0, 4));
+    const range = getAgeStockRange(age);
+    if (stockPercent < range.min || stockPercent > range.max) {
+      warnings.push({
+        type: RISK_WARNING_TYPES.AGE,
+        message: `Your account is ${Math.round(stockPercent)}% stocks. At age ${age}, ${range.min}%–${range.max}% is typical.`
+      });
+    }
+  }
+
+  const details = riskProfile && RISK_PROFILE_DETAILS[riskProfile.profile];
+  if (details && (risk.score < details.minScore || risk.score > details.maxScore)) {
+    warnings.push({
+      type: RISK_WARNING_TYPES.PROFILE,
+      message: `A risk score of ${risk.score} is ${risk.score > details.maxScore ? 'above' : 'below'} the ` +
+        `${details.minScore}–${details.maxScore} range that suits your ${details.label.toLowerCase()} risk profile.`
+    });
+  }
+
+  return warnings;
+};
+
+/**
+ * Assess the risk of holdings
+ * @param {Array} balances - Valued balances
+ * @param {Object} investments - Investment data with funds, navHistory, settings, participant and riskProfile
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Object} {risk, statistics, assetExposure, fundTypeExposure, warnings}
+ */
+export const assessPortfolioRisk = (balances, investments, asOf) => {
+  const { funds, navHistory, settings, participant, riskProfile } = investments;
+  const statistics = calculateRiskStatistics(navHistory, funds);
+  const risk = calculateRiskScore(balances, statistics);
+  const assetExposure = calculateAssetExposure(balances, funds, settings, asOf);
+  const stockPercent = assetExposure.find(row => row.assetClass === ASSET_CLASSES.STOCK)?.percent || 0;
+
+  return {
+    risk,
+    statistics,
+    assetExposure,
+    fundTypeExposure: calculateFundTypeExposure(balances, funds),
+    warnings: getRiskWarnings(risk, stockPercent, participant, riskProfile, asOf)
+  };
+};
@@ -0,0 +1,300 @@
+/**
+ * Required minimum distribution utility functions
+ *
+ * From the year a participant reaches their RMD age, the plan must pay out at
+ * least the prior December 31 balance divided by the Uniform Lifetime Table
+ * divisor for their age that year. Roth money is exempt and excluded from
+ * both the balance and the payments.
+ *
+ * A participant may schedule automatic payments. The schedule is stored as
+ * { frequency, startDate, lastPaymentDate } and each due payment is queued as
+ * a withdrawal order that sells vested money pro rata across every fund.
+ */
+
+import uniformLifetimeTable from '../data/uniformLifetimeTable.json';
+import { TAX_TREATMENTS } from './electionUtils';
+import { getHoldingsAsOf } from './investmentUtils';
+import { TRANSACTION_TYPES, getTransactionDate } from './ledgerUtils';
+import { getAgeAtYearEnd } from './limitUtils';
+import { getLoanBalanceOn } from './loanUtils';
+import {
+  allocateMoney,
+  percentOfMoney,
+  roundMoney,
+  subtractMoney,
+  sumMoney
+} from './money';
+import { createOrder, getPendingOrders, validateNewOrder } from './orderUtils';
+import { valueHoldings } from './priceUtils';
+import { applyVesting, getVestedPercentages } from './vestingUtils';
+import { WITHDRAWAL_REASONS } from './withdrawalUtils';
+
+export const RMD_FREQUENCIES = {
+  ANNUAL: 'annual',
+  QUARTERLY: 'quarterly',
+  MONTHLY: 'monthly'
+};
+
+export const RMD_FREQUENCY_LABELS = {
+  [RMD_FREQUENCIES.ANNUAL]: 'Annually',
+  [RMD_FREQUENCIES.QUARTERLY]: 'Quarterly',
+  [RMD_FREQUENCIES.MONTHLY]: 'Monthly'
+};
+
+const MONTHS_BETWEEN_PAYMENTS = {
+  [RMD_FREQUENCIES.ANNUAL]: 12,
+  [RMD_FREQUENCIES.QUARTERLY]: 3,
+  [RMD_FREQUENCIES.MONTHLY]: 1
+};
+
+// RMDs are not eligible for rollover, so the default withholding is 10% rather than 20%
+export const DEFAULT_RMD_WITHHOLDING_RATE = 10;
+
+/**
+ * Get the age at which RMDs begin
+ * @param {string} birthDate - Birth date (YYYY-MM-DD)
+ * @returns {number} 73, or 75 for participants born in 1960 or later
+ */
+export const getRmdStartAge = (birthDate) => {
+  return parseInt(birthDate.slice(0, 4)) >= 1960 ? 75 : 73;
+};
+
+/**
+ * Get the Uniform Lifetime Table divisor for an age
+ * @param {number} age - Age at the end of the distribution year
+ * @param {Object} [table] - Uniform Lifetime Table
+ * @returns {number} Distribution period in years
+ */
+export const getDistributionPeriod = (age, table = uniformLifetimeTable) => {
+  const ages = Object.keys(table.divisors).map(Number);
+  const tableAge = Math.min(Math.max(age, Math.min(...ages)), Math.max(...ages));
+  return table.divisors[tableAge];
+};
+
+/**
+ * Get the contribution types subject to RMDs
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @returns {Array<number>} Contribution type IDs, excluding Roth types
+ */
+export const getRmdTypeIds = (contributionTypes) => {
+  return contributionTypes
+    .filter(type => type.taxTreatment !== TAX_TREATMENTS.ROTH)
+    .map(type => type.id);
+};
+
+/**
+ * Value the RMD-eligible account at the end of a date, including outstanding loans
+ * @param {Object} investments - Investment state with holdings, transactions, navHistory and loans
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} Account balance
+ */
+export const getRmdBalanceOn = (investments, date) => {
+  const typeIds = getRmdTypeIds(investments.contributionTypes);
+  const holdings = getHoldingsAsOf(investments.balances, investments.transactions, date)
+    .filter(holding => typeIds.includes(holding.contributionTypeId));
+  const invested = valueHoldings(holdings, investments.navHistory, date).map(b => b.balance);
+  const loans = (investments.loans || []).map(loan => {
+    const share = typeIds.reduce((total, id) => total + (loan.sourceByType[id] || 0), 0);
+    return percentOfMoney(getLoanBalanceOn(loan, date), share);
+  });
+  return sumMoney([...invested, ...loans]);
+};
+
+/**
+ * Total the RMD-eligible money withdrawn in a year
+ * @param {Array} transactions - Ledger transactions
+ * @param {Array<number>} typeIds - RMD contribution type IDs
+ * @param {number} year - Distribution year
+ * @returns {number} Amount distributed
+ */
+export const getDistributedInYear = (transactions, typeIds, year) => {
+  return -sumMoney(transactions
+    .filter(txn => txn.type === TRANSACTION_TYPES.WITHDRAWAL && getTransactionDate(txn).startsWith(`${year}-`))
+    .flatMap(txn => txn.legs)
+    .filter(leg => typeIds.includes(leg.contributionTypeId))
+    .map(leg => leg.amount));
+};
+
+/**
+ * Total the RMD-eligible money in withdrawal orders that have not settled
+ * @param {Array} orders - All orders
+ * @param {Array<number>} typeIds - RMD contribution type IDs
+ * @returns {number} Amount pending
+ */
+export const getPendingDistributions = (orders, typeIds) => {
+  return sumMoney(getPendingOrders(orders)
+    .filter(order => order.type === TRANSACTION_TYPES.WITHDRAWAL)
+    .flatMap(order => order.sources)
+    .filter(source => typeIds.includes(source.contributionTypeId))
+    .map(source => source.amount));
+};
+
+/**
+ * Calculate a year's required minimum distribution and how much is still due
+ * @param {Object} investments - Investment state with valued balances
+ * @param {number} year - Distribution year
+ * @returns {Object} {required, year, age, startAge, priorYearEndBalance, divisor, amount, distributed, pending, shortfall, deadline}
+ */
+export const calculateRmd = (investments, year) => {
+  const { participant } = investments;
+  const age = getAgeAtYearEnd(participant.birthDate, year);
+  const startAge = getRmdStartAge(participant.birthDate);
+
+  if (age < startAge) {
+    return { required: false, year, age, startAge, firstYear: year + startAge - age };
+  }
+
+  const typeIds = getRmdTypeIds(investments.contributionTypes);
+  const priorYearEndBalance = getRmdBalanceOn(investments, `${year - 1}-12-31`);
+  const divisor = getDistributionPeriod(age);
+  const amount = roundMoney(priorYearEndBalance / divisor);
+  const distributed = getDistributedInYear(investments.transactions, typeIds, year);
+  const pending = getPendingDistributions(investments.orders, typeIds);
+
+  return {
+    required: true,
+    year,
+    age,
+    startAge,
+    priorYearEndBalance,
+    divisor,
+    amount,
+    distributed,
+    pending,
+    shortfall: Math.max(subtractMoney(amount, sumMoney([distributed, pending])), 0),
+    deadline: `${year}-12-31`
+  };
+};
+
+/**
+ * Add months to a date, keeping the day of the month where the month allows
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} months - Months to add
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the scheduled payment dates that fall in a year
+ * @param {Object} schedule - RMD schedule {frequency, startDate}
+ * @param {number} year - Distribution year
+ * @returns {Array<string>} Payment dates (YYYY-MM-DD)
+ */
+export const getRmdPaymentDates = (schedule, year) => {
+  const dates = [];
+  const step = MONTHS_BETWEEN_PAYMENTS[schedule.frequency];
+  for (let n = 0, date = schedule.startDate; date <= `${year}-12-31`; n++, date = addMonths(schedule.startDate, n * step)) {
+    if (date >= `${year}-01-01`) dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Validate an RMD schedule
+ * @param {Object} schedule - RMD schedule {frequency, startDate}
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateRmdSchedule = ({ frequency, startDate }, today) => {
+  if (!Object.values(RMD_FREQUENCIES).includes(frequency)) {
+    return { valid: false, error: 'Select how often to receive payments' };
+  }
+  if (!startDate || startDate < today) {
+    return { valid: false, error: 'The first payment date cannot be in the past' };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Estimate the taxes on an RMD payment
+ *
+ * Every eligible source is pre-tax and RMDs are never subject to the early
+ * withdrawal penalty.
+ * @param {Array} sources - [{contributionTypeId, amount}]
+ * @param {number} withholdingRate - Federal withholding percentage
+ * @returns {Object} Tax estimate in the shape of estimateWithdrawalTaxes
+ */
+export const estimateRmdTaxes = (sources, withholdingRate) => {
+  const gross = sumMoney(sources.map(source => source.amount));
+  const withholding = percentOfMoney(gross, withholdingRate);
+  return {
+    gross,
+    taxable: gross,
+    withholdingRate,
+    withholding,
+    penaltyRate: 0,
+    penalty: 0,
+    net: subtractMoney(gross, withholding),
+    early: false,
+    rothQualified: false,
+    rothBasisRecovered: 0,
+    byType: sources.map(source => ({ ...source, taxable: source.amount }))
+  };
+};
+
+/**
+ * Queue any scheduled RMD payments that have come due
+ *
+ * Payments missed since the last one are combined. Each payment is the
+ * remaining shortfall spread over the payments left in the year, so the last
+ * payment of the year always completes the RMD. A payment waits while another
+ * order that repositions every holding is pending.
+ * @param {Object} investments - Stored investment state (holdings carry units only)
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} Updated investment state, or the same object when nothing was queued
+ */
+export const queueScheduledRmdPayments = (investments, today) => {
+  const schedule = investments.rmdSchedule;
+  if (!schedule) return investments;
+
+  const year = parseInt(today.slice(0, 4));
+  const paymentDates = getRmdPaymentDates(schedule, year)
+    .filter(date => !schedule.lastPaymentDate || date > schedule.lastPaymentDate);
+  const due = paymentDates.filter(date => date <= today);
+  if (due.length === 0) return investments;
+  if (!validateNewOrder(TRANSACTION_TYPES.WITHDRAWAL, investments.orders).valid) return investments;
+
+  const valued = { ...investments, balances: valueHoldings(investments.balances, investments.navHistory) };
+  const rmd = calculateRmd(valued, year);
+  const lastPaymentDate = due[due.length - 1];
+  if (!rmd.required || rmd.shortfall <= 0) {
+    return { ...investments, rmdSchedule: { ...schedule, lastPaymentDate } };
+  }
+
+  // Sell pro rata: size each type's share by its vested balance, then fund by fund within the type
+  const vestedPercentages = getVestedPercentages(valued, today);
+  const typeIds = getRmdTypeIds(investments.contributionTypes);
+  const vested = applyVesting(valued.balances, vestedPercentages)
+    .filter(b => typeIds.includes(b.contributionTypeId));
+  const typeVested = typeIds.map(contributionTypeId => sumMoney(vested
+    .filter(b => b.contributionTypeId === contributionTypeId)
+    .map(b => b.vestedBalance)));
+  const amount = Math.min(
+    roundMoney(rmd.shortfall * due.length / paymentDates.length),
+    sumMoney(typeVested)
+  );
+  const sources = allocateMoney(amount, typeVested)
+    .map((share, index) => ({ contributionTypeId: typeIds[index], amount: share }))
+    .filter(source => source.amount > 0);
+  if (sources.length === 0) return investments;
+
+  const tax = estimateRmdTaxes(sources, DEFAULT_RMD_WITHHOLDING_RATE);
+  const order = createOrder(TRANSACTION_TYPES.WITHDRAWAL, {
+    reason: WITHDRAWAL_REASONS.RMD,
+    amount: tax.gross,
+    sources,
+    tax,
+    vestedPercentages,
+    scheduledDate: lastPaymentDate
+  });
+
+  return {
+    ...investments,
+    orders: [...investments.orders, order],
+    rmdSchedule: { ...schedule, lastPaymentDate }
+  };
+};
@@ -0,0 +1,164 @@
+/**
+ * Time-based one-time password (TOTP) utility functions, per RFC 6238
+ *
+ * A TOTP code is the HOTP value (RFC 4226) of the number of time steps since
+ * the Unix epoch. Secrets are shared with authenticator apps as base32 text,
+ * usually inside an otpauth:// URI.
+ *
+ * Every function takes the time and key explicitly, so codes can be checked
+ * offline against the RFC 6238 test vectors, e.g. the SHA-1 key
+ * "12345678901234567890" gives 94287082 (8 digits) at 59 seconds;
+ * `npm run check:totp` runs the SHA-1, SHA-256 and SHA-512 vectors.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  step: 30,
+  digits: 6,
+  algorithm: 'SHA-1',
+  window: 1
+};
+
+const SECRET_BYTES = 20;
+
+/**
+ * Encode bytes as base32 without padding (RFC 4648)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base32 text
+ */
+export const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  bytes.forEach(byte => {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Uint8Array|null} Bytes, or null when the text is not base32
+ */
+export const base32Decode = (text) => {
+  const clean = text.replace(/[\s=]/g, '').toUpperCase();
+  if (!/^[A-Z2-7]*$/.test(clean)) return null;
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  [...clean].forEach(char => {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  });
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Secret as base32
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)));
+};
+
+/**
+ * Calculate an HOTP value (RFC 4226)
+ * @param {Uint8Array} key - Shared key
+ * @param {number} counter - Moving factor
+ * @param {Object} [options] - {digits, algorithm}
+ * @returns {Promise<string>} Code, zero-padded to the number of digits
+ */
+export const generateHotp = async (key, counter, { digits = TOTP_DEFAULTS.digits, algorithm = TOTP_DEFAULTS.algorithm } = {}) => {
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 0x100000000));
+  message.setUint32(4, counter >>> 0);
+
+  const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: algorithm }, false, ['sign']);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, message.buffer));
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+};
+
+/**
+ * Get the TOTP time step a moment falls in
+ * @param {number} time - Time in milliseconds since the epoch
+ * @param {number} [step] - Step length in seconds
+ * @returns {number} Time step counter
+ */
+export const getTotpCounter = (time, step = TOTP_DEFAULTS.step) => {
+  return Math.floor(time / 1000 / step);
+};
+
+/**
+ * Calculate the TOTP code for a moment
+ * @param {Uint8Array} key - Shared key
+ * @param {number} time - Time in milliseconds since the epoch
+ * @param {Object} [options] - {step, digits, algorithm}
+ * @returns {Promise<string>} Code
+ */
+export const generateTotp = (key, time, { step = TOTP_DEFAULTS.step, ...options } = {}) => {
+  return generateHotp(key, getTotpCounter(time, step), options);
+};
+
+/**
+ * Check a TOTP code, allowing for clock drift of a few steps either way
+ *
+ * Codes from steps at or before afterCounter are refused, so a code that has
+ * already been used cannot be replayed.
+ * @param {string} code - Code entered
+ * @param {string} secret - Shared secret as base32
+ * @param {number} time - Time in milliseconds since the epoch
+ * @param {Object} [options] - {step, digits, algorithm, window, afterCounter}
+ * @returns {Promise<number|null>} Time step the code matched, or null
+ */
+export const verifyTotp = async (code, secret, time, options = {}) => {
+  const { step, digits, algorithm, window } = { ...TOTP_DEFAULTS, ...options };
+  const afterCounter = options.afterCounter ?? -1;
+  const key = base32Decode(secret);
+  const entered = (code || '').replace(/\s/g, '');
+  if (!key || !new RegExp(`^\\d{${digits}}$`).test(entered)) return null;
+
+  const current = getTotpCounter(time, step);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (counter <= afterCounter) continue;
+    if (await generateHotp(key, counter, { digits, algorithm }) === entered) {
+      return counter;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps use to add an account
+ * @param {Object} account - {secret, accountName, issuer}
+ * @returns {string} URI
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_DEFAULTS.algorithm.replace('-', ''),
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.step)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,126 @@
+/**
+ * Vesting utility functions
+ *
+ * Contribution types may reference a vesting schedule by ID; types without
+ * one (employee deferrals) are always fully vested. Schedules are either a
+ * cliff, fully vesting after a number of years of service, or graded, vesting
+ * in steps:
+ * { id: 'graded-6', type: 'graded', steps: [{ years: 2, percent: 20 }, { years: 6, percent: 100 }] }
+ * { id: 'cliff-3', type: 'cliff', years: 3 }
+ */
+
+import { ROUNDING_MODES, percentOfMoney, subtractMoney, sumMoney } from './money';
+
+export const VESTING_TYPES = {
+  CLIFF: 'cliff',
+  GRADED: 'graded'
+};
+
+/**
+ * Get the completed years of service on a date
+ * @param {Object} participant - Participant with hireDate and optional priorServiceYears
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {number} Whole years of service
+ */
+export const getYearsOfService = (participant, asOf) => {
+  if (!participant?.hireDate || asOf < participant.hireDate) return 0;
+  const [hireYear, hireMonth, hireDay] = participant.hireDate.split('-').map(Number);
+  const [year, month, day] = asOf.split('-').map(Number);
+  const beforeAnniversary = month < hireMonth || (month === hireMonth && day < hireDay);
+  return year - hireYear - (beforeAnniversary ? 1 : 0) + (participant.priorServiceYears || 0);
+};
+
+/**
+ * Get the vested percentage a schedule grants after some years of service
+ * @param {Object} schedule - Vesting schedule, or undefined for immediate vesting
+ * @param {number} years - Completed years of service
+ * @returns {number} Vested percentage (0-100)
+ */
+export const getVestedPercent = (schedule, years) => {
+  if (!schedule) return 100;
+  if (schedule.type === VESTING_TYPES.CLIFF) {
+    return years >= schedule.years ? 100 : 0;
+  }
+  return schedule.steps
+    .filter(step => years >= step.years)
+    .reduce((percent, step) => Math.max(percent, step.percent), 0);
+};
+
+/**
+ * Find the vesting schedule assigned to a contribution type
+ * @param {Object} investments - Investment state
+ * @param {number} contributionTypeId - Contribution type ID
+ * @returns {Object|undefined} Vesting schedule
+ */
+export const getVestingSchedule = (investments, contributionTypeId) => {
+  const type = investments.contributionTypes.find(t => t.id === contributionTypeId);
+  return (investments.settings?.vestingSchedules || []).find(s => s.id === type?.vestingScheduleId);
+};
+
+/**
+ * Get the vested percentage of every contribution type on a date
+ * @param {Object} investments - Investment state
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Object} Vested percentages keyed by contribution type ID
+ */
+export const getVestedPercentages = (investments, asOf) => {
+  const years = getYearsOfService(investments.participant, asOf);
+  return investments.contributionTypes.reduce((acc, type) => ({
+    ...acc,
+    [type.id]: getVestedPercent(getVestingSchedule(investments, type.id), years)
+  }), {});
+};
+
+/**
+ * Get the next date a contribution type's vested percentage increases
+ * @param {Object} investments - Investment state
+ * @param {number} contributionTypeId - Contribution type ID
+ * @param {string} asOf - Date (YYYY-MM-DD)
+ * @returns {Object|null} {date, percent} or null when already fully vested
+ */
+export const getNextVestingEvent = (investments, contributionTypeId, asOf) => {
+  const schedule = getVestingSchedule(investments, contributionTypeId);
+  const { participant } = investments;
+  const years = getYearsOfService(participant, asOf);
+  const current = getVestedPercent(schedule, years);
+  if (current >= 100 || !participant?.hireDate) return null;
+
+  const steps = schedule.type === VESTING_TYPES.CLIFF
+    ? [{ years: schedule.years, percent: 100 }]
+    : schedule.steps;
+  const next = steps.find(step => step.years > years && step.percent > current);
+  if (!next) return null;
+
+  const anniversaryYear = parseInt(participant.hireDate.slice(0, 4)) + next.years - (participant.priorServiceYears || 0);
+  return { date: `${anniversaryYear}${participant.hireDate.slice(4)}`, percent: next.percent };
+};
+
+/**
+ * Split valued balances into vested and unvested amounts
+ * @param {Array} balances - Balances with fundId, contributionTypeId and balance
+ * @param {Object} percentages - Vested percentages keyed by contribution type ID
+ * @returns {Array} Balances with vestedBalance and unvestedBalance attached
+ */
+export const applyVesting = (balances, percentages) => {
+  return balances.map(balance => {
+    // Round the vested share down so it never exceeds what may actually be taken
+    const vestedBalance = percentOfMoney(balance.balance, percentages[balance.contributionTypeId] ?? 100, ROUNDING_MODES.DOWN);
+    return { ...balance, vestedBalance, unvestedBalance: subtractMoney(balance.balance, vestedBalance) };
+  });
+};
+
+/**
+ * Total the vested portion of balances
+ *
+ * Withdrawals and loans are limited to this amount; transfers between funds
+ * may still move unvested money.
+ * @param {Array} balances - Balances with vestedBalance attached
+ * @param {Object} [filters] - Optional fundId and/or contributionTypeId to total
+ * @returns {number} Vested balance
+ */
+export const getVestedBalance = (balances, { fundId, contributionTypeId } = {}) => {
+  return sumMoney(balances
+    .filter(b => fundId === undefined || b.fundId === fundId)
+    .filter(b => contributionTypeId === undefined || b.contributionTypeId === contributionTypeId)
+    .map(b => b.vestedBalance));
+};
@@ -0,0 +1,341 @@
+/**
+ * Withdrawal utility functions for distribution eligibility, sourcing and tax estimates
+ *
+ * A withdrawal takes vested money from contribution types in the plan's
+ * configured source order, proportionally across funds within each type.
+ * Tax estimates are informational: pre-tax money and the earnings in a
+ * non-qualified Roth distribution are taxable, with 20% federal withholding
+ * on distributions that could be rolled over (10% on hardship withdrawals,
+ * which cannot) and, before age 59½, a 10% additional tax.
+ */
+
+import { calculateBalance, calculateUnitsFromAmount, formatCurrency } from './investmentUtils';
+import { CONTRIBUTION_SOURCES, TAX_TREATMENTS } from './electionUtils';
+import { TRANSACTION_TYPES } from './ledgerUtils';
+import {
+  ROUNDING_MODES,
+  allocateMoney,
+  multiplyMoney,
+  percentOfMoney,
+  roundMoney,
+  subtractMoney,
+  subtractUnits,
+  sumMoney
+} from './money';
+
+export const WITHDRAWAL_REASONS = {
+  HARDSHIP: 'hardship',
+  IN_SERVICE: 'in-service',
+  SEPARATION: 'separation',
+  RMD: 'rmd'
+};
+
+/**
+ * Reasons a participant may choose; RMDs are only paid on a schedule
+ */
+export const REQUESTABLE_WITHDRAWAL_REASONS = [
+  WITHDRAWAL_REASONS.HARDSHIP,
+  WITHDRAWAL_REASONS.IN_SERVICE,
+  WITHDRAWAL_REASONS.SEPARATION
+];
+
+export const WITHDRAWAL_REASON_LABELS = {
+  [WITHDRAWAL_REASONS.HARDSHIP]: 'Hardship',
+  [WITHDRAWAL_REASONS.IN_SERVICE]: 'In-Service (59½)',
+  [WITHDRAWAL_REASONS.SEPARATION]: 'Separation from Service',
+  [WITHDRAWAL_REASONS.RMD]: 'Required Minimum Distribution'
+};
+
+/**
+ * Reasons whose distributions are eligible for rollover; only these carry the
+ * mandatory withholding, while hardship withdrawals get the elective default
+ */
+export const ROLLOVER_ELIGIBLE_REASONS = [
+  WITHDRAWAL_REASONS.IN_SERVICE,
+  WITHDRAWAL_REASONS.SEPARATION
+];
+
+/**
+ * Withdrawal rules used when the plan settings do not configure them
+ */
+export const DEFAULT_WITHDRAWAL_SETTINGS = {
+  sourceOrder: [],
+  withholdingRate: 20,
+  electiveWithholdingRate: 10,
+  earlyPenaltyRate: 10,
+  hardshipSources: [CONTRIBUTION_SOURCES.EMPLOYEE]
+};
+
+// Roth distributions are qualified only after this many tax years of Roth contributions
+const ROTH_QUALIFYING_YEARS = 5;
+
+// Separating from service in or after the year this age is reached avoids the early penalty
+const SEPARATION_PENALTY_EXEMPT_AGE = 55;
+
+/**
+ * Get the plan's withdrawal rules
+ * @param {Object} settings - Plan settings
+ * @returns {Object} Withdrawal rules
+ */
+export const getWithdrawalSettings = (settings) => {
+  return { ...DEFAULT_WITHDRAWAL_SETTINGS, ...settings?.withdrawals };
+};
+
+/**
+ * Check whether a participant is at least 59½ on a date
+ * @param {string} birthDate - Birth date (YYYY-MM-DD)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean} True once the participant reaches 59½
+ */
+export const isAtLeast59AndAHalf = (birthDate, date) => {
+  const [year, month, day] = birthDate.split('-').map(Number);
+  const halfBirthday = new Date(Date.UTC(year + 59, month - 1 + 6, day)).toISOString().slice(0, 10);
+  return date >= halfBirthday;
+};
+
+/**
+ * Check whether a withdrawal reason is available
+ * @param {Object} params - Withdrawal parameters {reason, separationDate}
+ * @param {Object} participant - Participant with birthDate and hireDate
+ * @param {string} date - Request date (YYYY-MM-DD)
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const checkWithdrawalEligibility = ({ reason, separationDate }, participant, date) => {
+  if (!REQUESTABLE_WITHDRAWAL_REASONS.includes(reason)) {
+    return { valid: false, error: 'Select a withdrawal reason' };
+  }
+
+  if (reason === WITHDRAWAL_REASONS.IN_SERVICE && !isAtLeast59AndAHalf(participant.birthDate, date)) {
+    return { valid: false, error: 'In-service withdrawals are available from age 59½' };
+  }
+
+  if (reason === WITHDRAWAL_REASONS.SEPARATION) {
+    if (!separationDate) {
+      return { valid: false, error: 'Enter your separation date' };
+    }
+    if (separationDate > date || separationDate < participant.hireDate) {
+      return { valid: false, error: 'Separation date must be between your hire date and today' };
+    }
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Order contribution types for sourcing a withdrawal
+ *
+ * Types listed in the plan's source order come first, in that order; any
+ * others follow in their usual order.
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @param {Object} settings - Plan settings
+ * @returns {Array} Ordered contribution types
+ */
+export const getSourceOrder = (contributionTypes, settings) => {
+  const { sourceOrder } = getWithdrawalSettings(settings);
+  const rank = (type) => {
+    const index = sourceOrder.indexOf(type.id);
+    return index === -1 ? sourceOrder.length : index;
+  };
+  return [...contributionTypes].sort((a, b) => rank(a) - rank(b));
+};
+
+/**
+ * Get the vested balance of each contribution type that a withdrawal may use
+ * @param {Array} vestedBalances - Balances with vestedBalance attached
+ * @param {string} reason - One of WITHDRAWAL_REASONS
+ * @param {Array} contributionTypes - Contribution type definitions
+ * @param {Object} settings - Plan settings
+ * @returns {Array} [{contributionTypeId, available}] in source order
+ */
+export const getWithdrawableByType = (vestedBalances, reason, contributionTypes, settings) => {
+  const { hardshipSources } = getWithdrawalSettings(settings);
+  return getSourceOrder(contributionTypes, settings)
+    .filter(type => reason !== WITHDRAWAL_REASONS.HARDSHIP || hardshipSources.includes(type.source))
+    .map(type => ({
+      contributionTypeId: type.id,
+      available: roundMoney(sumMoney(vestedBalances
+        .filter(b => b.contributionTypeId === type.id)
+        .map(b => b.vestedBalance)), ROUNDING_MODES.DOWN)
+    }));
+};
+
+/**
+ * Split a withdrawal amount across contribution types in source order
+ * @param {number} amount - Gross withdrawal amount
+ * @param {Array} withdrawable - Result of getWithdrawableByType
+ * @returns {Array} [{contributionTypeId, amount}] for each type used
+ */
+export const calculateWithdrawalSources = (amount, withdrawable) => {
+  let remaining = roundMoney(amount);
+  return withdrawable.reduce((sources, { contributionTypeId, available }) => {
+    const taken = Math.min(remaining, roundMoney(available, ROUNDING_MODES.DOWN));
+    remaining = subtractMoney(remaining, taken);
+    return taken > 0 ? [...sources, { contributionTypeId, amount: taken }] : sources;
+  }, []);
+};
+
+/**
+ * Validate a withdrawal request
+ * @param {Object} params - Withdrawal parameters {reason, amount, separationDate}
+ * @param {Array} withdrawable - Result of getWithdrawableByType
+ * @param {Object} participant - Participant
+ * @param {string} date - Request date (YYYY-MM-DD)
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+export const validateWithdrawal = (params, withdrawable, participant, date) => {
+  const eligibility = checkWithdrawalEligibility(params, participant, date);
+  if (!eligibility.valid) return eligibility;
+
+  const amount = roundMoney(params.amount);
+  if (isNaN(amount) || amount <= 0) {
+    return { valid: false, error: 'Withdrawal amount must be greater than 0' };
+  }
+
+  const available = sumMoney(withdrawable.map(source => source.available));
+  if (amount > available) {
+    return {
+      valid: false,
+      error: `Withdrawal amount exceeds the available vested balance of ${formatCurrency(available, { cents: true })}`
+    };
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Calculate balances after a withdrawal
+ *
+ * Within each contribution type, money is taken proportionally to each
+ * fund's vested balance.
+ * @param {Array} sources - [{contributionTypeId, amount}]
+ * @param {Array} balances - Valued balances
+ * @param {Object} vestedPercentages - Vested percentages keyed by contribution type ID
+ * @returns {Array} Updated balances
+ */
+export const calculateWithdrawalPreview = (sources, balances, vestedPercentages) => {
+  const vestedOf = (b) => b.balance * (vestedPercentages[b.contributionTypeId] ?? 100) / 100;
+  const sold = new Map();
+  sources.forEach(source => {
+    const typeBalances = balances.filter(b => b.contributionTypeId === source.contributionTypeId);
+    const amounts = allocateMoney(source.amount, typeBalances.map(vestedOf));
+    typeBalances.forEach((b, index) => sold.set(b, amounts[index]));
+  });
+
+  return balances.map(b => {
+    if (!sold.get(b) || b.nav <= 0) return b;
+    const units = subtractUnits(b.units, calculateUnitsFromAmount(sold.get(b), b.nav));
+    return { ...b, units, balance: calculateBalance(units, b.nav) };
+  });
+};
+
+/**
+ * Get the after-tax contributions and taxed conversions not yet recovered from Roth types
+ * @param {Object} participant - Participant with an optional opening rothBasis
+ * @param {Array} transactions - Ledger transactions
+ * @param {Array} rothTypeIds - Roth contribution type IDs
+ * @returns {number} Roth basis
+ */
+export const getRothBasis = (participant, transactions, rothTypeIds) => {
+  return transactions.reduce((basis, txn) => {
+    if (txn.type === TRANSACTION_TYPES.CONTRIBUTION) {
+      return sumMoney([basis, ...txn.legs
+        .filter(leg => rothTypeIds.includes(leg.contributionTypeId))
+        .map(leg => leg.amount)]);
+    }
+    if (txn.type === TRANSACTION_TYPES.WITHDRAWAL) {
+      return subtractMoney(basis, txn.tax?.rothBasisRecovered || 0);
+    }
+    if (txn.type === TRANSACTION_TYPES.ROTH_CONVERSION) {
+      return sumMoney([basis, txn.taxableAmount]);
+    }
+    return basis;
+  }, participant.rothBasis || 0);
+};
+
+/**
+ * Check whether a Roth distribution on a date is qualified
+ *
+ * Qualified distributions are made after age 59½ and at least five tax years
+ * after the first Roth contribution, and are entirely tax free.
+ * @param {Object} participant - Participant with birthDate and rothStartYear
+ * @param {string} date - Distribution date (YYYY-MM-DD)
+ * @returns {boolean} True when qualified
+ */
+export const isQualifiedRothDistribution = (participant, date) => {
+  const startYear = participant.rothStartYear ?? parseInt(participant.hireDate.slice(0, 4));
+  return isAtLeast59AndAHalf(participant.birthDate, date) &&
+    parseInt(date.slice(0, 4)) >= startYear + ROTH_QUALIFYING_YEARS;
+};
+
+/**
+ * Check whether the 10% early withdrawal penalty applies
+ * @param {Object} params - Withdrawal parameters {reason, separationDate}
+ * @param {Object} participant - Participant with birthDate
+ * @param {string} date - Distribution date (YYYY-MM-DD)
+ * @returns {boolean} True when the penalty applies
+ */
+export const isEarlyWithdrawal = ({ reason, separationDate }, participant, date) => {
+  if (isAtLeast59AndAHalf(participant.birthDate, date)) return false;
+  if (reason === WITHDRAWAL_REASONS.SEPARATION && separationDate) {
+    const ageInSeparationYear = parseInt(separationDate.slice(0, 4)) - parseInt(participant.birthDate.slice(0, 4));
+    return ageInSeparationYear < SEPARATION_PENALTY_EXEMPT_AGE;
+  }
+  return true;
+};
+
+/**
+ * Estimate the taxes on a withdrawal
+ * @param {Array} sources - [{contributionTypeId, amount}]
+ * @param {Object} context - {params, investments, rothBalance, date}
+ * @returns {Object} {gross, taxable, withholding, penalty, net, early, rolloverEligible, rothQualified, rothBasisRecovered, byType}
+ */
+export const estimateWithdrawalTaxes = (sources, { params, investments, rothBalance, date }) => {
+  const { participant, contributionTypes, transactions, settings } = investments;
+  const { earlyPenaltyRate, ...withdrawalSettings } = getWithdrawalSettings(settings);
+  const rolloverEligible = ROLLOVER_ELIGIBLE_REASONS.includes(params.reason);
+  const withholdingRate = rolloverEligible
+    ? withdrawalSettings.withholdingRate
+    : withdrawalSettings.electiveWithholdingRate;
+  const rothTypeIds = contributionTypes
+    .filter(type => type.taxTreatment === TAX_TREATMENTS.ROTH)
+    .map(type => type.id);
+
+  const early = isEarlyWithdrawal(params, participant, date);
+  const rothQualified = isQualifiedRothDistribution(participant, date);
+  const rothBasis = Math.max(getRothBasis(participant, transactions, rothTypeIds), 0);
+  const rothAmount = sumMoney(sources
+    .filter(source => rothTypeIds.includes(source.contributionTypeId))
+    .map(source => source.amount));
+
+  // Non-qualified Roth distributions recover basis pro rata; the earnings share is taxable
+  const basisShare = rothBalance > 0 ? Math.min(rothBasis / rothBalance, 1) : 1;
+  const rothBasisRecovered = rothQualified ? 0 : multiplyMoney(rothAmount, basisShare);
+
+  const byType = sources.map(source => {
+    const isRoth = rothTypeIds.includes(source.contributionTypeId);
+    const taxable = isRoth
+      ? (rothQualified ? 0 : multiplyMoney(source.amount, 1 - basisShare))
+      : source.amount;
+    return { ...source, taxable };
+  });
+
+  const gross = sumMoney(sources.map(source => source.amount));
+  const taxable = sumMoney(byType.map(source => source.taxable));
+  const withholding = percentOfMoney(taxable, withholdingRate);
+  const penalty = early ? percentOfMoney(taxable, earlyPenaltyRate) : 0;
+
+  return {
+    gross,
+    taxable,
+    withholdingRate,
+    withholding,
+    penaltyRate: earlyPenaltyRate,
+    penalty,
+    net: subtractMoney(gross, withholding),
+    early,
+    rolloverEligible,
+    rothQualified,
+    rothBasisRecovered,
+    byType
+  };
+};